@@ -0,0 +1,270 @@
+/**
+ * Atributos del checkout de Shopify (note_attributes) con los datos del cliente
+ *
+ * El checkout guarda RUT, razón social, tipo de documento, etc. como atributos de nota con
+ * etiquetas en español. CHECKOUT_FIELDS declara cada campo en un solo lugar:
+ * - labels:      etiquetas aceptadas (sin distinguir mayúsculas, tildes ni espacios)
+ * - fallback:    valor a usar si el atributo no viene (datos de la orden de Shopify)
+ * - required:    obligatorio siempre (vale el fallback)
+ * - requiredFor: tipo de documento para el que el atributo es obligatorio; en ese caso
+ *                no se usa el fallback (p.ej. una factura necesita la razón social real)
+ * - format:      normalización del valor (RUT con puntos y guión, tipo de documento, etc.)
+ * - validate:    validación del valor ya normalizado
+ * - maxLength:   largo máximo que acepta Manager+
+ *
+ * parseCheckoutAttributes entrega los datos validados o la lista de errores; una orden con
+ * errores queda para revisión manual en vez de crear un cliente con datos inventados.
+ */
+
+/**
+ * Calcular dígito verificador chileno (módulo 11) para un RUT dado en números
+ * @param {string} rutBase - RUT sin dígito verificador, solo dígitos
+ * @returns {string} Dígito verificador (0-9 o K)
+ */
+function calcularDV(rutBase) {
+    const clean = (rutBase || '').replace(/\D/g, '');
+    if (!clean) return '0';
+
+    let suma = 0;
+    let multiplicador = 2;
+
+    for (let i = clean.length - 1; i >= 0; i--) {
+        suma += parseInt(clean[i], 10) * multiplicador;
+        multiplicador = multiplicador === 7 ? 2 : multiplicador + 1;
+    }
+
+    const resto = suma % 11;
+    const dv = 11 - resto;
+
+    if (dv === 11) return '0';
+    if (dv === 10) return 'K';
+    return dv.toString();
+}
+
+/**
+ * Formatear RUT chileno (agregar puntos y guión si no los tiene)
+ * @param {string} rut - RUT en cualquier formato
+ * @returns {string} RUT formateado
+ */
+function formatRut(rut) {
+    if (!rut) return null;
+
+    // Limpiar el RUT
+    const clean = rut.toString().replace(/[.\s-]/g, '').toUpperCase();
+
+    // Separar número y dígito verificador
+    const match = clean.match(/^(\d{7,9})([0-9K])$/);
+    if (!match) return clean; // Retornar como está si no coincide con el formato esperado
+
+    const [, numero, dv] = match;
+
+    // Agregar puntos al número
+    const formatted = numero.replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+
+    return `${formatted}-${dv}`;
+}
+
+/**
+ * Verificar que un RUT formateado tenga el dígito verificador correcto
+ * @param {string} rut - RUT formateado (ver formatRut)
+ * @returns {boolean}
+ */
+function isValidRut(rut) {
+    const match = (rut || '').match(/^([\d.]+)-([0-9K])$/);
+    return Boolean(match) && calcularDV(match[1]) === match[2];
+}
+
+/**
+ * Normalizar el tipo de documento elegido en el checkout
+ * @param {string} value - Valor del atributo ("Boleta", "Factura", ...)
+ * @returns {string} boleta | factura (o el valor tal cual si no se reconoce)
+ */
+function formatTipoDocumento(value) {
+    const normalized = normalizeLabel(value);
+    if (normalized.includes('factura')) return 'factura';
+    if (normalized.includes('boleta')) return 'boleta';
+    return value;
+}
+
+/**
+ * Dirección de despacho de la orden en una línea
+ * @param {Object} orderData - Datos de la orden de Shopify
+ * @returns {string|null}
+ */
+function getShippingStreet(orderData) {
+    const shippingAddress = orderData.shipping_address || orderData.billing_address || {};
+    if (shippingAddress.address1) {
+        return `${shippingAddress.address1}${shippingAddress.address2 ? ', ' + shippingAddress.address2 : ''}`;
+    }
+    return orderData.billing_address?.address1 || null;
+}
+
+// Campos del checkout, en el orden en que se resuelven (un fallback puede usar los anteriores)
+const CHECKOUT_FIELDS = [
+    {
+        key: 'tipoDocumento',
+        labels: ['Boleta/Factura', 'Tipo de documento'],
+        fallback: () => 'boleta',
+        format: formatTipoDocumento,
+        validate: value => value === 'boleta' || value === 'factura',
+        invalidMessage: 'debe ser Boleta o Factura'
+    },
+    {
+        key: 'rut',
+        labels: ['Rut', 'Rut cliente', 'Rut empresa'],
+        required: true,
+        fallback: order => order.billing_address?.company || order.customer?.default_address?.company,
+        format: formatRut,
+        validate: isValidRut,
+        invalidMessage: 'no es un RUT válido'
+    },
+    {
+        key: 'razonSocial',
+        labels: ['Razón social'],
+        requiredFor: 'factura',
+        fallback: order => order.billing_address?.name?.toUpperCase() ||
+            order.customer?.default_address?.name?.toUpperCase() ||
+            'Cliente Shopify',
+        maxLength: 50
+    },
+    {
+        key: 'giro',
+        labels: ['Giro'],
+        requiredFor: 'factura',
+        fallback: () => 'Persona Natural',
+        maxLength: 50
+    },
+    {
+        key: 'direccion',
+        labels: ['Dirección de facturación'],
+        requiredFor: 'factura',
+        fallback: getShippingStreet,
+        maxLength: 70
+    },
+    {
+        key: 'ciudad',
+        labels: ['Ciudad'],
+        fallback: order => (order.shipping_address || order.billing_address)?.city || order.billing_address?.city
+    },
+    {
+        key: 'region',
+        labels: ['Región'],
+        fallback: order => (order.shipping_address || order.billing_address)?.province || order.billing_address?.province
+    },
+    {
+        key: 'comuna',
+        labels: ['Comuna'],
+        fallback: (order, data) => data.ciudad
+    },
+    {
+        key: 'email',
+        labels: ['Email', 'Correo electrónico'],
+        fallback: order => order.customer?.email || order.email,
+        format: value => value.toLowerCase(),
+        validate: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+        invalidMessage: 'no es un email válido'
+    },
+    {
+        key: 'telefono',
+        labels: ['Recibe-Teléfono', 'Teléfono'],
+        fallback: order => order.billing_address?.phone ||
+            (order.shipping_address || order.billing_address)?.phone ||
+            order.customer?.default_address?.phone
+    },
+    {
+        key: 'nombre',
+        labels: ['Nombre', 'Nombre de quien realiza el pedido']
+    },
+    {
+        key: 'apellido',
+        labels: ['Apellido', 'Apellido de quien realiza el pedido']
+    }
+];
+
+/**
+ * Normalizar una etiqueta para compararla (minúsculas, sin tildes ni espacios extra)
+ * @param {string} label - Etiqueta del atributo
+ * @returns {string}
+ */
+function normalizeLabel(label) {
+    return `${label || ''}`
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * Extraer y validar los datos del cliente desde los atributos del checkout
+ *
+ * @param {Object} orderData - Datos de la orden de Shopify
+ * @returns {Object} { valid, data, errors }; data tiene una propiedad por campo (null si no
+ * hay valor) y cada error es { field, label, message }
+ */
+function parseCheckoutAttributes(orderData) {
+    const attributes = new Map();
+    for (const attr of orderData.note_attributes || []) {
+        const value = `${attr.value ?? ''}`.trim();
+        const label = normalizeLabel(attr.name);
+        if (value && !attributes.has(label)) {
+            attributes.set(label, { name: attr.name, value });
+        }
+    }
+
+    const data = {};
+    const errors = [];
+    for (const field of CHECKOUT_FIELDS) {
+        const attr = field.labels
+            .map(label => attributes.get(normalizeLabel(label)))
+            .find(Boolean);
+        const label = attr?.name || field.labels[0];
+        const strict = field.requiredFor !== undefined && field.requiredFor === data.tipoDocumento;
+
+        let value = attr?.value || null;
+        if (value === null && !strict && field.fallback) {
+            const fallback = field.fallback(orderData, data);
+            value = fallback ? `${fallback}`.trim() || null : null;
+        }
+
+        if (value === null) {
+            if (field.required || strict) {
+                errors.push({
+                    field: field.key,
+                    label,
+                    message: strict ? `Falta "${label}" (obligatorio para ${field.requiredFor})` : `Falta "${label}"`
+                });
+            }
+            data[field.key] = null;
+            continue;
+        }
+
+        if (field.format) {
+            value = field.format(value);
+        }
+        if (field.validate && !field.validate(value)) {
+            errors.push({ field: field.key, label, message: `"${label}" ${field.invalidMessage}: ${value}` });
+        }
+        data[field.key] = field.maxLength ? value.slice(0, field.maxLength) : value;
+    }
+
+    return { valid: errors.length === 0, data, errors };
+}
+
+/**
+ * Mensaje con todos los errores de validación
+ * @param {Array<Object>} errors - Errores de parseCheckoutAttributes
+ * @returns {string}
+ */
+function describeCheckoutErrors(errors) {
+    return `Datos de checkout inválidos: ${errors.map(error => error.message).join('; ')}`;
+}
+
+module.exports = {
+    CHECKOUT_FIELDS,
+    parseCheckoutAttributes,
+    describeCheckoutErrors,
+    formatRut,
+    calcularDV,
+    isValidRut
+};
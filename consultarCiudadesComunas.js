@@ -9,27 +9,14 @@
  */
 
 require('dotenv').config();
-const axios = require('axios');
-
-const ERP_BASE_URL = process.env.ERP_BASE_URL;
-const ERP_USERNAME = process.env.ERP_USERNAME;
-const ERP_PASSWORD = process.env.ERP_PASSWORD;
-const RUT_EMPRESA = process.env.RUT_EMPRESA;
-
-let authToken = null;
+const { managerClient } = require('./managerClient');
 
 /**
  * Autenticarse en Manager+
  */
 async function authenticate() {
     try {
-        const response = await axios.post(`${ERP_BASE_URL}/auth/`, {
-            username: ERP_USERNAME,
-            password: ERP_PASSWORD
-        }, {
-            headers: { 'Content-Type': 'application/json' }
-        });
-        authToken = response.data.auth_token;
+        await managerClient.authenticate();
         console.log('✅ Autenticación exitosa\n');
         return true;
     } catch (error) {
@@ -43,10 +30,7 @@ async function authenticate() {
  */
 async function getComunas() {
     try {
-        const response = await axios.get(`${ERP_BASE_URL}/tabla-gral/comunas`, {
-            headers: { Authorization: `Token ${authToken}` }
-        });
-        return response.data.data || response.data || [];
+        return await managerClient.getComunas();
     } catch (error) {
         console.error('❌ Error al obtener comunas:', error.message);
         return [];
@@ -58,10 +42,7 @@ async function getComunas() {
  */
 async function getCiudades() {
     try {
-        const response = await axios.get(`${ERP_BASE_URL}/tabla-gral/ciudades`, {
-            headers: { Authorization: `Token ${authToken}` }
-        });
-        return response.data.data || response.data || [];
+        return await managerClient.getCiudades();
     } catch (error) {
         console.error('❌ Error al obtener ciudades:', error.message);
         return [];
@@ -9,175 +9,40 @@
  */
 
 require('dotenv').config();
-const axios = require('axios');
 const { format, addDays, subDays } = require('date-fns');
-const { serializeError, delay, getTimestamp } = require('./webhookQueue');
-
-// Configuración de retry
-const RETRY_CONFIG = {
-    maxRetries: 5,
-    baseDelay: 3000,
-    maxDelay: 60000,
-    retryableStatuses: [429, 500, 502, 503, 504]
-};
-
-/**
- * Wrapper de axios con retry automático para errores de rate limit y servidor
- * @param {Function} requestFn - Función que retorna la promesa de axios
- * @param {string} operationName - Nombre de la operación para logging
- * @returns {Promise<any>} Respuesta de axios
- */
-async function axiosWithRetry(requestFn, operationName = 'petición') {
-    let lastError;
-
-    for (let attempt = 1; attempt <= RETRY_CONFIG.maxRetries; attempt++) {
-        try {
-            const response = await requestFn();
-            return response;
-        } catch (error) {
-            lastError = error;
-            const status = error.response?.status;
-            const responseData = error.response?.data;
-
-            // Detectar rate limit de múltiples formas
-            const isRateLimitStatus = RETRY_CONFIG.retryableStatuses.includes(status);
-            const hasRetryField = responseData?.retry !== undefined;
-            const hasLimitMessage = responseData?.detail?.includes('límite') ||
-                responseData?.message?.includes('límite');
-
-            const isRetryable = isRateLimitStatus || hasRetryField || hasLimitMessage;
-
-            if (!isRetryable || attempt === RETRY_CONFIG.maxRetries) {
-                // Marcar el error para que la cola sepa que es rate limit
-                if (isRetryable) {
-                    lastError.isRateLimit = true;
-                }
-                throw lastError;
-            }
-
-            // Usar el tiempo de retry sugerido por el ERP si existe
-            let delayMs = Math.min(
-                RETRY_CONFIG.baseDelay * Math.pow(2, attempt - 1),
-                RETRY_CONFIG.maxDelay
-            );
-
-            // Si el ERP nos dice cuánto esperar, usar ese valor + 2 segundos de margen
-            if (responseData?.retry) {
-                delayMs = Math.max(delayMs, (responseData.retry + 2) * 1000);
-            }
-
-            console.log(`[${getTimestamp()}] ⏳ ${operationName}: Error ${status || 'rate-limit'}, reintento ${attempt}/${RETRY_CONFIG.maxRetries} en ${delayMs / 1000}s...`);
-            await delay(delayMs);
-        }
-    }
-
-    throw lastError;
-}
+const { serializeError, getTimestamp } = require('./webhookQueue');
+const { managerClient } = require('./managerClient');
+const { shopifyClient } = require('./shopifyClient');
+const { getOrderPriceListId } = require('./priceListConfig');
+const { folioAllocator } = require('./folioAllocator');
+const { recordOrderSuccess, recordOrderFailure, setOrderReviewTag } = require('./shopifyOrderWriteback');
+const { orderDocumentStore, getAddressKey } = require('./orderDocuments');
+const { parseCheckoutAttributes, describeCheckoutErrors } = require('./checkoutAttributes');
 
 // Variables de entorno
-const ERP_BASE_URL = process.env.ERP_BASE_URL;
 const ERP_USERNAME = process.env.ERP_USERNAME;
-const ERP_PASSWORD = process.env.ERP_PASSWORD;
 const RUT_EMPRESA = process.env.RUT_EMPRESA;
-const SHOPIFY_SHOP_DOMAIN = process.env.SHOPIFY_SHOP_DOMAIN;
-const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+
+// Tasa de IVA para líneas afectas sin tax_lines en Shopify (se asume incluido en el precio)
+const IVA_RATE = 0.19;
+
+// Diferencia máxima aceptada entre el total calculado de la NV y el de la orden en Shopify
+// (default: 1 peso por línea)
+const NV_TOTAL_TOLERANCE = process.env.NV_TOTAL_TOLERANCE !== undefined && process.env.NV_TOTAL_TOLERANCE !== ''
+    ? parseFloat(process.env.NV_TOTAL_TOLERANCE)
+    : null;
 
 // Flag para habilitar/deshabilitar creación real en Manager
 // Por defecto desactivado para testing de webhooks
 const ENABLE_SHOPIFY_CREATE = process.env.ENABLE_SHOPIFY_CREATE === 'true' || process.env.ENABLE_SHOPIFY_CREATE === '1';
 
-// Variable para almacenar el token de autenticación del ERP
-let erpAuthToken = null;
-let erpTokenExpirationTime = null;
-
 // Órdenes ya procesadas (idempotencia simple en memoria)
+// Tras un reinicio se evita el duplicado buscando la NV en Manager+ (ver findExistingOrderDocument)
 const processedOrders = new Set();
 
 // Almacenar el último webhook recibido para poder reprocesarlo
 let lastWebhookNotification = null;
 
-/**
- * Calcular dígito verificador chileno (módulo 11) para un RUT dado en números
- * @param {string} rutBase - RUT sin dígito verificador, solo dígitos
- * @returns {string} Dígito verificador (0-9 o K)
- */
-function calcularDV(rutBase) {
-    const clean = (rutBase || '').replace(/\D/g, '');
-    if (!clean) return '0';
-
-    let suma = 0;
-    let multiplicador = 2;
-
-    for (let i = clean.length - 1; i >= 0; i--) {
-        suma += parseInt(clean[i], 10) * multiplicador;
-        multiplicador = multiplicador === 7 ? 2 : multiplicador + 1;
-    }
-
-    const resto = suma % 11;
-    const dv = 11 - resto;
-
-    if (dv === 11) return '0';
-    if (dv === 10) return 'K';
-    return dv.toString();
-}
-
-/**
- * Formatear RUT chileno (agregar puntos y guión si no los tiene)
- * @param {string} rut - RUT en cualquier formato
- * @returns {string} RUT formateado
- */
-function formatRut(rut) {
-    if (!rut) return null;
-
-    // Limpiar el RUT
-    const clean = rut.toString().replace(/[.\s-]/g, '').toUpperCase();
-
-    // Separar número y dígito verificador
-    const match = clean.match(/^(\d{7,9})([0-9K])$/);
-    if (!match) return clean; // Retornar como está si no coincide con el formato esperado
-
-    const [, numero, dv] = match;
-
-    // Agregar puntos al número
-    const formatted = numero.replace(/\B(?=(\d{3})+(?!\d))/g, '.');
-
-    return `${formatted}-${dv}`;
-}
-
-/**
- * Autenticarse con el ERP Manager+
- */
-async function authenticateWithERP() {
-    try {
-        const response = await axios.post(`${ERP_BASE_URL}/auth/`, {
-            username: ERP_USERNAME,
-            password: ERP_PASSWORD
-        }, {
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        });
-
-        erpAuthToken = response.data.auth_token;
-        erpTokenExpirationTime = Date.now() + (60 * 60 * 1000); // 1 hora
-
-        return erpAuthToken;
-    } catch (error) {
-        console.error('[ERP] Error en autenticación:', error.response?.data?.message || error.message);
-        throw new Error('Error al autenticarse con el ERP: ' + (error.response?.data?.message || error.message));
-    }
-}
-
-/**
- * Obtener el token de autenticación del ERP (con caché)
- */
-async function getERPAuthToken() {
-    if (erpAuthToken && erpTokenExpirationTime && Date.now() < erpTokenExpirationTime) {
-        return erpAuthToken;
-    }
-    return await authenticateWithERP();
-}
-
 /**
  * Obtener información completa de una orden de Shopify
  *
@@ -186,15 +51,7 @@ async function getERPAuthToken() {
  */
 async function getShopifyOrder(orderId) {
     try {
-        const shopName = SHOPIFY_SHOP_DOMAIN?.replace('.myshopify.com', '');
-        const url = `https://${shopName}.myshopify.com/admin/api/2024-01/orders/${orderId}.json`;
-
-        const response = await axios.get(url, {
-            headers: {
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-                'Content-Type': 'application/json'
-            }
-        });
+        const response = await shopifyClient.get(`orders/${orderId}.json`);
 
         return response.data.order;
     } catch (error) {
@@ -209,17 +66,7 @@ async function getShopifyOrder(orderId) {
  */
 async function getComunas() {
     try {
-        const token = await getERPAuthToken();
-        const response = await axiosWithRetry(
-            () => axios.get(`${ERP_BASE_URL}/tabla-gral/comunas`, {
-                headers: {
-                    'Authorization': `Token ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            }),
-            'Obtener comunas'
-        );
-        return response.data.data || [];
+        return await managerClient.getComunas();
     } catch (error) {
         console.error(`[${getTimestamp()}] Error al obtener comunas:`, serializeError(error));
         return [];
@@ -231,17 +78,7 @@ async function getComunas() {
  */
 async function getCiudades() {
     try {
-        const token = await getERPAuthToken();
-        const response = await axiosWithRetry(
-            () => axios.get(`${ERP_BASE_URL}/tabla-gral/ciudades`, {
-                headers: {
-                    'Authorization': `Token ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            }),
-            'Obtener ciudades'
-        );
-        return response.data.data || [];
+        return await managerClient.getCiudades();
     } catch (error) {
         console.error(`[${getTimestamp()}] Error al obtener ciudades:`, serializeError(error));
         return [];
@@ -475,43 +312,28 @@ function mapRegionToCode(regionName) {
  */
 async function checkClientExists(rutCliente) {
     try {
-        const token = await getERPAuthToken();
-        const endpoint = `${ERP_BASE_URL}/clients/${RUT_EMPRESA}/?rut_cliente=${rutCliente}`;
-
-        try {
-            const response = await axios.get(endpoint, {
-                headers: {
-                    'Authorization': `Token ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                validateStatus: (status) => status < 500
-            });
+        // Un 4xx (cliente inexistente) lanza error y se trata como "no existe"
+        const body = await managerClient.findClients(rutCliente);
+        const data = body?.data || body;
 
-            if (response.status >= 200 && response.status < 300) {
-                const data = response.data?.data || response.data;
-
-                if (response.data?.retorno === false) {
-                    return false;
-                }
+        if (body?.retorno === false) {
+            return false;
+        }
 
-                if (Array.isArray(data) && data.length > 0) {
-                    const clienteEncontrado = data.find(c =>
-                        c.rut_cliente === rutCliente ||
-                        c.rut === rutCliente ||
-                        (c.rut_cliente && c.rut_cliente.replace(/[.\s-]/g, '') === rutCliente.replace(/[.\s-]/g, ''))
-                    );
-                    return !!clienteEncontrado;
-                }
+        if (Array.isArray(data) && data.length > 0) {
+            const clienteEncontrado = data.find(c =>
+                c.rut_cliente === rutCliente ||
+                c.rut === rutCliente ||
+                (c.rut_cliente && c.rut_cliente.replace(/[.\s-]/g, '') === rutCliente.replace(/[.\s-]/g, ''))
+            );
+            return !!clienteEncontrado;
+        }
 
-                if (data && typeof data === 'object' && !Array.isArray(data)) {
-                    const rutEncontrado = data.rut_cliente || data.rut;
-                    if (rutEncontrado && rutEncontrado.replace(/[.\s-]/g, '') === rutCliente.replace(/[.\s-]/g, '')) {
-                        return true;
-                    }
-                }
+        if (data && typeof data === 'object' && !Array.isArray(data)) {
+            const rutEncontrado = data.rut_cliente || data.rut;
+            if (rutEncontrado && rutEncontrado.replace(/[.\s-]/g, '') === rutCliente.replace(/[.\s-]/g, '')) {
+                return true;
             }
-        } catch (endpointError) {
-            // Continuar si el endpoint no existe
         }
 
         return false;
@@ -528,27 +350,15 @@ async function checkClientExists(rutCliente) {
  */
 async function getClientDirecciones(rutCliente) {
     try {
-        const token = await getERPAuthToken();
-
         // Intentar diferentes endpoints para obtener direcciones
-        const endpoints = [
-            `${ERP_BASE_URL}/clients/${RUT_EMPRESA}/${rutCliente}/addresses/`,
-            `${ERP_BASE_URL}/clients/${RUT_EMPRESA}/${rutCliente}/direcciones/`,
-            `${ERP_BASE_URL}/clients/${RUT_EMPRESA}/${rutCliente}/`
-        ];
+        const subresources = ['addresses', 'direcciones', ''];
 
-        for (const endpoint of endpoints) {
+        for (const subresource of subresources) {
             try {
-                const response = await axios.get(endpoint, {
-                    headers: {
-                        'Authorization': `Token ${token}`,
-                        'Content-Type': 'application/json'
-                    },
-                    validateStatus: (status) => status < 500
-                });
+                const body = await managerClient.getClient(rutCliente, subresource);
 
-                if (response.status === 200 && response.data) {
-                    const data = response.data?.data || response.data;
+                if (body) {
+                    const data = body.data || body;
 
                     // Si es un cliente con direcciones
                     if (data?.direcciones && Array.isArray(data.direcciones)) {
@@ -580,7 +390,6 @@ async function getClientDirecciones(rutCliente) {
  * Crear o actualizar la dirección de un cliente en Manager+
  * Esta función es crucial para clientes que ya existen pero no tienen dirección registrada
  * 
- * @param {string} token - Token de autenticación del ERP
  * @param {string} rutCliente - RUT del cliente
  * @param {string} direccion - Dirección física
  * @param {string} codComuna - Código de comuna
@@ -589,7 +398,7 @@ async function getClientDirecciones(rutCliente) {
  * @param {string} email - Email de contacto
  * @returns {Promise<Object>} Resultado con el nombre de la dirección utilizada
  */
-async function createOrUpdateClientAddress(token, rutCliente, direccion, codComuna, codCiudad, telefono, email) {
+async function createOrUpdateClientAddress(rutCliente, direccion, codComuna, codCiudad, telefono, email) {
     const direccionNombre = 'Direccion Shopify';
     const normalizedDireccion = (direccion || '').trim().toLowerCase();
 
@@ -630,19 +439,7 @@ async function createOrUpdateClientAddress(token, rutCliente, direccion, codComu
 
     // Primer intento: endpoint principal de creación de dirección
     try {
-        await axiosWithRetry(
-            () => axios.post(
-                `${ERP_BASE_URL}/import/create-client-address/?sobreescribir=S`,
-                direccionData,
-                {
-                    headers: {
-                        'Authorization': `Token ${token}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            ),
-            `Crear dirección para ${rutCliente}`
-        );
+        await managerClient.createClientAddress(direccionData);
         console.log(`[${getTimestamp()}]    └─ [DIR] Dirección del cliente creada/actualizada: "${direccionNombre}"`);
         return { success: true, direccionNombre, created: true };
 
@@ -665,16 +462,7 @@ async function createOrUpdateClientAddress(token, rutCliente, direccion, codComu
                 email: email?.slice(0, 50) || ""
             };
 
-            await axios.post(
-                `${ERP_BASE_URL}/clients/${RUT_EMPRESA}/${rutCliente}/addresses/`,
-                direccionAlt,
-                {
-                    headers: {
-                        'Authorization': `Token ${token}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
+            await managerClient.addClientAddress(rutCliente, direccionAlt);
             console.log(`[${getTimestamp()}]    └─ [DIR] Dirección creada con endpoint alternativo: "${direccionNombre}"`);
             return { success: true, direccionNombre, created: true };
 
@@ -715,16 +503,7 @@ async function createOrUpdateClientAddress(token, rutCliente, direccion, codComu
                         descrip_dir: nombrePrimera
                     };
 
-                    await axios.post(
-                        `${ERP_BASE_URL}/import/create-client-address/?sobreescribir=S`,
-                        direccionUpdate,
-                        {
-                            headers: {
-                                'Authorization': `Token ${token}`,
-                                'Content-Type': 'application/json'
-                            }
-                        }
-                    );
+                    await managerClient.createClientAddress(direccionUpdate, { retry: false });
                     console.log(`[${getTimestamp()}]    └─ [DIR] Dirección existente actualizada: "${nombrePrimera}"`);
                     return { success: true, direccionNombre: nombrePrimera, created: false };
                 } catch (updateError) {
@@ -751,7 +530,7 @@ async function createClient(orderData) {
     if (!ENABLE_SHOPIFY_CREATE) {
         console.log('   └─ [TESTING] Creación de cliente DESACTIVADA (ENABLE_SHOPIFY_CREATE=false)');
         return {
-            cliente: { rut_cliente: orderData.billing_address?.company || '11111111-1' },
+            cliente: { rut_cliente: parseCheckoutAttributes(orderData).data.rut },
             direccionNombre: 'Direccion Shopify',
             created: false,
             testing: true
@@ -759,96 +538,39 @@ async function createClient(orderData) {
     }
 
     try {
-        const token = await getERPAuthToken();
-
-        // Extraer datos del cliente desde la orden de Shopify
-        const billingAddress = orderData.billing_address || {};
-        const shippingAddress = orderData.shipping_address || billingAddress;
-        const customer = orderData.customer || {};
-
-        // Buscar atributos personalizados (note_attributes)
-        const noteAttributes = orderData.note_attributes || [];
-        const rutAttr = noteAttributes.find(attr => attr.name === 'Rut');
-        const razonSocialAttr = noteAttributes.find(attr => attr.name === 'Razón social');
-        const giroAttr = noteAttributes.find(attr => attr.name === 'Giro');
-        const emailAttr = noteAttributes.find(attr => attr.name === 'Email');
-        const direccionAttr = noteAttributes.find(attr => attr.name === 'Dirección de facturación');
-        const regionAttr = noteAttributes.find(attr => attr.name === 'Región');
-        const comunaAttr = noteAttributes.find(attr => attr.name === 'Comuna');
-        const ciudadAttr = noteAttributes.find(attr => attr.name === 'Ciudad');
-        const telefonoAttr = noteAttributes.find(attr => attr.name === 'Recibe-Teléfono');
-
-        // Determinar si es factura o boleta
-        const boletaFactura = noteAttributes.find(attr => attr.name === 'Boleta/Factura');
-        const isFactura = boletaFactura?.value === 'Factura';
-
-        // Obtener nombre y apellido según el tipo de documento
-        let nombreAttr, apellidoAttr;
-        if (isFactura) {
-            nombreAttr = noteAttributes.find(attr => attr.name === 'Nombre de quien realiza el pedido');
-            apellidoAttr = noteAttributes.find(attr => attr.name === 'Apellido de quien realiza el pedido');
-        } else {
-            nombreAttr = noteAttributes.find(attr => attr.name === 'Nombre');
-            apellidoAttr = noteAttributes.find(attr => attr.name === 'Apellido');
+        // Datos del cliente desde los atributos del checkout (ver checkoutAttributes.js)
+        const checkout = parseCheckoutAttributes(orderData);
+        if (!checkout.valid) {
+            throw new Error(describeCheckoutErrors(checkout.errors));
         }
-
-        // Obtener datos de dirección
-        const direccion = direccionAttr?.value ||
-            (shippingAddress.address1 ? `${shippingAddress.address1}${shippingAddress.address2 ? ', ' + shippingAddress.address2 : ''}` : '') ||
-            billingAddress.address1 || '';
-        const ciudad = ciudadAttr?.value || shippingAddress.city || billingAddress.city || '';
-        const region = regionAttr?.value || shippingAddress.province || billingAddress.province || '';
-        const comunaName = comunaAttr?.value || ciudad;
+        const { rut: rutCliente, razonSocial, giro, email, direccion, ciudad, region, comuna, telefono } = checkout.data;
 
         // Obtener código de región
-        const regionCode = mapRegionToCode(region);
+        const regionCode = mapRegionToCode(region || '');
 
         // Buscar comuna con ciudad válida usando la función probada
-        const { codComuna, codCiudad } = await buscarComunaConCiudad(comunaName, regionCode);
-
-        // RUT del cliente
-        let rutCliente = rutAttr?.value || billingAddress.company || customer.default_address?.company || '11111111-1';
-        if (!rutCliente.includes('-')) {
-            // Si no tiene DV, calcularlo
-            const rutBase = rutCliente.replace(/\D/g, '');
-            rutCliente = formatRut(rutBase) || rutCliente;
-        }
-
-        // Razón social
-        const razonSocial = razonSocialAttr?.value ||
-            billingAddress.name?.toUpperCase() ||
-            customer.default_address?.name?.toUpperCase() ||
-            'Cliente Shopify';
-
-        // Email
-        const email = emailAttr?.value || customer.email || orderData.email || '';
-
-        // Teléfono
-        const telefono = telefonoAttr?.value ||
-            billingAddress.phone ||
-            shippingAddress.phone ||
-            customer.default_address?.phone || '';
-
-        // Giro
-        const giro = giroAttr?.value || (isFactura ? 'Comercio' : 'Persona Natural');
+        const { codComuna, codCiudad } = await buscarComunaConCiudad(comuna || '', regionCode);
 
         // Se eliminó la verificación previa de cliente (checkClientExists) para forzar
         // siempre el uso del endpoint create-client con sobreescribir=S, lo cual actualiza
         // correctamente la dirección y evita errores 404 de los endpoints individuales.
 
 
+        // Lista de precios del cliente (configurable, ver priceListConfig.js)
+        const listaPrecio = await getOrderPriceListId();
+
         // Preparar datos del cliente
         const infoCliente = {
             rut_empresa: RUT_EMPRESA,
             rut_cliente: rutCliente,
-            razon_social: razonSocial.slice(0, 50),
-            nom_fantasia: razonSocial.slice(0, 50),
-            giro: giro.slice(0, 50),
+            razon_social: razonSocial,
+            nom_fantasia: razonSocial,
+            giro: giro,
             holding: "",
             area_prod: "",
             clasif: "A5",
-            email: email,
-            emailsii: email,
+            email: email || '',
+            emailsii: email || '',
             comentario: `Cliente creado desde Shopify, Ciudad: ${ciudad || 'No se indica'}`,
             tipo: "C",
             tipo_prov: "N",
@@ -857,14 +579,14 @@ async function createClient(orderData) {
             cod_vendedor: ERP_USERNAME,
             cod_comis: ERP_USERNAME,
             cod_cobrador: "",
-            lista_precio: "652",
+            lista_precio: listaPrecio,
             comen_emp: "",
             descrip_dir: "Direccion Shopify",
-            direccion: direccion.slice(0, 70),
+            direccion: direccion || '',
             cod_comuna: codComuna,
             cod_ciudad: codCiudad,
             atencion: ".",
-            emailconta: email,
+            emailconta: email || '',
             telefono: telefono || ".",
             fax: "",
             cta_banco: "",
@@ -878,19 +600,7 @@ async function createClient(orderData) {
         };
 
         // Crear cliente en Manager+
-        const response = await axiosWithRetry(
-            () => axios.post(
-                `${ERP_BASE_URL}/import/create-client/?sobreescribir=S`,
-                infoCliente,
-                {
-                    headers: {
-                        'Authorization': `Token ${token}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            ),
-            `Crear cliente ${rutCliente}`
-        );
+        const responseData = await managerClient.createClient(infoCliente);
 
         console.log(`   └─ Cliente ${rutCliente} procesado exitosamente en Manager+ (Create/Update)`);
 
@@ -916,7 +626,7 @@ async function createClient(orderData) {
             cliente: { rut_cliente: rutCliente },
             direccionNombre: direccionDisponible,
             created: true,
-            data: response.data
+            data: responseData
         };
 
     } catch (error) {
@@ -927,39 +637,78 @@ async function createClient(orderData) {
 }
 
 /**
- * Obtener el último folio de Nota de Venta
- * @returns {Promise<number>} Último folio
+ * Referencia de la orden de Shopify que se guarda al final de la glosa de la NV
+ * @param {Object} orderData - Datos de la orden de Shopify
+ * @returns {string} checkout_id o, si no viene, el ID de la orden
  */
-async function getFolio() {
-    try {
-        const token = await getERPAuthToken();
-        const fechaHoy = new Date();
-        const fechaTomorrow = format(addDays(fechaHoy, 1), "yyyyMMdd");
-        const fechaAnterior = format(subDays(fechaHoy, 3), "yyyyMMdd");
+function getOrderReference(orderData) {
+    return `${orderData.checkout_id || orderData.id || ''}`;
+}
 
-        const endpoint = `documents/${RUT_EMPRESA}/NV/V/?df=${fechaAnterior}&dt=${fechaTomorrow}`;
+/**
+ * Armar la glosa de un documento con la referencia siempre completa al final
+ *
+ * La referencia se usa para detectar duplicados: si la glosa supera los 100 caracteres
+ * se recorta el resto.
+ *
+ * @param {Array<string>} parts - Partes de la glosa (se omiten las vacías)
+ * @param {string} referencia - Referencia del documento
+ * @returns {string} Glosa separada por ';'
+ */
+function buildGlosa(parts, referencia) {
+    const glosa = parts.filter(Boolean).join(';');
+    return referencia
+        ? `${glosa.slice(0, 100 - referencia.length - 1)};${referencia}`
+        : glosa.slice(0, 100);
+}
 
-        const response = await axios.get(`${ERP_BASE_URL}/${endpoint}`, {
-            headers: {
-                'Authorization': `Token ${token}`,
-                'Content-Type': 'application/json'
-            }
-        });
+/**
+ * Buscar en Manager+ un documento cuya glosa contenga alguna de las referencias
+ *
+ * Se revisan los documentos desde el día anterior a la fecha indicada hasta mañana y se
+ * compara cada parte de la glosa con las referencias.
+ * Los errores de Manager+ se propagan: sin poder verificar, no se crea el documento.
+ *
+ * @param {string} tipoDocumento - Tipo de documento (NV, NCVE, etc)
+ * @param {Array<string>} references - Referencias a buscar
+ * @param {string|Date} since - Fecha desde la que buscar (default: hoy)
+ * @returns {Promise<Object|null>} Documento encontrado o null
+ */
+async function findDocumentByReference(tipoDocumento, references, since = null) {
+    const referencias = [...new Set((references || []).filter(Boolean).map(String))];
+    if (referencias.length === 0) {
+        return null;
+    }
 
-        const documentos = response.data.data || [];
+    const sinceDate = since ? new Date(since) : new Date();
+    const desde = isNaN(sinceDate.getTime()) ? new Date() : sinceDate;
+    const fechaDesde = format(subDays(desde, 1), "yyyyMMdd");
+    const fechaTomorrow = format(addDays(new Date(), 1), "yyyyMMdd");
 
-        let maxFolio = -Infinity;
-        documentos.forEach((documento) => {
-            if (documento.folio > maxFolio) {
-                maxFolio = documento.folio;
-            }
-        });
+    const body = await managerClient.getDocuments(tipoDocumento, { df: fechaDesde, dt: fechaTomorrow });
+    const documentos = body.data || [];
 
-        return maxFolio === -Infinity ? 0 : maxFolio;
-    } catch (error) {
-        console.error('Error al obtener folio:', error.message);
-        return 0;
-    }
+    return documentos.find((documento) => {
+        const partes = (documento.glosa || '').split(';').map(parte => parte.trim());
+        return referencias.some(reference => partes.includes(reference));
+    }) || null;
+}
+
+/**
+ * Buscar una Nota de Venta ya creada para una orden de Shopify
+ *
+ * Se compara la glosa de las NV desde la creación de la orden con la referencia de la
+ * orden (y con el ID de la orden).
+ *
+ * @param {Object} orderData - Datos de la orden de Shopify
+ * @returns {Promise<Object|null>} Documento encontrado o null
+ */
+async function findExistingOrderDocument(orderData) {
+    return findDocumentByReference(
+        'NV',
+        [getOrderReference(orderData), orderData.id?.toString()],
+        orderData.created_at
+    );
 }
 
 /**
@@ -969,18 +718,9 @@ async function getFolio() {
  */
 async function validateProductUnit(sku) {
     try {
-        const token = await getERPAuthToken();
-        const response = await axios.get(
-            `${ERP_BASE_URL}/products/${RUT_EMPRESA}/${sku}`,
-            {
-                headers: {
-                    'Authorization': `Token ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        const body = await managerClient.getProduct(sku);
 
-        const unidad = response.data.data[0]?.unidadstock || 'UMS';
+        const unidad = body.data[0]?.unidadstock || 'UMS';
         return unidad;
     } catch (error) {
         console.error(`Error al validar unidad del producto ${sku}:`, error.message);
@@ -988,6 +728,502 @@ async function validateProductUnit(sku) {
     }
 }
 
+/**
+ * Armar una línea de detalle para el endpoint de importación de documentos
+ *
+ * @param {Object} linea
+ * @param {string} linea.codProducto - Código del producto (SKU o DPCHO)
+ * @param {number|string} linea.cantidad - Cantidad
+ * @param {string} linea.unidad - Unidad del producto
+ * @param {number} linea.precioUnit - Precio unitario neto
+ * @param {number} linea.descuento - Descuento neto de la línea en pesos (opcional)
+ * @param {string} linea.descrip - Descripción (se recorta a 80 caracteres)
+ * @returns {Object} Detalle del documento
+ */
+function buildDocumentDetail({ codProducto, cantidad, unidad, precioUnit, descuento = 0, descrip }) {
+    return {
+        cod_producto: codProducto,
+        cantidad: cantidad.toString(),
+        unidad: unidad,
+        precio_unit: `${precioUnit}`,
+        moneda_det: "CLP",
+        tasa_cambio_det: "1",
+        nro_serie: "",
+        num_lote: "",
+        fecha_vec: "",
+        cen_cos: "A03",
+        tipo_desc: descuento > 0 ? "M" : "",
+        descuento: descuento > 0 ? `${descuento}` : "",
+        ubicacion: "",
+        bodega: "",
+        concepto1: "Venta",
+        concepto2: "",
+        concepto3: "",
+        concepto4: "",
+        descrip: (descrip || '').slice(0, 80),
+        desc_adic: "",
+        stock: "0",
+        cod_impesp1: "",
+        mon_impesp1: "",
+        cod_impesp2: "",
+        mon_impesp2: "",
+        fecha_comp: "",
+        porc_retencion: ""
+    };
+}
+
+/**
+ * Cantidades reembolsadas por línea de la orden
+ * @param {Object} orderData - Datos de la orden de Shopify (con refunds)
+ * @returns {Map<string, number>} line_item_id -> cantidad reembolsada
+ */
+function getRefundedQuantities(orderData) {
+    const refundedQuantities = new Map();
+    for (const refund of orderData.refunds || []) {
+        for (const refundLine of refund.refund_line_items || []) {
+            const lineItemId = refundLine.line_item_id?.toString();
+            refundedQuantities.set(lineItemId, (refundedQuantities.get(lineItemId) || 0) + refundLine.quantity);
+        }
+    }
+    return refundedQuantities;
+}
+
+/**
+ * Cantidad vendida de una línea de la orden
+ *
+ * Si la orden se editó, la cantidad vigente viene en current_quantity. Ese valor también
+ * baja con los reembolsos, que se acreditan con su propio documento (ver orderReversals.js),
+ * por eso se vuelven a sumar: la NV conserva lo vendido.
+ *
+ * @param {Object} item - Línea de la orden
+ * @param {Map<string, number>} refundedQuantities - Ver getRefundedQuantities()
+ * @returns {number}
+ */
+function getLineQuantity(item, refundedQuantities) {
+    if (item.current_quantity === undefined || item.current_quantity === null) {
+        return item.quantity;
+    }
+    return item.current_quantity + (refundedQuantities.get(item.id?.toString()) || 0);
+}
+
+/**
+ * IVA del despacho reembolsado
+ * @param {Object} refund - Reembolso de Shopify
+ * @returns {number}
+ */
+function getRefundedShippingTax(refund) {
+    const shippingLines = refund.refund_shipping_lines || [];
+    if (shippingLines.length > 0) {
+        return shippingLines.reduce((sum, line) => sum + parseFloat(line.tax_amount_set?.shop_money?.amount || 0), 0);
+    }
+    return (refund.order_adjustments || [])
+        .filter(adjustment => adjustment.kind === 'shipping_refund')
+        .reduce((sum, adjustment) => sum + Math.abs(parseFloat(adjustment.tax_amount || 0)), 0);
+}
+
+/**
+ * Total e IVA vigentes de la orden, con lo reembolsado sumado de vuelta
+ *
+ * Las ediciones solo se reflejan en current_total_price y current_total_tax, que además
+ * bajan con los reembolsos. Como la NV conserva lo vendido (los reembolsos se acreditan con
+ * su propio documento, ver orderReversals.js) lo reembolsado se vuelve a sumar. Sin campos
+ * current_* se usa total_price.
+ *
+ * @param {Object} orderData - Datos de la orden de Shopify
+ * @returns {{total: number, tax: number|null}} tax null si la orden no trae current_total_tax
+ */
+function getOrderTotals(orderData) {
+    if (orderData.current_total_price === undefined || orderData.current_total_price === null) {
+        return { total: parseFloat(orderData.total_price || 0), tax: null };
+    }
+
+    let refunded = 0;
+    let refundedTax = 0;
+    for (const refund of orderData.refunds || []) {
+        refunded += (refund.transactions || [])
+            .filter(transaction => transaction.kind === 'refund' && transaction.status === 'success')
+            .reduce((sum, transaction) => sum + parseFloat(transaction.amount || 0), 0);
+        refundedTax += (refund.refund_line_items || [])
+            .reduce((sum, refundLine) => sum + parseFloat(refundLine.total_tax || 0), 0) +
+            getRefundedShippingTax(refund);
+    }
+
+    const currentTax = orderData.current_total_tax;
+    return {
+        total: parseFloat(orderData.current_total_price) + refunded,
+        tax: currentTax !== undefined && currentTax !== null ? parseFloat(currentTax) + refundedTax : null
+    };
+}
+
+/**
+ * Verificar si un descuento de Shopify es de la orden completa
+ *
+ * Solo los códigos (o descuentos manuales) que se reparten entre todos los productos van
+ * como descuento global de la NV. Los de productos específicos, los automáticos y los de
+ * despacho se aplican en la línea correspondiente.
+ *
+ * @param {Object} application - Elemento de discount_applications
+ * @returns {boolean}
+ */
+function isOrderLevelDiscount(application) {
+    return !!application &&
+        application.target_type === 'line_item' &&
+        application.target_selection === 'all' &&
+        application.allocation_method === 'across' &&
+        (application.type === 'discount_code' || application.type === 'manual');
+}
+
+/**
+ * Separar los descuentos asignados a una línea en descuento de línea y de orden (con IVA)
+ * @param {Array<Object>} allocations - discount_allocations de la línea
+ * @param {Array<Object>} applications - discount_applications de la orden
+ * @returns {{lineDiscount: number, orderDiscount: number}}
+ */
+function splitDiscountAllocations(allocations, applications) {
+    let lineDiscount = 0;
+    let orderDiscount = 0;
+    for (const allocation of allocations || []) {
+        const amount = parseFloat(allocation.amount || 0);
+        if (isOrderLevelDiscount(applications[allocation.discount_application_index])) {
+            orderDiscount += amount;
+        } else {
+            lineDiscount += amount;
+        }
+    }
+    return { lineDiscount, orderDiscount };
+}
+
+/**
+ * Impuesto de una línea de Shopify
+ *
+ * Una línea no gravable (taxable: false) o con tax_lines en tasa 0 es exenta. Si la línea
+ * es gravable pero Shopify no informa tax_lines (la tienda no calcula impuestos) se asume
+ * IVA de 19%.
+ *
+ * @param {boolean} taxable - taxable de la línea (undefined en el despacho)
+ * @param {Array<Object>} taxLines - tax_lines de la línea
+ * @returns {{exento: boolean, rate: number, tax: number|null}} tax null = calcular con rate
+ */
+function getLineTax(taxable, taxLines) {
+    if (taxable === false) {
+        return { exento: true, rate: 0, tax: 0 };
+    }
+    if (!taxLines || taxLines.length === 0) {
+        return { exento: false, rate: IVA_RATE, tax: null };
+    }
+    const rate = taxLines.reduce((sum, taxLine) => sum + parseFloat(taxLine.rate || 0), 0);
+    const tax = taxLines.reduce((sum, taxLine) => sum + parseFloat(taxLine.price || 0), 0);
+    return { exento: rate === 0, rate, tax };
+}
+
+/**
+ * Repartir el redondeo para que la suma de los montos enteros sea exactamente target
+ *
+ * Cada valor se trunca y los pesos que faltan (o sobran) se asignan de a uno a los
+ * valores con mayor (o menor) parte decimal.
+ *
+ * @param {Array<number>} values - Montos exactos
+ * @param {number} target - Suma entera buscada
+ * @returns {Array<number>} Montos enteros
+ */
+function distributeRounding(values, target) {
+    const exact = values.map(value => Math.round(value * 1e6) / 1e6);
+    const result = exact.map(value => Math.floor(value));
+    let remaining = target - result.reduce((sum, value) => sum + value, 0);
+    const order = exact.map((value, index) => index)
+        .sort((a, b) => (exact[b] - Math.floor(exact[b])) - (exact[a] - Math.floor(exact[a])));
+
+    for (let i = 0; remaining !== 0 && order.length > 0; i = (i + 1) % order.length) {
+        if (remaining > 0) {
+            result[order[i]] += 1;
+            remaining -= 1;
+        } else {
+            result[order[order.length - 1 - i]] -= 1;
+            remaining += 1;
+        }
+    }
+    return result;
+}
+
+/**
+ * Suma entera a la que se reparten los montos de las líneas
+ *
+ * @param {Array<number>} values - Montos exactos
+ * @param {number} target - Suma buscada
+ * @returns {number} target si solo difiere por redondeo (un peso por línea); si no, la
+ * suma redondeada de los montos
+ */
+function getRoundingTarget(values, target) {
+    const own = Math.round(values.reduce((sum, value) => sum + value, 0));
+    return Math.abs(target - own) <= values.length ? target : own;
+}
+
+/**
+ * Neto e impuesto de la parte de una línea de Shopify que va a un documento
+ *
+ * El precio y los descuentos son los de Shopify (con IVA si la orden tiene taxes_included).
+ * Con applications el descuento de la orden completa queda aparte en orderDiscountNet
+ * (salvo en las líneas exentas, ver isOrderLevelDiscount); sin ellas va todo a la línea.
+ *
+ * @param {Object} params
+ * @param {string} params.codProducto - Código del producto
+ * @param {string} params.descrip - Descripción
+ * @param {number} params.cantidad - Cantidad del documento
+ * @param {number} params.price - Precio unitario de Shopify
+ * @param {number} params.proporcion - Parte de la línea de Shopify que va al documento
+ *   (prorratea descuentos e impuestos)
+ * @param {boolean} params.taxable - taxable de la línea (undefined en el despacho)
+ * @param {Array<Object>} params.taxLines - tax_lines de la línea
+ * @param {Array<Object>} params.allocations - discount_allocations de la línea
+ * @param {Array<Object>} params.applications - discount_applications de la orden
+ * @param {boolean} params.taxesIncluded - taxes_included de la orden
+ * @param {number} [params.tax] - Impuesto informado por Shopify para esta parte (p.ej. total_tax
+ *   de un reembolso); si no viene se prorratea el de tax_lines
+ * @returns {Object} { codProducto, descrip, cantidad, unitNet, exento, orderDiscountNet, net, tax, informedTax }
+ */
+function calculateItemAmounts({ codProducto, descrip, cantidad, price, proporcion, taxable, taxLines, allocations, applications = [], taxesIncluded, tax: knownTax }) {
+    const { lineDiscount, orderDiscount } = splitDiscountAllocations(allocations, applications);
+    const { exento, rate, tax } = getLineTax(taxable, taxLines);
+    const divisor = taxesIncluded ? 1 + rate : 1;
+    const unitNet = price / divisor;
+    let lineDiscountNet = lineDiscount * proporcion / divisor;
+    let orderDiscountNet = orderDiscount * proporcion / divisor;
+    if (exento) {
+        lineDiscountNet += orderDiscountNet;
+        orderDiscountNet = 0;
+    }
+    const net = unitNet * cantidad - lineDiscountNet - orderDiscountNet;
+    let itemTax = net * rate;
+    if (exento) {
+        itemTax = 0;
+    } else if (tax !== null) {
+        itemTax = knownTax !== undefined ? knownTax : tax * proporcion;
+    }
+    return {
+        codProducto,
+        descrip,
+        cantidad,
+        unitNet,
+        exento,
+        orderDiscountNet,
+        net,
+        tax: itemTax,
+        informedTax: tax !== null
+    };
+}
+
+/**
+ * Líneas del documento con montos enteros que cuadran con el afecto y el exento
+ *
+ * Los pesos de redondeo se reparten (ver distributeRounding) para que la suma de
+ * precio_unit * cantidad - descuento de las líneas afectas sea afecto + montoDescGlobal y
+ * la de las exentas, exento.
+ *
+ * @param {Array<Object>} items - Montos de las líneas (ver calculateItemAmounts)
+ * @param {Object} totals
+ * @param {number} totals.afecto - Afecto del documento
+ * @param {number} totals.exento - Exento del documento
+ * @param {number} totals.montoDescGlobal - Descuento global del documento
+ * @returns {Array<Object>} { codProducto, cantidad, precioUnit, descuento, exento, descrip }
+ */
+function distributeLineTotals(items, { afecto, exento, montoDescGlobal }) {
+    const afectos = items.filter(item => !item.exento);
+    const exentos = items.filter(item => item.exento);
+
+    const lineTotals = new Map();
+    const afectoNets = afectos.map(item => item.net + item.orderDiscountNet);
+    const afectoTotals = distributeRounding(afectoNets, getRoundingTarget(afectoNets, afecto + montoDescGlobal));
+    afectos.forEach((item, index) => lineTotals.set(item, afectoTotals[index]));
+    const exentoNets = exentos.map(item => item.net);
+    const exentoTotals = distributeRounding(exentoNets, getRoundingTarget(exentoNets, exento));
+    exentos.forEach((item, index) => lineTotals.set(item, exentoTotals[index]));
+
+    return items.map((item) => {
+        const lineTotal = lineTotals.get(item);
+        const precioUnit = Math.max(Math.round(item.unitNet), Math.ceil(lineTotal / item.cantidad));
+        return {
+            codProducto: item.codProducto,
+            cantidad: item.cantidad,
+            precioUnit,
+            descuento: precioUnit * item.cantidad - lineTotal,
+            exento: item.exento,
+            descrip: item.descrip
+        };
+    });
+}
+
+/**
+ * Calcular las líneas y los montos de la NV de una orden, sin consultar Manager+
+ *
+ * El neto y el impuesto de cada línea salen de sus tax_lines y de taxes_included de la
+ * orden. Los descuentos se separan según su alcance (ver isOrderLevelDiscount): el de la
+ * orden completa va al descuento global, salvo en las líneas exentas, donde queda en la
+ * línea. Si la orden se editó se usa la cantidad vendida (ver getLineQuantity) y los
+ * montos de Shopify se prorratean.
+ *
+ * El IVA es el de la orden (ver getOrderTotals) o, si alguna línea no trae tax_lines, la
+ * suma del de las líneas; el exento es la suma de las líneas exentas y el afecto lo que
+ * falta para llegar al total de la orden (ver getOrderTotals); los pesos de redondeo se reparten entre las líneas para que
+ * precio_unit * cantidad - descuento sume exactamente esos montos. Si la diferencia es
+ * mayor que el redondeo (más de un peso por línea) no se reparte: las líneas quedan con su
+ * propio monto y checkOrderTotal rechaza la NV.
+ *
+ * @param {Object} orderData - Datos de la orden de Shopify
+ * @returns {{lines: Array<Object>, afecto: number, exento: number, iva: number, montoDescGlobal: number, total: number}}
+ *   lines: { codProducto, cantidad, precioUnit, descuento, exento, descrip } con montos netos enteros
+ */
+function calculateOrderAmounts(orderData) {
+    const refundedQuantities = getRefundedQuantities(orderData);
+    const applications = orderData.discount_applications || [];
+    const taxesIncluded = orderData.taxes_included !== false;
+    const items = [];
+
+    const addItem = (line) => {
+        items.push(calculateItemAmounts({ ...line, applications, taxesIncluded }));
+    };
+
+    for (const item of orderData.line_items || []) {
+        const cantidad = getLineQuantity(item, refundedQuantities);
+        if (cantidad <= 0) {
+            continue;
+        }
+        addItem({
+            codProducto: item.sku,
+            descrip: item.title,
+            cantidad,
+            price: parseFloat(item.price),
+            proporcion: item.quantity > 0 ? cantidad / item.quantity : 1,
+            taxable: item.taxable,
+            taxLines: item.tax_lines,
+            allocations: item.discount_allocations
+        });
+    }
+
+    // Una línea DPCHO por cada despacho con costo (un código de despacho gratis se descuenta en la línea)
+    for (const shipping of orderData.shipping_lines || []) {
+        if (!(parseFloat(shipping.price) > 0)) {
+            continue;
+        }
+        addItem({
+            codProducto: "DPCHO",
+            descrip: "DESPACHO e-commerce",
+            cantidad: 1,
+            price: parseFloat(shipping.price),
+            proporcion: 1,
+            taxable: undefined,
+            taxLines: shipping.tax_lines,
+            allocations: shipping.discount_allocations
+        });
+    }
+
+    const sum = (list, field) => list.reduce((total, item) => total + item[field], 0);
+    const afectos = items.filter(item => !item.exento);
+    const exentos = items.filter(item => item.exento);
+
+    const orderTotals = getOrderTotals(orderData);
+    const total = Math.round(orderTotals.total);
+    const iva = Math.round(orderTotals.tax !== null && items.every(item => item.informedTax)
+        ? orderTotals.tax
+        : sum(items, 'tax'));
+    const exento = Math.round(sum(exentos, 'net'));
+    const montoDescGlobal = Math.round(sum(afectos, 'orderDiscountNet'));
+    const afecto = total - iva - exento;
+    const lines = distributeLineTotals(items, { afecto, exento, montoDescGlobal });
+
+    return { lines, afecto, exento, iva, montoDescGlobal, total };
+}
+
+/**
+ * Comparar el total de la NV armada con el de la orden de Shopify antes de enviarla
+ *
+ * El total sale de los detalles del documento: Σ(precio_unit × cantidad − descuento)
+ * − monto_desc_global + iva. Si la diferencia supera la tolerancia es que falta algo
+ * (líneas, descuentos o impuestos) y no solo redondeo. El total de la orden incluye sus
+ * ediciones (ver getOrderTotals).
+ *
+ * @param {Object} documento - NV armada con buildOrderDocument
+ * @param {Object} orderData - Datos de la orden de Shopify
+ * @returns {{ok: boolean, total: number, expected: number, difference: number, tolerance: number}}
+ */
+function checkOrderTotal(documento, orderData) {
+    const neto = documento.detalles.reduce((sum, detalle) => sum +
+        parseFloat(detalle.precio_unit) * parseFloat(detalle.cantidad) - (parseFloat(detalle.descuento) || 0), 0);
+    const total = Math.round(neto - (parseFloat(documento.monto_desc_global) || 0) + (parseFloat(documento.iva) || 0));
+    const expected = Math.round(getOrderTotals(orderData).total);
+    const difference = total - expected;
+    const tolerance = NV_TOTAL_TOLERANCE !== null ? NV_TOTAL_TOLERANCE : documento.detalles.length;
+    return { ok: Math.abs(difference) <= tolerance, total, expected, difference, tolerance };
+}
+
+/**
+ * Armar la Nota de Venta de una orden de Shopify (sin folio)
+ *
+ * @param {Object} orderData - Datos completos de la orden de Shopify
+ * @param {Object} clienteInfo - Información del cliente ({ cliente: { rut_cliente }, direccionNombre })
+ * @returns {Promise<Object>} Documento para el endpoint de importación
+ */
+async function buildOrderDocument(orderData, clienteInfo) {
+    // Preparar detalles de la orden (montos netos, ver calculateOrderAmounts)
+    const amounts = calculateOrderAmounts(orderData);
+    const detalles = [];
+    for (const line of amounts.lines) {
+        const unidad = line.codProducto === "DPCHO" ? "UMS" : await validateProductUnit(line.codProducto);
+        detalles.push(buildDocumentDetail({ ...line, unidad }));
+    }
+
+    // Obtener datos adicionales
+    const { nombre, apellido, telefono } = parseCheckoutAttributes(orderData).data;
+    const notes = orderData.note || '';
+
+    // Fecha actual
+    const fechaHoy = format(new Date(), "dd/MM/yyyy");
+
+    // Preparar glosa
+    // La referencia de la orden va siempre completa al final (se usa para detectar duplicados)
+    const glosa = buildGlosa([
+        'Shopify',
+        nombre && apellido ? `${nombre} ${apellido}` : '',
+        telefono ? `${telefono}` : '',
+        notes ? `${notes}` : ''
+    ], getOrderReference(orderData));
+
+    // Lista de precios de la nota de venta (misma que la del cliente)
+    const listaPrecio = await getOrderPriceListId();
+
+    return {
+        rut_empresa: RUT_EMPRESA,
+        tipodocumento: "NV",
+        num_doc: "", // Se asigna al crear (ver folioAllocator.js)
+        fecha_doc: fechaHoy,
+        fecha_ref: "",
+        fecha_vcto: fechaHoy,
+        modalidad: "N",
+        cod_unidnegocio: "UNEG-001",
+        rut_cliente: clienteInfo.cliente.rut_cliente,
+        dire_cliente: clienteInfo.direccionNombre || 'Direccion Shopify',
+        rut_facturador: "",
+        cod_vendedor: ERP_USERNAME,
+        cod_comisionista: ERP_USERNAME,
+        lista_precio: listaPrecio,
+        plazo_pago: "01",
+        cod_moneda: "CLP",
+        tasa_cambio: "1",
+        afecto: amounts.afecto.toString(),
+        exento: amounts.exento.toString(),
+        iva: amounts.iva.toString(),
+        imp_esp: "",
+        iva_ret: "",
+        imp_ret: "",
+        tipo_desc_global: "M",
+        monto_desc_global: `${amounts.montoDescGlobal}`,
+        total: amounts.total.toString(),
+        deuda_pendiente: "0",
+        glosa: glosa,
+        ajuste_iva: "0",
+        detalles: detalles
+    };
+}
+
 /**
  * Crear orden (Nota de Venta) en Manager+ desde datos de orden de Shopify
  * 
@@ -1007,175 +1243,37 @@ async function createOrder(orderData, clienteInfo) {
     }
 
     try {
-        const token = await getERPAuthToken();
-
         // Crear cliente primero
         await createClient(orderData);
 
-        // Obtener folio
-        const maxFolio = await getFolio();
-
-        // Preparar detalles de la orden
-        const detalles = [];
-
-        // Procesar items de la orden
-        for (const item of orderData.line_items || []) {
-            const unidad = await validateProductUnit(item.sku);
-
-            const detalle = {
-                cod_producto: item.sku,
-                cantidad: item.quantity.toString(),
-                unidad: unidad,
-                precio_unit: `${Math.round(item.price / 1.19)}`,
-                moneda_det: "CLP",
-                tasa_cambio_det: "1",
-                nro_serie: "",
-                num_lote: "",
-                fecha_vec: "",
-                cen_cos: "A03",
-                tipo_desc: "",
-                descuento: "",
-                ubicacion: "",
-                bodega: "",
-                concepto1: "Venta",
-                concepto2: "",
-                concepto3: "",
-                concepto4: "",
-                descrip: item.title.slice(0, 80),
-                desc_adic: "",
-                stock: "0",
-                cod_impesp1: "",
-                mon_impesp1: "",
-                cod_impesp2: "",
-                mon_impesp2: "",
-                fecha_comp: "",
-                porc_retencion: ""
-            };
+        // Preparar información de la orden
+        const infoOrder = await buildOrderDocument(orderData, clienteInfo);
 
-            detalles.push(detalle);
+        // No enviar una NV cuyo total no cuadra con el de Shopify
+        const totalCheck = checkOrderTotal(infoOrder, orderData);
+        if (!totalCheck.ok) {
+            throw new Error(`El total de la NV ($${totalCheck.total}) no coincide con el total de la orden en Shopify ($${totalCheck.expected}): diferencia $${totalCheck.difference}`);
         }
 
-        // Agregar costo de envío si existe
-        if (orderData.shipping_lines && orderData.shipping_lines.length > 0 && orderData.shipping_lines[0].price > 0) {
-            const shipping = orderData.shipping_lines[0];
-            const despacho = {
-                cod_producto: "DPCHO",
-                cantidad: "1",
-                unidad: "UMS",
-                precio_unit: `${Math.round(shipping.price / 1.19)}`,
-                moneda_det: "CLP",
-                tasa_cambio_det: "1",
-                nro_serie: "",
-                num_lote: "",
-                fecha_vec: "",
-                cen_cos: "A03",
-                tipo_desc: "",
-                descuento: "",
-                ubicacion: "",
-                bodega: "",
-                concepto1: "Venta",
-                concepto2: "",
-                concepto3: "",
-                concepto4: "",
-                descrip: "DESPACHO e-commerce",
-                desc_adic: "",
-                stock: "0",
-                cod_impesp1: "",
-                mon_impesp1: "",
-                cod_impesp2: "",
-                mon_impesp2: "",
-                fecha_comp: "",
-                porc_retencion: ""
-            };
-            detalles.push(despacho);
-        }
-
-        // Obtener datos adicionales
-        const noteAttributes = orderData.note_attributes || [];
-        const nombreAttr = noteAttributes.find(attr => attr.name === 'Nombre') ||
-            noteAttributes.find(attr => attr.name === 'Nombre de quien realiza el pedido');
-        const apellidoAttr = noteAttributes.find(attr => attr.name === 'Apellido') ||
-            noteAttributes.find(attr => attr.name === 'Apellido de quien realiza el pedido');
-        const telefonoAttr = noteAttributes.find(attr => attr.name === 'Recibe-Teléfono');
-
-        const nombre = nombreAttr?.value || '';
-        const apellido = apellidoAttr?.value || '';
-        const telefono = telefonoAttr?.value || orderData.billing_address?.phone || '';
-        const notes = orderData.note || '';
-
-        // Fecha actual
-        const fechaHoy = format(new Date(), "dd/MM/yyyy");
-
-        // Calcular totales
-        const totalPrice = parseFloat(orderData.total_price || 0);
-        const totalDiscounts = parseFloat(orderData.total_discounts || 0);
-        const afecto = Math.round((totalPrice - totalDiscounts) / 1.19);
-        const iva = Math.round(afecto * 0.19);
-
-        // Preparar glosa
-        const glosaParts = [
-            'Shopify',
-            nombre && apellido ? `${nombre} ${apellido}` : '',
-            telefono ? `${telefono}` : '',
-            notes ? `${notes}` : '',
-            `${orderData.checkout_id || orderData.id || ''}`
-        ].filter(Boolean);
-        const glosa = glosaParts.join(';').slice(0, 100);
-
-        // Preparar información de la orden
-        const infoOrder = {
-            rut_empresa: RUT_EMPRESA,
-            tipodocumento: "NV",
-            num_doc: (maxFolio + 1).toString(),
-            fecha_doc: fechaHoy,
-            fecha_ref: "",
-            fecha_vcto: fechaHoy,
-            modalidad: "N",
-            cod_unidnegocio: "UNEG-001",
-            rut_cliente: clienteInfo.cliente.rut_cliente,
-            dire_cliente: clienteInfo.direccionNombre || 'Direccion Shopify',
-            rut_facturador: "",
-            cod_vendedor: ERP_USERNAME,
-            cod_comisionista: ERP_USERNAME,
-            lista_precio: "652",
-            plazo_pago: "01",
-            cod_moneda: "CLP",
-            tasa_cambio: "1",
-            afecto: afecto.toString(),
-            exento: "0",
-            iva: iva.toString(),
-            imp_esp: "",
-            iva_ret: "",
-            imp_ret: "",
-            tipo_desc_global: "M",
-            monto_desc_global: `${Math.round(totalDiscounts / 1.19)}`,
-            total: totalPrice.toString(),
-            deuda_pendiente: "0",
-            glosa: glosa,
-            ajuste_iva: "0",
-            detalles: detalles
-        };
-
-        // Crear orden en Manager+
-        const response = await axiosWithRetry(
-            () => axios.post(
-                `${ERP_BASE_URL}/import/create-document/?emitir=N&docnumreg=N`,
-                infoOrder,
-                {
-                    headers: {
-                        'Authorization': `Token ${token}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            ),
-            `Crear orden ${infoOrder.num_doc}`
-        );
+        // Crear orden en Manager+ con un folio reservado; si ya está ocupado se reintenta con el siguiente
+        const responseData = await folioAllocator.createDocument(infoOrder, {
+            reference: getOrderReference(orderData)
+        });
 
         console.log(`   └─ Orden ${infoOrder.num_doc} creada exitosamente en Manager+`);
 
+        // Guardar lo enviado para comparar si la orden se edita después (ver orderEdits.js)
+        if (orderData.id) {
+            orderDocumentStore.record(orderData.id.toString(), {
+                documento: infoOrder,
+                emitir: 'N',
+                shippingAddress: getAddressKey(orderData.shipping_address)
+            });
+        }
+
         return {
             success: true,
-            data: response.data,
+            data: responseData,
             orden: infoOrder
         };
 
@@ -1186,6 +1284,36 @@ async function createOrder(orderData, clienteInfo) {
     }
 }
 
+/**
+ * Dejar para revisión manual una orden con datos de checkout inválidos
+ *
+ * No se crea cliente ni NV: la orden queda con el tag erp-review y se vuelve a procesar
+ * cuando se corrigen sus atributos en Shopify (ver orderEdits.js).
+ *
+ * @param {string} orderId - ID de la orden de Shopify
+ * @param {Array<Object>} errors - Errores de validación (ver parseCheckoutAttributes)
+ * @returns {Promise<Object>} Resultado del procesamiento
+ */
+async function flagInvalidCheckout(orderId, errors) {
+    const message = describeCheckoutErrors(errors);
+
+    // Liberar la orden para que el reintento tras la corrección no se omita
+    processedOrders.delete(orderId);
+
+    orderDocumentStore.recordPendingReview(orderId, message, errors);
+    await setOrderReviewTag(orderId, true);
+    console.log(`[REVISIÓN] Orden Shopify ${orderId}: ${message}\n`);
+
+    return {
+        success: true,
+        review: true,
+        reason: 'invalid_checkout_attributes',
+        message,
+        orderId,
+        errors
+    };
+}
+
 /**
  * Procesar notificación de orden de Shopify
  * 
@@ -1219,7 +1347,7 @@ async function processOrderNotification(orderData) {
     console.log(`[PROCESO] Orden Shopify ${orderId}: Iniciando procesamiento...`);
 
     // Validaciones previas
-    if (!ERP_BASE_URL || !ERP_USERNAME || !ERP_PASSWORD || !RUT_EMPRESA) {
+    if (!managerClient.isConfigured()) {
         console.error(`[ERROR] Orden ${orderId}: Variables de entorno del ERP incompletas`);
         return { success: false, error: 'Configuración incompleta: Variables del ERP no definidas' };
     }
@@ -1247,9 +1375,38 @@ async function processOrderNotification(orderData) {
         // Validar que tenemos datos básicos de la orden
         if (!orderDataComplete || !orderDataComplete.customer) {
             console.error(`[ERROR] Orden ${orderId}: Datos de orden incompletos`);
+            await recordOrderFailure(orderData, 'Datos de orden incompletos desde Shopify');
             return { success: false, error: 'Datos de orden incompletos desde Shopify' };
         }
 
+        // Idempotencia persistente: si Manager+ ya tiene una NV para esta orden, no crear otra
+        const existingDocument = await findExistingOrderDocument(orderDataComplete);
+        if (existingDocument) {
+            await recordOrderSuccess(orderDataComplete, {
+                folio: existingDocument.folio,
+                rutCliente: existingDocument.rut_cliente || null
+            });
+            console.log(`[SKIP] Orden Shopify ${orderId}: Ya existe la NV ${existingDocument.folio} en Manager+\n`);
+            return {
+                success: true,
+                skipped: true,
+                reason: 'order_already_in_erp',
+                orderId,
+                folio: existingDocument.folio,
+                orden: {
+                    success: true,
+                    existing: true,
+                    orden: { num_doc: `${existingDocument.folio}`, tipodocumento: 'NV' }
+                }
+            };
+        }
+
+        // Sin RUT válido o sin los datos de facturación no se crea un cliente con datos inventados
+        const checkout = parseCheckoutAttributes(orderDataComplete);
+        if (!checkout.valid) {
+            return await flagInvalidCheckout(orderId, checkout.errors);
+        }
+
         // Crear cliente
         console.log(`   └─ Creando cliente...`);
         const clienteInfo = await createClient(orderDataComplete);
@@ -1258,6 +1415,12 @@ async function processOrderNotification(orderData) {
         console.log(`   └─ Creando orden...`);
         const ordenResult = await createOrder(orderDataComplete, clienteInfo);
 
+        // Dejar el folio de la NV en la orden de Shopify (metafields y tag erp-nv-<folio>)
+        await recordOrderSuccess(orderDataComplete, {
+            folio: ordenResult.orden.num_doc,
+            rutCliente: ordenResult.orden.rut_cliente
+        });
+
         console.log(`[RESUMEN] Orden Shopify ${orderId}: ✅ COMPLETADA - Cliente y Orden creados exitosamente\n`);
 
         return {
@@ -1272,6 +1435,12 @@ async function processOrderNotification(orderData) {
         console.error(`[${getTimestamp()}] [ERROR] Orden Shopify ${orderId}: ${errorMsg}`);
         console.log(''); // Línea en blanco para separar
 
+        // Liberar la orden para que pueda reprocesarse (p.ej. desde la cola de fallidos)
+        processedOrders.delete(orderId);
+
+        // Marcar la orden en Shopify (tag erp-error y atributo "ERP Error")
+        await recordOrderFailure(orderData, errorMsg);
+
         return {
             success: false,
             error: errorMsg,
@@ -1330,5 +1499,19 @@ module.exports = {
     clearLastWebhook,
     reprocessLastWebhook,
     checkClientExists,
+    findExistingOrderDocument,
+    findDocumentByReference,
+    buildDocumentDetail,
+    buildOrderDocument,
+    buildGlosa,
+    calculateOrderAmounts,
+    calculateItemAmounts,
+    distributeLineTotals,
+    checkOrderTotal,
+    getOrderTotals,
+    getRefundedShippingTax,
+    getRefundedQuantities,
+    getLineQuantity,
+    validateProductUnit,
     buscarComunaConCiudad  // Exportar para testing
 };
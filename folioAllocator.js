@@ -0,0 +1,277 @@
+/**
+ * Asignación de folios para Notas de Venta
+ *
+ * Antes cada orden tomaba el mayor folio de las NV de los últimos 3 días + 1, lo que
+ * repetía números si dos órdenes se procesaban juntas, si alguien digitaba una NV a
+ * mano en Manager+ o si no hubo ventas en esos días.
+ *
+ * Ahora el último folio asignado se guarda en NV_FOLIO_FILE (default: data/nv-folio.json)
+ * y cada asignación lo incrementa de a uno (las asignaciones del proceso se serializan).
+ * Al iniciar el servidor se reconcilia con Manager+: se toma el mayor entre el folio
+ * local y el mayor folio de las NV de los últimos NV_FOLIO_LOOKBACK_DAYS días (default: 30).
+ * La importación se hace sin sobreescribir, así un folio ocupado (p.ej. una NV digitada a mano)
+ * nunca se reemplaza: solo la actualización de una NV editada, que ya es de la orden, pide
+ * sobreescribir=S (ver orderEdits.js).
+ * Si Manager+ rechaza un folio por estar ocupado, createDocument vuelve a reconciliar y pide
+ * el siguiente hasta NV_FOLIO_MAX_ATTEMPTS veces (default: 5, ver isFolioCollisionError).
+ * Antes revisa si el documento que ocupa el folio lleva en la glosa la referencia del que se
+ * está creando: la importación no es idempotente y managerClient la reintenta ante un 5xx,
+ * así que el "folio ya existe" puede ser el mismo documento creado en el intento anterior.
+ *
+ * Formato del archivo:
+ * {
+ *   "lastFolio": 1234,
+ *   "reconciledAt": "2026-01-01T12:00:00.000Z",
+ *   "recent": [{ "folio": 1234, "reference": "5551234", "at": "..." }]
+ * }
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { format, addDays, subDays } = require('date-fns');
+const { managerClient } = require('./managerClient');
+const { serializeError, getTimestamp } = require('./webhookQueue');
+
+// Ruta por defecto del archivo de folios
+const DEFAULT_FOLIO_FILE = path.join(__dirname, 'data', 'nv-folio.json');
+
+// Asignaciones recientes que se guardan para diagnóstico
+const MAX_RECENT = 50;
+
+// Intentos de creación cuando Manager+ rechaza el folio por estar ocupado
+const FOLIO_MAX_ATTEMPTS = parseInt(process.env.NV_FOLIO_MAX_ATTEMPTS) || 5;
+
+/**
+ * Detectar el error de Manager+ por folio ya utilizado
+ * @param {Error} error - Error de createDocument
+ * @returns {boolean}
+ */
+function isFolioCollisionError(error) {
+    const message = serializeError(error.response?.data || error);
+    return /folio|n[uú]mero de documento|num_doc/i.test(message) &&
+        /existe|duplicad|utilizad|registrad|ocupad|already/i.test(message);
+}
+
+/**
+ * Verificar si la glosa de un documento de Manager+ lleva una referencia (ver buildGlosa)
+ * @param {Object} documento - Documento de Manager+
+ * @param {string} reference - Referencia
+ * @returns {boolean}
+ */
+function hasGlosaReference(documento, reference) {
+    return (documento.glosa || '').split(';').map(parte => parte.trim()).includes(`${reference}`);
+}
+
+class FolioAllocator {
+    /**
+     * @param {Object} options
+     * @param {string} options.filePath - Archivo de estado (default: NV_FOLIO_FILE)
+     * @param {number} options.lookbackDays - Días de NV que se revisan al reconciliar
+     * @param {string} options.tipoDocumento - Tipo de documento (default: NV)
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.NV_FOLIO_FILE || DEFAULT_FOLIO_FILE;
+        this.lookbackDays = options.lookbackDays !== undefined
+            ? options.lookbackDays
+            : (process.env.NV_FOLIO_LOOKBACK_DAYS ? parseInt(process.env.NV_FOLIO_LOOKBACK_DAYS) : 30);
+        this.tipoDocumento = options.tipoDocumento || 'NV';
+        this.reconciled = false;
+        // Cadena de promesas para que dos órdenes simultáneas no tomen el mismo folio
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * Leer el estado guardado
+     * @returns {{lastFolio: number|null, reconciledAt: string|null, recent: Array<Object>}}
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return { lastFolio: null, reconciledAt: null, recent: [] };
+        }
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        return {
+            lastFolio: Number.isFinite(data.lastFolio) ? data.lastFolio : null,
+            reconciledAt: data.reconciledAt || null,
+            recent: Array.isArray(data.recent) ? data.recent : []
+        };
+    }
+
+    /**
+     * Guardar el estado (escritura atómica vía archivo temporal)
+     * @param {Object} state - Estado a guardar
+     */
+    save(state) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    /**
+     * Ejecutar una operación después de las anteriores
+     * @param {Function} operation - Función async
+     * @returns {Promise<*>}
+     */
+    serialize(operation) {
+        const result = this.pending.then(operation);
+        this.pending = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Obtener el mayor folio de las NV de Manager+ en la ventana configurada
+     * @returns {Promise<number>} Mayor folio (0 si no hay documentos)
+     */
+    async getMaxErpFolio() {
+        const hoy = new Date();
+        const body = await managerClient.getDocuments(this.tipoDocumento, {
+            df: format(subDays(hoy, this.lookbackDays), 'yyyyMMdd'),
+            dt: format(addDays(hoy, 1), 'yyyyMMdd')
+        });
+        return (body.data || []).reduce((max, documento) => {
+            const folio = parseInt(documento.folio);
+            return Number.isFinite(folio) && folio > max ? folio : max;
+        }, 0);
+    }
+
+    /**
+     * Buscar en Manager+ el documento que tiene un folio (en la ventana configurada)
+     * @param {number} folio - Folio
+     * @returns {Promise<Object|null>}
+     */
+    async findDocumentByFolio(folio) {
+        const hoy = new Date();
+        const body = await managerClient.getDocuments(this.tipoDocumento, {
+            df: format(subDays(hoy, this.lookbackDays), 'yyyyMMdd'),
+            dt: format(addDays(hoy, 1), 'yyyyMMdd')
+        });
+        return (body.data || []).find(documento => parseInt(documento.folio) === folio) || null;
+    }
+
+    /**
+     * Reconciliar el folio local con Manager+ (se queda con el mayor)
+     * @returns {Promise<{lastFolio: number, erpFolio: number, localFolio: number|null}>}
+     */
+    reconcile() {
+        return this.serialize(async () => {
+            const erpFolio = await this.getMaxErpFolio();
+            const state = this.load();
+            const localFolio = state.lastFolio;
+            const lastFolio = Math.max(localFolio || 0, erpFolio);
+            this.save({ ...state, lastFolio, reconciledAt: new Date().toISOString() });
+            this.reconciled = true;
+            return { lastFolio, erpFolio, localFolio };
+        });
+    }
+
+    /**
+     * Reservar el siguiente folio
+     *
+     * Si este proceso aún no reconcilió (p.ej. Manager+ no respondía al iniciar) se
+     * reconcilia primero; sin estado local ni Manager+ no se asigna folio.
+     *
+     * @param {string} reference - Referencia del documento al que se asigna (para diagnóstico)
+     * @returns {Promise<number>} Folio reservado
+     */
+    async allocate(reference = null) {
+        if (!this.reconciled) {
+            try {
+                await this.reconcile();
+            } catch (error) {
+                if (this.load().lastFolio === null) {
+                    throw new Error(`No se pudo obtener el folio inicial desde Manager+: ${error.message}`);
+                }
+                console.warn(`⚠️  No se pudo reconciliar el folio con Manager+, se usa el folio local: ${error.message}`);
+            }
+        }
+
+        return this.serialize(async () => {
+            const state = this.load();
+            const folio = (state.lastFolio || 0) + 1;
+            this.save({
+                ...state,
+                lastFolio: folio,
+                recent: [{ folio, reference, at: new Date().toISOString() }, ...state.recent].slice(0, MAX_RECENT)
+            });
+            return folio;
+        });
+    }
+
+    /**
+     * Registrar que un folio ya existe en Manager+ (nunca se vuelve a asignar uno menor o igual)
+     * @param {number} folio - Folio ocupado
+     * @returns {Promise<void>}
+     */
+    markUsed(folio) {
+        return this.serialize(async () => {
+            const state = this.load();
+            if ((state.lastFolio || 0) < folio) {
+                this.save({ ...state, lastFolio: folio });
+            }
+        });
+    }
+
+    /**
+     * Crear un documento en Manager+ con un folio reservado
+     *
+     * Si el folio ya está ocupado por este mismo documento (su glosa lleva la referencia) se
+     * devuelve ese; si no, se marca, se reconcilia y se reintenta con el siguiente.
+     * El folio asignado queda en documento.num_doc.
+     *
+     * @param {Object} documento - Documento para el endpoint de importación
+     * @param {Object} options
+     * @param {string} options.reference - Referencia que el documento lleva en la glosa (ver buildGlosa)
+     * @param {number} options.maxAttempts - Intentos ante folio ocupado (default: NV_FOLIO_MAX_ATTEMPTS)
+     * @returns {Promise<Object>} Respuesta de Manager+, o { existing: true, documento } si ya estaba creado
+     */
+    async createDocument(documento, { reference = null, maxAttempts = FOLIO_MAX_ATTEMPTS } = {}) {
+        for (let intento = 1; ; intento++) {
+            documento.num_doc = (await this.allocate(reference)).toString();
+            try {
+                return await managerClient.createDocument(documento, { emitir: 'N', docnumreg: 'N', sobreescribir: 'N' });
+            } catch (error) {
+                if (!isFolioCollisionError(error)) {
+                    throw error;
+                }
+
+                const folio = parseInt(documento.num_doc);
+                if (reference) {
+                    let existing = null;
+                    try {
+                        existing = await this.findDocumentByFolio(folio);
+                    } catch (lookupError) {
+                        // Sin saber de quién es el folio no se arriesga una NV duplicada
+                        console.warn(`   └─ No se pudo revisar el documento del folio ${folio}: ${lookupError.message}`);
+                        throw error;
+                    }
+                    if (existing && hasGlosaReference(existing, reference)) {
+                        console.log(`[${getTimestamp()}]    └─ ${this.tipoDocumento} ${folio} ya existe en Manager+ con la referencia ${reference} (creada en un intento anterior), no se crea otra`);
+                        return { existing: true, documento: existing };
+                    }
+                }
+
+                if (intento >= maxAttempts) {
+                    throw error;
+                }
+                console.warn(`[${getTimestamp()}]    └─ Folio ${documento.num_doc} (${this.tipoDocumento}) ya existe en Manager+, reintentando con el siguiente (${intento}/${maxAttempts})...`);
+                await this.markUsed(folio);
+                try {
+                    await this.reconcile();
+                } catch (reconcileError) {
+                    console.warn(`   └─ No se pudo reconciliar el folio con Manager+: ${reconcileError.message}`);
+                }
+            }
+        }
+    }
+}
+
+// Instancia compartida
+const folioAllocator = new FolioAllocator();
+
+module.exports = {
+    FolioAllocator,
+    folioAllocator,
+    isFolioCollisionError,
+    DEFAULT_FOLIO_FILE
+};
@@ -5,51 +5,7 @@
  */
 
 require('dotenv').config();
-const axios = require('axios');
-
-// Variables de entorno
-const ERP_BASE_URL = process.env.ERP_BASE_URL;
-const ERP_USERNAME = process.env.ERP_USERNAME;
-const ERP_PASSWORD = process.env.ERP_PASSWORD;
-const RUT_EMPRESA = process.env.RUT_EMPRESA;
-
-// Variable para almacenar el token de autenticación del ERP
-let erpAuthToken = null;
-let erpTokenExpirationTime = null;
-
-/**
- * Autenticarse con el ERP Manager+
- */
-async function authenticateWithERP() {
-    try {
-        const response = await axios.post(`${ERP_BASE_URL}/auth/`, {
-            username: ERP_USERNAME,
-            password: ERP_PASSWORD
-        }, {
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        });
-
-        erpAuthToken = response.data.auth_token;
-        erpTokenExpirationTime = Date.now() + (60 * 60 * 1000); // 1 hora
-        
-        return erpAuthToken;
-    } catch (error) {
-        console.error('❌ Error en la autenticación con el ERP:', error.response?.data || error.message);
-        throw new Error('Error al autenticarse con el ERP: ' + (error.response?.data?.message || error.message));
-    }
-}
-
-/**
- * Obtener el token de autenticación del ERP (con caché)
- */
-async function getERPAuthToken() {
-    if (erpAuthToken && erpTokenExpirationTime && Date.now() < erpTokenExpirationTime) {
-        return erpAuthToken;
-    }
-    return await authenticateWithERP();
-}
+const { managerClient } = require('./managerClient');
 
 /**
  * Extraer stock de un producto desde la respuesta del endpoint de productos
@@ -98,22 +54,10 @@ function extractProductStock(product) {
  */
 async function getAllProducts() {
     try {
-        const token = await getERPAuthToken();
-        
         // Usar el parámetro con_stock=S para obtener el stock en la misma respuesta
-        const url = `${ERP_BASE_URL}/products/${RUT_EMPRESA}/`;
-        
-        const response = await axios.get(url, {
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Token ${token}`
-            },
-            params: {
-                con_stock: 'S'  // Incluir stock detallado por producto
-            }
-        });
+        const body = await managerClient.listProducts({ withStock: true });
 
-        const products = response.data.data || response.data;
+        const products = body.data || body;
         
         if (!products) {
             return [];
@@ -147,7 +91,7 @@ async function getProductsWithStock(minStock = 0) {
     console.log('📦 Obteniendo productos de Manager+...\n');
     
     // Autenticarse primero
-    await authenticateWithERP();
+    await managerClient.authenticate();
     console.log('✅ Autenticado con Manager+\n');
     
     // Obtener todos los productos
@@ -0,0 +1,315 @@
+/**
+ * Sincronización incremental de stocks a partir de documentos de Manager+
+ *
+ * En vez de recargar ambos catálogos completos, consulta los documentos que mueven
+ * stock creados desde el último checkpoint exitoso, obtiene los SKUs de sus líneas y
+ * sincroniza solo esos SKUs. Por defecto se revisan guías, facturas, boletas, notas de venta
+ * y notas de crédito. Los ajustes de inventario no: su tipo de documento depende de cada
+ * empresa en Manager+ y hay que agregarlo a STOCK_INCREMENTAL_DOC_TYPES; sin eso un ajuste
+ * manual llega a Shopify recién en la siguiente sincronización completa.
+ *
+ * Variables de entorno:
+ * - STOCK_INCREMENTAL_DOC_TYPES:   tipos de documento a revisar, "TIPO" (ventas) o "TIPO:C" (compras)
+ *                                  (default: NV,FAVE,BOVE,GDVE,NCVE,FACE:C,GDCE:C)
+ * - STOCK_SYNC_CHECKPOINT_FILE:    archivo del checkpoint (default: data/stock-sync-checkpoint.json)
+ *
+ * Manager+ filtra documentos solo por día, así que se consulta desde el día anterior al
+ * checkpoint y se recuerdan los documentos ya procesados para no repetirlos. Un documento
+ * queda como procesado solo si todos sus SKUs se sincronizaron sin error; si no, el
+ * checkpoint no avanza y el documento se vuelve a considerar en la próxima corrida.
+ *
+ * Sin checkpoint (primera corrida o --reset) se hace una sincronización completa.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { format, addDays, subDays } = require('date-fns');
+const { managerClient } = require('./managerClient');
+const { syncMultipleProducts, syncAllProducts } = require('./syncStocks');
+
+// Ruta por defecto del checkpoint
+const DEFAULT_CHECKPOINT_FILE = path.join(__dirname, 'data', 'stock-sync-checkpoint.json');
+
+// Documentos que mueven stock revisados por defecto
+const DEFAULT_DOC_TYPES = 'NV,FAVE,BOVE,GDVE,NCVE,FACE:C,GDCE:C';
+
+/**
+ * Leer los tipos de documento configurados
+ * @returns {Array<{tipoDocumento: string, tipo: string}>}
+ */
+function getDocumentTypes() {
+    return (process.env.STOCK_INCREMENTAL_DOC_TYPES || DEFAULT_DOC_TYPES)
+        .split(',')
+        .map(value => value.trim())
+        .filter(Boolean)
+        .map(value => {
+            const [tipoDocumento, tipo = 'V'] = value.split(':').map(part => part.trim().toUpperCase());
+            return { tipoDocumento, tipo };
+        });
+}
+
+/**
+ * Almacenamiento del checkpoint en un archivo JSON
+ *
+ * { lastSuccessAt, seenDocuments: { "FAVE:V:1234": "2026-10-19T12:00:00.000Z" }, lastRun }
+ */
+class StockSyncCheckpointStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.filePath - Ruta del archivo JSON
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.STOCK_SYNC_CHECKPOINT_FILE || DEFAULT_CHECKPOINT_FILE;
+    }
+
+    /**
+     * Leer el checkpoint
+     * @returns {Object|null} null si no existe (o no se puede leer)
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return null;
+        }
+        try {
+            const checkpoint = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            return checkpoint && checkpoint.lastSuccessAt ? { seenDocuments: {}, ...checkpoint } : null;
+        } catch (error) {
+            console.warn(`⚠️  No se pudo leer ${this.filePath}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Guardar el checkpoint (archivo temporal + rename para que sea atómico)
+     * @param {Object} checkpoint - Checkpoint completo
+     */
+    save(checkpoint) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(checkpoint, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    /**
+     * Eliminar el checkpoint (la próxima corrida será completa)
+     * @returns {boolean} true si existía
+     */
+    reset() {
+        if (!fs.existsSync(this.filePath)) {
+            return false;
+        }
+        fs.unlinkSync(this.filePath);
+        return true;
+    }
+}
+
+/**
+ * Clave única de un documento
+ * @param {string} tipoDocumento - Tipo de documento
+ * @param {string} tipo - V | C
+ * @param {Object} documento - Documento de Manager+
+ * @returns {string|null}
+ */
+function getDocumentKey(tipoDocumento, tipo, documento) {
+    const numero = documento.folio ?? documento.num_doc ?? documento.numero ?? documento.id;
+    return numero !== undefined && numero !== null ? `${tipoDocumento}:${tipo}:${numero}` : null;
+}
+
+/**
+ * Extraer los SKUs de las líneas de un documento
+ * @param {Object} documento - Documento de Manager+ (consultado con details=1)
+ * @returns {Array<string>|null} null si el documento no trae líneas
+ */
+function extractDocumentSkus(documento) {
+    const lineas = documento.detalles || documento.detalle || documento.details || documento.items;
+    if (!Array.isArray(lineas)) {
+        return null;
+    }
+    const skus = lineas
+        .map(linea => (linea.cod_producto || linea.codigo_prod || linea.codigo || '').toString().trim())
+        .filter(Boolean);
+    return [...new Set(skus)];
+}
+
+/**
+ * Primer día (yyyyMMdd) consultado para un checkpoint
+ * @param {string} lastSuccessAt - Fecha ISO del checkpoint
+ * @returns {string}
+ */
+function getQueryStartDay(lastSuccessAt) {
+    return format(subDays(new Date(lastSuccessAt), 1), 'yyyyMMdd');
+}
+
+/**
+ * Consultar los documentos nuevos desde el checkpoint
+ *
+ * @param {Object} checkpoint - Checkpoint actual
+ * @param {Date} now - Momento de la corrida
+ * @returns {Promise<{documents: Array<Object>, failedTypes: Array<string>, withoutLines: number, df: string, dt: string}>}
+ *   documents: { key, skus } de los documentos no procesados
+ */
+async function fetchNewDocuments(checkpoint, now) {
+    const df = getQueryStartDay(checkpoint.lastSuccessAt);
+    const dt = format(addDays(now, 1), 'yyyyMMdd');
+    const documents = [];
+    const failedTypes = [];
+    let withoutLines = 0;
+
+    for (const { tipoDocumento, tipo } of getDocumentTypes()) {
+        try {
+            const body = await managerClient.getDocuments(tipoDocumento, { df, dt, tipo, withDetails: true });
+            const data = body?.data || body;
+            (Array.isArray(data) ? data : []).forEach(documento => {
+                const key = getDocumentKey(tipoDocumento, tipo, documento);
+                if (!key || checkpoint.seenDocuments[key]) return;
+
+                const skus = extractDocumentSkus(documento);
+                if (!skus) {
+                    withoutLines++;
+                    return;
+                }
+                documents.push({ key, skus });
+            });
+        } catch (error) {
+            const label = `${tipoDocumento}:${tipo}`;
+            console.warn(`⚠️  No se pudieron consultar documentos ${label}: ${error.response?.data?.message || error.message}`);
+            failedTypes.push(label);
+        }
+    }
+
+    return { documents, failedTypes, withoutLines, df, dt };
+}
+
+/**
+ * Descartar documentos procesados que ya quedaron fuera de la ventana de consulta
+ *
+ * Un documento procesado en un día anterior al primer día consultado ya no puede
+ * volver a aparecer en la respuesta de Manager+.
+ *
+ * @param {Object} seenDocuments - Clave -> fecha ISO en que se procesó
+ * @param {string} lastSuccessAt - Fecha ISO del checkpoint que se va a guardar
+ * @returns {Object}
+ */
+function pruneSeenDocuments(seenDocuments, lastSuccessAt) {
+    const startDay = getQueryStartDay(lastSuccessAt);
+    return Object.fromEntries(
+        Object.entries(seenDocuments).filter(([, seenAt]) => format(new Date(seenAt), 'yyyyMMdd') >= startDay)
+    );
+}
+
+/**
+ * Sincronizar solo los SKUs con movimientos desde el último checkpoint
+ *
+ * @param {Object} options - Opciones de syncMultipleProducts (dryRun, concurrency, batch, ...)
+ * @param {boolean} options.reset - Descartar el checkpoint y hacer una sincronización completa
+ * @param {StockSyncCheckpointStore} options.checkpointStore - Store a usar (opcional)
+ * @returns {Promise<Object>} Resumen de syncMultipleProducts con el detalle en "incremental"
+ */
+async function syncIncrementalStocks(options = {}) {
+    const { reset = false, checkpointStore = stockSyncCheckpointStore, ...syncOptions } = options;
+    const now = new Date();
+    const checkpoint = reset ? null : checkpointStore.load();
+
+    // Sin checkpoint: sincronización completa para partir de un estado conocido
+    if (!checkpoint) {
+        console.log('🧭 Sin checkpoint de sincronización incremental: se hará una sincronización completa.');
+        const results = await syncAllProducts(syncOptions);
+        if (!syncOptions.dryRun && results.errors === 0) {
+            checkpointStore.save({
+                lastSuccessAt: now.toISOString(),
+                seenDocuments: {},
+                lastRun: { at: now.toISOString(), mode: 'full', skus: results.total }
+            });
+        }
+        results.incremental = { mode: 'full', since: null, documents: 0, skus: results.total };
+        return results;
+    }
+
+    console.log(`🧭 Buscando documentos de Manager+ desde el checkpoint ${checkpoint.lastSuccessAt}...`);
+    const { documents, failedTypes, withoutLines, df, dt } = await fetchNewDocuments(checkpoint, now);
+    if (withoutLines > 0) {
+        console.warn(`⚠️  ${withoutLines} documento(s) sin líneas en la respuesta de Manager+; no se pueden asociar a SKUs.`);
+    }
+
+    const skus = [...new Set(documents.flatMap(document => document.skus))];
+    console.log(`📄 Documentos nuevos: ${documents.length} (${df} → ${dt}) | SKUs afectados: ${skus.length}`);
+
+    let results;
+    if (skus.length > 0) {
+        results = await syncMultipleProducts(skus, { ...syncOptions, targeted: true });
+    } else {
+        console.log('✅ Sin movimientos de stock desde el último checkpoint.');
+        results = { total: 0, updated: 0, skipped: 0, errors: 0, noChange: 0, details: [] };
+    }
+
+    if (!syncOptions.dryRun) {
+        // Un documento queda procesado solo si todos sus SKUs quedaron sincronizados
+        const failedSkus = new Set(results.details.filter(result => !result.success && result.action === 'error').map(result => result.sku));
+        const pendingDocuments = documents.filter(document => document.skus.some(sku => failedSkus.has(sku)));
+        const seenDocuments = { ...checkpoint.seenDocuments };
+        documents
+            .filter(document => !pendingDocuments.includes(document))
+            .forEach(document => {
+                seenDocuments[document.key] = now.toISOString();
+            });
+
+        // Si algún tipo de documento no se pudo consultar o quedaron documentos pendientes,
+        // el checkpoint no avanza para no dejarlos fuera de la ventana de consulta
+        const advance = failedTypes.length === 0 && pendingDocuments.length === 0;
+        const lastSuccessAt = advance ? now.toISOString() : checkpoint.lastSuccessAt;
+        if (!advance) {
+            console.warn(`⚠️  Checkpoint sin avanzar (${pendingDocuments.length} documento(s) con errores, ${failedTypes.length} tipo(s) sin consultar).`);
+        }
+        checkpointStore.save({
+            lastSuccessAt,
+            seenDocuments: pruneSeenDocuments(seenDocuments, lastSuccessAt),
+            lastRun: {
+                at: now.toISOString(),
+                mode: 'incremental',
+                documents: documents.length,
+                skus: skus.length,
+                errors: results.errors,
+                failedTypes
+            }
+        });
+    }
+
+    results.incremental = {
+        mode: 'incremental',
+        since: checkpoint.lastSuccessAt,
+        documents: documents.length,
+        skus: skus.length,
+        failedTypes
+    };
+    return results;
+}
+
+// Instancia compartida
+const stockSyncCheckpointStore = new StockSyncCheckpointStore();
+
+module.exports = {
+    StockSyncCheckpointStore,
+    stockSyncCheckpointStore,
+    syncIncrementalStocks,
+    getDocumentTypes,
+    extractDocumentSkus,
+    DEFAULT_CHECKPOINT_FILE
+};
+
+// Si se ejecuta directamente: node incrementalStockSync.js [--dry-run] [--reset] [--batch]
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const options = {
+        dryRun: args.includes('--dry-run'),
+        reset: args.includes('--reset'),
+        batch: args.includes('--batch')
+    };
+
+    syncIncrementalStocks(options)
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('❌ Error fatal:', error.message);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,154 @@
+/**
+ * Mapeo de bodegas de Manager+ a ubicaciones (locations) de Shopify
+ *
+ * Sin mapeo, la sincronización de stocks suma la "Bodega General" (descartando
+ * bodegas temporales) y la publica en la primera ubicación de Shopify.
+ *
+ * Con mapeo (LOCATION_MAPPING_FILE, default: data/location-mapping.json), cada
+ * ubicación de Shopify recibe la suma de las bodegas asignadas. Varias bodegas
+ * pueden ir a una misma ubicación; una bodega con "include": false queda
+ * documentada en el mapeo pero no se suma. Las bodegas no mapeadas se ignoran.
+ *
+ * Formato:
+ * {
+ *   "locations": [
+ *     { "location": "Tienda Santiago", "bodegas": ["Bodega General", "Sala de Ventas"] },
+ *     { "location": 71234567890, "bodegas": [{ "bodega": "Bodega Norte" }, { "bodega": "Tránsito Norte", "include": false }] }
+ *   ]
+ * }
+ *
+ * "location" puede ser el ID o el nombre de la ubicación en Shopify; "bodega" el
+ * nombre o código de la bodega en Manager+ (sin distinguir mayúsculas).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Ruta por defecto del archivo de mapeo
+const DEFAULT_LOCATION_MAPPING_FILE = path.join(__dirname, 'data', 'location-mapping.json');
+
+/**
+ * Normalizar un nombre o código de bodega para comparar
+ * @param {string} value - Nombre o código
+ * @returns {string}
+ */
+function normalizeWarehouseName(value) {
+    return (value || '').toString().trim().toLowerCase();
+}
+
+/**
+ * Leer y validar el archivo de mapeo
+ *
+ * @param {string} filePath - Ruta del archivo (opcional)
+ * @returns {Array<{location: string, bodegas: Array<{bodega: string, include: boolean}>}>|null}
+ *   null si no hay archivo (comportamiento de una sola ubicación)
+ */
+function loadLocationMapping(filePath = process.env.LOCATION_MAPPING_FILE || DEFAULT_LOCATION_MAPPING_FILE) {
+    const resolvedPath = path.resolve(__dirname, filePath);
+    if (!fs.existsSync(resolvedPath)) {
+        return null;
+    }
+
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`No se pudo leer el mapeo de bodegas (${resolvedPath}): ${error.message}`);
+    }
+
+    const locations = Array.isArray(raw) ? raw : raw.locations;
+    if (!Array.isArray(locations) || locations.length === 0) {
+        throw new Error(`El mapeo de bodegas (${resolvedPath}) debe tener al menos una entrada en "locations"`);
+    }
+
+    return locations.map((entry, index) => {
+        if (entry.location === undefined || entry.location === null || entry.location === '') {
+            throw new Error(`Mapeo de bodegas, entrada ${index + 1}: falta "location"`);
+        }
+        if (!Array.isArray(entry.bodegas) || entry.bodegas.length === 0) {
+            throw new Error(`Mapeo de bodegas, entrada ${index + 1}: "bodegas" debe ser un array no vacío`);
+        }
+        entry.bodegas.forEach((bodega, bodegaIndex) => {
+            const name = typeof bodega === 'object' && bodega !== null ? bodega.bodega : bodega;
+            if (name === undefined || name === null || name.toString().trim() === '') {
+                throw new Error(`Mapeo de bodegas, entrada ${index + 1}: la bodega ${bodegaIndex + 1} no tiene nombre`);
+            }
+        });
+        return {
+            location: entry.location.toString().trim(),
+            bodegas: entry.bodegas.map(bodega => (
+                typeof bodega === 'object'
+                    ? { bodega: bodega.bodega.toString().trim(), include: bodega.include !== false }
+                    : { bodega: bodega.toString().trim(), include: true }
+            ))
+        };
+    });
+}
+
+/**
+ * Resolver las ubicaciones del mapeo contra las ubicaciones reales de Shopify
+ *
+ * @param {Array<Object>} mapping - Resultado de loadLocationMapping()
+ * @param {Array<{id: number, name: string}>} shopifyLocations - Ubicaciones de Shopify
+ * @returns {Array<{id: number, name: string, bodegas: Set<string>, bodegaNames: Array<string>}>} Una entrada por ubicación
+ *   (las entradas que apuntan a la misma ubicación se combinan)
+ */
+function resolveLocationMapping(mapping, shopifyLocations) {
+    const resolved = new Map();
+
+    mapping.forEach(entry => {
+        const wanted = entry.location.toLowerCase();
+        const location = shopifyLocations.find(loc => loc.id.toString() === entry.location) ||
+            shopifyLocations.find(loc => (loc.name || '').trim().toLowerCase() === wanted);
+
+        if (!location) {
+            throw new Error(`Ubicación "${entry.location}" del mapeo de bodegas no existe en Shopify`);
+        }
+
+        if (!resolved.has(location.id)) {
+            resolved.set(location.id, { id: location.id, name: location.name, bodegas: new Set(), bodegaNames: [] });
+        }
+        const target = resolved.get(location.id);
+        entry.bodegas
+            .filter(bodega => bodega.include)
+            .forEach(bodega => {
+                target.bodegas.add(normalizeWarehouseName(bodega.bodega));
+                target.bodegaNames.push(bodega.bodega);
+            });
+    });
+
+    return Array.from(resolved.values());
+}
+
+/**
+ * Calcular el stock de cada ubicación a partir del stock por bodega
+ *
+ * Cada registro se compara por nombre y por código, y se cuenta una sola vez aunque
+ * el mapeo mencione ambos.
+ *
+ * @param {Array<{bodega: string, codigo: string, saldo: number}>} stockEntries - Saldos por bodega de Manager+
+ * @param {Array<Object>} locations - Resultado de resolveLocationMapping()
+ * @returns {Map<number, number>} locationId -> cantidad
+ */
+function computeLocationQuantities(stockEntries, locations) {
+    const quantities = new Map();
+    locations.forEach(location => {
+        let total = 0;
+        (stockEntries || []).forEach(entry => {
+            if (location.bodegas.has(normalizeWarehouseName(entry.bodega)) ||
+                (entry.codigo && location.bodegas.has(normalizeWarehouseName(entry.codigo)))) {
+                total += entry.saldo;
+            }
+        });
+        quantities.set(location.id, total);
+    });
+    return quantities;
+}
+
+module.exports = {
+    loadLocationMapping,
+    resolveLocationMapping,
+    computeLocationQuantities,
+    normalizeWarehouseName,
+    DEFAULT_LOCATION_MAPPING_FILE
+};
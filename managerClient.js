@@ -0,0 +1,506 @@
+/**
+ * Cliente compartido para la API del ERP Manager+
+ *
+ * Centraliza lo que antes repetía cada módulo:
+ * - Autenticación con caché de token (vigencia configurable)
+ * - Renovación automática del token ante un 401
+ * - Un solo login en curso aunque haya muchas peticiones concurrentes
+ * - Limitador de tasa compartido (concurrencia máxima + intervalo mínimo)
+ * - Reintentos con backoff exponencial para 429/5xx y respuestas con campo "retry"
+ * - Métodos por recurso: productos, listas de precios, clientes, documentos, comunas y ciudades
+ *
+ * Variables de entorno:
+ * - ERP_BASE_URL, ERP_USERNAME, ERP_PASSWORD, RUT_EMPRESA
+ * - ERP_TOKEN_TTL_MINUTES: vigencia asumida del token (default: 60)
+ * - ERP_MAX_CONCURRENT_REQUESTS: peticiones simultáneas al ERP (default: 5)
+ * - ERP_MIN_REQUEST_INTERVAL_MS: espera mínima entre inicios de petición (default: 50)
+ * - ERP_MAX_RETRIES: intentos máximos por petición (default: 5)
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+const { delay, getTimestamp } = require('./webhookQueue');
+
+// Configuración de retry por defecto
+const RETRY_CONFIG = {
+    maxRetries: parseInt(process.env.ERP_MAX_RETRIES) || 5,
+    baseDelay: 3000,
+    maxDelay: 60000,
+    retryableStatuses: [429, 500, 502, 503, 504]
+};
+
+/**
+ * Limitador de tasa simple: limita peticiones simultáneas y espacia sus inicios
+ */
+class RateLimiter {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxConcurrent - Máximo de tareas en paralelo
+     * @param {number} options.minInterval - Milisegundos mínimos entre inicios de tarea
+     */
+    constructor(options = {}) {
+        this.maxConcurrent = Math.max(1, options.maxConcurrent || 5);
+        this.minInterval = Math.max(0, options.minInterval || 0);
+        this.active = 0;
+        this.lastStart = 0;
+        this.waiting = [];
+    }
+
+    /**
+     * Ejecutar una tarea respetando los límites
+     * @param {Function} task - Función async a ejecutar
+     * @returns {Promise<any>} Resultado de la tarea
+     */
+    async schedule(task) {
+        await this.acquire();
+        try {
+            return await task();
+        } finally {
+            this.release();
+        }
+    }
+
+    async acquire() {
+        if (this.active >= this.maxConcurrent) {
+            await new Promise(resolve => this.waiting.push(resolve));
+        }
+        this.active++;
+
+        const wait = this.lastStart + this.minInterval - Date.now();
+        this.lastStart = Math.max(Date.now(), this.lastStart + this.minInterval);
+        if (wait > 0) {
+            await delay(wait);
+        }
+    }
+
+    release() {
+        this.active--;
+        const next = this.waiting.shift();
+        if (next) next();
+    }
+}
+
+/**
+ * Determinar si un error del ERP es recuperable (rate limit o error de servidor)
+ * @param {Error} error - Error de axios
+ * @returns {boolean} true si conviene reintentar
+ */
+function isRetryableError(error) {
+    const status = error.response?.status;
+    const responseData = error.response?.data;
+
+    const isRateLimitStatus = RETRY_CONFIG.retryableStatuses.includes(status);
+    const hasRetryField = responseData?.retry !== undefined;
+    const hasLimitMessage = (typeof responseData?.detail === 'string' && responseData.detail.includes('límite')) ||
+        (typeof responseData?.message === 'string' && responseData.message.includes('límite'));
+
+    return isRateLimitStatus || hasRetryField || hasLimitMessage;
+}
+
+/**
+ * Cliente de la API de Manager+
+ */
+class ManagerClient {
+    /**
+     * @param {Object} options - Permite sobrescribir la configuración tomada del entorno
+     */
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || process.env.ERP_BASE_URL;
+        this.username = options.username || process.env.ERP_USERNAME;
+        this.password = options.password || process.env.ERP_PASSWORD;
+        this.rutEmpresa = options.rutEmpresa || process.env.RUT_EMPRESA;
+
+        const ttlMinutes = options.tokenTTLMinutes || parseInt(process.env.ERP_TOKEN_TTL_MINUTES) || 60;
+        this.tokenTTL = ttlMinutes * 60 * 1000;
+
+        this.retryConfig = { ...RETRY_CONFIG, ...(options.retry || {}) };
+
+        this.limiter = new RateLimiter({
+            maxConcurrent: options.maxConcurrent || parseInt(process.env.ERP_MAX_CONCURRENT_REQUESTS) || 5,
+            minInterval: options.minInterval ?? (parseInt(process.env.ERP_MIN_REQUEST_INTERVAL_MS) || 50)
+        });
+
+        // Token en memoria y login en curso (single-flight)
+        this.authToken = null;
+        this.tokenExpirationTime = null;
+        this.authPromise = null;
+    }
+
+    /**
+     * Verificar que las variables de entorno del ERP estén definidas
+     * @returns {boolean} true si la configuración está completa
+     */
+    isConfigured() {
+        return !!(this.baseUrl && this.username && this.password && this.rutEmpresa);
+    }
+
+    /**
+     * Autenticarse con el ERP Manager+
+     *
+     * Si ya hay un login en curso, se reutiliza la misma promesa para que
+     * peticiones concurrentes no disparen varios logins.
+     *
+     * @returns {Promise<string>} Token de autenticación
+     */
+    async authenticate() {
+        if (this.authPromise) {
+            return this.authPromise;
+        }
+
+        this.authPromise = (async () => {
+            try {
+                console.log(`[${getTimestamp()}] 🔐 Autenticando con el ERP Manager+...`);
+
+                const response = await axios.post(`${this.baseUrl}/auth/`, {
+                    username: this.username,
+                    password: this.password
+                }, {
+                    headers: {
+                        'Content-Type': 'application/json'
+                    }
+                });
+
+                this.authToken = response.data.auth_token;
+                this.tokenExpirationTime = Date.now() + this.tokenTTL;
+
+                console.log(`[${getTimestamp()}] ✅ Autenticación con el ERP exitosa`);
+                return this.authToken;
+            } catch (error) {
+                console.error(`[${getTimestamp()}] ❌ Error en la autenticación con el ERP:`, error.response?.data || error.message);
+                throw new Error('Error al autenticarse con el ERP: ' + (error.response?.data?.message || error.message));
+            } finally {
+                this.authPromise = null;
+            }
+        })();
+
+        return this.authPromise;
+    }
+
+    /**
+     * Obtener un token válido (desde caché o autenticando)
+     * @returns {Promise<string>} Token de autenticación
+     */
+    async getToken() {
+        if (this.authToken && this.tokenExpirationTime && Date.now() < this.tokenExpirationTime) {
+            return this.authToken;
+        }
+        return await this.authenticate();
+    }
+
+    /**
+     * Invalidar el token actual (p.ej. tras un 401)
+     */
+    invalidateToken() {
+        this.authToken = null;
+        this.tokenExpirationTime = null;
+    }
+
+    /**
+     * Ejecutar una petición autenticada contra el ERP
+     *
+     * @param {string} method - Método HTTP
+     * @param {string} path - Ruta relativa a ERP_BASE_URL (con o sin "/" inicial)
+     * @param {Object} options
+     * @param {Object} options.params - Query params
+     * @param {Object} options.data - Body de la petición
+     * @param {boolean} options.retry - Reintentar ante rate limit/errores de servidor (default: true)
+     * @param {string} options.operationName - Nombre de la operación para logging
+     * @returns {Promise<Object>} Respuesta de axios
+     */
+    async request(method, path, options = {}) {
+        const { params, data, retry = true, operationName = `${method.toUpperCase()} ${path}` } = options;
+        const url = `${this.baseUrl}/${path.replace(/^\//, '')}`;
+        const maxAttempts = retry ? this.retryConfig.maxRetries : 1;
+        let refreshedToken = false;
+        let lastError;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            try {
+                const token = await this.getToken();
+
+                return await this.limiter.schedule(() => axios.request({
+                    method,
+                    url,
+                    params,
+                    data,
+                    headers: {
+                        'Authorization': `Token ${token}`,
+                        'Content-Type': 'application/json'
+                    }
+                }));
+            } catch (error) {
+                lastError = error;
+
+                // Token vencido o revocado: renovar una vez y repetir sin consumir intento
+                if (error.response?.status === 401 && !refreshedToken) {
+                    refreshedToken = true;
+                    this.invalidateToken();
+                    attempt--;
+                    continue;
+                }
+
+                const retryable = isRetryableError(error);
+
+                if (!retryable || attempt === maxAttempts) {
+                    // Marcar el error para que la cola de webhooks sepa que es rate limit
+                    if (retryable) {
+                        lastError.isRateLimit = true;
+                    }
+                    throw lastError;
+                }
+
+                let delayMs = Math.min(
+                    this.retryConfig.baseDelay * Math.pow(2, attempt - 1),
+                    this.retryConfig.maxDelay
+                );
+
+                // Si el ERP indica cuánto esperar, usar ese valor + 2 segundos de margen
+                const suggestedRetry = error.response?.data?.retry;
+                if (suggestedRetry) {
+                    delayMs = Math.max(delayMs, (suggestedRetry + 2) * 1000);
+                }
+
+                console.log(`[${getTimestamp()}] ⏳ ${operationName}: Error ${error.response?.status || 'rate-limit'}, reintento ${attempt}/${maxAttempts} en ${delayMs / 1000}s...`);
+                await delay(delayMs);
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * GET autenticado
+     * @param {string} path - Ruta relativa
+     * @param {Object} options - Ver request()
+     * @returns {Promise<Object>} Respuesta de axios
+     */
+    get(path, options = {}) {
+        return this.request('get', path, options);
+    }
+
+    /**
+     * POST autenticado
+     * @param {string} path - Ruta relativa
+     * @param {Object} data - Body
+     * @param {Object} options - Ver request()
+     * @returns {Promise<Object>} Respuesta de axios
+     */
+    post(path, data, options = {}) {
+        return this.request('post', path, { ...options, data });
+    }
+
+    // ============================================
+    // PRODUCTOS
+    // ============================================
+
+    /**
+     * Obtener un producto por SKU
+     * @param {string} sku - Código del producto
+     * @param {Object} options
+     * @param {boolean} options.withStock - Incluir stock por bodega (con_stock=S)
+     * @returns {Promise<Object>} Body de la respuesta
+     */
+    async getProduct(sku, options = {}) {
+        const response = await this.get(`products/${this.rutEmpresa}/${sku}/`, {
+            params: options.withStock ? { con_stock: 'S' } : undefined,
+            retry: options.retry,
+            operationName: `Obtener producto ${sku}`
+        });
+        return response.data;
+    }
+
+    /**
+     * Listar productos (paginado si se indica limit/offset)
+     * @param {Object} options
+     * @param {boolean} options.withStock - Incluir stock por bodega (con_stock=S)
+     * @param {number} options.limit - Tamaño de página
+     * @param {number} options.offset - Desplazamiento
+     * @returns {Promise<Object>} Body de la respuesta
+     */
+    async listProducts(options = {}) {
+        const params = {};
+        if (options.withStock) params.con_stock = 'S';
+        if (options.limit !== undefined) params.limit = options.limit;
+        if (options.offset !== undefined) params.offset = options.offset;
+
+        const response = await this.get(`products/${this.rutEmpresa}/`, {
+            params,
+            retry: options.retry,
+            operationName: 'Listar productos'
+        });
+        return response.data;
+    }
+
+    // ============================================
+    // LISTAS DE PRECIOS
+    // ============================================
+
+    /**
+     * Obtener las listas de precios
+     * @param {Object} options
+     * @param {boolean} options.withDetails - Incluir productos de cada lista (dets=1, default: true)
+     * @returns {Promise<Object>} Body de la respuesta
+     */
+    async getPriceLists(options = {}) {
+        const { withDetails = true } = options;
+        const response = await this.get(`pricelist/${this.rutEmpresa}/`, {
+            params: withDetails ? { dets: 1 } : undefined,
+            operationName: 'Obtener listas de precios'
+        });
+        return response.data;
+    }
+
+    // ============================================
+    // CLIENTES
+    // ============================================
+
+    /**
+     * Buscar clientes por RUT
+     * @param {string} rutCliente - RUT del cliente
+     * @returns {Promise<Object>} Body de la respuesta
+     */
+    async findClients(rutCliente) {
+        const response = await this.get(`clients/${this.rutEmpresa}/`, {
+            params: { rut_cliente: rutCliente },
+            retry: false,
+            operationName: `Buscar cliente ${rutCliente}`
+        });
+        return response.data;
+    }
+
+    /**
+     * Obtener un cliente o un sub-recurso del cliente
+     * @param {string} rutCliente - RUT del cliente
+     * @param {string} subresource - Sub-recurso opcional ("addresses", "direcciones")
+     * @returns {Promise<Object>} Body de la respuesta
+     */
+    async getClient(rutCliente, subresource = '') {
+        const suffix = subresource ? `${subresource}/` : '';
+        const response = await this.get(`clients/${this.rutEmpresa}/${rutCliente}/${suffix}`, {
+            retry: false,
+            operationName: `Obtener cliente ${rutCliente}`
+        });
+        return response.data;
+    }
+
+    /**
+     * Crear o sobrescribir un cliente (import/create-client)
+     * @param {Object} infoCliente - Datos del cliente
+     * @returns {Promise<Object>} Body de la respuesta
+     */
+    async createClient(infoCliente) {
+        const response = await this.post('import/create-client/', infoCliente, {
+            params: { sobreescribir: 'S' },
+            operationName: `Crear cliente ${infoCliente.rut_cliente}`
+        });
+        return response.data;
+    }
+
+    /**
+     * Crear o sobrescribir una dirección de cliente (import/create-client-address)
+     * @param {Object} direccionData - Datos de la dirección
+     * @param {Object} options - Ver request()
+     * @returns {Promise<Object>} Body de la respuesta
+     */
+    async createClientAddress(direccionData, options = {}) {
+        const response = await this.post('import/create-client-address/', direccionData, {
+            params: { sobreescribir: 'S' },
+            retry: options.retry,
+            operationName: `Crear dirección para ${direccionData.rut_cliente}`
+        });
+        return response.data;
+    }
+
+    /**
+     * Agregar una dirección usando el endpoint REST del cliente
+     * @param {string} rutCliente - RUT del cliente
+     * @param {Object} direccionData - Datos de la dirección
+     * @returns {Promise<Object>} Body de la respuesta
+     */
+    async addClientAddress(rutCliente, direccionData) {
+        const response = await this.post(`clients/${this.rutEmpresa}/${rutCliente}/addresses/`, direccionData, {
+            retry: false,
+            operationName: `Agregar dirección para ${rutCliente}`
+        });
+        return response.data;
+    }
+
+    // ============================================
+    // DOCUMENTOS
+    // ============================================
+
+    /**
+     * Listar documentos por tipo y rango de fechas
+     * @param {string} tipoDocumento - Tipo de documento (NV, FAVE, GDVE, ...)
+     * @param {Object} options
+     * @param {string} options.df - Fecha desde (yyyyMMdd)
+     * @param {string} options.dt - Fecha hasta (yyyyMMdd)
+     * @param {string} options.tipo - "V" ventas / "C" compras (default: "V")
+     * @param {boolean} options.withDetails - Incluir las líneas de cada documento (details=1, default: false)
+     * @returns {Promise<Object>} Body de la respuesta
+     */
+    async getDocuments(tipoDocumento, options = {}) {
+        const { df, dt, tipo = 'V', withDetails = false } = options;
+        const params = { df, dt };
+        if (withDetails) params.details = 1;
+
+        const response = await this.get(`documents/${this.rutEmpresa}/${tipoDocumento}/${tipo}/`, {
+            params,
+            operationName: `Listar documentos ${tipoDocumento}`
+        });
+        return response.data;
+    }
+
+    /**
+     * Crear un documento (import/create-document)
+     * @param {Object} documento - Datos del documento
+     * @param {Object} options
+     * @param {string} options.emitir - "S" para emitir, "N" para dejar sin emitir (default: "N")
+     * @param {string} options.docnumreg - "S" para numerar automáticamente (default: "N")
+     * @param {string} options.sobreescribir - "S" para reemplazar el documento sin emitir que ya
+     *   tiene ese folio; con "N" Manager+ rechaza un folio existente (default: "N")
+     * @param {boolean} options.retry - Reintentar ante rate limit/errores de servidor (default: true)
+     * @returns {Promise<Object>} Body de la respuesta
+     */
+    async createDocument(documento, options = {}) {
+        const { emitir = 'N', docnumreg = 'N', sobreescribir = 'N', retry = true } = options;
+        const response = await this.post('import/create-document/', documento, {
+            params: { emitir, docnumreg, sobreescribir },
+            retry,
+            operationName: `Crear documento ${documento.tipodocumento} ${documento.num_doc}`
+        });
+        return response.data;
+    }
+
+    // ============================================
+    // TABLAS GENERALES
+    // ============================================
+
+    /**
+     * Obtener comunas
+     * @returns {Promise<Array>} Lista de comunas
+     */
+    async getComunas() {
+        const response = await this.get('tabla-gral/comunas', { operationName: 'Obtener comunas' });
+        return response.data.data || response.data || [];
+    }
+
+    /**
+     * Obtener ciudades
+     * @returns {Promise<Array>} Lista de ciudades
+     */
+    async getCiudades() {
+        const response = await this.get('tabla-gral/ciudades', { operationName: 'Obtener ciudades' });
+        return response.data.data || response.data || [];
+    }
+}
+
+// Instancia compartida por todos los módulos del proceso
+const managerClient = new ManagerClient();
+
+module.exports = {
+    ManagerClient,
+    RateLimiter,
+    managerClient,
+    isRetryableError
+};
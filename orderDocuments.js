@@ -0,0 +1,338 @@
+/**
+ * Notas de Venta enviadas a Manager+ por orden de Shopify
+ *
+ * createOrder guarda el documento tal como se envió al endpoint de importación, para
+ * comparar si la orden se edita en Shopify (ver orderEdits.js) y saber qué cambió.
+ *
+ * Variables de entorno:
+ * - ORDER_DOCUMENTS_FILE:           archivo JSON (default: data/order-documents.json)
+ * - ORDER_DOCUMENTS_RETENTION_DAYS: días que se conserva cada entrada (default: 90)
+ *
+ * Estados de una entrada:
+ * - synced: la NV coincide con la orden (recién creada o actualizada tras una edición)
+ * - review: la orden cambió y la NV no se pudo actualizar; requiere revisión manual.
+ *   Si no tiene folio, la NV nunca se creó porque los datos del checkout no son válidos
+ *   (ver checkoutAttributes.js)
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+// Ruta por defecto del archivo de documentos
+const DEFAULT_DOCUMENTS_FILE = path.join(__dirname, 'data', 'order-documents.json');
+
+/**
+ * Clave comparable de una dirección de despacho de Shopify
+ * @param {Object} address - shipping_address de la orden
+ * @returns {string} Campos relevantes separados por "|" ("" si no hay dirección)
+ */
+function getAddressKey(address) {
+    if (!address) {
+        return '';
+    }
+    return ['address1', 'address2', 'city', 'province', 'zip']
+        .map(field => (address[field] || '').toString().trim().toLowerCase())
+        .join('|');
+}
+
+/**
+ * Comparar las líneas y la dirección de la NV enviada con las de la orden actual
+ *
+ * @param {Object} entry - Entrada guardada ({ documento, shippingAddress })
+ * @param {Object} amounts - Líneas y montos actuales (ver calculateOrderAmounts)
+ * @param {string} shippingAddress - Dirección actual (ver getAddressKey)
+ * @returns {Array<Object>} Cambios: { type: added|removed|quantity|price|discount|address, sku, from, to }
+ */
+function diffOrderDocument(entry, amounts, shippingAddress) {
+    const changes = [];
+    const previous = new Map();
+    for (const detalle of entry.documento?.detalles || []) {
+        const current = previous.get(detalle.cod_producto);
+        previous.set(detalle.cod_producto, {
+            cantidad: (current?.cantidad || 0) + parseFloat(detalle.cantidad),
+            precioUnit: parseFloat(detalle.precio_unit),
+            descuento: (current?.descuento || 0) + (parseFloat(detalle.descuento) || 0)
+        });
+    }
+
+    const next = new Map();
+    for (const line of amounts.lines) {
+        const current = next.get(line.codProducto);
+        next.set(line.codProducto, {
+            cantidad: (current?.cantidad || 0) + line.cantidad,
+            precioUnit: line.precioUnit,
+            descuento: (current?.descuento || 0) + line.descuento
+        });
+    }
+
+    for (const [sku, line] of next.entries()) {
+        const before = previous.get(sku);
+        if (!before) {
+            changes.push({ type: 'added', sku, from: null, to: line.cantidad });
+            continue;
+        }
+        if (before.cantidad !== line.cantidad) {
+            changes.push({ type: 'quantity', sku, from: before.cantidad, to: line.cantidad });
+        }
+        if (before.precioUnit !== line.precioUnit) {
+            changes.push({ type: 'price', sku, from: before.precioUnit, to: line.precioUnit });
+        }
+        if (before.descuento !== line.descuento) {
+            changes.push({ type: 'discount', sku, from: before.descuento, to: line.descuento });
+        }
+    }
+    for (const [sku, before] of previous.entries()) {
+        if (!next.has(sku)) {
+            changes.push({ type: 'removed', sku, from: before.cantidad, to: null });
+        }
+    }
+
+    const globalBefore = parseFloat(entry.documento?.monto_desc_global) || 0;
+    const globalAfter = amounts.montoDescGlobal;
+    if (globalBefore !== globalAfter) {
+        changes.push({ type: 'discount', sku: null, from: globalBefore, to: globalAfter });
+    }
+
+    if ((entry.shippingAddress || '') !== (shippingAddress || '')) {
+        changes.push({ type: 'address', sku: null, from: entry.shippingAddress || null, to: shippingAddress || null });
+    }
+
+    return changes;
+}
+
+/**
+ * Almacenamiento de las NV enviadas en un archivo JSON (una entrada por orden)
+ */
+class OrderDocumentStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.filePath - Ruta del archivo JSON
+     * @param {number} options.retentionDays - Días que se conserva cada entrada
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.ORDER_DOCUMENTS_FILE || DEFAULT_DOCUMENTS_FILE;
+        this.retentionDays = options.retentionDays !== undefined
+            ? options.retentionDays
+            : (process.env.ORDER_DOCUMENTS_RETENTION_DAYS ? parseInt(process.env.ORDER_DOCUMENTS_RETENTION_DAYS) : 90);
+    }
+
+    /**
+     * Leer todas las entradas del archivo
+     * @returns {Map<string, Object>} Mapa orderId -> entrada
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return new Map();
+        }
+        try {
+            const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            return new Map((Array.isArray(entries) ? entries : []).map(entry => [entry.orderId, entry]));
+        } catch (error) {
+            console.warn(`⚠️  No se pudo leer ${this.filePath}: ${error.message}`);
+            return new Map();
+        }
+    }
+
+    /**
+     * Guardar todas las entradas (archivo temporal + rename para que sea atómico)
+     *
+     * Se descartan las entradas sincronizadas más antiguas que la retención; las que
+     * esperan revisión se conservan.
+     *
+     * @param {Map<string, Object>} entries - Mapa orderId -> entrada
+     */
+    save(entries) {
+        const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+        const kept = Array.from(entries.values())
+            .filter(entry => entry.status === 'review' || new Date(entry.updatedAt).getTime() >= cutoff);
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(kept, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    /**
+     * Obtener la entrada de una orden
+     * @param {string} orderId - ID de la orden de Shopify
+     * @returns {Object|null}
+     */
+    get(orderId) {
+        return this.load().get(`${orderId}`) || null;
+    }
+
+    /**
+     * Listar entradas, las más recientes primero
+     * @param {Object} options
+     * @param {string} options.status - Filtrar por estado (opcional)
+     * @param {number} options.limit - Máximo de resultados (default: 100)
+     * @returns {Array<Object>}
+     */
+    list(options = {}) {
+        const { status, limit = 100 } = options;
+        return Array.from(this.load().values())
+            .filter(entry => !status || entry.status === status)
+            .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))
+            .slice(0, limit);
+    }
+
+    /**
+     * Registrar la NV creada para una orden
+     * @param {string} orderId - ID de la orden de Shopify
+     * @param {Object} data
+     * @param {Object} data.documento - Documento enviado a Manager+ (con num_doc)
+     * @param {string} data.emitir - Valor de emitir con que se creó ("N" = sin emitir)
+     * @param {string} data.shippingAddress - Dirección de despacho (ver getAddressKey)
+     * @returns {Object} Entrada guardada
+     */
+    record(orderId, { documento, emitir, shippingAddress }) {
+        const entries = this.load();
+        const now = new Date().toISOString();
+        const entry = {
+            orderId: `${orderId}`,
+            folio: documento.num_doc,
+            tipodocumento: documento.tipodocumento,
+            emitir,
+            status: 'synced',
+            shippingAddress,
+            documento,
+            review: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        entries.set(entry.orderId, entry);
+        this.save(entries);
+        return entry;
+    }
+
+    /**
+     * Dejar para revisión una orden cuya NV no se creó (datos de checkout inválidos)
+     *
+     * La entrada queda sin folio ni documento hasta que se crea la NV (ver record).
+     *
+     * @param {string} orderId - ID de la orden de Shopify
+     * @param {string} reason - Motivo
+     * @param {Array<Object>} errors - Errores de validación (ver parseCheckoutAttributes)
+     * @returns {Object} Entrada guardada
+     */
+    recordPendingReview(orderId, reason, errors) {
+        const entries = this.load();
+        const now = new Date().toISOString();
+        const existing = entries.get(`${orderId}`);
+        const entry = {
+            orderId: `${orderId}`,
+            folio: null,
+            tipodocumento: 'NV',
+            emitir: null,
+            status: 'review',
+            shippingAddress: null,
+            documento: null,
+            review: {
+                reason,
+                errors,
+                changes: [],
+                flaggedAt: existing?.review?.flaggedAt || now,
+                updatedAt: now
+            },
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+        entries.set(entry.orderId, entry);
+        this.save(entries);
+        return entry;
+    }
+
+    /**
+     * Reemplazar el documento de una orden tras actualizar la NV en Manager+
+     * @param {string} orderId - ID de la orden de Shopify
+     * @param {Object} documento - Documento reenviado
+     * @param {string} shippingAddress - Dirección de despacho actual
+     * @param {Array<Object>} changes - Cambios aplicados (ver diffOrderDocument)
+     * @returns {Object|null} Entrada actualizada o null si no existe
+     */
+    markUpdated(orderId, documento, shippingAddress, changes) {
+        return this.update(orderId, (entry, now) => ({
+            ...entry,
+            documento,
+            shippingAddress,
+            status: 'synced',
+            review: null,
+            lastChanges: changes,
+            updatedAt: now
+        }));
+    }
+
+    /**
+     * Marcar una orden para revisión manual
+     * @param {string} orderId - ID de la orden de Shopify
+     * @param {string} reason - Motivo
+     * @param {Array<Object>} changes - Cambios detectados (ver diffOrderDocument)
+     * @returns {Object|null} Entrada actualizada o null si no existe
+     */
+    flagForReview(orderId, reason, changes) {
+        return this.update(orderId, (entry, now) => ({
+            ...entry,
+            status: 'review',
+            review: {
+                reason,
+                changes,
+                flaggedAt: entry.review?.flaggedAt || now,
+                updatedAt: now
+            },
+            updatedAt: now
+        }));
+    }
+
+    /**
+     * Cerrar la revisión de una orden (la NV se corrigió a mano en Manager+)
+     *
+     * Como el documento guardado ya no coincide con Manager+, se reemplaza por el de la
+     * orden actual si se entrega; si no, se deja el anterior.
+     *
+     * @param {string} orderId - ID de la orden de Shopify
+     * @param {Object} extra - { resolvedBy, note, documento, shippingAddress }
+     * @returns {Object|null} Entrada actualizada o null si no existe
+     */
+    resolveReview(orderId, extra = {}) {
+        const { documento, shippingAddress, resolvedBy = null, note = null } = extra;
+        return this.update(orderId, (entry, now) => ({
+            ...entry,
+            ...(documento && { documento }),
+            ...(shippingAddress !== undefined && { shippingAddress }),
+            status: 'synced',
+            review: null,
+            lastReview: { ...entry.review, resolvedBy, note, resolvedAt: now },
+            updatedAt: now
+        }));
+    }
+
+    /**
+     * Aplicar un cambio a una entrada existente
+     * @param {string} orderId - ID de la orden de Shopify
+     * @param {Function} updater - (entry, now) => nueva entrada
+     * @returns {Object|null} Entrada actualizada o null si no existe
+     */
+    update(orderId, updater) {
+        const entries = this.load();
+        const existing = entries.get(`${orderId}`);
+        if (!existing) {
+            return null;
+        }
+        const entry = updater(existing, new Date().toISOString());
+        entries.set(entry.orderId, entry);
+        this.save(entries);
+        return entry;
+    }
+}
+
+// Instancia compartida
+const orderDocumentStore = new OrderDocumentStore();
+
+module.exports = {
+    OrderDocumentStore,
+    orderDocumentStore,
+    getAddressKey,
+    diffOrderDocument,
+    DEFAULT_DOCUMENTS_FILE
+};
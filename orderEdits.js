@@ -0,0 +1,288 @@
+/**
+ * Ediciones de órdenes de Shopify (orders/updated y orders/edited)
+ *
+ * Cuando alguien edita una orden en Shopify (cantidades, líneas nuevas, dirección) se
+ * comparan sus líneas con la NV que createOrder envió a Manager+ (ver orderDocuments.js):
+ * - Sin cambios (p.ej. solo tags o metafields): no se hace nada
+ * - La NV se creó sin emitir (emitir=N): se reimporta con el mismo folio y las líneas actuales (sobreescribir=S)
+ * - Si no se puede (Manager+ la rechaza, ya se emitió o ORDER_EDIT_SYNC=review): la orden
+ *   queda para revisión manual, con el tag "erp-review" en Shopify
+ *
+ * Las cantidades reembolsadas no cuentan como cambio: las acredita su propio documento
+ * (ver orderReversals.js). Las órdenes canceladas se ignoran.
+ *
+ * Si la NV nunca se creó porque los datos del checkout no eran válidos, cada edición vuelve a
+ * validarlos y, una vez corregidos, crea la NV como una orden nueva.
+ *
+ * Variables de entorno:
+ * - ORDER_EDIT_SYNC: update (default) actualiza la NV sin emitir; review solo la marca para revisión
+ */
+
+require('dotenv').config();
+const { managerClient } = require('./managerClient');
+const { serializeError, getTimestamp } = require('./webhookQueue');
+const { orderDocumentStore, getAddressKey, diffOrderDocument } = require('./orderDocuments');
+const { setOrderReviewTag } = require('./shopifyOrderWriteback');
+const { parseCheckoutAttributes, describeCheckoutErrors } = require('./checkoutAttributes');
+const {
+    processOrderNotification,
+    getShopifyOrder,
+    createClient,
+    buildOrderDocument,
+    calculateOrderAmounts,
+    checkOrderTotal
+} = require('./createClientAndOrderShopify');
+
+/**
+ * Modo de sincronización de ediciones
+ * @returns {string} update | review
+ */
+function getEditSyncMode() {
+    return process.env.ORDER_EDIT_SYNC === 'review' ? 'review' : 'update';
+}
+
+/**
+ * Resumen legible de los cambios para el log
+ * @param {Array<Object>} changes - Ver diffOrderDocument
+ * @returns {string}
+ */
+function describeChanges(changes) {
+    return changes.map((change) => {
+        switch (change.type) {
+            case 'added': return `+${change.sku} x${change.to}`;
+            case 'removed': return `-${change.sku}`;
+            case 'quantity': return `${change.sku} ${change.from}→${change.to}`;
+            case 'price': return `${change.sku} $${change.from}→$${change.to}`;
+            case 'discount': return `descuento ${change.sku || 'global'} $${change.from}→$${change.to}`;
+            default: return 'dirección';
+        }
+    }).join(', ');
+}
+
+/**
+ * Armar la NV actualizada conservando folio, fecha y cliente de la original
+ *
+ * Si cambió la dirección de despacho se vuelve a pasar por createClient para registrarla
+ * en el cliente de Manager+. El documento se importa con sobreescribir=S para reemplazar la
+ * NV sin emitir del mismo folio (sin ese parámetro Manager+ rechaza el folio existente).
+ *
+ * @param {Object} entry - Entrada guardada de la orden
+ * @param {Object} orderData - Orden de Shopify actual
+ * @param {boolean} addressChanged - Si cambió la dirección de despacho
+ * @returns {Promise<Object>} Documento para el endpoint de importación
+ */
+async function buildUpdatedDocument(entry, orderData, addressChanged) {
+    const original = entry.documento;
+    const clienteInfo = addressChanged
+        ? await createClient(orderData)
+        : { cliente: { rut_cliente: original.rut_cliente }, direccionNombre: original.dire_cliente };
+
+    const documento = await buildOrderDocument(orderData, clienteInfo);
+    return {
+        ...documento,
+        num_doc: `${entry.folio}`,
+        fecha_doc: original.fecha_doc,
+        fecha_vcto: original.fecha_vcto
+    };
+}
+
+/**
+ * Dejar una orden para revisión manual
+ * @param {Object} entry - Entrada guardada de la orden
+ * @param {string} reason - Motivo
+ * @param {Array<Object>} changes - Cambios detectados
+ * @returns {Promise<Object>} Resultado del procesamiento
+ */
+async function flagForReview(entry, reason, changes) {
+    orderDocumentStore.flagForReview(entry.orderId, reason, changes);
+    // Si ya estaba en revisión el tag ya está: escribirlo de nuevo dispararía otro orders/updated
+    if (entry.status !== 'review') {
+        await setOrderReviewTag(entry.orderId, true);
+    }
+    console.log(`[REVISIÓN] Orden Shopify ${entry.orderId}: NV ${entry.folio} requiere revisión manual - ${reason}\n`);
+    return {
+        success: true,
+        review: true,
+        reason: 'manual_review',
+        message: reason,
+        orderId: entry.orderId,
+        folio: entry.folio,
+        changes
+    };
+}
+
+/**
+ * Reintentar la creación de la NV de una orden que quedó en revisión por datos de checkout
+ * inválidos
+ *
+ * Mientras los datos sigan inválidos no se escribe nada en Shopify: volver a marcar la orden
+ * dispararía otro orders/updated.
+ *
+ * @param {Object} entry - Entrada guardada de la orden (sin folio)
+ * @param {Object} orderData - Orden de Shopify actual
+ * @returns {Promise<Object>} Resultado del procesamiento
+ */
+async function retryOrderCreation(entry, orderData) {
+    const checkout = parseCheckoutAttributes(orderData);
+    if (!checkout.valid) {
+        return {
+            success: true,
+            skipped: true,
+            reason: 'invalid_checkout_attributes',
+            message: describeCheckoutErrors(checkout.errors),
+            orderId: entry.orderId,
+            errors: checkout.errors
+        };
+    }
+
+    console.log(`[PROCESO] Orden Shopify ${entry.orderId}: Datos de checkout corregidos, creando la NV...`);
+    const result = await processOrderNotification(orderData);
+    if (!result.success || result.review) {
+        return result;
+    }
+
+    // Si alguien ya la creó a mano en Manager+ solo se cierra la revisión
+    if (result.reason === 'order_already_in_erp') {
+        orderDocumentStore.resolveReview(entry.orderId, { note: `La NV ${result.folio} ya existía en Manager+` });
+    }
+    await setOrderReviewTag(entry.orderId, false);
+    return result;
+}
+
+/**
+ * Procesar la edición de una orden
+ *
+ * @param {Object} webhookData - Orden (orders/updated) o { order_edit } (orders/edited)
+ * @param {string} topic - orders/updated | orders/edited
+ * @returns {Promise<Object>} Resultado del procesamiento
+ */
+async function processOrderUpdate(webhookData, topic = 'orders/updated') {
+    const orderId = (topic === 'orders/edited' ? webhookData.order_edit?.order_id : webhookData.id)?.toString() || '';
+
+    if (!orderId) {
+        console.error('[ERROR] Edición: No se encontró ID de orden en la notificación de Shopify');
+        return { success: false, error: 'ID de orden no encontrado' };
+    }
+
+    const entry = orderDocumentStore.get(orderId);
+    if (!entry || (!entry.folio && entry.status !== 'review')) {
+        // Orden sin NV creada por este servidor (anterior al registro, en testing o fallida)
+        return { success: true, skipped: true, reason: 'no_stored_document', orderId };
+    }
+
+    if (!managerClient.isConfigured()) {
+        console.error(`[ERROR] Edición orden ${orderId}: Variables de entorno del ERP incompletas`);
+        return { success: false, error: 'Configuración incompleta: Variables del ERP no definidas' };
+    }
+
+    try {
+        // orders/edited solo trae el resumen de la edición
+        const orderData = topic === 'orders/updated' && webhookData.line_items
+            ? webhookData
+            : await getShopifyOrder(orderId);
+
+        if (orderData.cancelled_at) {
+            return { success: true, skipped: true, reason: 'order_cancelled', orderId };
+        }
+
+        if (!entry.folio) {
+            return await retryOrderCreation(entry, orderData);
+        }
+
+        const shippingAddress = getAddressKey(orderData.shipping_address);
+        const changes = diffOrderDocument(entry, calculateOrderAmounts(orderData), shippingAddress);
+        if (changes.length === 0) {
+            return { success: true, skipped: true, reason: 'no_changes', orderId };
+        }
+
+        console.log(`[PROCESO] Edición orden Shopify ${orderId}: NV ${entry.folio} con ${changes.length} cambio(s) (${describeChanges(changes)})`);
+
+        if (entry.emitir !== 'N') {
+            return await flagForReview(entry, 'La NV se creó emitida y no se puede reemplazar', changes);
+        }
+        if (getEditSyncMode() === 'review') {
+            return await flagForReview(entry, 'Actualización automática desactivada (ORDER_EDIT_SYNC=review)', changes);
+        }
+
+        const documento = await buildUpdatedDocument(entry, orderData, changes.some(change => change.type === 'address'));
+        const totalCheck = checkOrderTotal(documento, orderData);
+        if (!totalCheck.ok) {
+            return await flagForReview(entry, `El total de la NV actualizada ($${totalCheck.total}) no coincide con el total de la orden en Shopify ($${totalCheck.expected})`, changes);
+        }
+        try {
+            await managerClient.createDocument(documento, { emitir: 'N', docnumreg: 'N', sobreescribir: 'S' });
+        } catch (error) {
+            const errorMsg = serializeError(error.response?.data || error);
+            return await flagForReview(entry, `Manager+ rechazó la actualización de la NV: ${errorMsg}`, changes);
+        }
+
+        orderDocumentStore.markUpdated(orderId, documento, shippingAddress, changes);
+        if (entry.status === 'review') {
+            await setOrderReviewTag(orderId, false);
+        }
+
+        console.log(`[RESUMEN] Edición orden Shopify ${orderId}: ✅ NV ${entry.folio} actualizada en Manager+\n`);
+        return { success: true, updated: true, orderId, folio: entry.folio, changes };
+
+    } catch (error) {
+        const errorMsg = serializeError(error.response?.data || error);
+        console.error(`[${getTimestamp()}] [ERROR] Edición orden Shopify ${orderId}: ${errorMsg}\n`);
+        return { success: false, error: errorMsg, orderId };
+    }
+}
+
+/**
+ * Cerrar la revisión manual de una orden (la NV ya se corrigió en Manager+)
+ *
+ * El documento guardado se reemplaza por el de la orden actual, para que la próxima
+ * edición se compare contra lo que ahora tiene Manager+.
+ *
+ * Si la NV nunca se creó (datos de checkout inválidos) se intenta crear con la orden actual.
+ *
+ * @param {string} orderId - ID de la orden de Shopify
+ * @param {Object} options
+ * @param {string} options.resolvedBy - Quién cierra la revisión
+ * @param {string} options.note - Nota (opcional)
+ * @returns {Promise<Object>} { success, entry } o { success: false, reason, error }
+ * (reason: not_found | not_in_review | invalid_checkout_attributes | creation_failed)
+ */
+async function resolveOrderReview(orderId, { resolvedBy = null, note = null } = {}) {
+    const entry = orderDocumentStore.get(orderId);
+    if (!entry) {
+        return { success: false, reason: 'not_found', error: `No hay NV registrada para la orden ${orderId}` };
+    }
+    if (entry.status !== 'review') {
+        return { success: false, reason: 'not_in_review', error: `La orden ${orderId} no está en revisión`, entry };
+    }
+
+    const orderData = await getShopifyOrder(orderId);
+
+    if (!entry.folio) {
+        const result = await retryOrderCreation(entry, orderData);
+        if (result.reason === 'invalid_checkout_attributes') {
+            return { success: false, reason: result.reason, error: result.message, errors: result.errors, entry };
+        }
+        if (!result.success) {
+            return { success: false, reason: 'creation_failed', error: result.error, entry };
+        }
+        return { success: true, entry: orderDocumentStore.get(orderId) };
+    }
+
+    const documento = await buildUpdatedDocument(entry, orderData, false);
+    const updated = orderDocumentStore.resolveReview(orderId, {
+        documento,
+        shippingAddress: getAddressKey(orderData.shipping_address),
+        resolvedBy,
+        note
+    });
+    await setOrderReviewTag(orderId, false);
+
+    console.log(`[${getTimestamp()}] ✅ Orden ${orderId}: Revisión de la NV ${entry.folio} cerrada${resolvedBy ? ` por ${resolvedBy}` : ''}`);
+    return { success: true, entry: updated };
+}
+
+module.exports = {
+    processOrderUpdate,
+    resolveOrderReview,
+    getEditSyncMode
+};
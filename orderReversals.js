@@ -0,0 +1,495 @@
+/**
+ * Cancelaciones y reembolsos de órdenes de Shopify
+ *
+ * - orders/cancelled: Nota de Crédito por lo que queda de la NV de la orden (los
+ *   productos y el despacho que ya tuvieron un reembolso los cubre su propio documento)
+ * - refunds/create: Nota de Crédito por los productos y el despacho reembolsados
+ *
+ * La NV se busca por la referencia de la orden en la glosa (ver findExistingOrderDocument).
+ * Si la orden nunca llegó a Manager+ no se crea nada. El documento de crédito lleva en la
+ * glosa "cancel-<orderId>" o "refund-<refundId>", así un webhook repetido no lo duplica.
+ * Los montos se calculan como los de la NV: con los descuentos ya asignados a cada línea por
+ * Shopify, su IVA (o exento) y taxes_included de la orden (ver calculateItemAmounts).
+ *
+ * Variables de entorno:
+ * - ORDER_REVERSALS_DRY_RUN: por defecto true, solo registra en el log el documento que se
+ *   crearía. Con "false" se crean los documentos en Manager+ (requiere ENABLE_SHOPIFY_CREATE)
+ * - ORDER_CANCELLATION_DOC_TYPE: tipo de documento de las cancelaciones (default: NCVE)
+ * - ORDER_REFUND_DOC_TYPE: tipo de documento de los reembolsos (default: NCVE)
+ *
+ * El folio del documento de crédito lo asigna Manager+ (docnumreg=S): una Nota de Crédito
+ * electrónica debe usar los folios autorizados por el SII, así que no pasa por el contador
+ * local de las NV. El documento referencia a la NV con tipo, folio y fecha (tipo_doc_ref,
+ * num_doc_ref, fecha_ref) y el código de referencia del SII (cod_ref: 1 anula, 3 corrige montos).
+ */
+
+require('dotenv').config();
+const { format } = require('date-fns');
+const { managerClient } = require('./managerClient');
+const { getOrderPriceListId } = require('./priceListConfig');
+const { serializeError, getTimestamp } = require('./webhookQueue');
+const {
+    getShopifyOrder,
+    findExistingOrderDocument,
+    findDocumentByReference,
+    buildDocumentDetail,
+    buildGlosa,
+    calculateItemAmounts,
+    distributeLineTotals,
+    getRefundedQuantities,
+    getLineQuantity,
+    validateProductUnit
+} = require('./createClientAndOrderShopify');
+
+// Variables de entorno
+const ERP_USERNAME = process.env.ERP_USERNAME;
+const RUT_EMPRESA = process.env.RUT_EMPRESA;
+
+const CANCELLATION_DOC_TYPE = process.env.ORDER_CANCELLATION_DOC_TYPE || 'NCVE';
+const REFUND_DOC_TYPE = process.env.ORDER_REFUND_DOC_TYPE || 'NCVE';
+
+// Códigos de referencia del SII: la cancelación anula la NV, el reembolso corrige montos
+const REFERENCE_CODES = {
+    cancellation: '1',
+    refund: '3'
+};
+
+/**
+ * Verificar si las cancelaciones y reembolsos se ejecutan en modo simulación
+ * @returns {boolean}
+ */
+function isDryRunDefault() {
+    return process.env.ORDER_REVERSALS_DRY_RUN !== 'false' && process.env.ORDER_REVERSALS_DRY_RUN !== '0';
+}
+
+/**
+ * Verificar si la creación de documentos en Manager+ está habilitada
+ * @returns {boolean}
+ */
+function isCreateEnabled() {
+    return process.env.ENABLE_SHOPIFY_CREATE === 'true' || process.env.ENABLE_SHOPIFY_CREATE === '1';
+}
+
+/**
+ * Despacho reembolsado (con IVA si la orden tiene taxes_included)
+ * @param {Object} refund - Reembolso de Shopify
+ * @returns {Array<{shippingLineId: string|null, amount: number, tax: number}>}
+ */
+function getRefundedShippingLines(refund) {
+    const shippingLines = refund.refund_shipping_lines || [];
+    if (shippingLines.length > 0) {
+        return shippingLines.map(line => ({
+            shippingLineId: (line.shipping_line_id ?? line.shipping_line?.id)?.toString() || null,
+            amount: parseFloat(line.subtotal_amount_set?.shop_money?.amount || 0),
+            tax: parseFloat(line.tax_amount_set?.shop_money?.amount || 0)
+        }));
+    }
+
+    return (refund.order_adjustments || [])
+        .filter(adjustment => adjustment.kind === 'shipping_refund')
+        .map(adjustment => ({
+            shippingLineId: null,
+            amount: Math.abs(parseFloat(adjustment.amount || 0)),
+            tax: Math.abs(parseFloat(adjustment.tax_amount || 0))
+        }));
+}
+
+/**
+ * Monto de un despacho de la orden con sus descuentos
+ * @param {Object} shipping - Elemento de shipping_lines
+ * @returns {number}
+ */
+function getShippingAmount(shipping) {
+    const descuento = (shipping.discount_allocations || [])
+        .reduce((sum, allocation) => sum + parseFloat(allocation.amount || 0), 0);
+    return parseFloat(shipping.price || 0) - descuento;
+}
+
+/**
+ * Líneas y montos del documento de crédito
+ *
+ * El afecto, el exento y el IVA son la suma de las líneas (ver calculateItemAmounts) y los
+ * pesos de redondeo se reparten entre ellas, igual que en la NV.
+ *
+ * @param {Array<Object>} items - Montos de las líneas (ver calculateItemAmounts)
+ * @returns {Promise<Object>} { detalles, afecto, exento, iva, total }
+ */
+async function buildCreditAmounts(items) {
+    const sum = (list, field) => list.reduce((total, item) => total + item[field], 0);
+    const afecto = Math.round(sum(items.filter(item => !item.exento), 'net'));
+    const exento = Math.round(sum(items.filter(item => item.exento), 'net'));
+    const iva = Math.round(sum(items, 'tax'));
+
+    const detalles = [];
+    for (const line of distributeLineTotals(items, { afecto, exento, montoDescGlobal: 0 })) {
+        const unidad = line.codProducto === 'DPCHO' ? 'UMS' : await validateProductUnit(line.codProducto);
+        detalles.push(buildDocumentDetail({ ...line, unidad }));
+    }
+
+    return { detalles, afecto, exento, iva, total: afecto + exento + iva };
+}
+
+/**
+ * Montos de la cancelación: lo que queda de cada línea y de cada despacho descontando los
+ * reembolsos
+ * @param {Object} orderData - Orden de Shopify (con refunds)
+ * @returns {Promise<Object>} { detalles, afecto, exento, iva, total }
+ */
+async function buildCancellationDetails(orderData) {
+    const refundedQuantities = getRefundedQuantities(orderData);
+    const taxesIncluded = orderData.taxes_included !== false;
+    const items = [];
+
+    for (const item of orderData.line_items || []) {
+        const cantidad = getLineQuantity(item, refundedQuantities) - (refundedQuantities.get(item.id?.toString()) || 0);
+        if (cantidad <= 0) {
+            continue;
+        }
+        items.push(calculateItemAmounts({
+            codProducto: item.sku,
+            descrip: item.title,
+            cantidad,
+            price: parseFloat(item.price),
+            proporcion: item.quantity > 0 ? cantidad / item.quantity : 1,
+            taxable: item.taxable,
+            taxLines: item.tax_lines,
+            allocations: item.discount_allocations,
+            taxesIncluded
+        }));
+    }
+
+    // Lo reembolsado de cada despacho; lo que no indica despacho se descuenta en orden
+    const refundedShipping = new Map();
+    let unassignedShipping = 0;
+    for (const refund of orderData.refunds || []) {
+        for (const line of getRefundedShippingLines(refund)) {
+            if (line.shippingLineId) {
+                refundedShipping.set(line.shippingLineId, (refundedShipping.get(line.shippingLineId) || 0) + line.amount);
+            } else {
+                unassignedShipping += line.amount;
+            }
+        }
+    }
+
+    for (const shipping of orderData.shipping_lines || []) {
+        const monto = getShippingAmount(shipping);
+        let pendiente = monto - (refundedShipping.get(shipping.id?.toString()) || 0);
+        const descontado = Math.min(Math.max(pendiente, 0), unassignedShipping);
+        pendiente -= descontado;
+        unassignedShipping -= descontado;
+        if (pendiente < 0.5) {
+            continue;
+        }
+        items.push(calculateItemAmounts({
+            codProducto: 'DPCHO',
+            descrip: 'DESPACHO e-commerce',
+            cantidad: 1,
+            price: pendiente,
+            proporcion: pendiente / monto,
+            taxable: undefined,
+            taxLines: shipping.tax_lines,
+            allocations: [],
+            taxesIncluded
+        }));
+    }
+
+    return buildCreditAmounts(items);
+}
+
+/**
+ * Montos del reembolso: productos reembolsados (con el descuento y el IVA que tenían en la
+ * orden) y despacho
+ * @param {Object} refund - Reembolso de Shopify
+ * @param {Object} orderData - Orden de Shopify del reembolso
+ * @returns {Promise<Object>} { detalles, afecto, exento, iva, total }
+ */
+async function buildRefundDetails(refund, orderData) {
+    const taxesIncluded = orderData.taxes_included !== false;
+    const items = [];
+
+    for (const refundLine of refund.refund_line_items || []) {
+        if (!refundLine.quantity) {
+            continue;
+        }
+        const item = refundLine.line_item || {};
+        items.push(calculateItemAmounts({
+            codProducto: item.sku,
+            descrip: item.title,
+            cantidad: refundLine.quantity,
+            price: parseFloat(item.price || 0),
+            proporcion: item.quantity > 0 ? refundLine.quantity / item.quantity : 1,
+            taxable: item.taxable,
+            taxLines: item.tax_lines,
+            allocations: item.discount_allocations,
+            taxesIncluded,
+            tax: refundLine.total_tax !== undefined ? parseFloat(refundLine.total_tax || 0) : undefined
+        }));
+    }
+
+    const shippingLines = orderData.shipping_lines || [];
+    for (const line of getRefundedShippingLines(refund)) {
+        if (line.amount < 0.5) {
+            continue;
+        }
+        const shipping = shippingLines.find(candidate => candidate.id?.toString() === line.shippingLineId) || shippingLines[0] || {};
+        items.push(calculateItemAmounts({
+            codProducto: 'DPCHO',
+            descrip: 'DESPACHO e-commerce',
+            cantidad: 1,
+            price: line.amount,
+            proporcion: 1,
+            taxable: undefined,
+            taxLines: shipping.tax_lines,
+            allocations: [],
+            taxesIncluded,
+            tax: line.tax
+        }));
+    }
+
+    return buildCreditAmounts(items);
+}
+
+/**
+ * Armar el documento de crédito que referencia a la NV
+ *
+ * @param {Object} params
+ * @param {string} params.tipoDocumento - Tipo de documento
+ * @param {Object} params.nv - NV encontrada en Manager+
+ * @param {Object} params.amounts - Detalles y montos (ver buildCreditAmounts)
+ * @param {string} params.codigoRef - Código de referencia del SII (ver REFERENCE_CODES)
+ * @param {string} params.motivo - Texto de la glosa y razón de la referencia (p.ej. "Anula NV 123")
+ * @param {string} params.referencia - Referencia única al final de la glosa
+ * @returns {Promise<Object>} Documento para el endpoint de importación
+ */
+async function buildCreditDocument({ tipoDocumento, nv, amounts, codigoRef, motivo, referencia }) {
+    if (!nv.rut_cliente) {
+        throw new Error(`La NV ${nv.folio} no tiene RUT de cliente en Manager+`);
+    }
+
+    const fechaHoy = format(new Date(), "dd/MM/yyyy");
+
+    return {
+        rut_empresa: RUT_EMPRESA,
+        tipodocumento: tipoDocumento,
+        num_doc: "", // Lo asigna Manager+ (docnumreg=S)
+        fecha_doc: fechaHoy,
+        tipo_doc_ref: "NV",
+        num_doc_ref: `${nv.folio}`,
+        fecha_ref: nv.fecha_doc || "",
+        cod_ref: codigoRef,
+        razon_ref: motivo,
+        fecha_vcto: fechaHoy,
+        modalidad: "N",
+        cod_unidnegocio: "UNEG-001",
+        rut_cliente: nv.rut_cliente,
+        dire_cliente: nv.dire_cliente || 'Direccion Shopify',
+        rut_facturador: "",
+        cod_vendedor: ERP_USERNAME,
+        cod_comisionista: ERP_USERNAME,
+        lista_precio: await getOrderPriceListId(),
+        plazo_pago: "01",
+        cod_moneda: "CLP",
+        tasa_cambio: "1",
+        afecto: amounts.afecto.toString(),
+        exento: amounts.exento.toString(),
+        iva: amounts.iva.toString(),
+        imp_esp: "",
+        iva_ret: "",
+        imp_ret: "",
+        tipo_desc_global: "M",
+        monto_desc_global: "0",
+        total: amounts.total.toString(),
+        deuda_pendiente: "0",
+        glosa: buildGlosa(['Shopify', motivo], referencia),
+        ajuste_iva: "0",
+        detalles: amounts.detalles
+    };
+}
+
+/**
+ * Buscar la NV, armar el documento de crédito y crearlo (o simularlo)
+ *
+ * @param {Object} params
+ * @param {string} params.kind - cancellation | refund
+ * @param {string} params.orderId - ID de la orden de Shopify
+ * @param {Object} params.orderData - Orden de Shopify (para buscar la NV)
+ * @param {string} params.tipoDocumento - Tipo de documento de crédito
+ * @param {string} params.referencia - Referencia única del documento de crédito
+ * @param {Function} params.buildDetails - Función async que devuelve los detalles y montos
+ * @param {boolean} params.dryRun - Solo simular
+ * @returns {Promise<Object>} Resultado del procesamiento
+ */
+async function issueCreditDocument({ kind, orderId, orderData, tipoDocumento, referencia, buildDetails, dryRun }) {
+    const label = kind === 'cancellation' ? 'Cancelación' : 'Reembolso';
+
+    const nv = await findExistingOrderDocument(orderData);
+    if (!nv) {
+        console.log(`[SKIP] ${label} orden Shopify ${orderId}: No hay NV en Manager+ para la orden\n`);
+        return { success: true, skipped: true, reason: 'nv_not_found', orderId };
+    }
+
+    const existing = await findDocumentByReference(tipoDocumento, [referencia], orderData.created_at);
+    if (existing) {
+        console.log(`[SKIP] ${label} orden Shopify ${orderId}: Ya existe ${tipoDocumento} ${existing.folio} (${referencia})\n`);
+        return {
+            success: true,
+            skipped: true,
+            reason: 'credit_already_in_erp',
+            orderId,
+            folio: nv.folio,
+            credito: { tipodocumento: tipoDocumento, num_doc: `${existing.folio}` }
+        };
+    }
+
+    const amounts = await buildDetails();
+    if (amounts.detalles.length === 0) {
+        console.log(`[SKIP] ${label} orden Shopify ${orderId}: Nada que acreditar en la NV ${nv.folio}\n`);
+        return { success: true, skipped: true, reason: 'nothing_to_credit', orderId, folio: nv.folio };
+    }
+
+    const motivo = kind === 'cancellation' ? `Anula NV ${nv.folio}` : `Reembolso NV ${nv.folio}`;
+    const documento = await buildCreditDocument({
+        tipoDocumento,
+        nv,
+        amounts,
+        codigoRef: REFERENCE_CODES[kind],
+        motivo,
+        referencia
+    });
+
+    if (dryRun) {
+        console.log(`[DRY-RUN] ${label} orden Shopify ${orderId}: Se crearía ${tipoDocumento} por $${documento.total} (${amounts.detalles.length} línea(s)) referenciando la NV ${nv.folio}\n`);
+        return { success: true, dryRun: true, orderId, folio: nv.folio, documento };
+    }
+
+    // Sin reintentos: la numeración automática no es idempotente. Si falla, el reintento de la
+    // cola vuelve a buscar el documento por su referencia antes de crearlo
+    const responseData = await managerClient.createDocument(documento, { emitir: 'N', docnumreg: 'S', retry: false });
+
+    let numDoc = null;
+    try {
+        const created = await findDocumentByReference(tipoDocumento, [referencia]);
+        numDoc = created ? `${created.folio}` : null;
+    } catch (lookupError) {
+        console.warn(`   └─ No se pudo leer el folio asignado al ${tipoDocumento}: ${lookupError.message}`);
+    }
+    console.log(`[RESUMEN] ${label} orden Shopify ${orderId}: ✅ ${tipoDocumento} ${numDoc || '(folio asignado por Manager+)'} creada por $${documento.total} (NV ${nv.folio})\n`);
+
+    return {
+        success: true,
+        orderId,
+        folio: nv.folio,
+        credito: { tipodocumento: tipoDocumento, num_doc: numDoc, total: documento.total },
+        data: responseData
+    };
+}
+
+/**
+ * Validaciones comunes antes de procesar una cancelación o reembolso
+ * @param {string} label - Texto para el log
+ * @param {string} orderId - ID de la orden
+ * @returns {Object|null} Resultado a devolver si no se debe continuar
+ */
+function checkPreconditions(label, orderId) {
+    if (!orderId) {
+        console.error(`[ERROR] ${label}: No se encontró ID de orden en la notificación de Shopify`);
+        return { success: false, error: 'ID de orden no encontrado' };
+    }
+
+    if (!managerClient.isConfigured()) {
+        console.error(`[ERROR] ${label} orden ${orderId}: Variables de entorno del ERP incompletas`);
+        return { success: false, error: 'Configuración incompleta: Variables del ERP no definidas' };
+    }
+
+    if (!isCreateEnabled()) {
+        console.log(`[TESTING] ${label} orden ${orderId}: Creación DESACTIVADA - Solo recibiendo webhook`);
+        return { success: true, orderId, testing: true, message: 'Webhook recibido correctamente. Creación desactivada.' };
+    }
+
+    return null;
+}
+
+/**
+ * Procesar la cancelación de una orden (webhook orders/cancelled)
+ *
+ * @param {Object} orderData - Orden de Shopify del webhook
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Solo simular (default: ORDER_REVERSALS_DRY_RUN)
+ * @returns {Promise<Object>} Resultado del procesamiento
+ */
+async function processOrderCancellation(orderData, options = {}) {
+    const orderId = orderData.id?.toString() || '';
+    const dryRun = options.dryRun !== undefined ? options.dryRun : isDryRunDefault();
+
+    const stop = checkPreconditions('Cancelación', orderId);
+    if (stop) {
+        return stop;
+    }
+
+    console.log(`[PROCESO] Cancelación orden Shopify ${orderId}: Iniciando procesamiento${dryRun ? ' (dry-run)' : ''}...`);
+
+    try {
+        const orderDataComplete = orderData.line_items?.length > 0 ? orderData : await getShopifyOrder(orderId);
+
+        return await issueCreditDocument({
+            kind: 'cancellation',
+            orderId,
+            orderData: orderDataComplete,
+            tipoDocumento: CANCELLATION_DOC_TYPE,
+            referencia: `cancel-${orderId}`,
+            buildDetails: () => buildCancellationDetails(orderDataComplete),
+            dryRun
+        });
+    } catch (error) {
+        const errorMsg = serializeError(error.response?.data || error);
+        console.error(`[${getTimestamp()}] [ERROR] Cancelación orden Shopify ${orderId}: ${errorMsg}\n`);
+        return { success: false, error: errorMsg, orderId };
+    }
+}
+
+/**
+ * Procesar un reembolso (webhook refunds/create)
+ *
+ * @param {Object} refund - Reembolso de Shopify del webhook (id, order_id, refund_line_items, ...)
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Solo simular (default: ORDER_REVERSALS_DRY_RUN)
+ * @returns {Promise<Object>} Resultado del procesamiento
+ */
+async function processOrderRefund(refund, options = {}) {
+    const orderId = refund.order_id?.toString() || '';
+    const dryRun = options.dryRun !== undefined ? options.dryRun : isDryRunDefault();
+
+    const stop = checkPreconditions('Reembolso', orderId);
+    if (stop) {
+        return stop;
+    }
+
+    console.log(`[PROCESO] Reembolso ${refund.id} orden Shopify ${orderId}: Iniciando procesamiento${dryRun ? ' (dry-run)' : ''}...`);
+
+    try {
+        // El payload del reembolso no trae checkout_id ni created_at de la orden
+        const orderData = await getShopifyOrder(orderId);
+
+        return await issueCreditDocument({
+            kind: 'refund',
+            orderId,
+            orderData,
+            tipoDocumento: REFUND_DOC_TYPE,
+            referencia: `refund-${refund.id}`,
+            buildDetails: () => buildRefundDetails(refund, orderData),
+            dryRun
+        });
+    } catch (error) {
+        const errorMsg = serializeError(error.response?.data || error);
+        console.error(`[${getTimestamp()}] [ERROR] Reembolso ${refund.id} orden Shopify ${orderId}: ${errorMsg}\n`);
+        return { success: false, error: errorMsg, orderId };
+    }
+}
+
+module.exports = {
+    processOrderCancellation,
+    processOrderRefund,
+    buildCancellationDetails,
+    buildRefundDetails,
+    isDryRunDefault
+};
@@ -0,0 +1,213 @@
+/**
+ * Guardia de cambios de precio y aprobaciones pendientes
+ *
+ * Un cambio de precio cuya variación relativa o absoluta supera los umbrales
+ * configurados no se escribe en Shopify: queda retenido como aprobación pendiente
+ * hasta que alguien lo apruebe o rechace (ver rutas /api/prices/approvals en server.js).
+ *
+ * Variables de entorno:
+ * - PRICE_GUARD_MAX_CHANGE_PERCENT: variación relativa máxima en % (default: 50, 0 = sin límite)
+ * - PRICE_GUARD_MAX_CHANGE_AMOUNT:  variación absoluta máxima en pesos (default: 0 = sin límite)
+ * - PRICE_APPROVALS_FILE:           archivo JSON de aprobaciones (default: data/price-approvals.json)
+ *
+ * El archivo se relee en cada operación porque el scheduler y la API corren en
+ * procesos distintos y ambos lo modifican.
+ *
+ * Estados de una aprobación:
+ * - pending:    retenida, esperando decisión
+ * - approved:   aprobada y aplicada en Shopify
+ * - rejected:   rechazada; si Manager+ vuelve a proponer el mismo precio se sigue reteniendo sin crear otra
+ * - superseded: el precio de Manager+ cambió a un valor dentro de los umbrales antes de decidir
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+// Ruta por defecto del archivo de aprobaciones
+const DEFAULT_APPROVALS_FILE = path.join(__dirname, 'data', 'price-approvals.json');
+
+/**
+ * Leer los umbrales configurados
+ * @returns {{maxChangePercent: number, maxChangeAmount: number}}
+ */
+function getGuardThresholds() {
+    const percent = process.env.PRICE_GUARD_MAX_CHANGE_PERCENT;
+    const amount = process.env.PRICE_GUARD_MAX_CHANGE_AMOUNT;
+    return {
+        maxChangePercent: percent !== undefined && percent !== '' ? parseFloat(percent) : 50,
+        maxChangeAmount: amount !== undefined && amount !== '' ? parseFloat(amount) : 0
+    };
+}
+
+/**
+ * Evaluar si un cambio de precio debe retenerse
+ *
+ * @param {number} currentPrice - Precio actual en Shopify
+ * @param {number} newPrice - Precio propuesto
+ * @param {Object} thresholds - Ver getGuardThresholds() (opcional)
+ * @returns {{hold: boolean, reason: string|null, changePercent: number|null, changeAmount: number}}
+ */
+function evaluatePriceChange(currentPrice, newPrice, thresholds = getGuardThresholds()) {
+    const changeAmount = Math.round((newPrice - currentPrice) * 100) / 100;
+    // Sin precio actual (producto nuevo o en 0) la variación relativa no tiene sentido
+    const changePercent = currentPrice > 0
+        ? Math.round(((newPrice - currentPrice) / currentPrice) * 10000) / 100
+        : null;
+
+    const reasons = [];
+    if (thresholds.maxChangePercent > 0 && changePercent !== null && Math.abs(changePercent) > thresholds.maxChangePercent) {
+        reasons.push(`variación de ${changePercent}% supera el máximo de ${thresholds.maxChangePercent}%`);
+    }
+    if (thresholds.maxChangeAmount > 0 && Math.abs(changeAmount) > thresholds.maxChangeAmount) {
+        reasons.push(`variación de $${changeAmount} supera el máximo de $${thresholds.maxChangeAmount}`);
+    }
+
+    return {
+        hold: reasons.length > 0,
+        reason: reasons.length > 0 ? reasons.join('; ') : null,
+        changePercent,
+        changeAmount
+    };
+}
+
+/**
+ * Almacenamiento de aprobaciones en un archivo JSON (una entrada por SKU)
+ */
+class PriceApprovalStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.filePath - Ruta del archivo JSON
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.PRICE_APPROVALS_FILE || DEFAULT_APPROVALS_FILE;
+    }
+
+    /**
+     * Leer todas las aprobaciones del archivo
+     * @returns {Map<string, Object>} Mapa SKU -> aprobación
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return new Map();
+        }
+        try {
+            const entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            return new Map((Array.isArray(entries) ? entries : []).map(entry => [entry.sku, entry]));
+        } catch (error) {
+            console.warn(`⚠️  No se pudo leer ${this.filePath}: ${error.message}`);
+            return new Map();
+        }
+    }
+
+    /**
+     * Guardar todas las aprobaciones (archivo temporal + rename para que sea atómico)
+     * @param {Map<string, Object>} approvals - Mapa SKU -> aprobación
+     */
+    save(approvals) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(Array.from(approvals.values()), null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    /**
+     * Listar aprobaciones, las más recientes primero
+     * @param {Object} options
+     * @param {string} options.status - Filtrar por estado (opcional)
+     * @param {number} options.limit - Máximo de resultados (default: 100)
+     * @returns {Array<Object>}
+     */
+    list(options = {}) {
+        const { status, limit = 100 } = options;
+        return Array.from(this.load().values())
+            .filter(entry => !status || entry.status === status)
+            .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))
+            .slice(0, limit);
+    }
+
+    /**
+     * Obtener la aprobación de un SKU
+     * @param {string} sku - SKU normalizado
+     * @returns {Object|null}
+     */
+    get(sku) {
+        return this.load().get(sku) || null;
+    }
+
+    /**
+     * Retener un cambio de precio
+     *
+     * Si el SKU ya tiene una aprobación pendiente se actualiza la propuesta. Si el mismo
+     * precio ya fue rechazado, no se crea una nueva aprobación.
+     *
+     * @param {Object} change - { sku, productId, variantId, shopifyPrice, newPrice, newCompareAtPrice, reason, ... }
+     * @returns {{entry: Object, previouslyRejected: boolean}}
+     */
+    hold(change) {
+        const approvals = this.load();
+        const existing = approvals.get(change.sku);
+        const now = new Date().toISOString();
+
+        if (existing && existing.status === 'rejected' && existing.newPrice === change.newPrice) {
+            return { entry: existing, previouslyRejected: true };
+        }
+
+        const entry = {
+            ...change,
+            status: 'pending',
+            createdAt: existing && existing.status === 'pending' ? existing.createdAt : now,
+            updatedAt: now
+        };
+        approvals.set(change.sku, entry);
+        this.save(approvals);
+        return { entry, previouslyRejected: false };
+    }
+
+    /**
+     * Cambiar el estado de una aprobación
+     * @param {string} sku - SKU normalizado
+     * @param {string} status - approved | rejected | superseded
+     * @param {Object} extra - Campos adicionales (resolvedBy, note, applyResult, ...)
+     * @returns {Object|null} Aprobación actualizada o null si no existe
+     */
+    resolve(sku, status, extra = {}) {
+        const approvals = this.load();
+        const existing = approvals.get(sku);
+        if (!existing) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const entry = { ...existing, ...extra, status, updatedAt: now, resolvedAt: now };
+        approvals.set(sku, entry);
+        this.save(approvals);
+        return entry;
+    }
+
+    /**
+     * Marcar como superada la aprobación pendiente de un SKU (si la hay)
+     * @param {string} sku - SKU normalizado
+     * @param {string} note - Motivo
+     * @returns {boolean} true si había una aprobación pendiente
+     */
+    supersede(sku, note) {
+        const existing = this.get(sku);
+        if (!existing || existing.status !== 'pending') {
+            return false;
+        }
+        this.resolve(sku, 'superseded', { note });
+        return true;
+    }
+}
+
+// Instancia compartida
+const priceApprovalStore = new PriceApprovalStore();
+
+module.exports = {
+    PriceApprovalStore,
+    priceApprovalStore,
+    getGuardThresholds,
+    evaluatePriceChange,
+    DEFAULT_APPROVALS_FILE
+};
@@ -0,0 +1,209 @@
+/**
+ * Configuración de listas de precios de Manager+
+ *
+ * Define qué listas se usan en la sincronización de precios y en la creación
+ * de clientes/notas de venta, en vez de tener la lista 652 fija en el código.
+ *
+ * Cada lista se indica por ID ("652") o por nombre ("Lista Web"). La configuración
+ * se lee de un archivo JSON (PRICE_LIST_CONFIG_FILE) o, si no existe, de variables de entorno:
+ * - PRICE_LIST_CHAIN:      listas separadas por coma, en orden de prioridad (default: 652).
+ *                          Para cada SKU se usa la primera lista que tenga precio.
+ * - PRICE_LIST_ORDER:      lista asignada a clientes y notas de venta (default: primera de la cadena)
+ * - PRICE_SYNC_SALE_LIST:  lista de oferta para compare_at_price (opcional)
+ *
+ * Formato del archivo JSON:
+ * {
+ *   "chain": ["652", { "name": "Lista Web" }],
+ *   "order": "652",
+ *   "sale": { "name": "Oferta" }
+ * }
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { managerClient } = require('./managerClient');
+
+// Lista histórica usada antes de que esto fuera configurable
+const DEFAULT_PRICE_LIST = '652';
+
+// Caché de la configuración y del ID resuelto para órdenes
+let configCache = null;
+let orderPriceListIdCache = null;
+
+/**
+ * Normalizar una entrada de lista: un número se toma como ID y cualquier otro texto como nombre
+ * @param {string|number|Object} value - "652", 652, "Lista Web", { id } o { name }
+ * @returns {{id: string|null, name: string|null}|null} Entrada normalizada
+ */
+function parseListEntry(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    if (typeof value === 'object') {
+        const id = value.id !== undefined && value.id !== null ? value.id.toString().trim() : null;
+        const name = value.name ? value.name.toString().trim() : null;
+        return id || name ? { id: id || null, name: name || null } : null;
+    }
+
+    const text = value.toString().trim();
+    if (!text) {
+        return null;
+    }
+    return /^\d+$/.test(text) ? { id: text, name: null } : { id: null, name: text };
+}
+
+/**
+ * Separar una lista de entradas escrita en una variable de entorno ("652, Lista Web")
+ * @param {string} value - Valor de la variable
+ * @returns {Array<Object>} Entradas normalizadas
+ */
+function parseListChain(value) {
+    return (value || '')
+        .split(',')
+        .map(parseListEntry)
+        .filter(Boolean);
+}
+
+/**
+ * Cargar la configuración de listas de precios (archivo JSON o variables de entorno)
+ * @returns {{chain: Array<Object>, order: Object, sale: Object|null, source: string}}
+ */
+function loadPriceListConfig() {
+    if (configCache) {
+        return configCache;
+    }
+
+    let raw = null;
+    let source = 'env';
+    const configFile = process.env.PRICE_LIST_CONFIG_FILE;
+    if (configFile) {
+        const filePath = path.resolve(__dirname, configFile);
+        try {
+            raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            source = filePath;
+        } catch (error) {
+            throw new Error(`No se pudo leer PRICE_LIST_CONFIG_FILE (${filePath}): ${error.message}`);
+        }
+    }
+
+    let chain;
+    let order;
+    let sale;
+    if (raw) {
+        chain = (Array.isArray(raw.chain) ? raw.chain : [raw.chain]).map(parseListEntry).filter(Boolean);
+        order = parseListEntry(raw.order);
+        sale = parseListEntry(raw.sale);
+    } else {
+        chain = parseListChain(process.env.PRICE_LIST_CHAIN);
+        order = parseListEntry(process.env.PRICE_LIST_ORDER);
+        sale = parseListEntry(process.env.PRICE_SYNC_SALE_LIST);
+    }
+
+    if (chain.length === 0) {
+        chain = [{ id: DEFAULT_PRICE_LIST, name: null }];
+        if (source === 'env' && !process.env.PRICE_LIST_CHAIN) {
+            source = 'default';
+        }
+    }
+
+    configCache = {
+        chain,
+        order: order || chain[0],
+        sale: sale || null,
+        source
+    };
+    return configCache;
+}
+
+/**
+ * Texto legible de una entrada de lista para logs y mensajes
+ * @param {Object} entry - Entrada normalizada
+ * @returns {string}
+ */
+function describeListEntry(entry) {
+    if (!entry) {
+        return 'sin lista';
+    }
+    return entry.id ? entry.id : `"${entry.name}"`;
+}
+
+/**
+ * Texto legible de la cadena de listas configurada ("652 → \"Lista Web\"")
+ * @returns {string}
+ */
+function describePriceListChain() {
+    return loadPriceListConfig().chain.map(describeListEntry).join(' → ');
+}
+
+/**
+ * Buscar una lista de Manager+ que corresponda a la entrada configurada
+ *
+ * Por ID se busca coincidencia exacta y, si no hay, una lista cuyo nombre contenga el ID
+ * (así se encontraba la lista 652 antes). Por nombre la coincidencia es exacta, sin
+ * distinguir mayúsculas.
+ *
+ * @param {Object} entry - Entrada normalizada
+ * @param {Array<{id: string, name: string}>} lists - Listas disponibles en Manager+
+ * @returns {{id: string, name: string}|null} Lista encontrada
+ */
+function matchPriceList(entry, lists) {
+    if (!entry || !Array.isArray(lists)) {
+        return null;
+    }
+
+    if (entry.id) {
+        return lists.find(list => list.id === entry.id) ||
+            lists.find(list => list.name && list.name.includes(entry.id)) ||
+            null;
+    }
+
+    const wanted = entry.name.toLowerCase();
+    return lists.find(list => list.name && list.name.trim().toLowerCase() === wanted) || null;
+}
+
+/**
+ * Obtener el ID de lista de precios para clientes y notas de venta
+ *
+ * Si la lista se configuró por ID se usa directamente; si fue por nombre se consulta
+ * Manager+ una vez y el resultado queda en caché.
+ *
+ * @returns {Promise<string>} ID de la lista
+ */
+async function getOrderPriceListId() {
+    if (orderPriceListIdCache) {
+        return orderPriceListIdCache;
+    }
+
+    const { order } = loadPriceListConfig();
+    if (order.id) {
+        orderPriceListIdCache = order.id;
+        return orderPriceListIdCache;
+    }
+
+    const body = await managerClient.getPriceLists({ withDetails: false });
+    const data = body?.data || body;
+    const lists = (Array.isArray(data) ? data : []).map(lista => ({
+        id: lista.id?.toString() || '',
+        name: lista.listName || lista.nombre || ''
+    }));
+
+    const match = matchPriceList(order, lists);
+    if (!match) {
+        throw new Error(`Lista de precios ${describeListEntry(order)} no encontrada en Manager+ (PRICE_LIST_ORDER)`);
+    }
+
+    orderPriceListIdCache = match.id;
+    return orderPriceListIdCache;
+}
+
+module.exports = {
+    DEFAULT_PRICE_LIST,
+    loadPriceListConfig,
+    parseListEntry,
+    describeListEntry,
+    describePriceListChain,
+    matchPriceList,
+    getOrderPriceListId
+};
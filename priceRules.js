@@ -0,0 +1,246 @@
+/**
+ * Reglas de transformación de precios Manager+ → Shopify
+ *
+ * El precio de lista de Manager+ se transforma antes de compararlo con Shopify:
+ * recargo (markup), IVA y redondeo psicológico (ej: terminar en 990).
+ *
+ * Las reglas se leen de un archivo JSON (PRICE_RULES_FILE) y se evalúan en orden:
+ * se aplica la primera regla cuyo "match" coincida con el SKU. Sin archivo, los
+ * precios se copian tal cual (redondeados a 2 decimales).
+ *
+ * Formato:
+ * {
+ *   "rules": [
+ *     {
+ *       "name": "Herramientas",
+ *       "match": { "skuPrefix": ["HER-", "TOOL"], "family": "HERRAMIENTAS", "productType": "Taladros", "tag": "importado" },
+ *       "markupPercent": 15,
+ *       "iva": true,
+ *       "rounding": { "mode": "ending", "ending": 990, "direction": "up" }
+ *     },
+ *     { "name": "General", "match": {}, "iva": true, "rounding": { "mode": "integer" } }
+ *   ]
+ * }
+ *
+ * Criterios de "match" (todos los indicados deben cumplirse; un array significa "cualquiera de"):
+ * - skuPrefix:   prefijo del SKU
+ * - family:      familia del producto en Manager+ (código o descripción)
+ * - productType: product_type de Shopify
+ * - tag:         tag del producto en Shopify
+ *
+ * Redondeo ("rounding"):
+ * - { "mode": "integer" }                     Al peso más cercano
+ * - { "mode": "multiple", "step": 10 }        Al múltiplo de step
+ * - { "mode": "ending", "ending": 990 }       Que termine en 990 (ej: 12.340 → 12.990)
+ * "direction" puede ser "up" (default), "down" o "nearest".
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+// Tasa de IVA en Chile
+const DEFAULT_IVA_RATE = 0.19;
+
+// Caché de reglas cargadas
+let rulesCache = null;
+
+/**
+ * Normalizar un criterio a array de strings en minúsculas
+ * @param {string|Array<string>} value - Valor del criterio
+ * @returns {Array<string>|null} null si el criterio no se indicó
+ */
+function toMatchList(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    const list = (Array.isArray(value) ? value : [value])
+        .map(item => item.toString().trim().toLowerCase())
+        .filter(Boolean);
+    return list.length > 0 ? list : null;
+}
+
+/**
+ * Validar y normalizar una regla del archivo
+ * @param {Object} rule - Regla tal como viene en el JSON
+ * @param {number} index - Posición en el archivo (para nombre por defecto y errores)
+ * @returns {Object} Regla normalizada
+ */
+function normalizeRule(rule, index) {
+    const match = rule.match || {};
+    const rounding = rule.rounding || null;
+
+    if (rounding && !['integer', 'multiple', 'ending'].includes(rounding.mode)) {
+        throw new Error(`Regla ${index + 1}: modo de redondeo no soportado "${rounding.mode}"`);
+    }
+    if (rounding?.mode === 'multiple' && !(rounding.step > 0)) {
+        throw new Error(`Regla ${index + 1}: el redondeo "multiple" requiere step > 0`);
+    }
+    if (rounding?.mode === 'ending' && !(rounding.ending >= 0)) {
+        throw new Error(`Regla ${index + 1}: el redondeo "ending" requiere ending >= 0`);
+    }
+
+    return {
+        name: rule.name || `Regla ${index + 1}`,
+        match: {
+            skuPrefix: toMatchList(match.skuPrefix),
+            family: toMatchList(match.family),
+            productType: toMatchList(match.productType),
+            tag: toMatchList(match.tag)
+        },
+        markupPercent: parseFloat(rule.markupPercent) || 0,
+        iva: rule.iva === true,
+        ivaRate: rule.ivaRate !== undefined ? parseFloat(rule.ivaRate) : DEFAULT_IVA_RATE,
+        rounding
+    };
+}
+
+/**
+ * Cargar las reglas configuradas (PRICE_RULES_FILE)
+ * @returns {Array<Object>} Reglas normalizadas (vacío si no hay archivo)
+ */
+function loadPriceRules() {
+    if (rulesCache) {
+        return rulesCache;
+    }
+
+    const rulesFile = process.env.PRICE_RULES_FILE;
+    if (!rulesFile) {
+        rulesCache = [];
+        return rulesCache;
+    }
+
+    const filePath = path.resolve(__dirname, rulesFile);
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`No se pudo leer PRICE_RULES_FILE (${filePath}): ${error.message}`);
+    }
+
+    const rules = Array.isArray(raw) ? raw : raw.rules;
+    if (!Array.isArray(rules)) {
+        throw new Error(`PRICE_RULES_FILE (${filePath}) debe contener un array "rules"`);
+    }
+
+    rulesCache = rules.map(normalizeRule);
+    return rulesCache;
+}
+
+/**
+ * Indica si alguna regla necesita la familia de Manager+ (para cargarla solo si hace falta)
+ * @returns {boolean}
+ */
+function rulesUseFamily() {
+    return loadPriceRules().some(rule => rule.match.family);
+}
+
+/**
+ * Verificar si una regla coincide con el contexto de un SKU
+ * @param {Object} rule - Regla normalizada
+ * @param {Object} context - { sku, family, productType, tags }
+ * @returns {boolean}
+ */
+function ruleMatches(rule, context) {
+    const { skuPrefix, family, productType, tag } = rule.match;
+    const sku = (context.sku || '').toString().trim().toLowerCase();
+
+    if (skuPrefix && !skuPrefix.some(prefix => sku.startsWith(prefix))) {
+        return false;
+    }
+    if (family) {
+        const families = (context.family || []).map(value => value.toString().trim().toLowerCase());
+        if (!family.some(value => families.includes(value))) {
+            return false;
+        }
+    }
+    if (productType && !productType.includes((context.productType || '').trim().toLowerCase())) {
+        return false;
+    }
+    if (tag) {
+        const tags = (context.tags || []).map(value => value.trim().toLowerCase());
+        if (!tag.some(value => tags.includes(value))) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Buscar la primera regla que coincide con el SKU
+ * @param {Object} context - { sku, family, productType, tags }
+ * @returns {Object|null} Regla o null si ninguna coincide
+ */
+function findPriceRule(context) {
+    return loadPriceRules().find(rule => ruleMatches(rule, context)) || null;
+}
+
+/**
+ * Redondear un valor según la dirección indicada
+ * @param {number} value - Valor a redondear (en unidades de "step")
+ * @param {string} direction - up | down | nearest
+ * @returns {number}
+ */
+function roundByDirection(value, direction) {
+    if (direction === 'down') return Math.floor(value);
+    if (direction === 'nearest') return Math.round(value);
+    return Math.ceil(value);
+}
+
+/**
+ * Aplicar el redondeo de una regla
+ * @param {number} price - Precio
+ * @param {Object} rounding - Configuración de redondeo
+ * @returns {number}
+ */
+function applyRounding(price, rounding) {
+    if (!rounding) {
+        return Math.round(price * 100) / 100;
+    }
+
+    const direction = rounding.direction || (rounding.mode === 'integer' ? 'nearest' : 'up');
+
+    if (rounding.mode === 'integer') {
+        return roundByDirection(price, direction);
+    }
+
+    if (rounding.mode === 'multiple') {
+        return roundByDirection(price / rounding.step, direction) * rounding.step;
+    }
+
+    // ending: el paso es la potencia de 10 que cubre la terminación (990 → 1000, 90 → 100)
+    const ending = Math.round(rounding.ending);
+    const step = Math.pow(10, Math.max(1, ending.toString().length));
+    const rounded = roundByDirection((price - ending) / step, direction) * step + ending;
+    return rounded > 0 ? rounded : ending;
+}
+
+/**
+ * Aplicar una regla a un precio: recargo, IVA y redondeo (en ese orden)
+ * @param {number} price - Precio de lista de Manager+
+ * @param {Object|null} rule - Regla (null = sin transformación)
+ * @returns {number} Precio transformado
+ */
+function applyPriceRule(price, rule) {
+    if (!rule) {
+        return Math.round(price * 100) / 100;
+    }
+
+    let result = price;
+    if (rule.markupPercent) {
+        result = result * (1 + rule.markupPercent / 100);
+    }
+    if (rule.iva) {
+        result = result * (1 + rule.ivaRate);
+    }
+    return applyRounding(result, rule.rounding);
+}
+
+module.exports = {
+    DEFAULT_IVA_RATE,
+    loadPriceRules,
+    rulesUseFamily,
+    findPriceRule,
+    applyPriceRule,
+    applyRounding
+};
@@ -8,7 +8,6 @@
 // Importaciones necesarias
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 
 // Configuración de Express
@@ -17,72 +16,15 @@ const PORT = process.env.PORT || 3000;
 
 // Middlewares
 app.use(cors()); // Permite peticiones desde cualquier origen
-app.use(express.json()); // Permite parsear JSON en las peticiones
-
-// Variables de entorno del ERP
-const ERP_BASE_URL = process.env.ERP_BASE_URL;
-const ERP_USERNAME = process.env.ERP_USERNAME;
-const ERP_PASSWORD = process.env.ERP_PASSWORD;
-const RUT_EMPRESA = process.env.RUT_EMPRESA;
-
-// Variable para almacenar el token de autenticación en memoria
-let authToken = null;
-let tokenExpirationTime = null;
-
-/**
- * Función para autenticarse con el ERP Manager+
- * 
- * Realiza una petición POST al endpoint de autenticación del ERP
- * y almacena el token recibido en memoria.
- * 
- * @returns {Promise<string>} El token de autenticación
- */
-async function authenticateWithERP() {
-    try {
-        console.log('🔐 Autenticando con el ERP Manager+...');
-
-        const response = await axios.post(`${ERP_BASE_URL}/auth/`, {
-            username: ERP_USERNAME,
-            password: ERP_PASSWORD
-        }, {
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        });
-
-        // Extraer el token de la respuesta
-        authToken = response.data.auth_token;
-
-        // Establecer tiempo de expiración (asumiendo 1 hora de validez)
-        // Ajusta este valor según la documentación del ERP
-        tokenExpirationTime = Date.now() + (60 * 60 * 1000); // 1 hora
-
-        console.log('✅ Autenticación exitosa');
-        return authToken;
-
-    } catch (error) {
-        console.error('❌ Error en la autenticación:', error.response?.data || error.message);
-        throw new Error('Error al autenticarse con el ERP: ' + (error.response?.data?.message || error.message));
+app.use(express.json({
+    // Guardar el body crudo: la firma HMAC de Shopify se calcula sobre los bytes originales
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
     }
-}
+})); // Permite parsear JSON en las peticiones
 
-/**
- * Función para obtener el token de autenticación
- * 
- * Verifica si el token actual es válido, si no lo es o no existe,
- * realiza una nueva autenticación.
- * 
- * @returns {Promise<string>} El token de autenticación válido
- */
-async function getAuthToken() {
-    // Verificar si el token existe y no ha expirado
-    if (authToken && tokenExpirationTime && Date.now() < tokenExpirationTime) {
-        return authToken;
-    }
-
-    // Si no hay token o ha expirado, autenticarse nuevamente
-    return await authenticateWithERP();
-}
+// Cliente compartido del ERP (autenticación, rate limit y reintentos)
+const { managerClient } = require('./managerClient');
 
 /**
  * Endpoint para consultar productos del ERP
@@ -100,34 +42,17 @@ app.get('/api/local/productos/:sku?', async (req, res) => {
     try {
         const codProducto = req.params.sku;
 
-        // Obtener el token de autenticación válido
-        const token = await getAuthToken();
-
-        // Construir la URL según si se proporciona un código de producto o no
-        let url;
-        if (codProducto) {
-            // Consultar un producto específico
-            url = `${ERP_BASE_URL}/products/${RUT_EMPRESA}/${codProducto}/`;
-        } else {
-            // Si no se proporciona código, intentar consultar la lista general
-            // Nota: Ajusta esta URL según la documentación real del ERP
-            url = `${ERP_BASE_URL}/products/${RUT_EMPRESA}/`;
-        }
-
-        console.log(`📦 Consultando productos desde: ${url}`);
+        // Consultar un producto específico o, sin código, la lista general
+        console.log(`📦 Consultando productos${codProducto ? ` (SKU ${codProducto})` : ''} desde el ERP`);
 
-        // Realizar la petición al ERP con el token de autorización
-        const response = await axios.get(url, {
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Token ${token}`
-            }
-        });
+        const data = codProducto
+            ? await managerClient.getProduct(codProducto)
+            : await managerClient.listProducts();
 
         // Retornar los datos recibidos del ERP
         res.json({
             success: true,
-            data: response.data,
+            data,
             message: codProducto ? `Producto ${codProducto} consultado exitosamente` : 'Lista de productos consultada exitosamente'
         });
 
@@ -157,17 +82,32 @@ app.get('/api/local/productos/:sku?', async (req, res) => {
  * - sku (query, opcional): SKU específico a sincronizar
  * - all (query, opcional): Sincronizar todos los productos
  * - dryRun (query, opcional): Simular sin hacer cambios reales
+ * - batch (query, opcional): Escribir en lotes vía GraphQL inventorySetQuantities
  * 
  * Body (POST, opcional):
  * - skus: Array de SKUs a sincronizar
  * - dryRun: Boolean para simular sin cambios
+ * - batch: Boolean para escribir en lotes
  */
-const { syncProductStock, syncMultipleProducts, syncAllProducts } = require('./syncStocks');
+const { syncProductStock } = require('./syncStocks');
 const { processOrderNotification, getLastWebhook, clearLastWebhook, reprocessLastWebhook } = require('./createClientAndOrderShopify');
+const { processOrderCancellation, processOrderRefund, isDryRunDefault: isReversalDryRun } = require('./orderReversals');
+const { processOrderUpdate, resolveOrderReview } = require('./orderEdits');
+const { orderDocumentStore } = require('./orderDocuments');
 const { WebhookQueue, getTimestamp } = require('./webhookQueue');
+const { createQueueStore } = require('./webhookQueueStore');
+const { createShopifyWebhookVerifier, getWebhookSecrets, isVerificationDisabled: isWebhookVerificationDisabled } = require('./shopifyWebhookAuth');
+const { syncProductPrice, approvePriceChange, rejectPriceChange } = require('./syncPricesShopify');
+const { priceApprovalStore } = require('./priceApprovals');
+const { stockRulesStore, validateStockRules } = require('./stockRules');
+const { syncHistoryStore } = require('./syncHistory');
+const { syncJobManager } = require('./syncJobs');
+const { folioAllocator } = require('./folioAllocator');
 
 // Crear instancia de la cola de webhooks
+// La cola y el cache se persisten en data/webhook-queue.jsonl para sobrevivir reinicios
 const webhookQueue = new WebhookQueue({
+    store: createQueueStore(),
     cacheTTL: 24 * 60 * 60 * 1000,     // 24 horas
     minRequestDelay: 1500,              // 1.5 segundos entre peticiones
     maxRetries: 5,                      // 5 reintentos máximo
@@ -179,31 +119,131 @@ webhookQueue.setProcessor(async (webhookData, topic, shop) => {
     // Solo procesar eventos de órdenes
     if (topic === 'orders/create' || topic === 'orders/paid' || topic === 'orders/fulfilled') {
         return await processOrderNotification(webhookData);
+    } else if (topic === 'orders/cancelled') {
+        return await processOrderCancellation(webhookData);
+    } else if (topic === 'refunds/create') {
+        return await processOrderRefund(webhookData);
+    } else if (topic === 'orders/updated' || topic === 'orders/edited') {
+        return await processOrderUpdate(webhookData, topic);
     } else {
         console.log(`[${getTimestamp()}] [WEBHOOK] Evento ${topic} no procesado`);
         return { success: true, skipped: true, reason: 'event_not_handled' };
     }
 });
 
-app.post('/api/sync/stocks', async (req, res) => {
+// Reanudar webhooks que quedaron pendientes antes del último reinicio
+webhookQueue.resumePending();
+
+// Verificación de firma HMAC de los webhooks (X-Shopify-Hmac-Sha256)
+const verifyShopifyWebhook = createShopifyWebhookVerifier({
+    onRejected: (req, reason) => webhookQueue.recordRejection(reason, req.headers['x-shopify-shop-domain'])
+});
+
+/**
+ * Responder al lanzamiento de un trabajo de sincronización
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} started - Resultado de syncJobManager.start()
+ */
+function respondSyncJobStarted(res, started) {
+    if (!started.success) {
+        return res.status(started.reason === 'already_running' ? 409 : 400).json({
+            success: false,
+            error: started.error,
+            job: started.job
+        });
+    }
+
+    res.status(202).json({
+        success: true,
+        jobId: started.job.id,
+        statusUrl: `/api/sync/jobs/${started.job.id}`,
+        job: started.job
+    });
+}
+
+/**
+ * Lanzar un trabajo a partir del body de POST /api/sync/{stocks,prices,all}
+ * @param {string} type - stocks | prices | all
+ * @param {Object} req - Petición de Express
+ * @param {Object} res - Respuesta de Express
+ */
+function startSyncJobFromBody(type, req, res) {
+    const { skus, all, dryRun = false, force = false, batch = false } = req.body || {};
+
+    if (all !== true && (!skus || !Array.isArray(skus) || skus.length === 0)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Se requiere un array de SKUs en el body (o "all": true)'
+        });
+    }
+
+    respondSyncJobStarted(res, syncJobManager.start(type, {
+        skus: all === true ? null : skus,
+        dryRun: dryRun === true,
+        force: force === true,
+        batch: batch === true
+    }));
+}
+
+/**
+ * Endpoint para sincronizar stocks en segundo plano
+ * 
+ * POST /api/sync/stocks
+ * 
+ * Body:
+ * - skus: Array de SKUs (o all: true para todos los productos)
+ * - dryRun (opcional): Simular sin escribir en Shopify
+ * - force (opcional): Escribir aunque el stock ya coincida
+ * - batch (opcional): Escrituras agrupadas vía GraphQL
+ * 
+ * Responde 202 con el jobId; el avance se consulta en GET /api/sync/jobs/:id
+ */
+app.post('/api/sync/stocks', (req, res) => {
+    startSyncJobFromBody('stocks', req, res);
+});
+
+/**
+ * Endpoint para sincronizar stocks por query string
+ * 
+ * GET /api/sync/stocks?sku=ABC123   (sincrónico, un solo SKU)
+ * GET /api/sync/stocks?all=true     (lanza un trabajo en segundo plano, responde 202 con el jobId)
+ * 
+ * Query params:
+ * - dryRun (opcional): Simular sin escribir en Shopify
+ * - force (opcional): Escribir aunque el stock ya coincida
+ * - batch (opcional): Escrituras agrupadas vía GraphQL (solo all=true)
+ */
+app.get('/api/sync/stocks', async (req, res) => {
     try {
-        const { skus, dryRun = false } = req.body;
+        const { sku, all, dryRun, force, batch } = req.query;
+        const isDryRun = dryRun === 'true' || dryRun === true;
+        const isForce = force === 'true' || force === true;
+        const isBatch = batch === 'true' || batch === true;
 
-        if (!skus || !Array.isArray(skus) || skus.length === 0) {
-            return res.status(400).json({
+        if (all === 'true' || all === true) {
+            // Sincronizar todos los productos en segundo plano
+            respondSyncJobStarted(res, syncJobManager.start('stocks', { dryRun: isDryRun, force: isForce, batch: isBatch }));
+        } else if (sku) {
+            // Sincronizar un producto específico
+            const result = await syncProductStock(sku, { dryRun: isDryRun, forceUpdate: isForce });
+            const run = syncHistoryStore.recordRun('stocks', {
+                mode: 'sku',
+                trigger: 'api',
+                options: { dryRun: isDryRun, forceUpdate: isForce }
+            }, [result]);
+            res.json({
+                success: result.success,
+                dryRun: isDryRun,
+                runId: run.id,
+                result
+            });
+        } else {
+            res.status(400).json({
                 success: false,
-                error: 'Se requiere un array de SKUs en el body'
+                error: 'Se requiere el parámetro "sku" o "all=true"'
             });
         }
 
-        const results = await syncMultipleProducts(skus, { dryRun });
-
-        res.json({
-            success: true,
-            dryRun,
-            results
-        });
-
     } catch (error) {
         console.error('❌ Error en sincronización:', error.message);
         res.status(500).json({
@@ -213,36 +253,358 @@ app.post('/api/sync/stocks', async (req, res) => {
     }
 });
 
-app.get('/api/sync/stocks', async (req, res) => {
+/**
+ * Endpoint para sincronizar precios en segundo plano
+ * 
+ * POST /api/sync/prices
+ * 
+ * Body:
+ * - skus: Array de SKUs (o all: true para todos los productos)
+ * - dryRun (opcional): Simular sin escribir en Shopify
+ * - force (opcional): Escribir aunque el precio ya coincida
+ * - batch (opcional): Escrituras agrupadas vía GraphQL
+ * 
+ * Responde 202 con el jobId; el avance se consulta en GET /api/sync/jobs/:id
+ */
+app.post('/api/sync/prices', (req, res) => {
+    startSyncJobFromBody('prices', req, res);
+});
+
+/**
+ * Endpoint para sincronizar precios por query string
+ * 
+ * GET /api/sync/prices?sku=ABC123   (sincrónico, un solo SKU)
+ * GET /api/sync/prices?all=true     (lanza un trabajo en segundo plano, responde 202 con el jobId)
+ * 
+ * Query params:
+ * - dryRun (opcional): Simular sin escribir en Shopify
+ * - force (opcional): Escribir aunque el precio ya coincida
+ * - batch (opcional): Escrituras agrupadas vía GraphQL (solo all=true)
+ */
+app.get('/api/sync/prices', async (req, res) => {
     try {
-        const { sku, all, dryRun } = req.query;
+        const { sku, all, dryRun, force, batch } = req.query;
         const isDryRun = dryRun === 'true' || dryRun === true;
+        const isForce = force === 'true' || force === true;
+        const isBatch = batch === 'true' || batch === true;
 
         if (all === 'true' || all === true) {
-            // Sincronizar todos los productos
-            const results = await syncAllProducts({ dryRun: isDryRun });
-            res.json({
-                success: true,
-                dryRun: isDryRun,
-                results
-            });
+            // Sincronizar todos los productos en segundo plano
+            respondSyncJobStarted(res, syncJobManager.start('prices', { dryRun: isDryRun, force: isForce, batch: isBatch }));
         } else if (sku) {
             // Sincronizar un producto específico
-            const result = await syncProductStock(sku, { dryRun: isDryRun });
+            const result = await syncProductPrice(sku, { dryRun: isDryRun, forceUpdate: isForce });
+            const run = syncHistoryStore.recordRun('prices', {
+                mode: 'sku',
+                trigger: 'api',
+                options: { dryRun: isDryRun, forceUpdate: isForce }
+            }, [result]);
             res.json({
                 success: result.success,
                 dryRun: isDryRun,
+                runId: run.id,
                 result
             });
         } else {
             res.status(400).json({
                 success: false,
-                error: 'Se requiere el parámetro "sku" o "all=true"'
+                error: 'Se requiere el parámetro "sku" o "all=true"'
+            });
+        }
+
+    } catch (error) {
+        console.error('❌ Error en sincronización de precios:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Endpoint para sincronizar stocks y luego precios (como la sincronización del scheduler)
+ * 
+ * POST /api/sync/all
+ * 
+ * Body:
+ * - skus: Array de SKUs (o all: true para todos los productos)
+ * - dryRun (opcional): Simular sin escribir en Shopify
+ * - force (opcional): Escribir aunque el valor ya coincida
+ * - batch (opcional): Escrituras agrupadas vía GraphQL
+ * 
+ * Responde 202 con el jobId; el avance se consulta en GET /api/sync/jobs/:id
+ */
+app.post('/api/sync/all', (req, res) => {
+    startSyncJobFromBody('all', req, res);
+});
+
+/**
+ * Endpoint para sincronizar stocks y precios por query string
+ * 
+ * GET /api/sync/all?sku=ABC123   (sincrónico, un solo SKU)
+ * GET /api/sync/all?all=true     (lanza un trabajo en segundo plano, responde 202 con el jobId)
+ * 
+ * Query params: dryRun, force y batch (igual que /api/sync/stocks)
+ */
+app.get('/api/sync/all', async (req, res) => {
+    try {
+        const { sku, all, dryRun, force, batch } = req.query;
+        const isDryRun = dryRun === 'true' || dryRun === true;
+        const isForce = force === 'true' || force === true;
+        const isBatch = batch === 'true' || batch === true;
+
+        if (all === 'true' || all === true) {
+            // Sincronizar todos los productos en segundo plano
+            respondSyncJobStarted(res, syncJobManager.start('all', { dryRun: isDryRun, force: isForce, batch: isBatch }));
+        } else if (sku) {
+            // Sincronizar un producto específico: stocks y luego precios
+            const options = { dryRun: isDryRun, forceUpdate: isForce };
+            const stockResult = await syncProductStock(sku, options);
+            const stockRun = syncHistoryStore.recordRun('stocks', { mode: 'sku', trigger: 'api', options }, [stockResult]);
+            const priceResult = await syncProductPrice(sku, options);
+            const priceRun = syncHistoryStore.recordRun('prices', { mode: 'sku', trigger: 'api', options }, [priceResult]);
+            res.json({
+                success: stockResult.success && priceResult.success,
+                dryRun: isDryRun,
+                stocks: { runId: stockRun.id, result: stockResult },
+                prices: { runId: priceRun.id, result: priceResult }
+            });
+        } else {
+            res.status(400).json({
+                success: false,
+                error: 'Se requiere el parámetro "sku" o "all=true"'
+            });
+        }
+
+    } catch (error) {
+        console.error('❌ Error en sincronización:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Endpoint para lanzar un trabajo de sincronización de cualquier tipo
+ * 
+ * POST /api/sync/jobs
+ * 
+ * Body:
+ * - type: stocks | prices | all
+ * - skus (opcional): Array de SKUs (si se omite, todos los productos)
+ * - dryRun (opcional): Simular sin escribir en Shopify
+ * - force (opcional): Escribir aunque el valor ya coincida
+ * - batch (opcional): Escrituras agrupadas vía GraphQL
+ * 
+ * Solo puede haber una sincronización completa por tipo en curso (409 si ya existe)
+ */
+app.post('/api/sync/jobs', (req, res) => {
+    const { type, skus, dryRun = false, force = false, batch = false } = req.body || {};
+
+    if (skus !== undefined && (!Array.isArray(skus) || skus.length === 0)) {
+        return res.status(400).json({
+            success: false,
+            error: '"skus" debe ser un array no vacío (omitirlo para sincronizar todos)'
+        });
+    }
+
+    respondSyncJobStarted(res, syncJobManager.start(type, {
+        skus,
+        dryRun: dryRun === true,
+        force: force === true,
+        batch: batch === true
+    }));
+});
+
+/**
+ * Endpoint para listar los trabajos de sincronización (en curso y recientes)
+ * 
+ * GET /api/sync/jobs?type=stocks&status=running
+ * 
+ * Query params:
+ * - type (opcional): stocks | prices | all
+ * - status (opcional): running | cancelling | completed | cancelled | failed
+ * - limit (opcional): Máximo de resultados (default: 20)
+ */
+app.get('/api/sync/jobs', (req, res) => {
+    const jobs = syncJobManager.list({
+        type: req.query.type,
+        status: req.query.status,
+        limit: parseInt(req.query.limit) || 20
+    });
+    res.json({
+        success: true,
+        count: jobs.length,
+        jobs,
+        timestamp: new Date().toISOString()
+    });
+});
+
+/**
+ * Endpoint para consultar el avance de un trabajo de sincronización
+ * 
+ * GET /api/sync/jobs/:id
+ * 
+ * Devuelve status, fase actual, avance (processed/total) y contadores parciales.
+ * Al terminar incluye el resumen y el runId para ver el detalle en /api/sync/runs/:id
+ */
+app.get('/api/sync/jobs/:id', (req, res) => {
+    const job = syncJobManager.get(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: `No existe el trabajo ${req.params.id}`
+        });
+    }
+
+    res.json({
+        success: true,
+        job
+    });
+});
+
+/**
+ * Endpoint para cancelar un trabajo de sincronización
+ * 
+ * DELETE /api/sync/jobs/:id
+ * 
+ * La cancelación es cooperativa: se termina el chunk en curso y no se procesan más SKUs
+ */
+app.delete('/api/sync/jobs/:id', (req, res) => {
+    const result = syncJobManager.cancel(req.params.id);
+
+    if (!result.success) {
+        return res.status(result.reason === 'not_found' ? 404 : 409).json({
+            success: false,
+            error: result.error,
+            job: result.job
+        });
+    }
+
+    res.status(202).json({
+        success: true,
+        message: `Cancelación solicitada para ${result.job.id}`,
+        job: result.job
+    });
+});
+
+/**
+ * Endpoint para ver las reglas de stock de seguridad y overrides por SKU
+ * 
+ * GET /api/stock/rules
+ */
+app.get('/api/stock/rules', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            rules: stockRulesStore.load()
+        });
+    } catch (error) {
+        console.error('Error en /api/stock/rules:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Endpoint para reemplazar las reglas de stock de seguridad y overrides
+ * 
+ * PUT /api/stock/rules
+ * 
+ * Body: configuración completa (ver stockRules.js)
+ * {
+ *   "safetyStock": { "default": 1, "skuPatterns": [], "collections": [], "tags": [] },
+ *   "overrides": { "ABC123": { "mode": "zero" } }
+ * }
+ */
+app.put('/api/stock/rules', (req, res) => {
+    const errors = validateStockRules(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Reglas de stock inválidas',
+            errors
+        });
+    }
+
+    try {
+        const rules = stockRulesStore.save(req.body);
+        res.json({
+            success: true,
+            message: 'Reglas de stock actualizadas (se aplican desde la próxima sincronización)',
+            rules
+        });
+    } catch (error) {
+        console.error('Error en PUT /api/stock/rules:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Endpoint para crear o reemplazar el override de stock de un SKU
+ * 
+ * PUT /api/stock/overrides/:sku
+ * 
+ * Body:
+ * - mode: "zero" | "fixed" | "ignore"
+ * - quantity: Cantidad fija (solo mode "fixed")
+ * - note (opcional): Motivo
+ */
+app.put('/api/stock/overrides/:sku', (req, res) => {
+    try {
+        const { mode, quantity, note } = req.body || {};
+        const result = stockRulesStore.setOverride(req.params.sku, { mode, quantity, note });
+
+        if (result.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: result.errors.join('; ')
+            });
+        }
+
+        res.json({
+            success: true,
+            sku: req.params.sku,
+            override: result.override
+        });
+    } catch (error) {
+        console.error('Error en PUT /api/stock/overrides/:sku:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Endpoint para eliminar el override de stock de un SKU
+ * 
+ * DELETE /api/stock/overrides/:sku
+ */
+app.delete('/api/stock/overrides/:sku', (req, res) => {
+    try {
+        const removed = stockRulesStore.removeOverride(req.params.sku);
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                error: `El SKU ${req.params.sku} no tiene override de stock`
             });
         }
 
+        res.json({
+            success: true,
+            message: `Override de stock de ${req.params.sku} eliminado`
+        });
     } catch (error) {
-        console.error('❌ Error en sincronización:', error.message);
+        console.error('Error en DELETE /api/stock/overrides/:sku:', error.message);
         res.status(500).json({
             success: false,
             error: error.message
@@ -257,8 +619,14 @@ app.get('/api/sync/stocks', async (req, res) => {
  * 
  * Shopify enviará notificaciones cuando ocurran eventos como:
  * - Nuevas órdenes (order/create, order/paid, order/fulfilled)
+ * - Cancelaciones y reembolsos (orders/cancelled, refunds/create)
+ * - Ediciones de órdenes (orders/updated, orders/edited)
+ * 
+ * La firma X-Shopify-Hmac-Sha256 se valida contra SHOPIFY_WEBHOOK_SECRET
+ * (o SHOPIFY_WEBHOOK_SECRET_PREVIOUS durante una rotación); si no coincide, o no hay secreto
+ * configurado, se responde 401.
  */
-app.post('/api/webhooks/shopify', async (req, res) => {
+app.post('/api/webhooks/shopify', verifyShopifyWebhook, async (req, res) => {
     try {
         // Shopify envía los webhooks con un header X-Shopify-Topic
         const topic = req.headers['x-shopify-topic'];
@@ -448,6 +816,424 @@ app.post('/api/webhooks/shopify/queue/reprocess/:orderId', (req, res) => {
     });
 });
 
+/**
+ * Endpoint para listar webhooks fallidos definitivamente (cola de fallidos)
+ * 
+ * GET /api/webhooks/shopify/queue/dead-letter?limit=50
+ */
+app.get('/api/webhooks/shopify/queue/dead-letter', (req, res) => {
+    const limit = parseInt(req.query.limit) || 50;
+    const entries = webhookQueue.getDeadLetters(limit);
+    res.json({
+        success: true,
+        count: entries.length,
+        entries,
+        timestamp: new Date().toISOString()
+    });
+});
+
+/**
+ * Endpoint para inspeccionar un webhook fallido (payload completo e historial de errores)
+ * 
+ * GET /api/webhooks/shopify/queue/dead-letter/:orderId
+ */
+app.get('/api/webhooks/shopify/queue/dead-letter/:orderId', (req, res) => {
+    const entry = webhookQueue.getDeadLetter(req.params.orderId);
+
+    if (!entry) {
+        return res.status(404).json({
+            success: false,
+            error: `Orden ${req.params.orderId} no está en la cola de fallidos`
+        });
+    }
+
+    res.json({
+        success: true,
+        entry
+    });
+});
+
+/**
+ * Endpoint para reprocesar un webhook fallido
+ * 
+ * POST /api/webhooks/shopify/queue/dead-letter/:orderId/replay
+ * 
+ * Body (opcional):
+ * - webhookData: Payload corregido que reemplaza al original (debe conservar el mismo id de orden)
+ */
+app.post('/api/webhooks/shopify/queue/dead-letter/:orderId/replay', (req, res) => {
+    const { orderId } = req.params;
+    const webhookData = req.body?.webhookData || null;
+
+    if (webhookData !== null && (typeof webhookData !== 'object' || Array.isArray(webhookData))) {
+        return res.status(400).json({
+            success: false,
+            error: 'webhookData debe ser un objeto JSON con el payload de la orden'
+        });
+    }
+
+    const result = webhookQueue.replayDeadLetter(orderId, webhookData);
+
+    if (result.reason === 'not_found') {
+        return res.status(404).json({
+            success: false,
+            error: `Orden ${orderId} no está en la cola de fallidos`
+        });
+    }
+
+    if (result.reason === 'order_id_mismatch') {
+        return res.status(400).json({
+            success: false,
+            error: `El payload editado corresponde a la orden ${result.payloadOrderId || 'N/A'}, no a ${orderId}`
+        });
+    }
+
+    if (result.reason === 'already_queued') {
+        return res.status(409).json({
+            success: false,
+            error: `Orden ${orderId} ya está en la cola o en proceso; se conserva en la cola de fallidos`,
+            ...result
+        });
+    }
+
+    res.json({
+        success: result.queued,
+        message: result.queued ? `Orden ${orderId} reencolada para procesamiento` : `No se pudo reencolar la orden ${orderId}`,
+        ...result
+    });
+});
+
+/**
+ * Endpoint para descartar un webhook fallido
+ * 
+ * DELETE /api/webhooks/shopify/queue/dead-letter/:orderId
+ */
+app.delete('/api/webhooks/shopify/queue/dead-letter/:orderId', (req, res) => {
+    const { orderId } = req.params;
+    const discarded = webhookQueue.discardDeadLetter(orderId);
+
+    if (!discarded) {
+        return res.status(404).json({
+            success: false,
+            error: `Orden ${orderId} no está en la cola de fallidos`
+        });
+    }
+
+    res.json({
+        success: true,
+        message: `Orden ${orderId} descartada de la cola de fallidos`
+    });
+});
+
+/**
+ * Endpoint para listar cambios de precio retenidos por la guardia de precios
+ * 
+ * GET /api/prices/approvals?status=pending&limit=100
+ * 
+ * Query params:
+ * - status (opcional): pending | approved | rejected | superseded (default: pending)
+ * - limit (opcional): Máximo de resultados (default: 100)
+ */
+app.get('/api/prices/approvals', (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        const limit = parseInt(req.query.limit) || 100;
+        const entries = priceApprovalStore.list({ status: status === 'all' ? null : status, limit });
+        res.json({
+            success: true,
+            status,
+            count: entries.length,
+            entries,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error en /api/prices/approvals:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Endpoint para ver el cambio de precio retenido de un SKU
+ * 
+ * GET /api/prices/approvals/:sku
+ */
+app.get('/api/prices/approvals/:sku', (req, res) => {
+    const entry = priceApprovalStore.get(req.params.sku.trim().toUpperCase());
+
+    if (!entry) {
+        return res.status(404).json({
+            success: false,
+            error: `No hay cambio de precio retenido para ${req.params.sku}`
+        });
+    }
+
+    res.json({
+        success: true,
+        entry
+    });
+});
+
+/**
+ * Endpoint para aprobar un cambio de precio retenido (lo aplica en Shopify)
+ * 
+ * POST /api/prices/approvals/:sku/approve
+ * 
+ * Body (opcional):
+ * - approvedBy: Quién aprueba
+ */
+app.post('/api/prices/approvals/:sku/approve', async (req, res) => {
+    try {
+        const result = await approvePriceChange(req.params.sku, { approvedBy: req.body?.approvedBy });
+
+        if (!result.success) {
+            const status = result.reason === 'not_found' ? 404 : (result.reason === 'not_pending' ? 409 : 502);
+            return res.status(status).json({
+                success: false,
+                error: result.error,
+                entry: result.entry
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Precio de ${result.entry.sku} actualizado a $${result.entry.newPrice}`,
+            entry: result.entry
+        });
+    } catch (error) {
+        console.error('Error en /api/prices/approvals/:sku/approve:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Endpoint para rechazar un cambio de precio retenido (Shopify no se modifica)
+ * 
+ * POST /api/prices/approvals/:sku/reject
+ * 
+ * Body (opcional):
+ * - rejectedBy: Quién rechaza
+ * - note: Motivo del rechazo
+ */
+app.post('/api/prices/approvals/:sku/reject', (req, res) => {
+    const result = rejectPriceChange(req.params.sku, {
+        rejectedBy: req.body?.rejectedBy,
+        note: req.body?.note
+    });
+
+    if (!result.success) {
+        return res.status(result.reason === 'not_found' ? 404 : 409).json({
+            success: false,
+            error: result.error,
+            entry: result.entry
+        });
+    }
+
+    res.json({
+        success: true,
+        message: `Cambio de precio de ${result.entry.sku} rechazado`,
+        entry: result.entry
+    });
+});
+
+/**
+ * Endpoint para listar las NV registradas por orden (por defecto, las que esperan revisión)
+ * 
+ * GET /api/orders/documents?status=review&limit=100
+ * 
+ * Query params:
+ * - status (opcional): review | synced | all (default: review)
+ * - limit (opcional): Máximo de resultados (default: 100)
+ */
+app.get('/api/orders/documents', (req, res) => {
+    try {
+        const status = req.query.status || 'review';
+        const limit = parseInt(req.query.limit) || 100;
+        const entries = orderDocumentStore.list({ status: status === 'all' ? null : status, limit });
+        res.json({
+            success: true,
+            status,
+            count: entries.length,
+            entries,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error en /api/orders/documents:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Endpoint para ver la NV enviada para una orden y su estado de revisión
+ * 
+ * GET /api/orders/documents/:orderId
+ */
+app.get('/api/orders/documents/:orderId', (req, res) => {
+    const entry = orderDocumentStore.get(req.params.orderId);
+
+    if (!entry) {
+        return res.status(404).json({
+            success: false,
+            error: `No hay NV registrada para la orden ${req.params.orderId}`
+        });
+    }
+
+    res.json({
+        success: true,
+        entry
+    });
+});
+
+/**
+ * Endpoint para cerrar la revisión manual de una orden editada
+ * 
+ * POST /api/orders/documents/:orderId/resolve
+ * 
+ * Usar después de corregir la NV a mano en Manager+: el documento registrado pasa a ser
+ * el de la orden actual y se quita el tag erp-review.
+ * 
+ * Si la NV no se creó por datos de checkout inválidos, se intenta crear con la orden actual
+ * (responde 409 con los errores si siguen inválidos).
+ * 
+ * Body (opcional):
+ * - resolvedBy: Quién cierra la revisión
+ * - note: Nota
+ */
+app.post('/api/orders/documents/:orderId/resolve', async (req, res) => {
+    try {
+        const result = await resolveOrderReview(req.params.orderId, {
+            resolvedBy: req.body?.resolvedBy,
+            note: req.body?.note
+        });
+
+        if (!result.success) {
+            return res.status(result.reason === 'not_found' ? 404 : 409).json({
+                success: false,
+                error: result.error,
+                errors: result.errors,
+                entry: result.entry
+            });
+        }
+
+        res.json({
+            success: true,
+            message: result.entry.folio
+                ? `Revisión de la NV ${result.entry.folio} cerrada`
+                : `Revisión de la orden ${req.params.orderId} cerrada`,
+            entry: result.entry
+        });
+    } catch (error) {
+        console.error('Error en /api/orders/documents/:orderId/resolve:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Endpoint para listar las corridas de sincronización registradas
+ * 
+ * GET /api/sync/runs?type=prices&limit=50
+ * 
+ * Query params:
+ * - type (opcional): stocks | prices
+ * - limit (opcional): Máximo de resultados (default: 50)
+ */
+app.get('/api/sync/runs', (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const runs = syncHistoryStore.listRuns({ type: req.query.type, limit });
+        res.json({
+            success: true,
+            count: runs.length,
+            runs,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error en /api/sync/runs:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Endpoint para ver una corrida con sus acciones por SKU
+ * 
+ * GET /api/sync/runs/:id?action=updated&limit=500
+ * 
+ * Query params:
+ * - action (opcional): Filtrar acciones (updated, would_update, held, skipped, error, ...)
+ * - limit (opcional): Máximo de acciones (default: 500)
+ */
+app.get('/api/sync/runs/:id', (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 500;
+        const found = syncHistoryStore.getRun(req.params.id, { action: req.query.action, limit });
+
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                error: `No existe la corrida ${req.params.id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            ...found
+        });
+    } catch (error) {
+        console.error('Error en /api/sync/runs/:id:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Endpoint para ver el historial de cambios de un SKU (stock y precio)
+ * 
+ * GET /api/sync/sku/:sku/history?type=prices&limit=100
+ * 
+ * Query params:
+ * - type (opcional): stocks | prices
+ * - includeDryRun (opcional): Incluir simulaciones (includeDryRun=true)
+ * - limit (opcional): Máximo de resultados (default: 100)
+ */
+app.get('/api/sync/sku/:sku/history', (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 100;
+        const entries = syncHistoryStore.getSkuHistory(req.params.sku, {
+            type: req.query.type,
+            includeDryRun: req.query.includeDryRun === 'true',
+            limit
+        });
+        res.json({
+            success: true,
+            sku: req.params.sku,
+            count: entries.length,
+            entries
+        });
+    } catch (error) {
+        console.error('Error en /api/sync/sku/:sku/history:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * Endpoint de salud/health check
  * 
@@ -479,12 +1265,22 @@ app.get('/', (req, res) => {
             health: '/health',
             productos: '/api/local/productos/:sku?',
             syncStocks: '/api/sync/stocks',
+            syncPrices: '/api/sync/prices',
+            syncAll: '/api/sync/all',
+            syncJobs: '/api/sync/jobs',
+            syncRuns: '/api/sync/runs',
+            syncSkuHistory: '/api/sync/sku/:sku/history',
+            stockRules: '/api/stock/rules',
+            stockOverrides: '/api/stock/overrides/:sku',
             webhook: '/api/webhooks/shopify',
             webhookReprocess: '/api/webhooks/shopify/reprocess',
             webhookLast: '/api/webhooks/shopify/last',
             queueStatus: '/api/webhooks/shopify/queue/status',
             queueProcessed: '/api/webhooks/shopify/queue/processed',
-            queueReprocess: '/api/webhooks/shopify/queue/reprocess/:orderId'
+            queueReprocess: '/api/webhooks/shopify/queue/reprocess/:orderId',
+            queueDeadLetter: '/api/webhooks/shopify/queue/dead-letter',
+            priceApprovals: '/api/prices/approvals',
+            orderDocuments: '/api/orders/documents'
         }
     });
 });
@@ -500,8 +1296,21 @@ app.listen(PORT, () => {
     console.log(`   - GET /health`);
     console.log(`   - GET /api/local/productos/:sku?`);
     console.log(`   - GET /api/sync/stocks?sku=ABC123`);
-    console.log(`   - GET /api/sync/stocks?all=true`);
-    console.log(`   - POST /api/sync/stocks`);
+    console.log(`   - GET /api/sync/stocks?all=true (trabajo en segundo plano)`);
+    console.log(`   - POST /api/sync/stocks (trabajo en segundo plano)`);
+    console.log(`   - GET /api/sync/prices?sku=ABC123`);
+    console.log(`   - GET /api/sync/prices?all=true (trabajo en segundo plano)`);
+    console.log(`   - POST /api/sync/prices (trabajo en segundo plano)`);
+    console.log(`   - GET /api/sync/all?sku=ABC123`);
+    console.log(`   - GET /api/sync/all?all=true (trabajo en segundo plano)`);
+    console.log(`   - POST /api/sync/all (trabajo en segundo plano)`);
+    console.log(`   - GET/POST /api/sync/jobs`);
+    console.log(`   - GET/DELETE /api/sync/jobs/:id`);
+    console.log(`   - GET /api/sync/runs`);
+    console.log(`   - GET /api/sync/runs/:id`);
+    console.log(`   - GET /api/sync/sku/:sku/history`);
+    console.log(`   - GET/PUT /api/stock/rules`);
+    console.log(`   - PUT/DELETE /api/stock/overrides/:sku`);
     console.log(`   - POST /api/webhooks/shopify`);
     console.log(`   - POST/GET /api/webhooks/shopify/reprocess?force=true`);
     console.log(`   - GET /api/webhooks/shopify/last`);
@@ -509,11 +1318,44 @@ app.listen(PORT, () => {
     console.log(`   - GET /api/webhooks/shopify/queue/status`);
     console.log(`   - GET /api/webhooks/shopify/queue/processed`);
     console.log(`   - POST /api/webhooks/shopify/queue/reprocess/:orderId`);
+    console.log(`   - GET /api/webhooks/shopify/queue/dead-letter`);
+    console.log(`   - GET/DELETE /api/webhooks/shopify/queue/dead-letter/:orderId`);
+    console.log(`   - POST /api/webhooks/shopify/queue/dead-letter/:orderId/replay`);
+    console.log(`   - GET /api/prices/approvals?status=pending`);
+    console.log(`   - GET /api/prices/approvals/:sku`);
+    console.log(`   - POST /api/prices/approvals/:sku/approve`);
+    console.log(`   - POST /api/prices/approvals/:sku/reject`);
+    console.log(`   - GET /api/orders/documents?status=review`);
+    console.log(`   - GET /api/orders/documents/:orderId`);
+    console.log(`   - POST /api/orders/documents/:orderId/resolve`);
+    if (isWebhookVerificationDisabled()) {
+        console.warn(`\n⚠️  SHOPIFY_WEBHOOK_VERIFY=false: la firma de los webhooks NO se está verificando`);
+    } else if (getWebhookSecrets().length === 0) {
+        console.warn(`\n⚠️  SHOPIFY_WEBHOOK_SECRET no configurado: todos los webhooks se rechazan con 401`);
+    }
+    try {
+        const removed = syncHistoryStore.compact();
+        if (removed > 0) {
+            console.log(`\n🧹 Historial de sincronización: ${removed} corrida(s) fuera de la retención eliminadas`);
+        }
+    } catch (error) {
+        console.warn(`\n⚠️  No se pudo compactar el historial de sincronización: ${error.message}`);
+    }
+    if (isReversalDryRun()) {
+        console.log(`\n↩️  Cancelaciones y reembolsos en modo simulación (ORDER_REVERSALS_DRY_RUN): no se crean Notas de Crédito`);
+    }
     console.log(`\n💡 Realizando autenticación inicial con el ERP...`);
 
     // Realizar una autenticación inicial al iniciar el servidor
-    authenticateWithERP()
-        .then(() => {
+    managerClient.authenticate()
+        .then(async () => {
+            // Reconciliar el folio de las Notas de Venta con Manager+ antes de procesar órdenes
+            try {
+                const folio = await folioAllocator.reconcile();
+                console.log(`🔢 Folio NV: último ${folio.lastFolio} (local: ${folio.localFolio ?? 'sin registro'}, Manager+: ${folio.erpFolio})`);
+            } catch (error) {
+                console.warn(`⚠️  No se pudo reconciliar el folio de NV: ${error.message}. Se reintentará con la primera orden.`);
+            }
             console.log('✅ Servidor listo para recibir peticiones\n');
         })
         .catch((error) => {
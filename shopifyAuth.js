@@ -7,16 +7,14 @@
 
 // Importaciones necesarias
 require('dotenv').config();
-const axios = require('axios');
+const { shopifyClient } = require('./shopifyClient');
 
 // Variables de entorno de Shopify
 const SHOPIFY_SHOP_DOMAIN = process.env.SHOPIFY_SHOP_DOMAIN; // ej: tu-tienda.myshopify.com
 const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN; // Token de acceso de la API
 
-// Construir la URL base de la API de Shopify
-// Usar una versión estable de la API (2023-10 es una versión estable común)
-const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || '2023-10'; // Versión de la API
-const SHOPIFY_BASE_URL = `https://${SHOPIFY_SHOP_DOMAIN}/admin/api/${SHOPIFY_API_VERSION}`;
+// URL base de la API REST (la versión se define en shopifyClient.js / SHOPIFY_API_VERSION)
+const SHOPIFY_BASE_URL = shopifyClient.restBaseUrl;
 
 /**
  * Función para verificar la autenticación con Shopify
@@ -31,12 +29,7 @@ async function verifyShopifyAuth() {
         console.log('🔐 Verificando autenticación con Shopify...');
         console.log(`📍 Tienda: ${SHOPIFY_SHOP_DOMAIN}`);
         
-        const response = await axios.get(`${SHOPIFY_BASE_URL}/shop.json`, {
-            headers: {
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-                'Content-Type': 'application/json'
-            }
-        });
+        const response = await shopifyClient.get('shop.json');
 
         console.log('✅ Autenticación exitosa con Shopify');
         console.log(`📦 Tienda: ${response.data.shop.name}`);
@@ -69,11 +62,7 @@ async function getShopifyProducts(limit = 10) {
     try {
         console.log(`📦 Obteniendo productos de Shopify (límite: ${limit})...`);
         
-        const response = await axios.get(`${SHOPIFY_BASE_URL}/products.json`, {
-            headers: {
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-                'Content-Type': 'application/json'
-            },
+        const response = await shopifyClient.get('products.json', {
             params: {
                 limit: limit,
                 fields: 'id,title,variants,sku,status'
@@ -125,34 +114,32 @@ async function getShopifyProductBySKU(sku) {
         console.log(`🔍 Buscando producto con SKU: ${sku}...`);
         
         // Shopify no tiene un endpoint directo para buscar por SKU,
-        // así que obtenemos productos y filtramos
-        const response = await axios.get(`${SHOPIFY_BASE_URL}/products.json`, {
-            headers: {
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-                'Content-Type': 'application/json'
-            },
+        // así que recorremos los productos página por página y filtramos
+        const pages = shopifyClient.paginate('products.json', {
             params: {
                 limit: 250, // Máximo permitido por Shopify
                 fields: 'id,title,variants'
-            }
+            },
+            dataKey: 'products'
         });
 
         // Buscar el producto por SKU en las variantes
-        const products = response.data.products;
-        for (const product of products) {
-            const variant = product.variants.find(v => v.sku === sku);
-            if (variant) {
-                console.log(`✅ Producto encontrado:`);
-                console.log(`   - ID Producto: ${product.id}`);
-                console.log(`   - Título: ${product.title}`);
-                console.log(`   - SKU: ${variant.sku}`);
-                console.log(`   - ID Variante: ${variant.id}`);
-                console.log(`   - Inventario: ${variant.inventory_quantity !== null ? variant.inventory_quantity : 'N/A'}`);
-                
-                return {
-                    product: product,
-                    variant: variant
-                };
+        for await (const products of pages) {
+            for (const product of products) {
+                const variant = product.variants.find(v => v.sku === sku);
+                if (variant) {
+                    console.log(`✅ Producto encontrado:`);
+                    console.log(`   - ID Producto: ${product.id}`);
+                    console.log(`   - Título: ${product.title}`);
+                    console.log(`   - SKU: ${variant.sku}`);
+                    console.log(`   - ID Variante: ${variant.id}`);
+                    console.log(`   - Inventario: ${variant.inventory_quantity !== null ? variant.inventory_quantity : 'N/A'}`);
+
+                    return {
+                        product: product,
+                        variant: variant
+                    };
+                }
             }
         }
         
@@ -184,11 +171,7 @@ async function updateShopifyInventory(variantId, quantity) {
         
         // Primero necesitamos obtener el location_id del inventario
         // Por ahora, usaremos el endpoint de inventory_level
-        const response = await axios.get(`${SHOPIFY_BASE_URL}/inventory_levels.json`, {
-            headers: {
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-                'Content-Type': 'application/json'
-            },
+        const response = await shopifyClient.get('inventory_levels.json', {
             params: {
                 inventory_item_ids: variantId
             }
@@ -201,20 +184,11 @@ async function updateShopifyInventory(variantId, quantity) {
         const inventoryLevel = response.data.inventory_levels[0];
         
         // Actualizar el inventario
-        const updateResponse = await axios.post(
-            `${SHOPIFY_BASE_URL}/inventory_levels/set.json`,
-            {
-                location_id: inventoryLevel.location_id,
-                inventory_item_id: inventoryLevel.inventory_item_id,
-                available: quantity
-            },
-            {
-                headers: {
-                    'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        const updateResponse = await shopifyClient.post('inventory_levels/set.json', {
+            location_id: inventoryLevel.location_id,
+            inventory_item_id: inventoryLevel.inventory_item_id,
+            available: quantity
+        });
 
         console.log(`✅ Inventario actualizado exitosamente`);
         console.log(`   - Cantidad anterior: ${inventoryLevel.available}`);
@@ -0,0 +1,475 @@
+/**
+ * Cliente compartido para la Admin API de Shopify (REST y GraphQL)
+ *
+ * Centraliza lo que antes repetía cada módulo:
+ * - Una sola versión de API para todo el proyecto (SHOPIFY_API_VERSION)
+ * - Throttling REST según el header X-Shopify-Shop-Api-Call-Limit (leaky bucket)
+ * - Throttling GraphQL según extensions.cost.throttleStatus (presupuesto por costo)
+ * - Reintentos con backoff ante 429/5xx y respuestas THROTTLED de GraphQL
+ * - Helpers de paginación REST (header Link) y GraphQL (pageInfo/endCursor)
+ *
+ * Variables de entorno:
+ * - SHOPIFY_SHOP_DOMAIN, SHOPIFY_ACCESS_TOKEN
+ * - SHOPIFY_API_VERSION: versión de la Admin API (default: 2024-01)
+ * - SHOPIFY_MAX_CONCURRENT_REQUESTS: peticiones simultáneas a Shopify (default: 4)
+ * - SHOPIFY_REST_LEAK_RATE: llamadas REST que se recuperan por segundo (default: 2, Plus: 20)
+ */
+
+require('dotenv').config();
+const axios = require('axios');
+const { delay, getTimestamp } = require('./webhookQueue');
+const { RateLimiter } = require('./managerClient');
+
+const DEFAULT_API_VERSION = '2024-01';
+
+// Configuración de retry por defecto
+const RETRY_CONFIG = {
+    maxRetries: 5,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    retryableStatuses: [429, 500, 502, 503, 504]
+};
+
+// Fracción del bucket REST que se permite usar antes de esperar
+const REST_BUCKET_THRESHOLD = 0.8;
+
+/**
+ * Normalizar el dominio de la tienda (acepta "tienda", "tienda.myshopify.com" o una URL)
+ * @param {string} domain - Dominio configurado
+ * @returns {string} Dominio sin protocolo ni "/" final
+ */
+function normalizeShopDomain(domain) {
+    if (!domain) return domain;
+    const clean = domain.toString().trim().replace(/^https?:\/\//, '').replace(/\/+$/, '');
+    return clean.includes('.') ? clean : `${clean}.myshopify.com`;
+}
+
+/**
+ * Extraer la URL "next" del header Link de Shopify
+ * @param {string} linkHeader - Valor del header Link
+ * @returns {string|null} URL de la página siguiente o null
+ */
+function parseNextLink(linkHeader) {
+    if (!linkHeader || typeof linkHeader !== 'string') {
+        return null;
+    }
+
+    const nextLink = linkHeader.split(',')
+        .map(link => link.trim())
+        .find(link => link.includes('rel="next"'));
+
+    const urlMatch = nextLink?.match(/<([^>]+)>/);
+    return urlMatch ? urlMatch[1] : null;
+}
+
+/**
+ * Determinar si un error de Shopify corresponde a throttling
+ * @param {Error} error - Error lanzado por el cliente
+ * @returns {boolean} true si es rate limit
+ */
+function isRateLimitError(error) {
+    return !!(error?.isRateLimit || error?.response?.status === 429);
+}
+
+/**
+ * Cliente de la Admin API de Shopify
+ */
+class ShopifyClient {
+    /**
+     * @param {Object} options - Permite sobrescribir la configuración tomada del entorno
+     */
+    constructor(options = {}) {
+        this.shopDomain = normalizeShopDomain(options.shopDomain || process.env.SHOPIFY_SHOP_DOMAIN);
+        this.accessToken = options.accessToken || process.env.SHOPIFY_ACCESS_TOKEN;
+        this.apiVersion = options.apiVersion || process.env.SHOPIFY_API_VERSION || DEFAULT_API_VERSION;
+
+        this.restBaseUrl = `https://${this.shopDomain}/admin/api/${this.apiVersion}`;
+        this.graphqlUrl = `${this.restBaseUrl}/graphql.json`;
+
+        this.retryConfig = { ...RETRY_CONFIG, ...(options.retry || {}) };
+
+        this.limiter = new RateLimiter({
+            maxConcurrent: options.maxConcurrent || parseInt(process.env.SHOPIFY_MAX_CONCURRENT_REQUESTS) || 4,
+            minInterval: options.minInterval || 0
+        });
+
+        // Estado del leaky bucket REST (se actualiza con cada respuesta)
+        this.restBucket = {
+            used: 0,
+            max: 40,
+            leakRate: options.restLeakRate || parseFloat(process.env.SHOPIFY_REST_LEAK_RATE) || 2,
+            updatedAt: 0
+        };
+
+        // Estado del presupuesto GraphQL (se actualiza con extensions.cost.throttleStatus)
+        this.graphqlBucket = {
+            available: null,
+            max: null,
+            restoreRate: 50,
+            updatedAt: 0
+        };
+    }
+
+    /**
+     * Verificar que las variables de entorno de Shopify estén definidas
+     * @returns {boolean} true si la configuración está completa
+     */
+    isConfigured() {
+        return !!(this.shopDomain && this.accessToken);
+    }
+
+    /**
+     * Headers comunes de autenticación
+     * @returns {Object} Headers
+     */
+    getHeaders() {
+        return {
+            'X-Shopify-Access-Token': this.accessToken,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    // ============================================
+    // THROTTLING
+    // ============================================
+
+    /**
+     * Esperar hasta que el bucket REST tenga espacio
+     */
+    async waitForRestCapacity() {
+        const bucket = this.restBucket;
+        const elapsedSeconds = (Date.now() - bucket.updatedAt) / 1000;
+        const estimatedUsed = Math.max(0, bucket.used - elapsedSeconds * bucket.leakRate);
+        const limit = bucket.max * REST_BUCKET_THRESHOLD;
+
+        if (estimatedUsed >= limit) {
+            const waitMs = Math.ceil(((estimatedUsed - limit + 1) / bucket.leakRate) * 1000);
+            await delay(waitMs);
+        }
+    }
+
+    /**
+     * Actualizar el bucket REST con el header X-Shopify-Shop-Api-Call-Limit ("usadas/máximo")
+     * @param {Object} headers - Headers de la respuesta
+     */
+    updateRestBucket(headers = {}) {
+        const callLimit = headers['x-shopify-shop-api-call-limit'];
+        const match = typeof callLimit === 'string' ? callLimit.match(/^(\d+)\/(\d+)$/) : null;
+        if (!match) return;
+
+        this.restBucket.used = parseInt(match[1], 10);
+        this.restBucket.max = parseInt(match[2], 10);
+        this.restBucket.updatedAt = Date.now();
+    }
+
+    /**
+     * Esperar hasta que el presupuesto GraphQL alcance para el costo estimado
+     * @param {number} cost - Costo estimado de la consulta
+     */
+    async waitForGraphqlCapacity(cost) {
+        const bucket = this.graphqlBucket;
+        if (bucket.available === null) return;
+
+        const elapsedSeconds = (Date.now() - bucket.updatedAt) / 1000;
+        const estimatedAvailable = Math.min(bucket.max, bucket.available + elapsedSeconds * bucket.restoreRate);
+        const needed = Math.min(cost, bucket.max);
+
+        if (estimatedAvailable < needed) {
+            const waitMs = Math.ceil(((needed - estimatedAvailable) / bucket.restoreRate) * 1000);
+            await delay(waitMs);
+        }
+    }
+
+    /**
+     * Actualizar el presupuesto GraphQL con extensions.cost.throttleStatus
+     * @param {Object} cost - Objeto extensions.cost de la respuesta
+     */
+    updateGraphqlBucket(cost) {
+        const status = cost?.throttleStatus;
+        if (!status) return;
+
+        this.graphqlBucket.available = status.currentlyAvailable;
+        this.graphqlBucket.max = status.maximumAvailable;
+        this.graphqlBucket.restoreRate = status.restoreRate || this.graphqlBucket.restoreRate;
+        this.graphqlBucket.updatedAt = Date.now();
+    }
+
+    // ============================================
+    // REST
+    // ============================================
+
+    /**
+     * Ejecutar una petición REST contra la Admin API
+     *
+     * @param {string} method - Método HTTP
+     * @param {string} path - Ruta relativa a la versión de API (ej: "products.json") o URL completa
+     * @param {Object} options
+     * @param {Object} options.params - Query params
+     * @param {Object} options.data - Body de la petición
+     * @param {boolean} options.retry - Reintentar ante 429/5xx (default: true)
+     * @param {string} options.operationName - Nombre de la operación para logging
+     * @returns {Promise<Object>} Respuesta de axios
+     */
+    async request(method, path, options = {}) {
+        const { params, data, retry = true, operationName = `${method.toUpperCase()} ${path}` } = options;
+        const url = /^https?:\/\//.test(path) ? path : `${this.restBaseUrl}/${path.replace(/^\//, '')}`;
+        const maxAttempts = retry ? this.retryConfig.maxRetries : 1;
+        let lastError;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            try {
+                return await this.limiter.schedule(async () => {
+                    await this.waitForRestCapacity();
+                    const response = await axios.request({
+                        method,
+                        url,
+                        params,
+                        data,
+                        headers: this.getHeaders()
+                    });
+                    this.updateRestBucket(response.headers);
+                    return response;
+                });
+            } catch (error) {
+                lastError = error;
+                this.updateRestBucket(error.response?.headers);
+
+                const status = error.response?.status;
+                const retryable = this.retryConfig.retryableStatuses.includes(status);
+
+                if (!retryable || attempt === maxAttempts) {
+                    if (status === 429) {
+                        lastError.isRateLimit = true;
+                    }
+                    throw lastError;
+                }
+
+                let delayMs = Math.min(
+                    this.retryConfig.baseDelay * Math.pow(2, attempt - 1),
+                    this.retryConfig.maxDelay
+                );
+
+                // Ante un 429 respetar Retry-After
+                if (status === 429) {
+                    const retryAfter = parseFloat(error.response.headers?.['retry-after']);
+                    delayMs = Math.max(delayMs, (retryAfter || 2) * 1000);
+                }
+
+                console.log(`[${getTimestamp()}] ⏳ Shopify ${operationName}: Error ${status}, reintento ${attempt}/${maxAttempts} en ${delayMs / 1000}s...`);
+                await delay(delayMs);
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * GET REST
+     * @param {string} path - Ruta relativa o URL completa
+     * @param {Object} options - Ver request()
+     * @returns {Promise<Object>} Respuesta de axios
+     */
+    get(path, options = {}) {
+        return this.request('get', path, options);
+    }
+
+    /**
+     * POST REST
+     * @param {string} path - Ruta relativa
+     * @param {Object} data - Body
+     * @param {Object} options - Ver request()
+     * @returns {Promise<Object>} Respuesta de axios
+     */
+    post(path, data, options = {}) {
+        return this.request('post', path, { ...options, data });
+    }
+
+    /**
+     * PUT REST
+     * @param {string} path - Ruta relativa
+     * @param {Object} data - Body
+     * @param {Object} options - Ver request()
+     * @returns {Promise<Object>} Respuesta de axios
+     */
+    put(path, data, options = {}) {
+        return this.request('put', path, { ...options, data });
+    }
+
+    /**
+     * DELETE REST
+     * @param {string} path - Ruta relativa
+     * @param {Object} options - Ver request()
+     * @returns {Promise<Object>} Respuesta de axios
+     */
+    delete(path, options = {}) {
+        return this.request('delete', path, options);
+    }
+
+    /**
+     * Recorrer un listado REST página por página siguiendo el header Link
+     *
+     * @param {string} path - Ruta del listado (ej: "products.json")
+     * @param {Object} options
+     * @param {Object} options.params - Query params de la primera página (ej: { limit: 250, fields: 'id,variants' })
+     * @param {string} options.dataKey - Clave del array en la respuesta (ej: "products")
+     * @yields {Array} Items de cada página
+     */
+    async *paginate(path, options = {}) {
+        const { params, dataKey } = options;
+        let url = path;
+        let pageParams = params;
+
+        while (url) {
+            const response = await this.get(url, { params: pageParams });
+            const items = dataKey ? response.data[dataKey] : response.data;
+
+            if (!Array.isArray(items) || items.length === 0) {
+                return;
+            }
+
+            yield items;
+
+            // La URL "next" ya incluye page_info y limit
+            url = parseNextLink(response.headers.link);
+            pageParams = undefined;
+        }
+    }
+
+    /**
+     * Obtener todos los items de un listado REST paginado
+     * @param {string} path - Ruta del listado
+     * @param {Object} options - Ver paginate()
+     * @returns {Promise<Array>} Items de todas las páginas
+     */
+    async getAll(path, options = {}) {
+        const all = [];
+        for await (const items of this.paginate(path, options)) {
+            all.push(...items);
+        }
+        return all;
+    }
+
+    // ============================================
+    // GRAPHQL
+    // ============================================
+
+    /**
+     * Ejecutar una consulta o mutación GraphQL
+     *
+     * @param {string} query - Documento GraphQL
+     * @param {Object} variables - Variables
+     * @param {Object} options
+     * @param {number} options.estimatedCost - Costo estimado para esperar presupuesto antes de enviar (default: 50)
+     * @param {string} options.operationName - Nombre de la operación para logging
+     * @returns {Promise<Object>} Campo data de la respuesta
+     */
+    async graphql(query, variables = {}, options = {}) {
+        const { estimatedCost = 50, operationName = 'GraphQL' } = options;
+        const maxAttempts = this.retryConfig.maxRetries;
+        let lastError;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            let response;
+            try {
+                response = await this.limiter.schedule(async () => {
+                    await this.waitForGraphqlCapacity(estimatedCost);
+                    return await axios.post(this.graphqlUrl, { query, variables }, {
+                        headers: this.getHeaders()
+                    });
+                });
+            } catch (error) {
+                lastError = error;
+                const status = error.response?.status;
+
+                if (!this.retryConfig.retryableStatuses.includes(status) || attempt === maxAttempts) {
+                    if (status === 429) {
+                        lastError.isRateLimit = true;
+                    }
+                    throw lastError;
+                }
+
+                const delayMs = Math.min(this.retryConfig.baseDelay * Math.pow(2, attempt - 1), this.retryConfig.maxDelay);
+                console.log(`[${getTimestamp()}] ⏳ Shopify ${operationName}: Error ${status}, reintento ${attempt}/${maxAttempts} en ${delayMs / 1000}s...`);
+                await delay(delayMs);
+                continue;
+            }
+
+            const body = response.data || {};
+            this.updateGraphqlBucket(body.extensions?.cost);
+
+            const errors = body.errors || [];
+            const throttled = errors.some(e => e.extensions?.code === 'THROTTLED');
+
+            if (throttled) {
+                lastError = new Error(`Shopify ${operationName}: presupuesto GraphQL agotado (THROTTLED)`);
+                lastError.isRateLimit = true;
+
+                if (attempt === maxAttempts) {
+                    throw lastError;
+                }
+
+                // Esperar lo necesario para recuperar el costo solicitado
+                const requested = body.extensions?.cost?.requestedQueryCost || estimatedCost;
+                const available = this.graphqlBucket.available ?? 0;
+                const delayMs = Math.max(1000, Math.ceil(((requested - available) / this.graphqlBucket.restoreRate) * 1000));
+                console.log(`[${getTimestamp()}] ⏳ Shopify ${operationName}: THROTTLED, reintento ${attempt}/${maxAttempts} en ${delayMs / 1000}s...`);
+                await delay(delayMs);
+                continue;
+            }
+
+            if (errors.length > 0) {
+                const error = new Error(`Shopify ${operationName}: ${errors.map(e => e.message).join('; ')}`);
+                error.graphQLErrors = errors;
+                throw error;
+            }
+
+            return body.data;
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Recorrer una conexión GraphQL paginada (pageInfo.hasNextPage / endCursor)
+     *
+     * La consulta debe aceptar la variable $cursor y pedir pageInfo { hasNextPage endCursor }
+     * en la conexión indicada.
+     *
+     * @param {string} query - Documento GraphQL con $cursor
+     * @param {Object} variables - Variables adicionales
+     * @param {string} connectionPath - Ruta a la conexión dentro de data (ej: "products")
+     * @param {Object} options - Ver graphql()
+     * @yields {Array} Nodos de cada página
+     */
+    async *paginateGraphql(query, variables, connectionPath, options = {}) {
+        let cursor = null;
+
+        do {
+            const data = await this.graphql(query, { ...variables, cursor }, options);
+            const connection = connectionPath.split('.').reduce((obj, key) => obj?.[key], data);
+
+            if (!connection) {
+                return;
+            }
+
+            const nodes = connection.nodes || (connection.edges || []).map(edge => edge.node);
+            if (nodes.length > 0) {
+                yield nodes;
+            }
+
+            cursor = connection.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+        } while (cursor);
+    }
+}
+
+// Instancia compartida por todos los módulos del proceso
+const shopifyClient = new ShopifyClient();
+
+module.exports = {
+    ShopifyClient,
+    shopifyClient,
+    parseNextLink,
+    isRateLimitError,
+    normalizeShopDomain,
+    DEFAULT_API_VERSION
+};
@@ -0,0 +1,250 @@
+/**
+ * Registro del resultado en la orden de Shopify
+ *
+ * Después de crear (o encontrar) la Nota de Venta en Manager+ se escribe en la orden:
+ * - Metafields (namespace SHOPIFY_ERP_METAFIELD_NAMESPACE, default: "erp"):
+ *   nv_folio, rut_cliente y processed_at
+ * - Tag "erp-nv-<folio>" (y se quita "erp-error" si la orden había fallado antes)
+ *
+ * Si el procesamiento falla se agrega el tag "erp-error" y el atributo de nota
+ * "ERP Error" con el mensaje, para que atención al cliente lo vea desde el admin.
+ * Al procesarse bien después, el atributo se elimina.
+ *
+ * Si la orden se edita y la NV no se puede actualizar se agrega el tag "erp-review"
+ * (ver orderEdits.js); se quita al cerrar la revisión.
+ *
+ * Requiere el scope write_orders. Desactivar con SHOPIFY_ORDER_WRITEBACK=false.
+ * Un error al escribir en Shopify solo se informa: nunca cambia el resultado de la orden.
+ */
+
+require('dotenv').config();
+const { shopifyClient } = require('./shopifyClient');
+const { serializeError, getTimestamp } = require('./webhookQueue');
+
+const ERROR_TAG = 'erp-error';
+const ERROR_NOTE_ATTRIBUTE = 'ERP Error';
+const REVIEW_TAG = 'erp-review';
+
+// Metafields y tags en una sola mutación
+const ORDER_WRITEBACK_MUTATION = `
+    mutation erpOrderWriteback($id: ID!, $metafields: [MetafieldsSetInput!]!, $tags: [String!]!, $removeTags: [String!]!) {
+        metafieldsSet(metafields: $metafields) {
+            userErrors {
+                field
+                message
+            }
+        }
+        tagsAdd(id: $id, tags: $tags) {
+            userErrors {
+                field
+                message
+            }
+        }
+        tagsRemove(id: $id, tags: $removeTags) {
+            userErrors {
+                field
+                message
+            }
+        }
+    }
+`;
+
+const TAGS_ADD_MUTATION = `
+    mutation erpOrderAddTag($id: ID!, $tags: [String!]!) {
+        tagsAdd(id: $id, tags: $tags) {
+            userErrors {
+                field
+                message
+            }
+        }
+    }
+`;
+
+const TAGS_REMOVE_MUTATION = `
+    mutation erpOrderRemoveTag($id: ID!, $tags: [String!]!) {
+        tagsRemove(id: $id, tags: $tags) {
+            userErrors {
+                field
+                message
+            }
+        }
+    }
+`;
+
+/**
+ * Verificar si el registro en Shopify está habilitado
+ * @returns {boolean}
+ */
+function isWritebackEnabled() {
+    return process.env.SHOPIFY_ORDER_WRITEBACK !== 'false' && process.env.SHOPIFY_ORDER_WRITEBACK !== '0';
+}
+
+/**
+ * Tag de la Nota de Venta
+ * @param {number|string} folio - Folio de la NV
+ * @returns {string}
+ */
+function getNvTag(folio) {
+    return `erp-nv-${folio}`;
+}
+
+/**
+ * Lanzar un error si alguna mutación devolvió userErrors
+ * @param {Object} data - Respuesta de la mutación
+ * @param {string} orderId - ID de la orden (para el mensaje)
+ */
+function assertNoUserErrors(data, orderId) {
+    const userErrors = Object.values(data || {})
+        .flatMap(payload => payload?.userErrors || []);
+    if (userErrors.length > 0) {
+        throw new Error(`Orden ${orderId}: ${userErrors.map(e => e.message).join('; ')}`);
+    }
+}
+
+/**
+ * Reemplazar (o quitar) el atributo de nota de error conservando los demás
+ *
+ * Shopify reemplaza note_attributes completo, por eso se leen los actuales antes de escribir.
+ *
+ * @param {string} orderId - ID de la orden
+ * @param {string|null} message - Mensaje de error (null para quitar el atributo)
+ */
+async function setErrorNoteAttribute(orderId, message) {
+    const response = await shopifyClient.get(`orders/${orderId}.json`, {
+        params: { fields: 'id,note_attributes' }
+    });
+    const current = response.data.order?.note_attributes || [];
+    const others = current.filter(attr => attr.name !== ERROR_NOTE_ATTRIBUTE);
+
+    if (message === null && others.length === current.length) {
+        return;
+    }
+
+    const noteAttributes = message === null
+        ? others
+        : [...others, { name: ERROR_NOTE_ATTRIBUTE, value: message.slice(0, 255) }];
+
+    await shopifyClient.put(`orders/${orderId}.json`, {
+        order: { id: orderId, note_attributes: noteAttributes }
+    });
+}
+
+/**
+ * Registrar en la orden la Nota de Venta creada o encontrada
+ *
+ * @param {Object} orderData - Datos de la orden de Shopify
+ * @param {Object} info
+ * @param {number|string} info.folio - Folio de la NV
+ * @param {string} info.rutCliente - RUT del cliente en Manager+ (opcional)
+ * @returns {Promise<boolean>} true si se registró
+ */
+async function recordOrderSuccess(orderData, { folio, rutCliente = null }) {
+    if (!isWritebackEnabled() || !orderData?.id || folio === undefined || folio === null) {
+        return false;
+    }
+
+    const orderId = orderData.id.toString();
+    const ownerId = `gid://shopify/Order/${orderId}`;
+    const namespace = process.env.SHOPIFY_ERP_METAFIELD_NAMESPACE || 'erp';
+    const metafields = [
+        { ownerId, namespace, key: 'nv_folio', type: 'single_line_text_field', value: `${folio}` },
+        { ownerId, namespace, key: 'processed_at', type: 'date_time', value: new Date().toISOString() }
+    ];
+    if (rutCliente) {
+        metafields.push({ ownerId, namespace, key: 'rut_cliente', type: 'single_line_text_field', value: rutCliente });
+    }
+
+    try {
+        const data = await shopifyClient.graphql(ORDER_WRITEBACK_MUTATION, {
+            id: ownerId,
+            metafields,
+            tags: [getNvTag(folio)],
+            removeTags: [ERROR_TAG]
+        }, {
+            estimatedCost: 30,
+            operationName: `Registrar NV ${folio} en orden ${orderId}`
+        });
+        assertNoUserErrors(data, orderId);
+
+        const hadError = (orderData.note_attributes || []).some(attr => attr.name === ERROR_NOTE_ATTRIBUTE);
+        if (hadError) {
+            await setErrorNoteAttribute(orderId, null);
+        }
+
+        console.log(`   └─ NV ${folio} registrada en la orden de Shopify (tag ${getNvTag(folio)})`);
+        return true;
+    } catch (error) {
+        console.warn(`[${getTimestamp()}]    └─ ⚠️  No se pudo registrar la NV ${folio} en la orden ${orderId}: ${serializeError(error.response?.data || error)}`);
+        return false;
+    }
+}
+
+/**
+ * Marcar una orden como fallida en Shopify (tag erp-error y atributo "ERP Error")
+ *
+ * @param {Object} orderData - Datos de la orden de Shopify
+ * @param {string} errorMessage - Mensaje de error
+ * @returns {Promise<boolean>} true si se registró
+ */
+async function recordOrderFailure(orderData, errorMessage) {
+    if (!isWritebackEnabled() || !orderData?.id) {
+        return false;
+    }
+
+    const orderId = orderData.id.toString();
+    try {
+        const data = await shopifyClient.graphql(TAGS_ADD_MUTATION, {
+            id: `gid://shopify/Order/${orderId}`,
+            tags: [ERROR_TAG]
+        }, {
+            estimatedCost: 10,
+            operationName: `Marcar error en orden ${orderId}`
+        });
+        assertNoUserErrors(data, orderId);
+
+        await setErrorNoteAttribute(orderId, `${new Date().toISOString()} ${errorMessage}`);
+        return true;
+    } catch (error) {
+        console.warn(`[${getTimestamp()}]    └─ ⚠️  No se pudo marcar el error en la orden ${orderId}: ${serializeError(error.response?.data || error)}`);
+        return false;
+    }
+}
+
+/**
+ * Agregar o quitar el tag de revisión manual de una orden
+ *
+ * @param {string} orderId - ID de la orden
+ * @param {boolean} pending - true para agregar el tag, false para quitarlo
+ * @returns {Promise<boolean>} true si se registró
+ */
+async function setOrderReviewTag(orderId, pending) {
+    if (!isWritebackEnabled() || !orderId) {
+        return false;
+    }
+
+    try {
+        const data = await shopifyClient.graphql(pending ? TAGS_ADD_MUTATION : TAGS_REMOVE_MUTATION, {
+            id: `gid://shopify/Order/${orderId}`,
+            tags: [REVIEW_TAG]
+        }, {
+            estimatedCost: 10,
+            operationName: `${pending ? 'Marcar' : 'Quitar'} revisión en orden ${orderId}`
+        });
+        assertNoUserErrors(data, orderId);
+        return true;
+    } catch (error) {
+        console.warn(`[${getTimestamp()}]    └─ ⚠️  No se pudo ${pending ? 'marcar' : 'quitar'} la revisión en la orden ${orderId}: ${serializeError(error.response?.data || error)}`);
+        return false;
+    }
+}
+
+module.exports = {
+    recordOrderSuccess,
+    recordOrderFailure,
+    setOrderReviewTag,
+    getNvTag,
+    isWritebackEnabled,
+    ERROR_TAG,
+    ERROR_NOTE_ATTRIBUTE,
+    REVIEW_TAG
+};
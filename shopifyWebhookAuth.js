@@ -0,0 +1,113 @@
+/**
+ * Verificación de firma HMAC de webhooks de Shopify
+ *
+ * Shopify firma cada webhook con el secreto de la app y envía la firma en el
+ * header X-Shopify-Hmac-Sha256 (HMAC-SHA256 del body crudo, en base64).
+ *
+ * Para rotar el secreto sin perder webhooks se aceptan dos secretos activos:
+ * - SHOPIFY_WEBHOOK_SECRET: secreto actual
+ * - SHOPIFY_WEBHOOK_SECRET_PREVIOUS: secreto anterior (opcional, durante la rotación)
+ *
+ * Sin secreto configurado se rechazan todos los webhooks. Para desactivar la verificación
+ * (solo en desarrollo) hay que indicarlo explícitamente con SHOPIFY_WEBHOOK_VERIFY=false.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+
+/**
+ * Obtener los secretos configurados (actual y anterior)
+ * @returns {Array<string>} Secretos activos
+ */
+function getWebhookSecrets() {
+    return [
+        process.env.SHOPIFY_WEBHOOK_SECRET,
+        process.env.SHOPIFY_WEBHOOK_SECRET_PREVIOUS
+    ].filter(secret => secret && secret.trim() !== '');
+}
+
+/**
+ * Verificar si la verificación de firma está desactivada explícitamente
+ * @returns {boolean}
+ */
+function isVerificationDisabled() {
+    return process.env.SHOPIFY_WEBHOOK_VERIFY === 'false' || process.env.SHOPIFY_WEBHOOK_VERIFY === '0';
+}
+
+/**
+ * Verificar la firma HMAC de un webhook contra uno o más secretos
+ *
+ * @param {Buffer|string} rawBody - Body crudo de la petición
+ * @param {string} hmacHeader - Valor del header X-Shopify-Hmac-Sha256
+ * @param {Array<string>} secrets - Secretos a probar
+ * @returns {boolean} true si la firma coincide con alguno de los secretos
+ */
+function verifyShopifyHmac(rawBody, hmacHeader, secrets) {
+    if (!rawBody || !hmacHeader || !secrets || secrets.length === 0) {
+        return false;
+    }
+
+    const received = Buffer.from(hmacHeader, 'base64');
+
+    return secrets.some(secret => {
+        const expected = crypto
+            .createHmac('sha256', secret)
+            .update(rawBody)
+            .digest();
+
+        // timingSafeEqual exige buffers del mismo largo
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    });
+}
+
+/**
+ * Crear middleware de Express que valida la firma de los webhooks de Shopify
+ *
+ * Requiere que express.json() guarde el body crudo en req.rawBody.
+ * Si no hay secretos configurados se rechazan todas las peticiones (reason: no_secret),
+ * salvo que SHOPIFY_WEBHOOK_VERIFY=false.
+ *
+ * @param {Object} options
+ * @param {Function} options.onRejected - Callback (req, reason) al rechazar una petición
+ * @returns {Function} Middleware de Express
+ */
+function createShopifyWebhookVerifier(options = {}) {
+    const { onRejected = () => { } } = options;
+
+    return (req, res, next) => {
+        if (isVerificationDisabled()) {
+            return next();
+        }
+
+        const secrets = getWebhookSecrets();
+        const hmacHeader = req.headers['x-shopify-hmac-sha256'];
+
+        if (secrets.length === 0) {
+            onRejected(req, 'no_secret');
+            return res.status(401).json({
+                success: false,
+                error: 'Verificación de webhooks sin secreto configurado (SHOPIFY_WEBHOOK_SECRET)'
+            });
+        }
+
+        const reason = !hmacHeader ? 'missing_hmac' : 'invalid_hmac';
+
+        if (hmacHeader && verifyShopifyHmac(req.rawBody, hmacHeader, secrets)) {
+            return next();
+        }
+
+        onRejected(req, reason);
+
+        res.status(401).json({
+            success: false,
+            error: 'Firma de webhook inválida'
+        });
+    };
+}
+
+module.exports = {
+    getWebhookSecrets,
+    isVerificationDisabled,
+    verifyShopifyHmac,
+    createShopifyWebhookVerifier
+};
@@ -0,0 +1,340 @@
+/**
+ * Stock de seguridad y overrides por SKU para la sincronización de stocks
+ *
+ * El saldo de Manager+ se publica en Shopify descontando un stock de seguridad,
+ * para no vender la última unidad mientras se procesa una venta de mesón.
+ * Algunos SKUs pueden tener un override que reemplaza el cálculo.
+ *
+ * Configuración en un archivo JSON (STOCK_RULES_FILE, default: data/stock-rules.json),
+ * editable a mano o por la API (/api/stock/rules y /api/stock/overrides):
+ * {
+ *   "safetyStock": {
+ *     "default": 1,
+ *     "skuPatterns": [{ "pattern": "HER-*", "quantity": 2 }],
+ *     "collections": [{ "collection": "ofertas", "quantity": 0 }],
+ *     "tags": [{ "tag": "fragil", "quantity": 3 }]
+ *   },
+ *   "overrides": {
+ *     "ABC123": { "mode": "zero" },
+ *     "DEF456": { "mode": "fixed", "quantity": 5 },
+ *     "GHI789": { "mode": "ignore", "note": "Se maneja a mano" }
+ *   }
+ * }
+ *
+ * Prioridad: override del SKU → patrón de SKU → colección → tag → default.
+ * Dentro de cada grupo se usa la primera regla que coincida.
+ *
+ * Overrides:
+ * - zero:   publicar siempre 0
+ * - fixed:  publicar siempre "quantity"
+ * - ignore: no tocar el stock de ese SKU en Shopify
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Ruta por defecto del archivo de reglas
+const DEFAULT_STOCK_RULES_FILE = path.join(__dirname, 'data', 'stock-rules.json');
+
+// Modos de override soportados
+const OVERRIDE_MODES = ['zero', 'fixed', 'ignore'];
+
+/**
+ * Reglas vacías (sin stock de seguridad ni overrides)
+ * @returns {Object}
+ */
+function emptyStockRules() {
+    return {
+        safetyStock: { default: 0, skuPatterns: [], collections: [], tags: [] },
+        overrides: {}
+    };
+}
+
+/**
+ * Verificar que un valor sea un entero >= 0
+ * @param {*} value - Valor a validar
+ * @returns {boolean}
+ */
+function isNonNegativeInteger(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Validar un override de SKU
+ * @param {string} sku - SKU
+ * @param {Object} override - { mode, quantity, note }
+ * @returns {Array<string>} Errores encontrados
+ */
+function validateOverride(sku, override) {
+    const errors = [];
+    if (!override || typeof override !== 'object') {
+        return [`Override de ${sku}: debe ser un objeto`];
+    }
+    if (!OVERRIDE_MODES.includes(override.mode)) {
+        errors.push(`Override de ${sku}: mode debe ser ${OVERRIDE_MODES.join(', ')}`);
+    }
+    if (override.mode === 'fixed' && !isNonNegativeInteger(override.quantity)) {
+        errors.push(`Override de ${sku}: mode "fixed" requiere quantity entero >= 0`);
+    }
+    return errors;
+}
+
+/**
+ * Validar la configuración completa
+ * @param {Object} rules - Configuración tal como viene del archivo o de la API
+ * @returns {Array<string>} Errores encontrados (vacío si es válida)
+ */
+function validateStockRules(rules) {
+    const errors = [];
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        return ['La configuración debe ser un objeto JSON'];
+    }
+
+    const safety = rules.safetyStock || {};
+    if (safety.default !== undefined && !isNonNegativeInteger(safety.default)) {
+        errors.push('safetyStock.default debe ser un entero >= 0');
+    }
+
+    const groups = [
+        ['skuPatterns', 'pattern'],
+        ['collections', 'collection'],
+        ['tags', 'tag']
+    ];
+    groups.forEach(([group, key]) => {
+        if (safety[group] === undefined) return;
+        if (!Array.isArray(safety[group])) {
+            errors.push(`safetyStock.${group} debe ser un array`);
+            return;
+        }
+        safety[group].forEach((rule, index) => {
+            if (!rule || !rule[key]) {
+                errors.push(`safetyStock.${group}[${index}]: falta "${key}"`);
+            }
+            if (!rule || !isNonNegativeInteger(rule.quantity)) {
+                errors.push(`safetyStock.${group}[${index}]: quantity debe ser un entero >= 0`);
+            }
+        });
+    });
+
+    if (rules.overrides !== undefined) {
+        if (typeof rules.overrides !== 'object' || Array.isArray(rules.overrides)) {
+            errors.push('overrides debe ser un objeto SKU -> override');
+        } else {
+            Object.entries(rules.overrides).forEach(([sku, override]) => {
+                errors.push(...validateOverride(sku, override));
+            });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Completar la configuración con valores por defecto
+ * @param {Object} rules - Configuración validada
+ * @returns {Object} Configuración normalizada
+ */
+function normalizeStockRules(rules) {
+    const empty = emptyStockRules();
+    const safety = rules.safetyStock || {};
+    return {
+        safetyStock: {
+            default: safety.default !== undefined ? safety.default : empty.safetyStock.default,
+            skuPatterns: safety.skuPatterns || [],
+            collections: safety.collections || [],
+            tags: safety.tags || []
+        },
+        overrides: rules.overrides || {}
+    };
+}
+
+/**
+ * Convertir un patrón con comodines (*) en expresión regular (sin distinguir mayúsculas)
+ * @param {string} pattern - Patrón, ej: "HER-*"
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+    const escaped = pattern.toString().trim()
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Almacenamiento de las reglas en un archivo JSON
+ *
+ * Se relee en cada sincronización porque la API (server.js) y el scheduler
+ * corren en procesos distintos.
+ */
+class StockRulesStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.filePath - Ruta del archivo JSON
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.STOCK_RULES_FILE || DEFAULT_STOCK_RULES_FILE;
+    }
+
+    /**
+     * Leer las reglas del archivo (reglas vacías si no existe)
+     * @returns {Object} Configuración normalizada
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return emptyStockRules();
+        }
+
+        let raw;
+        try {
+            raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`No se pudo leer ${this.filePath}: ${error.message}`);
+        }
+
+        const errors = validateStockRules(raw);
+        if (errors.length > 0) {
+            throw new Error(`Reglas de stock inválidas en ${this.filePath}: ${errors.join('; ')}`);
+        }
+        return normalizeStockRules(raw);
+    }
+
+    /**
+     * Guardar las reglas (archivo temporal + rename para que sea atómico)
+     * @param {Object} rules - Configuración ya validada
+     * @returns {Object} Configuración normalizada guardada
+     */
+    save(rules) {
+        const normalized = normalizeStockRules(rules);
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(normalized, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+        return normalized;
+    }
+
+    /**
+     * Crear o reemplazar el override de un SKU
+     * @param {string} sku - SKU
+     * @param {Object} override - { mode, quantity, note }
+     * @returns {{override: Object|null, errors: Array<string>}}
+     */
+    setOverride(sku, override) {
+        const errors = validateOverride(sku, override);
+        if (errors.length > 0) {
+            return { override: null, errors };
+        }
+
+        const rules = this.load();
+        const entry = {
+            mode: override.mode,
+            ...(override.mode === 'fixed' ? { quantity: override.quantity } : {}),
+            ...(override.note ? { note: override.note } : {}),
+            updatedAt: new Date().toISOString()
+        };
+        rules.overrides[sku] = entry;
+        this.save(rules);
+        return { override: entry, errors: [] };
+    }
+
+    /**
+     * Eliminar el override de un SKU
+     * @param {string} sku - SKU
+     * @returns {boolean} true si existía
+     */
+    removeOverride(sku) {
+        const rules = this.load();
+        if (!rules.overrides[sku]) {
+            return false;
+        }
+        delete rules.overrides[sku];
+        this.save(rules);
+        return true;
+    }
+}
+
+/**
+ * Obtener las referencias de colección usadas por las reglas (para precargar su contenido)
+ * @param {Object} rules - Configuración normalizada
+ * @returns {Array<string>} Handles o IDs de colección
+ */
+function getReferencedCollections(rules) {
+    return [...new Set(rules.safetyStock.collections.map(rule => rule.collection.toString().trim()))];
+}
+
+/**
+ * Calcular el stock a publicar en Shopify para un SKU
+ *
+ * @param {number} managerStock - Saldo en Manager+
+ * @param {Object} context
+ * @param {string} context.sku - SKU
+ * @param {Array<string>} context.tags - Tags del producto en Shopify
+ * @param {Set<string>} context.collections - Colecciones (handle o ID de las reglas) que contienen el producto
+ * @param {Object} rules - Configuración normalizada
+ * @returns {{quantity: number|null, skip: boolean, safetyStock: number, rule: string}}
+ *   quantity es null cuando skip=true (override "ignore")
+ */
+function resolveStockQuantity(managerStock, context, rules) {
+    const override = rules.overrides[context.sku];
+    if (override) {
+        if (override.mode === 'ignore') {
+            return { quantity: null, skip: true, safetyStock: 0, rule: 'override:ignore' };
+        }
+        if (override.mode === 'zero') {
+            return { quantity: 0, skip: false, safetyStock: 0, rule: 'override:zero' };
+        }
+        return { quantity: override.quantity, skip: false, safetyStock: 0, rule: 'override:fixed' };
+    }
+
+    const { safetyStock } = rules;
+    let safety = null;
+    let rule = null;
+
+    const skuRule = safetyStock.skuPatterns.find(r => patternToRegExp(r.pattern).test(context.sku));
+    if (skuRule) {
+        safety = skuRule.quantity;
+        rule = `sku:${skuRule.pattern}`;
+    }
+
+    if (safety === null && context.collections) {
+        const collectionRule = safetyStock.collections.find(r => context.collections.has(r.collection.toString().trim()));
+        if (collectionRule) {
+            safety = collectionRule.quantity;
+            rule = `collection:${collectionRule.collection}`;
+        }
+    }
+
+    if (safety === null) {
+        const tags = (context.tags || []).map(tag => tag.toLowerCase());
+        const tagRule = safetyStock.tags.find(r => tags.includes(r.tag.toString().trim().toLowerCase()));
+        if (tagRule) {
+            safety = tagRule.quantity;
+            rule = `tag:${tagRule.tag}`;
+        }
+    }
+
+    if (safety === null) {
+        safety = safetyStock.default;
+        rule = 'default';
+    }
+
+    return {
+        quantity: Math.max(0, managerStock - safety),
+        skip: false,
+        safetyStock: safety,
+        rule
+    };
+}
+
+// Instancia compartida
+const stockRulesStore = new StockRulesStore();
+
+module.exports = {
+    StockRulesStore,
+    stockRulesStore,
+    validateStockRules,
+    getReferencedCollections,
+    resolveStockQuantity,
+    emptyStockRules,
+    OVERRIDE_MODES,
+    DEFAULT_STOCK_RULES_FILE
+};
@@ -0,0 +1,394 @@
+/**
+ * Historial de sincronizaciones de stocks y precios
+ *
+ * Cada corrida (inicio/fin, opciones y contadores) y cada acción por SKU (valor anterior,
+ * valor nuevo, lista o bodega de origen, error) quedan registradas para poder responder
+ * "¿cuándo y por qué cambió este precio?" sin depender de los logs de PM2.
+ *
+ * Se guardan dos archivos JSON-lines (append-only, uno por línea):
+ * - SYNC_RUNS_FILE:        eventos de corrida { event: "start" | "finish", run }
+ *                          (default: data/sync-runs.jsonl)
+ * - SYNC_SKU_HISTORY_FILE: acciones por SKU { runId, type, at, sku, action, oldValue, newValue, source, error }
+ *                          (default: data/sync-sku-history.jsonl)
+ *
+ * Los resultados "no_change" no se guardan por SKU (solo cuentan en los totales de la corrida).
+ * Las corridas más antiguas que SYNC_HISTORY_RETENTION_DAYS (default: 90) se eliminan
+ * junto con sus acciones al iniciar el servidor o el scheduler (ver compact). Una corrida
+ * con "start" y sin "finish" quedó interrumpida; una cancelada desde la API (ver syncJobs.js) termina con status "cancelled" y solo los SKUs procesados.
+ *
+ * Los archivos se releen en cada consulta porque el scheduler y la API corren en procesos distintos.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Rutas por defecto de los archivos de historial
+const DEFAULT_RUNS_FILE = path.join(__dirname, 'data', 'sync-runs.jsonl');
+const DEFAULT_SKU_HISTORY_FILE = path.join(__dirname, 'data', 'sync-sku-history.jsonl');
+
+// Opciones de sincronización que vale la pena guardar con cada corrida
+const RECORDED_OPTIONS = ['dryRun', 'forceUpdate', 'force', 'batch', 'batchSize', 'concurrency', 'maxRetries', 'skipPriceGuard', 'targeted'];
+
+/**
+ * Leer un archivo JSON-lines ignorando líneas truncadas
+ * @param {string} filePath - Ruta del archivo
+ * @returns {Array<Object>}
+ */
+function readJsonl(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+    return parseJsonl(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Convertir el contenido de un archivo JSON-lines en registros
+ * @param {string} content - Contenido del archivo
+ * @returns {Array<Object>}
+ */
+function parseJsonl(content) {
+    const records = [];
+    content.split('\n').forEach(line => {
+        if (!line.trim()) return;
+        try {
+            records.push(JSON.parse(line));
+        } catch {
+            // Una línea truncada (corte a mitad de escritura) no debe impedir leer el resto
+        }
+    });
+    return records;
+}
+
+/**
+ * Reescribir un archivo JSON-lines conservando solo algunos registros
+ *
+ * Se escribe en un archivo temporal propio del proceso y se renombra (atómico). Justo antes
+ * del rename se copian tal cual las líneas que otro proceso agregó mientras tanto.
+ *
+ * @param {string} filePath - Ruta del archivo
+ * @param {Function} keep - (registro) => boolean
+ */
+function rewriteJsonl(filePath, keep) {
+    if (!fs.existsSync(filePath)) {
+        return;
+    }
+    const content = fs.readFileSync(filePath, 'utf8');
+    const records = parseJsonl(content).filter(keep);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, records.map(record => JSON.stringify(record)).join('\n') + (records.length > 0 ? '\n' : ''));
+
+    const appended = fs.readFileSync(filePath, 'utf8').slice(content.length);
+    if (appended) {
+        fs.appendFileSync(tmpPath, appended);
+    }
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Convertir un resultado de sincronización de stock en una acción del historial
+ * @param {Object} result - Resultado de syncProductStock
+ * @returns {Object}
+ */
+function toStockEntry(result) {
+    return {
+        sku: result.sku,
+        action: result.action,
+        success: result.success,
+        oldValue: result.shopifyStock ?? null,
+        newValue: result.newStock ?? null,
+        source: {
+            managerStock: result.managerStock ?? null,
+            safetyStock: result.safetyStock ?? null,
+            stockRule: result.stockRule || null,
+            locations: (result.locations || []).map(location => ({
+                locationId: location.locationId,
+                locationName: location.locationName,
+                managerStock: location.managerStock,
+                shopifyStock: location.shopifyStock,
+                newStock: location.newStock,
+                action: location.action
+            }))
+        },
+        error: result.error || null
+    };
+}
+
+/**
+ * Convertir un resultado de sincronización de precio en una acción del historial
+ * @param {Object} result - Resultado de syncProductPrice (o una aprobación)
+ * @returns {Object}
+ */
+function toPriceEntry(result) {
+    const entry = {
+        sku: result.sku,
+        action: result.action,
+        success: result.success,
+        oldValue: result.shopifyPrice ?? null,
+        newValue: result.newPrice ?? null,
+        source: {
+            managerPrice: result.managerPrice ?? null,
+            precioLista: result.precioLista ?? null,
+            listaUsada: result.listaUsada || null,
+            listaNombre: result.listaNombre || null,
+            reglaAplicada: result.reglaAplicada || null
+        },
+        error: result.error || null
+    };
+    if (result.listaOferta !== undefined) {
+        entry.source.listaOferta = result.listaOferta || null;
+        entry.source.salePrice = result.salePrice ?? null;
+        entry.compareAt = {
+            oldValue: result.shopifyCompareAtPrice ?? null,
+            newValue: result.newCompareAtPrice ?? null
+        };
+    }
+    if (result.heldReason) {
+        entry.heldReason = result.heldReason;
+    }
+    return entry;
+}
+
+/**
+ * Almacenamiento del historial en archivos JSON-lines
+ */
+class SyncHistoryStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.runsFile - Archivo de corridas
+     * @param {string} options.skuHistoryFile - Archivo de acciones por SKU
+     * @param {number} options.retentionDays - Días que se conservan las corridas
+     */
+    constructor(options = {}) {
+        this.runsFile = options.runsFile || process.env.SYNC_RUNS_FILE || DEFAULT_RUNS_FILE;
+        this.skuHistoryFile = options.skuHistoryFile || process.env.SYNC_SKU_HISTORY_FILE || DEFAULT_SKU_HISTORY_FILE;
+        this.retentionDays = options.retentionDays !== undefined
+            ? options.retentionDays
+            : (process.env.SYNC_HISTORY_RETENTION_DAYS ? parseInt(process.env.SYNC_HISTORY_RETENTION_DAYS) : 90);
+    }
+
+    /**
+     * Registrar el inicio de una corrida
+     *
+     * Los errores de escritura solo se informan: el historial no debe detener una sincronización.
+     *
+     * @param {string} type - stocks | prices
+     * @param {Object} meta - { mode, trigger, options, total }
+     * @returns {Object} Corrida iniciada (se pasa luego a finishRun)
+     */
+    startRun(type, meta = {}) {
+        const startedAt = new Date();
+        const run = {
+            id: `${type}-${startedAt.toISOString().replace(/[-:]/g, '').slice(0, 15)}-${crypto.randomBytes(3).toString('hex')}`,
+            type,
+            mode: meta.mode || 'skus',
+            trigger: meta.trigger || 'cli',
+            options: Object.fromEntries(
+                RECORDED_OPTIONS
+                    .filter(key => meta.options && meta.options[key] !== undefined)
+                    .map(key => [key, meta.options[key]])
+            ),
+            total: meta.total ?? null,
+            status: 'running',
+            startedAt: startedAt.toISOString()
+        };
+
+        try {
+            fs.mkdirSync(path.dirname(this.runsFile), { recursive: true });
+            fs.appendFileSync(this.runsFile, JSON.stringify({ event: 'start', run }) + '\n');
+        } catch (error) {
+            console.warn(`⚠️  No se pudo registrar el inicio de la corrida en el historial: ${error.message}`);
+        }
+        return run;
+    }
+
+    /**
+     * Registrar el fin de una corrida con sus contadores y las acciones por SKU
+     *
+     * @param {Object} run - Corrida devuelta por startRun
+     * @param {Object|null} results - Resumen de syncMultipleProducts (null si falló antes de terminar)
+     * @param {Error} error - Error fatal (opcional)
+     * @returns {Object} Corrida finalizada
+     */
+    finishRun(run, results, error = null) {
+        const finishedAt = new Date();
+        const finished = {
+            ...run,
+            status: error ? 'failed' : (results?.cancelled ? 'cancelled' : 'completed'),
+            finishedAt: finishedAt.toISOString(),
+            durationMs: finishedAt - new Date(run.startedAt),
+            counts: results ? {
+                total: results.total,
+                updated: results.updated,
+                noChange: results.noChange,
+                skipped: results.skipped,
+                errors: results.errors,
+                ...(results.held !== undefined ? { held: results.held } : {}),
+                ...(results.notFound !== undefined ? { notFound: results.notFound } : {})
+            } : null,
+            error: error ? error.message : null
+        };
+
+        try {
+            const toEntry = run.type === 'prices' ? toPriceEntry : toStockEntry;
+            const lines = (results?.details || [])
+                .filter(result => result.action !== 'no_change')
+                .map(result => JSON.stringify({
+                    runId: run.id,
+                    type: run.type,
+                    at: finished.finishedAt,
+                    dryRun: !!run.options.dryRun,
+                    ...toEntry(result)
+                }));
+            if (lines.length > 0) {
+                fs.mkdirSync(path.dirname(this.skuHistoryFile), { recursive: true });
+                fs.appendFileSync(this.skuHistoryFile, lines.join('\n') + '\n');
+            }
+            fs.appendFileSync(this.runsFile, JSON.stringify({ event: 'finish', run: finished }) + '\n');
+        } catch (writeError) {
+            console.warn(`⚠️  No se pudo registrar la corrida ${run.id} en el historial: ${writeError.message}`);
+        }
+        return finished;
+    }
+
+    /**
+     * Registrar de una vez una corrida ya terminada (ej: un SKU desde la API o una aprobación)
+     * @param {string} type - stocks | prices
+     * @param {Object} meta - Ver startRun
+     * @param {Array<Object>} details - Resultados por SKU
+     * @returns {Object} Corrida finalizada
+     */
+    recordRun(type, meta, details) {
+        const run = this.startRun(type, { ...meta, total: details.length });
+        const count = (predicate) => details.filter(predicate).length;
+        return this.finishRun(run, {
+            total: details.length,
+            updated: count(r => r.success && (r.action === 'updated' || r.action === 'would_update' || r.action === 'approved')),
+            noChange: count(r => r.success && r.action === 'no_change'),
+            skipped: count(r => r.success && !['updated', 'would_update', 'approved', 'no_change', 'held'].includes(r.action)),
+            errors: count(r => !r.success),
+            ...(type === 'prices' ? { held: count(r => r.action === 'held') } : {}),
+            details
+        });
+    }
+
+    /**
+     * Reconstruir las corridas a partir de los eventos
+     * @returns {Map<string, Object>} Mapa id -> corrida (en orden de inicio)
+     */
+    loadRuns() {
+        const runs = new Map();
+        readJsonl(this.runsFile).forEach(record => {
+            if (!record.run?.id) return;
+            runs.set(record.run.id, { ...(runs.get(record.run.id) || {}), ...record.run });
+        });
+        return runs;
+    }
+
+    /**
+     * Listar corridas, las más recientes primero
+     * @param {Object} options
+     * @param {string} options.type - Filtrar por tipo (stocks | prices)
+     * @param {number} options.limit - Máximo de resultados (default: 50)
+     * @returns {Array<Object>}
+     */
+    listRuns(options = {}) {
+        const { type, limit = 50 } = options;
+        return Array.from(this.loadRuns().values())
+            .filter(run => !type || run.type === type)
+            .reverse()
+            .slice(0, limit);
+    }
+
+    /**
+     * Obtener una corrida con sus acciones por SKU
+     * @param {string} id - ID de la corrida
+     * @param {Object} options
+     * @param {string} options.action - Filtrar acciones (updated, error, held, ...)
+     * @param {number} options.limit - Máximo de acciones (default: 500)
+     * @returns {{run: Object, entries: Array<Object>, totalEntries: number}|null} null si no existe
+     */
+    getRun(id, options = {}) {
+        const { action, limit = 500 } = options;
+        const run = this.loadRuns().get(id);
+        if (!run) {
+            return null;
+        }
+        const entries = readJsonl(this.skuHistoryFile)
+            .filter(entry => entry.runId === id && (!action || entry.action === action));
+        return { run, entries: entries.slice(0, limit), totalEntries: entries.length };
+    }
+
+    /**
+     * Historial de un SKU, lo más reciente primero
+     * @param {string} sku - SKU
+     * @param {Object} options
+     * @param {string} options.type - Filtrar por tipo (stocks | prices)
+     * @param {boolean} options.includeDryRun - Incluir simulaciones (default: false)
+     * @param {number} options.limit - Máximo de resultados (default: 100)
+     * @returns {Array<Object>}
+     */
+    getSkuHistory(sku, options = {}) {
+        const { type, includeDryRun = false, limit = 100 } = options;
+        const wanted = sku.toString().trim().toUpperCase();
+        return readJsonl(this.skuHistoryFile)
+            .filter(entry => (entry.sku || '').toString().trim().toUpperCase() === wanted)
+            .filter(entry => (!type || entry.type === type) && (includeDryRun || !entry.dryRun))
+            .reverse()
+            .slice(0, limit);
+    }
+
+    /**
+     * Eliminar corridas (y sus acciones) más antiguas que la retención configurada
+     *
+     * Se llama al iniciar el servidor y el scheduler, no después de cada corrida. Un archivo
+     * de bloqueo evita que los dos procesos compacten a la vez; si otro proceso lo tiene
+     * tomado (hace menos de 10 minutos) no se hace nada.
+     *
+     * @returns {number} Corridas eliminadas
+     */
+    compact() {
+        if (!(this.retentionDays > 0)) {
+            return 0;
+        }
+        const limit = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+        const expired = new Set(readJsonl(this.runsFile)
+            .filter(record => record.run?.startedAt < limit)
+            .map(record => record.run.id));
+        if (expired.size === 0) {
+            return 0;
+        }
+
+        const lockPath = `${this.runsFile}.lock`;
+        try {
+            if (fs.existsSync(lockPath) && Date.now() - fs.statSync(lockPath).mtimeMs > 10 * 60 * 1000) {
+                fs.unlinkSync(lockPath); // Bloqueo de un proceso que murió a mitad de la compactación
+            }
+            fs.closeSync(fs.openSync(lockPath, 'wx'));
+        } catch (error) {
+            if (error.code === 'EEXIST') {
+                return 0;
+            }
+            throw error;
+        }
+
+        try {
+            rewriteJsonl(this.runsFile, record => !expired.has(record.run?.id));
+            rewriteJsonl(this.skuHistoryFile, entry => !expired.has(entry.runId));
+        } finally {
+            fs.unlinkSync(lockPath);
+        }
+        return expired.size;
+    }
+}
+
+// Instancia compartida
+const syncHistoryStore = new SyncHistoryStore();
+
+module.exports = {
+    SyncHistoryStore,
+    syncHistoryStore,
+    DEFAULT_RUNS_FILE,
+    DEFAULT_SKU_HISTORY_FILE
+};
@@ -0,0 +1,428 @@
+/**
+ * Trabajos de sincronización en segundo plano
+ *
+ * Una sincronización completa tarda mucho más que el timeout de una petición HTTP
+ * detrás del túnel de Cloudflare. La API la lanza como trabajo: responde de inmediato
+ * con el ID y el avance se consulta en GET /api/sync/jobs/:id (ver server.js).
+ *
+ * La cancelación es cooperativa: DELETE /api/sync/jobs/:id aborta la señal del trabajo,
+ * la sincronización termina el chunk en curso y no inicia más (en modo batch las
+ * escrituras pendientes no se envían). Lo ya escrito en Shopify no se revierte.
+ *
+ * Tipos: stocks, prices y all (stocks y luego precios, como executeFullSync del scheduler).
+ * Solo puede haber un trabajo completo (todos los SKUs) por tipo en ejecución a la vez;
+ * un trabajo "all" completo bloquea también los completos de stocks y de precios.
+ * Los trabajos viven en la memoria del proceso de la API; se conservan los últimos
+ * SYNC_JOBS_MAX_FINISHED terminados (default: 50). El detalle por SKU queda en el
+ * historial de la corrida (runId, ver syncHistory.js).
+ *
+ * Estados de un trabajo:
+ * - running:    en ejecución
+ * - cancelling: cancelación pedida, esperando que termine el chunk en curso
+ * - completed:  terminó (puede tener errores por SKU, ver counts)
+ * - cancelled:  cancelado; los contadores cubren solo los SKUs procesados
+ * - failed:     error fatal (autenticación, carga inicial, ...)
+ *
+ * Fases (phase) mientras corre: loading, comparing, applying (solo batch), retrying; en los
+ * trabajos "all", step indica el paso en curso (stocks | prices) y waiting la pausa entre ambos.
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const syncStocks = require('./syncStocks');
+const syncPrices = require('./syncPricesShopify');
+
+// Pausa entre stocks y precios en los trabajos "all" (igual que el scheduler)
+const STEP_PAUSE_MS = 5000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Ejecutar una sincronización (todos los SKUs si no se indican)
+ * @param {Object} syncModule - syncStocks o syncPricesShopify
+ * @param {Array<string>|null} skus - SKUs a sincronizar
+ * @param {Object} options - Opciones de syncMultipleProducts
+ * @returns {Promise<Object>} Resumen de la sincronización
+ */
+function runSync(syncModule, skus, options) {
+    return skus ? syncModule.syncMultipleProducts(skus, options) : syncModule.syncAllProducts(options);
+}
+
+/**
+ * Sincronizar stocks y luego precios
+ *
+ * Igual que executeFullSync: si stocks falla se continúa con precios. Una cancelación
+ * detiene ambos pasos.
+ *
+ * @param {Array<string>|null} skus - SKUs a sincronizar
+ * @param {Object} options - Opciones de syncMultipleProducts (con signal y onProgress)
+ * @returns {Promise<{steps: {stocks: Object|null, prices: Object|null}, errors: Object, cancelled: boolean}>}
+ */
+async function runStocksThenPrices(skus, options) {
+    const steps = { stocks: null, prices: null };
+    const errors = {};
+    const withStep = (step) => ({
+        ...options,
+        onProgress: (progress) => options.onProgress({ ...progress, step })
+    });
+
+    try {
+        steps.stocks = await runSync(syncStocks, skus, withStep('stocks'));
+    } catch (error) {
+        console.error(`❌ Error en sincronización de stocks: ${error.message}. Continuando con precios...`);
+        errors.stocks = error.message;
+    }
+
+    if (!options.signal.aborted) {
+        options.onProgress({ phase: 'waiting', step: 'prices', processed: 0, total: null });
+        await sleep(STEP_PAUSE_MS);
+    }
+
+    if (!options.signal.aborted) {
+        try {
+            steps.prices = await runSync(syncPrices, skus, withStep('prices'));
+        } catch (error) {
+            if (!steps.stocks) {
+                throw new Error(`Stocks: ${errors.stocks}. Precios: ${error.message}`);
+            }
+            console.error(`❌ Error en sincronización de precios: ${error.message}`);
+            errors.prices = error.message;
+        }
+    }
+
+    return { steps, errors, cancelled: options.signal.aborted };
+}
+
+// Sincronizaciones disponibles por tipo de trabajo
+const SYNC_RUNNERS = {
+    stocks: (skus, options) => runSync(syncStocks, skus, options),
+    prices: (skus, options) => runSync(syncPrices, skus, options),
+    all: runStocksThenPrices
+};
+
+// Tipos que abarca cada trabajo (dos trabajos completos no pueden compartir ninguno)
+const JOB_SCOPES = {
+    stocks: ['stocks'],
+    prices: ['prices'],
+    all: ['stocks', 'prices']
+};
+
+const ACTIVE_STATUSES = ['running', 'cancelling'];
+
+/**
+ * Contadores vacíos de un trabajo
+ * @returns {Object}
+ */
+function emptyCounts() {
+    return { updated: 0, noChange: 0, skipped: 0, held: 0, errors: 0 };
+}
+
+/**
+ * Sumar resultados por SKU a los contadores parciales
+ * @param {Object} counts - Contadores a actualizar
+ * @param {Array<Object>} results - Resultados de syncProductStock / syncProductPrice
+ */
+function addToCounts(counts, results) {
+    results.forEach(result => {
+        if (!result) {
+            return;
+        }
+        if (!result.success) {
+            counts.errors++;
+        } else if (result.action === 'updated' || result.action === 'would_update') {
+            counts.updated++;
+        } else if (result.action === 'no_change') {
+            counts.noChange++;
+        } else if (result.action === 'held') {
+            counts.held++;
+        } else {
+            counts.skipped++;
+        }
+    });
+}
+
+/**
+ * Resumir el resultado de una sincronización para el trabajo
+ * @param {Object} results - Resumen de syncMultipleProducts
+ * @returns {{processed: number, counts: Object, result: Object}}
+ */
+function summarizeResults(results) {
+    return {
+        processed: results.details.length,
+        counts: {
+            updated: results.updated,
+            noChange: results.noChange,
+            skipped: results.skipped,
+            held: results.held || 0,
+            errors: results.errors + (results.notFound || 0)
+        },
+        result: {
+            runId: results.runId,
+            total: results.total,
+            updated: results.updated,
+            noChange: results.noChange,
+            skipped: results.skipped,
+            errors: results.errors,
+            ...(results.held !== undefined ? { held: results.held } : {}),
+            ...(results.notFound !== undefined ? { notFound: results.notFound } : {}),
+            ...(results.cancelled ? { cancelled: true } : {}),
+            failed: results.details
+                .filter(result => !result.success)
+                .slice(0, 50)
+                .map(result => ({ sku: result.sku, error: result.error }))
+        }
+    };
+}
+
+class SyncJobManager {
+    /**
+     * @param {Object} options
+     * @param {Object} options.runners - Función (skus, options) por tipo (default: stocks, prices y all)
+     * @param {number} options.maxFinished - Trabajos terminados que se conservan
+     */
+    constructor(options = {}) {
+        this.runners = options.runners || SYNC_RUNNERS;
+        this.maxFinished = options.maxFinished !== undefined
+            ? options.maxFinished
+            : (process.env.SYNC_JOBS_MAX_FINISHED ? parseInt(process.env.SYNC_JOBS_MAX_FINISHED) : 50);
+        this.jobs = new Map();
+    }
+
+    /**
+     * Lanzar una sincronización en segundo plano
+     *
+     * @param {string} type - stocks | prices | all
+     * @param {Object} params
+     * @param {Array<string>} params.skus - SKUs a sincronizar (si se omite, todos)
+     * @param {boolean} params.dryRun - Simular sin escribir en Shopify
+     * @param {boolean} params.force - Escribir aunque el valor ya coincida (forceUpdate)
+     * @param {boolean} params.batch - Escrituras agrupadas vía GraphQL
+     * @param {string} params.trigger - Origen de la corrida (default: api)
+     * @returns {{success: boolean, job?: Object, reason?: string, error?: string}}
+     *   reason: invalid_type | already_running
+     */
+    start(type, params = {}) {
+        const runner = this.runners[type];
+        if (!runner) {
+            return {
+                success: false,
+                reason: 'invalid_type',
+                error: `Tipo de sincronización no soportado: ${type} (usar ${Object.keys(this.runners).join(' o ')})`
+            };
+        }
+
+        const skus = Array.isArray(params.skus) && params.skus.length > 0 ? params.skus : null;
+        const mode = skus ? 'skus' : 'full';
+
+        if (mode === 'full') {
+            const scope = JOB_SCOPES[type] || [type];
+            const active = Array.from(this.jobs.values())
+                .find(job => job.mode === 'full' && ACTIVE_STATUSES.includes(job.status) &&
+                    (JOB_SCOPES[job.type] || [job.type]).some(scopeType => scope.includes(scopeType)));
+            if (active) {
+                return {
+                    success: false,
+                    reason: 'already_running',
+                    error: `Ya hay una sincronización completa de ${active.type} en curso (${active.id})`,
+                    job: this.toPublic(active)
+                };
+            }
+        }
+
+        const createdAt = new Date();
+        const job = {
+            id: `job-${type}-${createdAt.toISOString().replace(/[-:]/g, '').slice(0, 15)}-${crypto.randomBytes(3).toString('hex')}`,
+            type,
+            mode,
+            dryRun: !!params.dryRun,
+            force: !!params.force,
+            batch: !!params.batch,
+            skus: skus ? skus.length : null,
+            status: 'running',
+            ...(type === 'all' ? { step: 'stocks' } : {}),
+            phase: 'loading',
+            progress: { processed: 0, total: skus ? skus.length : null },
+            counts: emptyCounts(),
+            runId: null,
+            result: null,
+            error: null,
+            createdAt: createdAt.toISOString(),
+            finishedAt: null,
+            controller: new AbortController()
+        };
+        this.jobs.set(job.id, job);
+
+        const options = {
+            dryRun: job.dryRun,
+            forceUpdate: job.force,
+            batch: job.batch,
+            trigger: params.trigger || 'api',
+            signal: job.controller.signal,
+            onProgress: (progress) => this.handleProgress(job, progress)
+        };
+
+        console.log(`🧵 Trabajo ${job.id} iniciado (${type}, ${mode === 'full' ? 'todos los SKUs' : `${skus.length} SKUs`}${job.dryRun ? ', dry-run' : ''})`);
+
+        runner(skus, options)
+            .then(results => this.finish(job, results))
+            .catch(error => this.finish(job, null, error));
+
+        return { success: true, job: this.toPublic(job) };
+    }
+
+    /**
+     * Actualizar fase, avance y contadores parciales desde onProgress
+     * @param {Object} job - Trabajo interno
+     * @param {Object} progress - { phase, processed, total, runId?, attempt?, results? }
+     */
+    handleProgress(job, progress) {
+        if (progress.runId) {
+            job.runId = progress.runId;
+        }
+        if (progress.step) {
+            job.step = progress.step;
+        }
+        job.phase = progress.phase;
+        job.attempt = progress.attempt;
+        job.progress = { processed: progress.processed, total: progress.total };
+        // Los reintentos reemplazan resultados ya contados: los contadores finales llegan al terminar
+        if (progress.phase === 'comparing' && progress.results) {
+            addToCounts(job.counts, progress.results);
+        }
+    }
+
+    /**
+     * Cerrar un trabajo con el resumen de la sincronización o el error fatal
+     * @param {Object} job - Trabajo interno
+     * @param {Object|null} results - Resumen de syncMultipleProducts
+     * @param {Error} error - Error fatal (opcional)
+     */
+    finish(job, results, error = null) {
+        job.finishedAt = new Date().toISOString();
+        job.phase = null;
+        job.attempt = undefined;
+
+        if (error) {
+            job.status = 'failed';
+            job.error = error.message;
+            console.error(`❌ Trabajo ${job.id} falló: ${error.message}`);
+        } else if (results.steps) {
+            // Trabajo "all": un resumen por paso y contadores sumados
+            const summaries = Object.fromEntries(Object.entries(results.steps)
+                .map(([step, stepResults]) => [step, stepResults ? summarizeResults(stepResults) : null]));
+            const done = Object.values(summaries).filter(Boolean);
+            job.status = results.cancelled ? 'cancelled' : 'completed';
+            job.step = undefined;
+            job.runId = summaries.prices?.result.runId || summaries.stocks?.result.runId || job.runId;
+            job.progress = {
+                processed: done.reduce((sum, summary) => sum + summary.processed, 0),
+                total: done.reduce((sum, summary) => sum + summary.result.total, 0)
+            };
+            job.counts = emptyCounts();
+            done.forEach(summary => Object.keys(job.counts).forEach(key => {
+                job.counts[key] += summary.counts[key];
+            }));
+            job.result = {
+                stocks: summaries.stocks ? summaries.stocks.result : null,
+                prices: summaries.prices ? summaries.prices.result : null,
+                ...(Object.keys(results.errors).length > 0 ? { errors: results.errors } : {})
+            };
+            console.log(`${job.status === 'cancelled' ? '🛑' : '✅'} Trabajo ${job.id} ${job.status === 'cancelled' ? 'cancelado' : 'terminado'} (stocks: ${summaries.stocks ? 'ok' : (results.errors.stocks ? 'error' : 'no ejecutado')}, precios: ${summaries.prices ? 'ok' : (results.errors.prices ? 'error' : 'no ejecutado')})`);
+        } else {
+            const summary = summarizeResults(results);
+            job.status = results.cancelled ? 'cancelled' : 'completed';
+            job.runId = results.runId || job.runId;
+            job.progress = { processed: summary.processed, total: results.total };
+            job.counts = summary.counts;
+            job.result = summary.result;
+            console.log(`${job.status === 'cancelled' ? '🛑' : '✅'} Trabajo ${job.id} ${job.status === 'cancelled' ? 'cancelado' : 'terminado'} (${job.progress.processed}/${job.progress.total} SKUs)`);
+        }
+
+        this.prune();
+    }
+
+    /**
+     * Pedir la cancelación de un trabajo en curso
+     * @param {string} id - ID del trabajo
+     * @returns {{success: boolean, job?: Object, reason?: string, error?: string}}
+     *   reason: not_found | not_running
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return { success: false, reason: 'not_found', error: `No existe el trabajo ${id}` };
+        }
+        if (job.status !== 'running') {
+            return {
+                success: false,
+                reason: 'not_running',
+                error: `El trabajo ${id} no está en ejecución (status: ${job.status})`,
+                job: this.toPublic(job)
+            };
+        }
+
+        job.status = 'cancelling';
+        job.controller.abort();
+        console.log(`🛑 Cancelación solicitada para el trabajo ${job.id}`);
+        return { success: true, job: this.toPublic(job) };
+    }
+
+    /**
+     * Obtener un trabajo
+     * @param {string} id - ID del trabajo
+     * @returns {Object|null}
+     */
+    get(id) {
+        const job = this.jobs.get(id);
+        return job ? this.toPublic(job) : null;
+    }
+
+    /**
+     * Listar trabajos, los más recientes primero
+     * @param {Object} filters - { type, status, limit }
+     * @returns {Array<Object>}
+     */
+    list({ type, status, limit = 20 } = {}) {
+        return Array.from(this.jobs.values())
+            .filter(job => (!type || job.type === type) && (!status || job.status === status))
+            .reverse()
+            .slice(0, limit)
+            .map(job => this.toPublic(job));
+    }
+
+    /**
+     * Descartar los trabajos terminados más antiguos
+     */
+    prune() {
+        const finished = Array.from(this.jobs.values()).filter(job => !ACTIVE_STATUSES.includes(job.status));
+        finished
+            .slice(0, Math.max(0, finished.length - this.maxFinished))
+            .forEach(job => this.jobs.delete(job.id));
+    }
+
+    /**
+     * Vista serializable de un trabajo (sin el AbortController)
+     * @param {Object} job - Trabajo interno
+     * @returns {Object}
+     */
+    toPublic(job) {
+        const { controller, ...rest } = job;
+        const { processed, total } = job.progress;
+        return {
+            ...rest,
+            progress: {
+                processed,
+                total,
+                percent: total ? Math.round((processed / total) * 100) : null
+            }
+        };
+    }
+}
+
+// Instancia compartida (un solo proceso de API)
+const syncJobManager = new SyncJobManager();
+
+module.exports = {
+    SyncJobManager,
+    syncJobManager
+};
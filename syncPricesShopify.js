@@ -1,13 +1,29 @@
 /**
  * Módulo de sincronización de precios entre Manager+ y Shopify
  * 
- * Este módulo obtiene los precios de productos desde Manager+ (lista 652)
- * y los sincroniza con Shopify, actualizando los valores de precio.
+ * Este módulo obtiene los precios de productos desde Manager+ (por defecto lista 652,
+ * configurable en priceListConfig.js) y los sincroniza con Shopify, actualizando los valores de precio.
+ * Si se configura una lista de oferta (PRICE_SYNC_SALE_LIST), el precio de oferta
+ * va a `price` y el precio normal a `compare_at_price`.
+ * Antes de comparar, el precio de lista pasa por las reglas de priceRules.js
+ * (IVA, recargos y redondeo) si están configuradas.
+ * Los cambios que superan los umbrales de priceApprovals.js quedan retenidos
+ * como aprobaciones pendientes en vez de escribirse.
  */
 
 require('dotenv').config();
-const axios = require('axios');
 const { verifyShopifyAuth, SHOPIFY_BASE_URL } = require('./shopifyAuth');
+const { managerClient } = require('./managerClient');
+const { shopifyClient, isRateLimitError } = require('./shopifyClient');
+const {
+    loadPriceListConfig,
+    describeListEntry,
+    describePriceListChain,
+    matchPriceList
+} = require('./priceListConfig');
+const { loadPriceRules, rulesUseFamily, findPriceRule, applyPriceRule } = require('./priceRules');
+const { priceApprovalStore, evaluatePriceChange } = require('./priceApprovals');
+const { syncHistoryStore } = require('./syncHistory');
 
 // Variables de entorno
 const ERP_BASE_URL = process.env.ERP_BASE_URL;
@@ -17,6 +33,11 @@ const RUT_EMPRESA = process.env.RUT_EMPRESA;
 const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
 const SHOPIFY_SHOP_DOMAIN = process.env.SHOPIFY_SHOP_DOMAIN;
 
+// Lista de oferta (PRICE_SYNC_SALE_LIST, ver priceListConfig.js): cuando un SKU tiene oferta válida,
+// su precio va a `price` y el precio normal a `compare_at_price`.
+// Descuento máximo aceptado para una oferta (%). Ofertas con más descuento se ignoran por sospechosas (0 = sin límite)
+const SALE_MAX_DISCOUNT_PERCENT = process.env.PRICE_SYNC_SALE_MAX_DISCOUNT ? parseFloat(process.env.PRICE_SYNC_SALE_MAX_DISCOUNT) : 0;
+
 // Validar variables de entorno críticas
 function validateEnvironment() {
     const missing = [];
@@ -54,51 +75,33 @@ function validateEnvironment() {
     }
 }
 
-// Variable para almacenar el token de autenticación del ERP
-let erpAuthToken = null;
-let erpTokenExpirationTime = null;
-
 // Caché para productos de Shopify (Mapa SKU -> datos del producto con precio)
 let shopifyProductsCache = null;
 
 // Caché de listas de precios cargadas (evita recargar en cada sincronización)
 let priceListsCache = null;
 let priceListsCacheTime = null;
+let priceListsIndex = null; // Array<{id, name}> de todas las listas de Manager+ (para buscar por nombre)
+
+// Caché de familias de Manager+ (solo se carga si alguna regla de precios filtra por familia)
+let managerFamiliesCache = null;
 const PRICE_LISTS_CACHE_DURATION = 5 * 60 * 1000; // 5 minutos
 
-/**
- * Autenticarse con el ERP Manager+
- */
-async function authenticateWithERP() {
-    try {
-        const response = await axios.post(`${ERP_BASE_URL}/auth/`, {
-            username: ERP_USERNAME,
-            password: ERP_PASSWORD
-        }, {
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        });
+// Modo batch: cantidad de productos por llamada GraphQL (cada producto es una mutación con alias)
+const DEFAULT_PRICE_BATCH_SIZE = 25;
+const MAX_PRICE_BATCH_SIZE = 50;
 
-        erpAuthToken = response.data.auth_token;
-        erpTokenExpirationTime = Date.now() + (60 * 60 * 1000); // 1 hora
-        
-        return erpAuthToken;
-    } catch (error) {
-        console.error('❌ Error en la autenticación con el ERP:', error.response?.data || error.message);
-        throw new Error('Error al autenticarse con el ERP: ' + (error.response?.data?.message || error.message));
+// Campos que devuelve cada productVariantsBulkUpdate dentro de la llamada agrupada
+const PRODUCT_VARIANTS_BULK_UPDATE_FIELDS = `
+    productVariants {
+        id
+        price
     }
-}
-
-/**
- * Obtener el token de autenticación del ERP (con caché)
- */
-async function getERPAuthToken() {
-    if (erpAuthToken && erpTokenExpirationTime && Date.now() < erpTokenExpirationTime) {
-        return erpAuthToken;
+    userErrors {
+        field
+        message
     }
-    return await authenticateWithERP();
-}
+`;
 
 /**
  * Cargar todas las listas de precios desde Manager+ con sus productos
@@ -113,54 +116,30 @@ async function loadAllPriceLists() {
     }
 
     try {
-        const token = await getERPAuthToken();
         console.log('📋 Cargando listas de precios desde Manager+...');
-        
-        // Construir URL - el endpoint correcto es /pricelist/ (sin guión)
-        const url = `${ERP_BASE_URL}/pricelist/${RUT_EMPRESA}/`;
-        console.log(`   URL: ${url}?dets=1`);
-        
-        // Usar el endpoint correcto: /pricelist/{rut_empresa}/?dets=1
-        const response = await axios.get(
-            url,
-            {
-                headers: {
-                    'Authorization': `Token ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                params: {
-                    dets: 1  // Incluir productos en la respuesta
-                },
-                validateStatus: (status) => status < 500
-            }
-        );
 
-        // Log de depuración
-        if (response.status !== 200) {
-            console.error(`   ⚠️  Status code: ${response.status}`);
-            console.error(`   ⚠️  Response: ${JSON.stringify(response.data, null, 2)}`);
-            throw new Error(`Error HTTP ${response.status} al obtener listas de precios`);
-        }
+        // Endpoint /pricelist/{rut_empresa}/?dets=1 (incluye productos de cada lista)
+        const body = await managerClient.getPriceLists({ withDetails: true });
 
         // Verificar estructura de respuesta
-        if (!response.data) {
+        if (!body) {
             throw new Error('Respuesta vacía del servidor Manager+');
         }
 
         // Algunas APIs pueden no tener el campo 'retorno', verificar directamente 'data'
         let priceListsData = null;
-        if (response.data.retorno === true || response.data.retorno === undefined) {
+        if (body.retorno === true || body.retorno === undefined) {
             // Si retorno es true o undefined, intentar obtener data
-            priceListsData = response.data.data || response.data;
+            priceListsData = body.data || body;
         } else {
             console.error(`   ⚠️  retorno=false en respuesta`);
-            console.error(`   ⚠️  Response completa: ${JSON.stringify(response.data, null, 2)}`);
-            throw new Error(`El servidor devolvió retorno=false: ${response.data.mensaje || response.data.message || 'Sin mensaje'}`);
+            console.error(`   ⚠️  Response completa: ${JSON.stringify(body, null, 2)}`);
+            throw new Error(`El servidor devolvió retorno=false: ${body.mensaje || body.message || 'Sin mensaje'}`);
         }
 
         if (!priceListsData) {
             console.error(`   ⚠️  No hay datos en la respuesta`);
-            console.error(`   ⚠️  Response completa: ${JSON.stringify(response.data, null, 2)}`);
+            console.error(`   ⚠️  Response completa: ${JSON.stringify(body, null, 2)}`);
             throw new Error('No se encontraron datos de listas de precios en la respuesta');
         }
 
@@ -173,6 +152,7 @@ async function loadAllPriceLists() {
         }
 
         const priceListsMap = new Map(); // Map<listaId, Map<SKU, precio>>
+        const listsIndex = [];
 
         // Procesar cada lista de precios
         for (const lista of priceListsData) {
@@ -180,6 +160,7 @@ async function loadAllPriceLists() {
             const listaId = lista.id?.toString() || '';
             const listName = lista.listName || lista.nombre || '';
             const productsMap = new Map(); // Map<SKU, precio>
+            listsIndex.push({ id: listaId, name: listName });
 
             // Procesar productos de esta lista
             if (Array.isArray(lista.products)) {
@@ -202,32 +183,27 @@ async function loadAllPriceLists() {
             if (productsMap.size > 0) {
                 // Guardar por ID
                 priceListsMap.set(listaId, productsMap);
-                
-                // También intentar mapear por nombre si el ID no es "652" pero el nombre lo sugiere
-                if (listName && (listName.includes('652') || listName.includes('Lista Precios 652'))) {
-                    if (!priceListsMap.has('652')) {
-                        priceListsMap.set('652', productsMap);
-                    }
-                }
-                
-                // Log de depuración para lista 652
-                if (listaId === '652' || listName.includes('652')) {
-                    console.log(`   Lista ${listaId} (${listName || 'sin nombre'}): ${productsMap.size} productos cargados`);
-                }
             }
         }
 
         // Guardar en caché
         priceListsCache = priceListsMap;
+        priceListsIndex = listsIndex;
         priceListsCacheTime = Date.now();
 
         const totalProducts = Array.from(priceListsMap.values()).reduce((sum, map) => sum + map.size, 0);
         console.log(`✅ ${priceListsMap.size} listas de precios cargadas con ${totalProducts} productos totales`);
         
-        // Verificar que exista la lista 652
-        if (!priceListsMap.has('652')) {
-            console.warn(`⚠️  Lista de precios 652 no encontrada. Verifica que exista en Manager+.`);
-        }
+        // Verificar que existan las listas configuradas
+        const { chain, sale } = loadPriceListConfig();
+        [...chain, ...(sale ? [sale] : [])].forEach(entry => {
+            const list = resolvePriceList(entry, priceListsMap);
+            if (list) {
+                console.log(`   Lista ${list.id} (${list.name || 'sin nombre'}): ${priceListsMap.get(list.id).size} productos cargados`);
+            } else {
+                console.warn(`⚠️  Lista de precios ${describeListEntry(entry)} no encontrada o sin productos. Verifica que exista en Manager+.`);
+            }
+        });
 
         return priceListsMap;
 
@@ -249,11 +225,29 @@ async function loadAllPriceLists() {
 }
 
 /**
- * Obtener precio de un producto desde Manager+ (lista 652)
+ * Encontrar en el mapa cargado la lista que corresponde a una entrada de configuración
+ *
+ * @param {Object} entry - Entrada de priceListConfig ({ id } o { name })
+ * @param {Map<string, Map<string, number>>} priceListsMap - Mapa de listas de precios
+ * @returns {{id: string, name: string}|null} Lista encontrada (con productos)
+ */
+function resolvePriceList(entry, priceListsMap) {
+    // Si el mapa no viene de loadAllPriceLists solo conocemos los IDs
+    const lists = priceListsMap === priceListsCache && priceListsIndex
+        ? priceListsIndex
+        : Array.from(priceListsMap.keys()).map(id => ({ id, name: '' }));
+
+    const list = matchPriceList(entry, lists);
+    return list && priceListsMap.has(list.id) ? list : null;
+}
+
+/**
+ * Obtener precio de un producto desde Manager+ recorriendo la cadena de listas configurada
+ * (por defecto solo la lista 652). Se usa la primera lista que tenga precio para el SKU.
  * 
  * @param {string} sku - Código SKU del producto
  * @param {Map<string, Map<string, number>>} priceListsMap - Mapa de listas de precios (opcional, se carga si no se proporciona)
- * @returns {Promise<{precio: number|null, listaUsada: string|null, error: string|null}>}
+ * @returns {Promise<{precio: number|null, listaUsada: string|null, listaNombre: string|null, error: string|null}>}
  */
 async function getManagerProductPrice(sku, priceListsMap = null) {
     try {
@@ -265,19 +259,22 @@ async function getManagerProductPrice(sku, priceListsMap = null) {
             priceListsMap = await loadAllPriceLists();
         }
 
-        // Buscar en lista 652
-        const lista652 = priceListsMap.get('652');
-        if (lista652 && lista652.has(normalizedSku)) {
-            const precio = lista652.get(normalizedSku);
-            return { precio, listaUsada: '652', error: null };
+        // Recorrer la cadena de listas en orden de prioridad
+        const { chain } = loadPriceListConfig();
+        for (const entry of chain) {
+            const list = resolvePriceList(entry, priceListsMap);
+            if (list && priceListsMap.get(list.id).has(normalizedSku)) {
+                const precio = priceListsMap.get(list.id).get(normalizedSku);
+                return { precio, listaUsada: list.id, listaNombre: list.name || null, error: null };
+            }
         }
 
-        // No encontrado en lista 652
-        return { precio: null, listaUsada: null, error: 'Sin precio en lista 652' };
+        // No encontrado en ninguna lista de la cadena
+        return { precio: null, listaUsada: null, listaNombre: null, error: `Sin precio en lista ${describePriceListChain()}` };
         
     } catch (error) {
         if (error.response?.status === 404) {
-            return { precio: null, listaUsada: null, error: 'Producto no encontrado en Manager+' };
+            return { precio: null, listaUsada: null, listaNombre: null, error: 'Producto no encontrado en Manager+' };
         }
         
         // Detectar rate limiting
@@ -295,6 +292,104 @@ async function getManagerProductPrice(sku, priceListsMap = null) {
     }
 }
 
+/**
+ * Resolver el precio de oferta de un SKU desde la lista de oferta configurada
+ *
+ * La oferta se ignora (y el SKU queda solo con su precio normal) si no es positiva,
+ * si no es menor que el precio normal o si supera el descuento máximo configurado.
+ *
+ * @param {string} sku - Código SKU del producto
+ * @param {number} normalPrice - Precio normal ya transformado por la regla
+ * @param {Map<string, Map<string, number>>} priceListsMap - Mapa de listas de precios
+ * @param {Object|null} rule - Regla de precios del SKU (se aplica también a la oferta)
+ * @returns {{salePrice: number|null, listaOferta: string|null, ignoredReason: string|null}}
+ */
+function resolveSalePrice(sku, normalPrice, priceListsMap, rule = null) {
+    const { sale } = loadPriceListConfig();
+    if (!sale || !priceListsMap) {
+        return { salePrice: null, listaOferta: null, ignoredReason: null };
+    }
+
+    const normalizedSku = sku.toString().trim().toUpperCase();
+    const saleList = resolvePriceList(sale, priceListsMap);
+    if (!saleList || !priceListsMap.get(saleList.id).has(normalizedSku)) {
+        return { salePrice: null, listaOferta: null, ignoredReason: null };
+    }
+
+    const rawSalePrice = priceListsMap.get(saleList.id).get(normalizedSku);
+    if (!(rawSalePrice > 0)) {
+        return { salePrice: null, listaOferta: null, ignoredReason: `Oferta no válida ($${rawSalePrice})` };
+    }
+
+    const salePrice = applyPriceRule(rawSalePrice, rule);
+    if (salePrice >= normalPrice) {
+        return { salePrice: null, listaOferta: null, ignoredReason: `Oferta $${salePrice} no es menor que el precio normal $${normalPrice}` };
+    }
+
+    const discountPercent = ((normalPrice - salePrice) / normalPrice) * 100;
+    if (SALE_MAX_DISCOUNT_PERCENT > 0 && discountPercent > SALE_MAX_DISCOUNT_PERCENT) {
+        return {
+            salePrice: null,
+            listaOferta: null,
+            ignoredReason: `Descuento de ${discountPercent.toFixed(1)}% supera el máximo de ${SALE_MAX_DISCOUNT_PERCENT}%`
+        };
+    }
+
+    return { salePrice, listaOferta: saleList.id, ignoredReason: null };
+}
+
+/**
+ * Cargar la familia de cada producto de Manager+ (para reglas de precio por familia)
+ *
+ * @param {Object} options
+ * @param {number} options.pageSize - Productos por página (default: 200)
+ * @param {number} options.maxPages - Máximo de páginas a recorrer (default: 200)
+ * @returns {Promise<Map<string, Array<string>>>} Mapa SKU -> [código y descripción de familia]
+ */
+async function loadManagerFamilies(options = {}) {
+    if (managerFamiliesCache) {
+        return managerFamiliesCache;
+    }
+
+    const { pageSize = 200, maxPages = 200 } = options;
+    const familiesMap = new Map();
+    let offset = 0;
+
+    console.log('📥 Cargando familias de productos desde Manager+...');
+
+    for (let page = 0; page < maxPages; page++) {
+        const body = await managerClient.listProducts({ limit: pageSize, offset });
+        const data = body?.data || body || [];
+        if (!Array.isArray(data) || data.length === 0) {
+            break;
+        }
+
+        const prevSize = familiesMap.size;
+        data.forEach(product => {
+            const sku = product.codigo_prod || product.cod_producto || product.codigo;
+            if (!sku) return;
+            const families = [
+                product.familia,
+                product.cod_familia,
+                product.desc_familia,
+                product.familia_desc
+            ].filter(value => value !== undefined && value !== null && value.toString().trim() !== '')
+                .map(value => value.toString());
+            familiesMap.set(sku.toString().trim().toUpperCase(), families);
+        });
+
+        // Si el ERP ignora la paginación, no se agregan SKUs nuevos: detener
+        if (familiesMap.size === prevSize || data.length < pageSize) {
+            break;
+        }
+        offset += data.length;
+    }
+
+    console.log(`✅ Familias cargadas para ${familiesMap.size} SKUs`);
+    managerFamiliesCache = familiesMap;
+    return familiesMap;
+}
+
 /**
  * Pre-cargar todos los productos de Shopify en un Map para acceso rápido O(1)
  * Incluye información de precio actual
@@ -310,33 +405,12 @@ async function loadAllShopifyProducts() {
         console.log('📦 Pre-cargando productos de Shopify en memoria...');
         const productMap = new Map();
         
-        let hasMore = true;
-        let nextUrl = null;
-
-        while (hasMore) {
-            let url = `${SHOPIFY_BASE_URL}/products.json`;
-            
-            if (nextUrl) {
-                url = nextUrl;
-            } else {
-                // Primera petición - incluir parámetros para obtener precios
-                url += '?limit=250&fields=id,title,variants';
-            }
-
-            const response = await axios.get(url, {
-                headers: {
-                    'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-                    'Content-Type': 'application/json'
-                }
-            });
+        const pages = shopifyClient.paginate('products.json', {
+            params: { limit: 250, fields: 'id,title,product_type,tags,variants' },
+            dataKey: 'products'
+        });
 
-            const products = response.data.products;
-            
-            if (!products || products.length === 0) {
-                hasMore = false;
-                break;
-            }
-            
+        for await (const products of pages) {
             // Procesar cada producto y sus variantes
             products.forEach(product => {
                 product.variants.forEach(variant => {
@@ -351,42 +425,16 @@ async function loadAllShopifyProducts() {
                                 productId: product.id,
                                 variantId: variant.id,
                                 currentPrice: parseFloat(variant.price) || 0,
+                                currentCompareAtPrice: variant.compare_at_price ? parseFloat(variant.compare_at_price) : null,
                                 title: product.title,
-                                variantTitle: variant.title
+                                variantTitle: variant.title,
+                                productType: product.product_type || '',
+                                tags: product.tags ? product.tags.split(',').map(tag => tag.trim()).filter(Boolean) : []
                             });
                         }
                     }
                 });
             });
-            
-            // Si recibimos menos productos que el límite, no hay más páginas
-            if (products.length < 250) {
-                hasMore = false;
-                break;
-            }
-            
-            // Verificar si hay más páginas usando el header Link
-            const linkHeader = response.headers.link;
-            if (linkHeader && typeof linkHeader === 'string') {
-                // Buscar el link "next"
-                const links = linkHeader.split(',').map(link => link.trim());
-                const nextLink = links.find(link => link.includes('rel="next"'));
-                
-                if (nextLink) {
-                    // Extraer la URL del link (entre < y >)
-                    const urlMatch = nextLink.match(/<([^>]+)>/);
-                    if (urlMatch) {
-                        nextUrl = urlMatch[1];
-                        hasMore = true;
-                    } else {
-                        hasMore = false;
-                    }
-                } else {
-                    hasMore = false;
-                }
-            } else {
-                hasMore = false;
-            }
         }
 
         shopifyProductsCache = productMap;
@@ -444,39 +492,34 @@ async function getShopifyProductPriceBySKU(sku, productsMap = null) {
  * @param {number} productId - ID del producto en Shopify
  * @param {number} variantId - ID de la variante
  * @param {number} price - Nuevo precio
+ * @param {number|null} compareAtPrice - Nuevo compare_at_price (null lo borra, undefined no lo toca)
  * @returns {Promise<Object>} Respuesta de la actualización
  */
-async function updateShopifyPrice(productId, variantId, price) {
+async function updateShopifyPrice(productId, variantId, price, compareAtPrice = undefined) {
     try {
         // Para actualizar el precio en Shopify, necesitamos actualizar la variante
         // Usamos PUT en /products/{productId}.json con la variante actualizada
-        const response = await axios.put(
-            `${SHOPIFY_BASE_URL}/products/${productId}.json`,
-            {
-                product: {
-                    id: productId,
-                    variants: [
-                        {
-                            id: variantId,
-                            price: price.toString()
-                        }
-                    ]
-                }
-            },
-            {
-                headers: {
-                    'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-                    'Content-Type': 'application/json'
-                }
+        const variant = {
+            id: variantId,
+            price: price.toString()
+        };
+        if (compareAtPrice !== undefined) {
+            variant.compare_at_price = compareAtPrice !== null ? compareAtPrice.toString() : null;
+        }
+
+        const response = await shopifyClient.put(`products/${productId}.json`, {
+            product: {
+                id: productId,
+                variants: [variant]
             }
-        );
+        });
 
         return response.data;
         
     } catch (error) {
-        // Detectar rate limiting de Shopify
-        if (error.response?.status === 429) {
-            const retryAfter = error.response.headers['retry-after'] || error.response.headers['Retry-After'];
+        // Rate limit persistente (el cliente ya esperó y reintentó)
+        if (isRateLimitError(error)) {
+            const retryAfter = error.response?.headers?.['retry-after'];
             const waitTime = retryAfter ? parseInt(retryAfter) : 5;
             const message = `Rate limit de Shopify alcanzado. Espera ${waitTime} segundos antes de continuar.`;
             throw new Error(message);
@@ -506,6 +549,184 @@ async function updateShopifyPrice(productId, variantId, price) {
     }
 }
 
+/**
+ * Convertir un ID numérico de Shopify a su GID de GraphQL
+ * @param {string} type - Tipo de recurso (Product, ProductVariant, ...)
+ * @param {number|string} id - ID numérico o GID
+ * @returns {string} GID
+ */
+function toShopifyGid(type, id) {
+    const value = id.toString();
+    return value.startsWith('gid://') ? value : `gid://shopify/${type}/${value}`;
+}
+
+/**
+ * Actualizar precios de varios productos en una sola llamada GraphQL
+ *
+ * productVariantsBulkUpdate trabaja sobre un producto a la vez, así que cada producto del
+ * lote va como una mutación con alias (p0, p1, ...) dentro del mismo documento. Si Shopify
+ * rechaza alguna variante, ese producto no se modifica: se marcan las variantes con error
+ * y el resto de ese producto se reenvía en la siguiente vuelta.
+ *
+ * @param {Array<Object>} items - { sku, productId, variantId, price, compareAtPrice }
+ *   compareAtPrice es opcional: null lo borra y undefined no lo modifica
+ * @returns {Promise<Map<string, Object>>} Mapa SKU -> { success, error }
+ */
+async function updateShopifyPricesBatch(items) {
+    const results = new Map();
+
+    // Agrupar variantes por producto
+    const groups = new Map();
+    items.forEach(item => {
+        const key = item.productId.toString();
+        if (!groups.has(key)) {
+            groups.set(key, { productId: item.productId, variants: [] });
+        }
+        groups.get(key).variants.push(item);
+    });
+
+    let pending = Array.from(groups.values());
+
+    while (pending.length > 0) {
+        const variableDefs = [];
+        const mutations = [];
+        const variables = {};
+        pending.forEach((group, index) => {
+            variableDefs.push(`$productId${index}: ID!`, `$variants${index}: [ProductVariantsBulkInput!]!`);
+            mutations.push(`p${index}: productVariantsBulkUpdate(productId: $productId${index}, variants: $variants${index}) {${PRODUCT_VARIANTS_BULK_UPDATE_FIELDS}}`);
+            variables[`productId${index}`] = toShopifyGid('Product', group.productId);
+            variables[`variants${index}`] = group.variants.map(item => {
+                const variant = {
+                    id: toShopifyGid('ProductVariant', item.variantId),
+                    price: item.price.toString()
+                };
+                if (item.compareAtPrice !== undefined) {
+                    variant.compareAtPrice = item.compareAtPrice !== null ? item.compareAtPrice.toString() : null;
+                }
+                return variant;
+            });
+        });
+
+        let data;
+        try {
+            data = await shopifyClient.graphql(
+                `mutation productVariantsBulkUpdateBatch(${variableDefs.join(', ')}) {\n${mutations.join('\n')}\n}`,
+                variables,
+                {
+                    estimatedCost: 10 * pending.length,
+                    operationName: `productVariantsBulkUpdate (${pending.length} productos)`
+                }
+            );
+        } catch (error) {
+            // Error de red o throttling persistente: todo el lote queda como error recuperable
+            const message = isRateLimitError(error)
+                ? 'Rate limit de Shopify alcanzado (429). Reduce el tamaño de lote o espera un momento.'
+                : error.message;
+            pending.forEach(group => group.variants.forEach(item => results.set(item.sku, { success: false, error: message })));
+            break;
+        }
+
+        const retryGroups = [];
+        pending.forEach((group, index) => {
+            const userErrors = data?.[`p${index}`]?.userErrors || [];
+            if (userErrors.length === 0) {
+                group.variants.forEach(item => results.set(item.sku, { success: true }));
+                return;
+            }
+
+            // field viene como ["variants", "<índice>", "<campo>"]
+            const failedIndexes = new Map();
+            userErrors.forEach(userError => {
+                const variantIndex = parseInt(userError.field?.[1], 10);
+                if (!isNaN(variantIndex) && group.variants[variantIndex]) {
+                    failedIndexes.set(variantIndex, userError);
+                }
+            });
+
+            if (failedIndexes.size === 0) {
+                const message = userErrors.map(e => e.message).join('; ');
+                group.variants.forEach(item => results.set(item.sku, { success: false, error: message }));
+                return;
+            }
+
+            failedIndexes.forEach((userError, variantIndex) => {
+                results.set(group.variants[variantIndex].sku, { success: false, error: userError.message });
+            });
+
+            const remaining = group.variants.filter((item, variantIndex) => !failedIndexes.has(variantIndex));
+            if (remaining.length > 0) {
+                retryGroups.push({ productId: group.productId, variants: remaining });
+            }
+        });
+
+        pending = retryGroups;
+    }
+
+    return results;
+}
+
+/**
+ * Aplicar en lotes los cambios planificados (resultados "would_update")
+ *
+ * Convierte cada resultado a "updated" o "error" manteniendo la misma forma que el modo por SKU.
+ *
+ * @param {Array<Object>} plannedResults - Resultados con action "would_update"
+ * @param {Map} shopifyProductsMap - Mapa de productos de Shopify
+ * @param {Object} options - batchSize (productos por llamada)
+ */
+async function applyPriceUpdatesInBatches(plannedResults, shopifyProductsMap, options = {}) {
+    const batchSize = Math.min(Math.max(1, options.batchSize || DEFAULT_PRICE_BATCH_SIZE), MAX_PRICE_BATCH_SIZE);
+
+    // Agrupar por producto para que las variantes de un mismo producto caigan en el mismo lote
+    const byProduct = new Map();
+    plannedResults.forEach(result => {
+        const productId = shopifyProductsMap.get(result.sku).productId.toString();
+        if (!byProduct.has(productId)) {
+            byProduct.set(productId, []);
+        }
+        byProduct.get(productId).push(result);
+    });
+
+    const productGroups = Array.from(byProduct.values());
+    const totalBatches = Math.ceil(productGroups.length / batchSize);
+
+    console.log(`\n📦 Aplicando ${plannedResults.length} cambios de precio (${productGroups.length} productos) en ${totalBatches} lote(s) de hasta ${batchSize} productos...`);
+
+    for (let i = 0; i < productGroups.length; i += batchSize) {
+        const chunk = productGroups.slice(i, i + batchSize).flat();
+        const items = chunk.map(result => {
+            const shopifyProduct = shopifyProductsMap.get(result.sku);
+            return {
+                sku: result.sku,
+                productId: shopifyProduct.productId,
+                variantId: shopifyProduct.variantId,
+                price: result.newPrice,
+                compareAtPrice: result.newCompareAtPrice
+            };
+        });
+
+        const batchResults = await updateShopifyPricesBatch(items);
+
+        let ok = 0;
+        chunk.forEach(result => {
+            const outcome = batchResults.get(result.sku);
+            if (outcome?.success) {
+                result.action = 'updated';
+                result.message = 'Precio actualizado exitosamente';
+                ok++;
+            } else {
+                result.success = false;
+                result.action = 'error';
+                result.error = outcome?.error || 'Sin respuesta de Shopify para esta variante';
+                delete result.message;
+                console.log(`   ❌ ${result.sku}: ${result.error}`);
+            }
+        });
+
+        console.log(`   Lote ${Math.floor(i / batchSize) + 1}/${totalBatches}: ${ok} actualizados, ${chunk.length - ok} con error`);
+    }
+}
+
 /**
  * Sincronizar el precio de un producto específico (optimizado con caché)
  * 
@@ -513,13 +734,22 @@ async function updateShopifyPrice(productId, variantId, price) {
  * @param {Object} options - Opciones de sincronización
  * @param {Map} shopifyProductsMap - Mapa de productos de Shopify (opcional)
  * @param {Map} priceListsMap - Mapa de listas de precios de Manager (opcional)
- * @returns {Promise<Object>} Resultado de la sincronización
+ * @param {Map} managerFamiliesMap - Mapa SKU -> familias de Manager+ (opcional, para reglas por familia)
+ * @returns {Promise<Object>} Resultado de la sincronización. managerPrice es el precio de lista
+ *   ya transformado por la regla aplicada (reglaAplicada) y precioLista el valor original de Manager+.
  */
-async function syncProductPrice(sku, options = {}, shopifyProductsMap = null, priceListsMap = null) {
-    const { dryRun = false, forceUpdate = false } = options;
+async function syncProductPrice(sku, options = {}, shopifyProductsMap = null, priceListsMap = null, managerFamiliesMap = null) {
+    const { dryRun = false, forceUpdate = false, skipPriceGuard = false } = options;
+    // En modo batch la primera pasada es dry-run pero las retenciones sí deben registrarse
+    const recordHolds = options.recordHolds !== undefined ? options.recordHolds : !dryRun;
     
     try {
-        // 1. Obtener precio de Manager+ (lista 652)
+        // Llamada suelta (ej: un SKU desde la API): cargar las familias si alguna regla las usa (queda en caché)
+        if (!managerFamiliesMap && rulesUseFamily()) {
+            managerFamiliesMap = await loadManagerFamilies();
+        }
+
+        // 1. Obtener precio de Manager+ (primera lista de la cadena con precio)
         let managerPriceInfo;
         try {
             managerPriceInfo = await getManagerProductPrice(sku, priceListsMap);
@@ -532,14 +762,14 @@ async function syncProductPrice(sku, options = {}, shopifyProductsMap = null, pr
             };
         }
         
-        // Si no hay precio en lista 652, no actualizamos (según requerimiento)
+        // Si no hay precio en ninguna lista configurada, no actualizamos (según requerimiento)
         if (!managerPriceInfo.precio) {
             return {
                 sku,
                 success: true,
                 action: 'skipped',
-                error: managerPriceInfo.error || 'Sin precio en lista 652',
-                message: 'Producto sin precio en lista 652 - no se actualiza'
+                error: managerPriceInfo.error || `Sin precio en lista ${describePriceListChain()}`,
+                message: `Producto sin precio en lista ${describePriceListChain()} - no se actualiza`
             };
         }
         
@@ -555,32 +785,104 @@ async function syncProductPrice(sku, options = {}, shopifyProductsMap = null, pr
             };
         }
         
-        // 3. Comparar precios (redondear para evitar diferencias por decimales)
-        const managerPrice = Math.round(managerPriceInfo.precio * 100) / 100; // Redondear a 2 decimales
+        // 3. Aplicar la regla de precios del SKU (IVA, recargo, redondeo); sin regla solo se redondea a 2 decimales
+        const normalizedSku = sku.toString().trim().toUpperCase();
+        const rule = findPriceRule({
+            sku: normalizedSku,
+            family: managerFamiliesMap ? managerFamiliesMap.get(normalizedSku) : null,
+            productType: shopifyProduct.productType,
+            tags: shopifyProduct.tags
+        });
+        const managerPrice = applyPriceRule(managerPriceInfo.precio, rule);
         const shopifyPrice = Math.round(shopifyProduct.currentPrice * 100) / 100;
         
-        if (managerPrice === shopifyPrice && !forceUpdate) {
+        // 4. Calcular precio y compare_at_price según la lista de oferta (si está configurada)
+        const saleInfo = resolveSalePrice(sku, managerPrice, priceListsMap, rule);
+        
+        const newPrice = saleInfo.salePrice !== null ? saleInfo.salePrice : managerPrice;
+        const priceFields = {
+            managerPrice,
+            shopifyPrice,
+            newPrice,
+            precioLista: managerPriceInfo.precio,
+            listaUsada: managerPriceInfo.listaUsada,
+            listaNombre: managerPriceInfo.listaNombre,
+            reglaAplicada: rule ? rule.name : null
+        };
+        
+        // compare_at_price solo se gestiona cuando hay lista de oferta configurada
+        let compareAtChanged = false;
+        let newCompareAtPrice;
+        if (loadPriceListConfig().sale) {
+            newCompareAtPrice = saleInfo.salePrice !== null ? managerPrice : null;
+            const shopifyCompareAtPrice = shopifyProduct.currentCompareAtPrice !== null
+                ? Math.round(shopifyProduct.currentCompareAtPrice * 100) / 100
+                : null;
+            compareAtChanged = newCompareAtPrice !== shopifyCompareAtPrice;
+            Object.assign(priceFields, {
+                salePrice: saleInfo.salePrice,
+                listaOferta: saleInfo.listaOferta,
+                saleIgnored: saleInfo.ignoredReason,
+                shopifyCompareAtPrice,
+                newCompareAtPrice
+            });
+        }
+        
+        if (newPrice === shopifyPrice && !compareAtChanged && !forceUpdate) {
+            if (recordHolds) {
+                priceApprovalStore.supersede(normalizedSku, 'El precio de Shopify ya coincide con Manager+');
+            }
             return {
                 sku,
                 success: true,
                 action: 'no_change',
-                managerPrice,
-                shopifyPrice,
-                listaUsada: managerPriceInfo.listaUsada,
+                ...priceFields,
                 message: 'Precios ya están sincronizados'
             };
         }
         
-        // 4. Actualizar precio en Shopify
+        // 5. Guardia: retener cambios de precio que superan los umbrales configurados
+        if (newPrice !== shopifyPrice && !skipPriceGuard) {
+            const guard = evaluatePriceChange(shopifyPrice, newPrice);
+            if (guard.hold) {
+                let previouslyRejected = false;
+                if (recordHolds) {
+                    ({ previouslyRejected } = priceApprovalStore.hold({
+                        sku: normalizedSku,
+                        productId: shopifyProduct.productId,
+                        variantId: shopifyProduct.variantId,
+                        title: shopifyProduct.title,
+                        ...priceFields,
+                        reason: guard.reason,
+                        changePercent: guard.changePercent,
+                        changeAmount: guard.changeAmount
+                    }));
+                }
+                return {
+                    sku,
+                    success: true,
+                    action: 'held',
+                    ...priceFields,
+                    changePercent: guard.changePercent,
+                    changeAmount: guard.changeAmount,
+                    heldReason: guard.reason,
+                    message: previouslyRejected
+                        ? 'Cambio retenido: este precio ya fue rechazado'
+                        : (recordHolds ? 'Cambio retenido: pendiente de aprobación' : 'Dry run: el cambio quedaría retenido')
+                };
+            }
+            if (recordHolds) {
+                priceApprovalStore.supersede(normalizedSku, `Manager+ propuso un nuevo precio dentro de los umbrales ($${newPrice})`);
+            }
+        }
+        
+        // 6. Actualizar precio en Shopify
         if (dryRun) {
             return {
                 sku,
                 success: true,
                 action: 'would_update',
-                managerPrice,
-                shopifyPrice,
-                newPrice: managerPrice,
-                listaUsada: managerPriceInfo.listaUsada,
+                ...priceFields,
                 message: 'Dry run: no se realizaron cambios'
             };
         }
@@ -588,17 +890,15 @@ async function syncProductPrice(sku, options = {}, shopifyProductsMap = null, pr
         await updateShopifyPrice(
             shopifyProduct.productId,
             shopifyProduct.variantId,
-            managerPrice
+            newPrice,
+            newCompareAtPrice
         );
         
         return {
             sku,
             success: true,
             action: 'updated',
-            managerPrice,
-            shopifyPrice,
-            newPrice: managerPrice,
-            listaUsada: managerPriceInfo.listaUsada,
+            ...priceFields,
             message: 'Precio actualizado exitosamente'
         };
         
@@ -612,15 +912,47 @@ async function syncProductPrice(sku, options = {}, shopifyProductsMap = null, pr
     }
 }
 
+/**
+ * Texto de la regla de precios aplicada para los logs (vacío si no hubo regla)
+ * @param {Object} result - Resultado de syncProductPrice
+ * @returns {string}
+ */
+function formatRuleLog(result) {
+    return result.reglaAplicada ? `, regla "${result.reglaAplicada}" sobre $${result.precioLista}` : '';
+}
+
+/**
+ * Texto de compare_at_price para los logs (vacío si no hay lista de oferta configurada)
+ * @param {Object} result - Resultado de syncProductPrice
+ * @returns {string}
+ */
+function formatCompareAtLog(result) {
+    if (result.newCompareAtPrice === undefined) {
+        return '';
+    }
+    const before = result.shopifyCompareAtPrice !== null ? `$${result.shopifyCompareAtPrice}` : '—';
+    const after = result.newCompareAtPrice !== null ? `$${result.newCompareAtPrice}` : '—';
+    let text = ` | compare_at: ${before} → ${after}`;
+    if (result.listaOferta) {
+        text += ` (oferta lista ${result.listaOferta})`;
+    } else if (result.saleIgnored) {
+        text += ` (oferta ignorada: ${result.saleIgnored})`;
+    }
+    return text;
+}
+
 /**
  * Procesar un array en chunks con límite de concurrencia
  * 
  * @param {Array} array - Array a procesar
  * @param {Function} processor - Función que procesa cada elemento
  * @param {number} concurrency - Número máximo de operaciones paralelas
- * @returns {Promise<Array>} Resultados del procesamiento
+ * @param {Object} control - Control opcional de la corrida
+ * @param {AbortSignal} control.signal - Si se aborta, no se inician más chunks
+ * @param {Function} control.onChunk - Callback (processed, total, chunkResults) tras cada chunk
+ * @returns {Promise<Array>} Resultados del procesamiento (parciales si se canceló)
  */
-async function processInParallel(array, processor, concurrency = 20) {
+async function processInParallel(array, processor, concurrency = 20, control = {}) {
     const results = [];
     let rateLimitErrors = 0;
     let currentConcurrency = concurrency;
@@ -629,19 +961,25 @@ async function processInParallel(array, processor, concurrency = 20) {
     let rateLimitWaitTime = 0;
     
     for (let i = 0; i < array.length; i += currentConcurrency) {
+        if (control.signal?.aborted) {
+            break;
+        }
         const chunk = array.slice(i, i + currentConcurrency);
+        let chunkResults = [];
         
         try {
             // Procesar chunk en paralelo - todos los productos del chunk se procesan simultáneamente
             const chunkPromises = chunk.map(processor);
-            const chunkResults = await Promise.all(chunkPromises);
+            chunkResults = await Promise.all(chunkPromises);
             
             // Acumular logs (excluir errores de rate limit repetitivos)
             chunkResults.forEach(result => {
                 if (result.action === 'updated' || result.action === 'would_update') {
-                    logs.push(`   ✅ ${result.sku}: $${result.shopifyPrice} → $${result.managerPrice} (lista ${result.listaUsada})`);
+                    logs.push(`   ✅ ${result.sku}: $${result.shopifyPrice} → $${result.newPrice} (lista ${result.listaUsada}${formatRuleLog(result)})${formatCompareAtLog(result)}`);
                 } else if (result.action === 'no_change') {
-                    logs.push(`   ℹ️  ${result.sku}: sin cambios (Shopify $${result.shopifyPrice} = Manager $${result.managerPrice}, lista ${result.listaUsada})`);
+                    logs.push(`   ℹ️  ${result.sku}: sin cambios (Shopify $${result.shopifyPrice} = Manager $${result.newPrice}, lista ${result.listaUsada}${formatRuleLog(result)})${formatCompareAtLog(result)}`);
+                } else if (result.action === 'held') {
+                    logs.push(`   ⏸️  ${result.sku}: retenido $${result.shopifyPrice} → $${result.newPrice} (${result.heldReason})`);
                 } else if (result.action === 'skipped') {
                     logs.push(`   ⏭️  ${result.sku}: omitido (${result.error || result.message || 'motivo no especificado'})`);
                 } else if (result.action === 'error' || !result.success) {
@@ -730,6 +1068,9 @@ async function processInParallel(array, processor, concurrency = 20) {
         // Mostrar progreso
         const processed = Math.min(i + currentConcurrency, array.length);
         console.log(`\r   Procesando: ${processed}/${array.length} productos...`);
+        if (control.onChunk) {
+            control.onChunk(i + chunk.length, array.length, chunkResults);
+        }
     }
     
     return results;
@@ -749,6 +1090,7 @@ async function syncMultipleProducts(skus, options = {}) {
         skipped: 0,
         errors: 0,
         noChange: 0,
+        held: 0, // Cambios retenidos por la guardia de precios (pendientes de aprobación)
         notFound: 0, // Productos no encontrados en el ERP (errores 422)
         details: []
     };
@@ -769,31 +1111,66 @@ async function syncMultipleProducts(skus, options = {}) {
         console.warn(`   Valor recomendado: hasta ${MAX_RECOMMENDED_CONCURRENCY} para evitar problemas con las APIs.\n`);
     }
     
+    // Modo batch: se calcula qué cambiar por SKU y se escribe agrupado por producto vía GraphQL
+    const batchMode = !!options.batch;
+    // Progreso y cancelación cooperativa para trabajos en segundo plano (ver syncJobs.js)
+    const signal = options.signal;
+    const reportProgress = (progress) => {
+        if (typeof options.onProgress === 'function') {
+            options.onProgress(progress);
+        }
+    };
+
     console.log(`\n🚀 Iniciando sincronización optimizada de ${skus.length} SKUs`);
-    console.log(`⚡ Concurrencia: ${concurrency} SKUs en paralelo\n`);
+    console.log(`⚡ Concurrencia: ${concurrency} SKUs en paralelo`);
+    if (batchMode) {
+        console.log(`📦 Modo batch: escrituras agrupadas con productVariantsBulkUpdate`);
+    }
+    console.log('');
     console.log('='.repeat(60));
     
     const startTime = Date.now();
     
+    // Registrar la corrida en el historial (ver syncHistory.js)
+    const run = syncHistoryStore.startRun('prices', {
+        mode: options.runMode || 'skus',
+        trigger: options.trigger,
+        options,
+        total: skus.length
+    });
+    results.runId = run.id;
+    reportProgress({ phase: 'loading', runId: run.id, processed: 0, total: skus.length });
+    
     try {
         // Verificar autenticación con Shopify primero
         await verifyShopifyAuth();
         
+        // Validar las reglas de precios antes de empezar (un archivo mal formado detiene la sincronización)
+        const priceRules = loadPriceRules();
+        if (priceRules.length > 0) {
+            console.log(`🧮 ${priceRules.length} regla(s) de precios cargadas: ${priceRules.map(rule => rule.name).join(', ')}`);
+        }
+        
         // Pre-cargar productos de Shopify en memoria (una sola vez)
         console.log('📦 Pre-cargando datos...');
-        const [shopifyProductsMap, priceListsMap] = await Promise.all([
+        const [shopifyProductsMap, priceListsMap, managerFamiliesMap] = await Promise.all([
             loadAllShopifyProducts(),
-            loadAllPriceLists()
+            loadAllPriceLists(),
+            rulesUseFamily() ? loadManagerFamilies() : Promise.resolve(null)
         ]);
         
         console.log('\n🔄 Iniciando sincronización paralela...\n');
+        reportProgress({ phase: 'comparing', processed: 0, total: skus.length });
         
+        // En modo batch la primera pasada solo compara (como dry-run) y las escrituras se agrupan después
+        const compareOptions = batchMode ? { ...options, dryRun: true, recordHolds: !options.dryRun } : options;
+
         // Procesar productos en paralelo con límite de concurrencia
         const processedResults = await processInParallel(
             skus,
             async (sku) => {
                 try {
-                    const result = await syncProductPrice(sku, options, shopifyProductsMap, priceListsMap);
+                    const result = await syncProductPrice(sku, compareOptions, shopifyProductsMap, priceListsMap, managerFamiliesMap);
                     return result;
                 } catch (error) {
                     return {
@@ -804,10 +1181,32 @@ async function syncMultipleProducts(skus, options = {}) {
                     };
                 }
             },
-            concurrency
+            concurrency,
+            {
+                signal,
+                onChunk: (processed, total, chunkResults) => reportProgress({ phase: 'comparing', processed, total, results: chunkResults })
+            }
         );
         
         results.details = processedResults;
+        if (signal?.aborted) {
+            results.cancelled = true;
+            console.log(`\n🛑 Sincronización cancelada: ${processedResults.length}/${skus.length} SKUs procesados`);
+        }
+
+        if (batchMode && !options.dryRun) {
+            const plannedUpdates = processedResults.filter(r => r.action === 'would_update');
+            if (results.cancelled) {
+                // Las escrituras agrupadas no llegaron a enviarse
+                plannedUpdates.forEach(result => {
+                    result.action = 'skipped';
+                    result.message = 'Cancelado antes de aplicar el lote';
+                });
+            } else if (plannedUpdates.length > 0) {
+                reportProgress({ phase: 'applying', processed: 0, total: plannedUpdates.length });
+                await applyPriceUpdatesInBatches(plannedUpdates, shopifyProductsMap, options);
+            }
+        }
         
         // Procesar resultados
         results.details.forEach(result => {
@@ -816,6 +1215,8 @@ async function syncMultipleProducts(skus, options = {}) {
                     results.updated++;
                 } else if (result.action === 'no_change') {
                     results.noChange++;
+                } else if (result.action === 'held') {
+                    results.held++;
                 } else {
                     results.skipped++;
                 }
@@ -881,9 +1282,10 @@ async function syncMultipleProducts(skus, options = {}) {
             console.log('');
         }
         
-        if (failedProducts.length > 0 && !options.dryRun) {
+        if (failedProducts.length > 0 && !options.dryRun && !results.cancelled) {
             const maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
             const retryDelay = options.retryDelay !== undefined ? options.retryDelay : 2000;
+            reportProgress({ phase: 'retrying', processed: 0, total: failedProducts.length });
             
             console.log(`\n🔄 Reintentando ${failedProducts.length} productos que fallaron (excluyendo productos no encontrados)...`);
             if (rateLimitFailures.length > 0) {
@@ -899,7 +1301,7 @@ async function syncMultipleProducts(skus, options = {}) {
             let retryAttempt = 1;
             let remainingFailures = [...failedProducts];
             
-            while (remainingFailures.length > 0 && retryAttempt <= maxRetries) {
+            while (remainingFailures.length > 0 && retryAttempt <= maxRetries && !signal?.aborted) {
                 console.log(`\n🔄 Intento ${retryAttempt}/${maxRetries} de reintento...`);
                 
                 // Detectar si hay rate limits en los fallos anteriores
@@ -922,7 +1324,7 @@ async function syncMultipleProducts(skus, options = {}) {
                     failedSkus,
                     async (sku) => {
                         try {
-                            const result = await syncProductPrice(sku, options, shopifyProductsMap, priceListsMap);
+                            const result = await syncProductPrice(sku, options, shopifyProductsMap, priceListsMap, managerFamiliesMap);
                             
                             if (result.success) {
                                 console.log(`   ✅ Reintento exitoso: ${sku}`);
@@ -938,7 +1340,11 @@ async function syncMultipleProducts(skus, options = {}) {
                             };
                         }
                     },
-                    retryConcurrency
+                    retryConcurrency,
+                    {
+                        signal,
+                        onChunk: (processed, total) => reportProgress({ phase: 'retrying', attempt: retryAttempt, processed, total })
+                    }
                 );
                 
                 // Actualizar resultados originales y contadores
@@ -968,6 +1374,8 @@ async function syncMultipleProducts(skus, options = {}) {
                                 results.updated++;
                             } else if (retryResult.action === 'no_change') {
                                 results.noChange++;
+                            } else if (retryResult.action === 'held') {
+                                results.held++;
                             } else if (retryResult.action === 'skipped') {
                                 results.skipped++;
                             }
@@ -1013,7 +1421,10 @@ async function syncMultipleProducts(skus, options = {}) {
                 retryAttempt++;
             }
             
-            if (remainingFailures.length > 0) {
+            if (signal?.aborted) {
+                results.cancelled = true;
+                console.log(`\n🛑 Reintentos cancelados: ${results.errors} producto(s) quedan con error`);
+            } else if (remainingFailures.length > 0) {
                 console.log(`\n⚠️  Después de ${maxRetries} intentos, ${remainingFailures.length} productos aún fallan:`);
                 // Agrupar errores similares para no mostrar muchos logs repetitivos
                 const errorGroups = {};
@@ -1048,20 +1459,28 @@ async function syncMultipleProducts(skus, options = {}) {
         console.log(`   ✅ Actualizados: ${results.updated}`);
         console.log(`   ℹ️  Sin cambios: ${results.noChange}`);
         console.log(`   ⏭️  Omitidos: ${results.skipped}`);
+        if (results.held > 0) {
+            console.log(`   ⏸️  Retenidos para aprobación: ${results.held} (ver /api/prices/approvals)`);
+        }
         if (results.notFound > 0) {
             console.log(`   🔍 No encontrados en Manager+: ${results.notFound} (no se reintentan)`);
         }
         if (results.errors > 0) {
             console.log(`   ❌ Errores finales: ${results.errors}`);
         }
+        if (results.cancelled) {
+            console.log(`   🛑 Cancelada: ${results.details.length}/${results.total} SKUs procesados`);
+        }
         console.log(`   ⏱️  Tiempo total: ${duration}s`);
         console.log(`   ⚡ Velocidad: ${(results.total / duration).toFixed(2)} productos/segundo`);
         console.log('='.repeat(60));
         
+        syncHistoryStore.finishRun(run, results);
         return results;
         
     } catch (error) {
         console.error('\n❌ Error fatal en sincronización:', error.message);
+        syncHistoryStore.finishRun(run, null, error);
         throw error;
     }
 }
@@ -1086,7 +1505,7 @@ async function syncAllProducts(options = {}) {
         
         console.log(`✅ Sincronizando ${skus.length} SKUs únicos\n`);
         
-        return await syncMultipleProducts(skus, options);
+        return await syncMultipleProducts(skus, { runMode: 'full', ...options });
         
     } catch (error) {
         console.error('❌ Error al obtener productos de Shopify:', error.message);
@@ -1094,6 +1513,74 @@ async function syncAllProducts(options = {}) {
     }
 }
 
+/**
+ * Aprobar un cambio de precio retenido y aplicarlo en Shopify
+ *
+ * @param {string} sku - Código SKU
+ * @param {Object} options
+ * @param {string} options.approvedBy - Quién aprueba (opcional)
+ * @returns {Promise<{success: boolean, entry: Object|null, error: string|null, reason: string|null}>}
+ *   reason: not_found | not_pending | update_failed
+ */
+async function approvePriceChange(sku, options = {}) {
+    const normalizedSku = sku.toString().trim().toUpperCase();
+    const entry = priceApprovalStore.get(normalizedSku);
+
+    if (!entry) {
+        return { success: false, entry: null, error: `No hay cambio retenido para ${normalizedSku}`, reason: 'not_found' };
+    }
+    if (entry.status !== 'pending') {
+        return { success: false, entry, error: `El cambio de ${normalizedSku} está en estado "${entry.status}"`, reason: 'not_pending' };
+    }
+
+    try {
+        await updateShopifyPrice(entry.productId, entry.variantId, entry.newPrice, entry.newCompareAtPrice);
+    } catch (error) {
+        // Queda pendiente para poder reintentar la aprobación
+        return { success: false, entry, error: error.message, reason: 'update_failed' };
+    }
+
+    const resolved = priceApprovalStore.resolve(normalizedSku, 'approved', {
+        resolvedBy: options.approvedBy || null
+    });
+    syncHistoryStore.recordRun('prices', { mode: 'approval', trigger: 'api' }, [{
+        ...entry,
+        success: true,
+        action: 'approved',
+        heldReason: entry.reason
+    }]);
+    console.log(`✅ Cambio de precio aprobado: ${normalizedSku} $${entry.shopifyPrice} → $${entry.newPrice}`);
+    return { success: true, entry: resolved, error: null, reason: null };
+}
+
+/**
+ * Rechazar un cambio de precio retenido (no se modifica Shopify)
+ *
+ * @param {string} sku - Código SKU
+ * @param {Object} options
+ * @param {string} options.rejectedBy - Quién rechaza (opcional)
+ * @param {string} options.note - Motivo del rechazo (opcional)
+ * @returns {{success: boolean, entry: Object|null, error: string|null, reason: string|null}}
+ */
+function rejectPriceChange(sku, options = {}) {
+    const normalizedSku = sku.toString().trim().toUpperCase();
+    const entry = priceApprovalStore.get(normalizedSku);
+
+    if (!entry) {
+        return { success: false, entry: null, error: `No hay cambio retenido para ${normalizedSku}`, reason: 'not_found' };
+    }
+    if (entry.status !== 'pending') {
+        return { success: false, entry, error: `El cambio de ${normalizedSku} está en estado "${entry.status}"`, reason: 'not_pending' };
+    }
+
+    const resolved = priceApprovalStore.resolve(normalizedSku, 'rejected', {
+        resolvedBy: options.rejectedBy || null,
+        note: options.note || null
+    });
+    console.log(`🚫 Cambio de precio rechazado: ${normalizedSku} $${entry.shopifyPrice} → $${entry.newPrice}`);
+    return { success: true, entry: resolved, error: null, reason: null };
+}
+
 // Exportar funciones
 module.exports = {
     syncProductPrice,
@@ -1101,10 +1588,15 @@ module.exports = {
     syncAllProducts,
     getManagerProductPrice,
     getShopifyProductPriceBySKU,
+    updateShopifyPricesBatch,
+    approvePriceChange,
+    rejectPriceChange,
     clearCache: () => {
         shopifyProductsCache = null;
         priceListsCache = null;
+        priceListsIndex = null;
         priceListsCacheTime = null;
+        managerFamiliesCache = null;
     },
     loadAllPriceLists
 };
@@ -1155,6 +1647,24 @@ if (require.main === module) {
         options.maxRetries = 0;
     }
     
+    // Omitir la guardia de cambios grandes (--skip-price-guard)
+    if (args.includes('--skip-price-guard')) {
+        options.skipPriceGuard = true;
+    }
+    
+    // Escrituras agrupadas vía GraphQL productVariantsBulkUpdate (--batch, --batch-size=25)
+    if (args.includes('--batch')) {
+        options.batch = true;
+    }
+    const batchSizeArg = args.find(arg => arg.startsWith('--batch-size='));
+    if (batchSizeArg) {
+        const batchSizeValue = parseInt(batchSizeArg.split('=')[1]);
+        if (!isNaN(batchSizeValue) && batchSizeValue > 0) {
+            options.batch = true;
+            options.batchSize = batchSizeValue;
+        }
+    }
+    
     // Si no hay argumentos o solo hay opciones, mostrar ayuda
     if (args.length === 0 || (args.length === 1 && args[0].startsWith('--'))) {
         if (!options.all) {
@@ -1173,16 +1683,29 @@ Opciones:
   --max-retries=N           Número máximo de reintentos automáticos (default: 3)
   --retry-delay=N           Milisegundos de espera entre reintentos (default: 2000)
   --no-retry                Desactivar reintentos automáticos
+  --batch                   Escribir los cambios agrupados por producto con GraphQL
+                            productVariantsBulkUpdate (pocas llamadas en vez de una por SKU)
+  --batch-size=N            Productos por llamada en modo batch (default: 25, máximo: 50)
+  --skip-price-guard        No retener cambios grandes (aplica todo lo que venga de Manager+)
 
 Lógica de precios:
-  - Usa lista de precios 652 de Manager+
-  - Si no tiene precio en lista 652, no se actualiza el producto en Shopify
+  - Usa la lista de precios 652 de Manager+ (configurable con PRICE_LIST_CHAIN o
+    PRICE_LIST_CONFIG_FILE; con varias listas se usa la primera que tenga precio para el SKU)
+  - Si no tiene precio en ninguna lista configurada, no se actualiza el producto en Shopify
   - Si los precios son diferentes, se actualiza el precio en Shopify
+  - Con PRICE_SYNC_SALE_LIST configurada, si el SKU tiene una oferta válida
+    (menor que el precio normal) se escribe price = oferta y compare_at_price = precio normal;
+    sin oferta válida se escribe price = precio normal y se borra compare_at_price
+  - Cambios mayores a PRICE_GUARD_MAX_CHANGE_PERCENT (default 50%) o PRICE_GUARD_MAX_CHANGE_AMOUNT
+    quedan retenidos como aprobaciones pendientes (GET /api/prices/approvals)
+  - Con PRICE_RULES_FILE configurado, el precio de lista se transforma antes de comparar
+    (IVA, recargos y redondeo según la primera regla que coincida con el SKU)
 
 Ejemplos:
   node syncPricesShopify.js --all --dry-run --concurrency=10
   node syncPricesShopify.js ABC123 DEF456 --concurrency=3
   node syncPricesShopify.js --all --max-retries=5 --retry-delay=3000
+  node syncPricesShopify.js --all --batch
             `);
             process.exit(0);
         }
@@ -2,18 +2,31 @@
  * Scheduler para sincronización automática de stocks y precios
  * 
  * Este script ejecuta la sincronización automáticamente todos los días
- * a las 12:00 PM y 6:00 PM en hora de Santiago de Chile
+ * a las 12:00 PM y 6:00 PM en hora de Santiago de Chile.
+ * Opcionalmente (SYNC_STOCK_INCREMENTAL_CRON) corre además una sincronización
+ * incremental de stocks cada pocos minutos, solo para los SKUs con movimientos.
  */
 
 require('dotenv').config();
 const cron = require('node-cron');
 const { syncAllProducts: syncAllStocks } = require('./syncStocks');
 const { syncAllProducts: syncAllPrices } = require('./syncPricesShopify');
+const { describePriceListChain } = require('./priceListConfig');
+const { syncIncrementalStocks } = require('./incrementalStockSync');
+const { syncHistoryStore } = require('./syncHistory');
 
 // Configuración
 const TIMEZONE = 'America/Santiago'; // Zona horaria de Santiago de Chile
 const CONCURRENCY = process.env.SYNC_CONCURRENCY ? parseInt(process.env.SYNC_CONCURRENCY) : 5;
 const MAX_RETRIES = process.env.SYNC_MAX_RETRIES ? parseInt(process.env.SYNC_MAX_RETRIES) : 3;
+const STOCK_BATCH = process.env.SYNC_STOCK_BATCH === 'true' || process.env.SYNC_STOCK_BATCH === '1';
+const STOCK_BATCH_SIZE = process.env.SYNC_STOCK_BATCH_SIZE ? parseInt(process.env.SYNC_STOCK_BATCH_SIZE) : 100;
+const PRICE_BATCH = process.env.SYNC_PRICE_BATCH === 'true' || process.env.SYNC_PRICE_BATCH === '1';
+const PRICE_BATCH_SIZE = process.env.SYNC_PRICE_BATCH_SIZE ? parseInt(process.env.SYNC_PRICE_BATCH_SIZE) : 25;
+const STOCK_INCREMENTAL_CRON = process.env.SYNC_STOCK_INCREMENTAL_CRON || '';
+
+// Sincronización en curso (para que las corridas incrementales no se crucen con otras)
+let runningSync = null;
 
 // Colores para logs (si se ejecuta en terminal que los soporte)
 const colors = {
@@ -38,6 +51,27 @@ function getFormattedDateTime() {
     });
 }
 
+/**
+ * Listar los cambios de precio retenidos por la guardia en una corrida
+ * @param {Object} results - Resultado de la sincronización de precios
+ * @param {string} indent - Sangría de cada línea
+ */
+function logHeldPriceChanges(results, indent = '   ') {
+    const held = (results?.details || []).filter(r => r.action === 'held');
+    if (held.length === 0) {
+        return;
+    }
+
+    console.log(`${indent}${colors.yellow}⏸️  Retenidos para aprobación: ${held.length}${colors.reset}`);
+    held.slice(0, 20).forEach(r => {
+        console.log(`${indent}   - ${r.sku}: $${r.shopifyPrice} → $${r.newPrice} (${r.heldReason})`);
+    });
+    if (held.length > 20) {
+        console.log(`${indent}   ... y ${held.length - 20} más`);
+    }
+    console.log(`${indent}   Revisar en GET /api/prices/approvals`);
+}
+
 /**
  * Función para ejecutar la sincronización de stocks
  */
@@ -56,7 +90,10 @@ async function executeStockSync() {
             dryRun: false, // SIEMPRE sincronización real
             concurrency: CONCURRENCY,
             maxRetries: MAX_RETRIES,
-            retryDelay: 2000
+            retryDelay: 2000,
+            trigger: 'scheduler',
+            batch: STOCK_BATCH,
+            batchSize: STOCK_BATCH_SIZE
         };
 
         const results = await syncAllStocks(options);
@@ -104,6 +141,44 @@ async function executeStockSync() {
     }
 }
 
+/**
+ * Función para ejecutar la sincronización incremental de stocks
+ *
+ * Se omite si hay otra sincronización en curso; la próxima corrida retoma desde el checkpoint.
+ */
+async function executeIncrementalStockSync() {
+    if (runningSync) {
+        console.log(`${colors.yellow}⏭️  Sincronización incremental omitida: ${runningSync} en curso${colors.reset}`);
+        return null;
+    }
+
+    runningSync = 'sincronización incremental';
+    const startTime = Date.now();
+    console.log(`\n${colors.cyan}🧭 SINCRONIZACIÓN INCREMENTAL DE STOCKS${colors.reset} - ${getFormattedDateTime()}`);
+
+    try {
+        const results = await syncIncrementalStocks({
+            dryRun: false,
+            concurrency: CONCURRENCY,
+            maxRetries: MAX_RETRIES,
+            retryDelay: 2000,
+            trigger: 'scheduler',
+            batch: STOCK_BATCH,
+            batchSize: STOCK_BATCH_SIZE
+        });
+
+        const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+        console.log(`${colors.green}✅ Incremental completada en ${duration}s${colors.reset} - Documentos: ${results.incremental.documents} | SKUs: ${results.incremental.skus} | Actualizados: ${results.updated} | Errores: ${results.errors}\n`);
+        return results;
+
+    } catch (error) {
+        console.error(`${colors.red}❌ Error en sincronización incremental de STOCKS: ${error.message}${colors.reset}\n`);
+        return null;
+    } finally {
+        runningSync = null;
+    }
+}
+
 /**
  * Función para ejecutar la sincronización de precios
  */
@@ -114,7 +189,7 @@ async function executePriceSync() {
     console.log('\n' + '='.repeat(70));
     console.log(`${colors.cyan}💰 SINCRONIZACIÓN DE PRECIOS${colors.reset}`);
     console.log(`${colors.bright}📅 Fecha/Hora (Santiago): ${formattedStartTime}${colors.reset}`);
-    console.log(`${colors.bright}🔄 Origen: Manager+ (Lista 652) → Destino: Shopify${colors.reset}`);
+    console.log(`${colors.bright}🔄 Origen: Manager+ (Lista ${describePriceListChain()}) → Destino: Shopify${colors.reset}`);
     console.log('='.repeat(70));
 
     try {
@@ -127,7 +202,10 @@ async function executePriceSync() {
             dryRun: false, // SIEMPRE sincronización real
             concurrency: PRICE_CONCURRENCY,
             maxRetries: MAX_RETRIES,
-            retryDelay: 2000
+            retryDelay: 2000,
+            trigger: 'scheduler',
+            batch: PRICE_BATCH,
+            batchSize: PRICE_BATCH_SIZE
         };
 
         const results = await syncAllPrices(options);
@@ -147,6 +225,7 @@ async function executePriceSync() {
         console.log(`   ${colors.green}✅ Actualizados: ${results.updated}${colors.reset}`);
         console.log(`   ${colors.blue}ℹ️  Sin cambios: ${results.noChange}${colors.reset}`);
         console.log(`   ${colors.yellow}⏭️  Omitidos: ${results.skipped}${colors.reset}`);
+        logHeldPriceChanges(results);
         if (results.notFound > 0) {
             console.log(`   ${colors.cyan}🔍 No encontrados en Manager+: ${results.notFound}${colors.reset}`);
         }
@@ -181,6 +260,22 @@ async function executePriceSync() {
  * Función para ejecutar todas las sincronizaciones (stocks y precios)
  */
 async function executeSync() {
+    // Esperar a que termine una corrida incremental en curso
+    while (runningSync) {
+        await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+    runningSync = 'sincronización completa';
+    try {
+        return await executeFullSync();
+    } finally {
+        runningSync = null;
+    }
+}
+
+/**
+ * Ejecutar la sincronización completa (stocks y precios)
+ */
+async function executeFullSync() {
     const globalStartTime = Date.now();
     const formattedStartTime = getFormattedDateTime();
 
@@ -279,11 +374,12 @@ async function executeSync() {
         }
 
         // Resumen de Precios
-        console.log(`\n   ${colors.cyan}💰 PRECIOS (Manager+ Lista 652 → Shopify):${colors.reset}`);
+        console.log(`\n   ${colors.cyan}💰 PRECIOS (Manager+ Lista ${describePriceListChain()} → Shopify):${colors.reset}`);
         if (priceResults) {
             console.log(`      ${colors.green}✅ Actualizados: ${priceResults.updated}${colors.reset}`);
             console.log(`      ${colors.blue}ℹ️  Sin cambios: ${priceResults.noChange}${colors.reset}`);
             console.log(`      ${colors.yellow}⏭️  Omitidos: ${priceResults.skipped}${colors.reset}`);
+            logHeldPriceChanges(priceResults, '      ');
             if (priceResults.notFound > 0) {
                 console.log(`      ${colors.cyan}🔍 No encontrados en Manager+: ${priceResults.notFound}${colors.reset}`);
             }
@@ -345,13 +441,26 @@ function main() {
     console.log(`   Horarios programados:`);
     console.log(`     - ${colors.green}12:00 PM (12:00) y 6:00 PM (18:00)${colors.reset} - Todos los días`);
     console.log(`       ${colors.bright}1.${colors.reset} ${colors.cyan}📦 Sincronización de Stocks${colors.reset} (Manager+ → Shopify, Concurrencia: ${CONCURRENCY})`);
-    console.log(`       ${colors.bright}2.${colors.reset} ${colors.cyan}💰 Sincronización de Precios${colors.reset} (Manager+ Lista 652 → Shopify, Concurrencia inicial: 20)`);
+    console.log(`       ${colors.bright}2.${colors.reset} ${colors.cyan}💰 Sincronización de Precios${colors.reset} (Manager+ Lista ${describePriceListChain()} → Shopify, Concurrencia inicial: 20)`);
     console.log(`   Concurrencia Stocks: ${CONCURRENCY}`);
     console.log(`   Concurrencia Precios: 20 (se reduce automáticamente si hay rate limits)`);
     console.log(`   Reintentos máximos: ${MAX_RETRIES}`);
+    if (STOCK_INCREMENTAL_CRON) {
+        console.log(`   Stocks incremental: ${colors.green}${STOCK_INCREMENTAL_CRON}${colors.reset} (solo SKUs con documentos nuevos en Manager+)`);
+    }
     console.log('='.repeat(70));
     console.log(`\n${colors.yellow}💡 El scheduler está activo. Presiona Ctrl+C para detenerlo.${colors.reset}\n`);
 
+    // Eliminar corridas fuera de la retención del historial (ver syncHistory.js)
+    try {
+        const removed = syncHistoryStore.compact();
+        if (removed > 0) {
+            console.log(`${colors.cyan}🧹 Historial de sincronización: ${removed} corrida(s) fuera de la retención eliminadas${colors.reset}`);
+        }
+    } catch (error) {
+        console.warn(`${colors.yellow}⚠️  No se pudo compactar el historial de sincronización: ${error.message}${colors.reset}`);
+    }
+
     // Programar sincronización a las 12:00 PM y 6:00 PM (12:00 y 18:00) - hora Santiago de Chile
     // Formato cron: minuto hora día mes día-semana
     // 0 12,18 * * * = Todos los días a las 12:00 y 18:00
@@ -360,9 +469,22 @@ function main() {
         timezone: TIMEZONE
     });
     console.log(`${colors.green}✅ Tareas programadas: 12:00 PM y 6:00 PM${colors.reset}`);
+
+    // Sincronización incremental de stocks (opcional)
+    if (STOCK_INCREMENTAL_CRON) {
+        if (!cron.validate(STOCK_INCREMENTAL_CRON)) {
+            console.error(`${colors.red}❌ SYNC_STOCK_INCREMENTAL_CRON inválido: "${STOCK_INCREMENTAL_CRON}". No se programa la sincronización incremental.${colors.reset}`);
+        } else {
+            cron.schedule(STOCK_INCREMENTAL_CRON, executeIncrementalStockSync, {
+                scheduled: true,
+                timezone: TIMEZONE
+            });
+            console.log(`${colors.green}✅ Sincronización incremental de stocks programada: ${STOCK_INCREMENTAL_CRON}${colors.reset}`);
+        }
+    }
     console.log(`\n${colors.bright}📋 Proceso de sincronización:${colors.reset}`);
     console.log(`   ${colors.cyan}📦 Paso 1: Stocks${colors.reset} - Manager+ → Shopify (Concurrencia: ${CONCURRENCY})`);
-    console.log(`   ${colors.cyan}💰 Paso 2: Precios${colors.reset} - Manager+ (Lista 652) → Shopify (Concurrencia inicial: 20)`);
+    console.log(`   ${colors.cyan}💰 Paso 2: Precios${colors.reset} - Manager+ (Lista ${describePriceListChain()}) → Shopify (Concurrencia inicial: 20)`);
     console.log(`   ${colors.yellow}⏳ Pausa: 5 segundos entre pasos${colors.reset}`);
 
     // Mostrar próximo evento programado
@@ -407,6 +529,7 @@ if (require.main === module) {
 module.exports = {
     executeSync,
     executeStockSync,
+    executeIncrementalStockSync,
     executePriceSync,
     main
 };
@@ -3,69 +3,76 @@
  * 
  * Este módulo obtiene los stocks de productos desde Manager+ y los sincroniza
  * con Shopify, actualizando los valores de inventario.
+ * Antes de publicar se descuenta el stock de seguridad y se aplican los overrides
+ * por SKU configurados en stockRules.js.
+ * Con un mapeo de bodegas (locationMapping.js) cada ubicación de Shopify recibe
+ * el stock de sus bodegas; sin mapeo se usa la Bodega General y la primera ubicación.
  */
 
 require('dotenv').config();
-const axios = require('axios');
-const { verifyShopifyAuth, getShopifyProductBySKU, updateShopifyInventory, SHOPIFY_BASE_URL } = require('./shopifyAuth');
-
-// Variables de entorno
-const ERP_BASE_URL = process.env.ERP_BASE_URL;
-const ERP_USERNAME = process.env.ERP_USERNAME;
-const ERP_PASSWORD = process.env.ERP_PASSWORD;
-const RUT_EMPRESA = process.env.RUT_EMPRESA;
-const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+const { verifyShopifyAuth, getShopifyProductBySKU, updateShopifyInventory } = require('./shopifyAuth');
+const { managerClient } = require('./managerClient');
+const { shopifyClient, isRateLimitError } = require('./shopifyClient');
+const { stockRulesStore, getReferencedCollections, resolveStockQuantity } = require('./stockRules');
+const { loadLocationMapping, resolveLocationMapping, computeLocationQuantities } = require('./locationMapping');
+const { syncHistoryStore } = require('./syncHistory');
 
 // Helper para esperar sin bloquear
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Variable para almacenar el token de autenticación del ERP
-let erpAuthToken = null;
-let erpTokenExpirationTime = null;
-
 // Caché para productos de Shopify (Mapa SKU -> datos del producto)
 let shopifyProductsCache = null;
 
-// Caché para locationId de Shopify
-let shopifyLocationIdCache = null;
+// Caché para las ubicaciones (locations) de Shopify
+let shopifyLocationsCache = null;
 
 // Caché opcional de productos Manager+ para evitar múltiples llamadas por SKU
 let managerProductsCache = null;
 
-/**
- * Autenticarse con el ERP Manager+
- */
-async function authenticateWithERP() {
-    try {
-        const response = await axios.post(`${ERP_BASE_URL}/auth/`, {
-            username: ERP_USERNAME,
-            password: ERP_PASSWORD
-        }, {
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        });
+// Modo batch: cantidad de items por llamada a inventorySetQuantities (Shopify admite hasta 250)
+const DEFAULT_INVENTORY_BATCH_SIZE = 100;
 
-        erpAuthToken = response.data.auth_token;
-        erpTokenExpirationTime = Date.now() + (60 * 60 * 1000); // 1 hora
-        
-        return erpAuthToken;
-    } catch (error) {
-        console.error('❌ Error en la autenticación con el ERP:', error.response?.data || error.message);
-        throw new Error('Error al autenticarse con el ERP: ' + (error.response?.data?.message || error.message));
+// Mutación GraphQL para fijar el stock "available" de varios items en una sola llamada
+const INVENTORY_SET_QUANTITIES_MUTATION = `
+    mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
+        inventorySetQuantities(input: $input) {
+            inventoryAdjustmentGroup {
+                reason
+            }
+            userErrors {
+                code
+                field
+                message
+            }
+        }
     }
-}
-
-/**
- * Obtener el token de autenticación del ERP (con caché)
- */
-async function getERPAuthToken() {
-    if (erpAuthToken && erpTokenExpirationTime && Date.now() < erpTokenExpirationTime) {
-        return erpAuthToken;
+`;
+
+// Consulta GraphQL de variantes por SKU (sincronización de pocos SKUs sin precargar el catálogo)
+const PRODUCT_VARIANTS_BY_SKU_QUERY = `
+    query productVariantsBySku($query: String!) {
+        productVariants(first: 250, query: $query) {
+            edges {
+                node {
+                    id
+                    sku
+                    inventoryQuantity
+                    inventoryItem {
+                        id
+                    }
+                    product {
+                        id
+                        title
+                        tags
+                    }
+                }
+            }
+        }
     }
-    return await authenticateWithERP();
-}
+`;
 
+// SKUs por consulta de variantes (la búsqueda de Shopify acepta consultas acotadas)
+const SKU_LOOKUP_CHUNK_SIZE = 50;
 
 /**
  * Determina si un registro de stock pertenece a "Bodega General" y excluye "Bodega temporal".
@@ -124,6 +131,45 @@ function extractStockFromProduct(product) {
     return stock;
 }
 
+/**
+ * Extraer el saldo de cada bodega de un producto (para el mapeo bodega → ubicación)
+ *
+ * @param {Object} product - Objeto del producto de Manager+
+ * @returns {Array<{bodega: string, codigo: string, saldo: number}>} Un registro por bodega
+ */
+function extractStockEntries(product) {
+    const entries = [];
+    if (!Array.isArray(product.stock)) {
+        return entries;
+    }
+
+    const processItem = (item) => {
+        if (!item || typeof item !== 'object') return;
+        entries.push({
+            bodega: (
+                item.bodega ||
+                item.almacen ||
+                item.descripcion_bodega ||
+                item.nombre_bodega ||
+                item.bod ||
+                ''
+            ).toString().trim(),
+            codigo: (item.cod_bodega || item.codigo_bodega || '').toString().trim(),
+            saldo: parseFloat(item.saldo) || 0
+        });
+    };
+
+    product.stock.forEach(entry => {
+        if (Array.isArray(entry)) {
+            entry.forEach(processItem);
+        } else {
+            processItem(entry);
+        }
+    });
+
+    return entries;
+}
+
 /**
  * Obtener stock de un producto desde Manager+ por SKU
  * 
@@ -132,24 +178,12 @@ function extractStockFromProduct(product) {
  * @param {string} sku - Código SKU del producto
  * @returns {Promise<Object>} Información del producto con stock
  */
-async function getManagerProductBySKU(sku, attempt = 1) {
+async function getManagerProductBySKU(sku) {
     try {
-        const token = await getERPAuthToken();
-        
         // Usar el endpoint de productos con con_stock=S para obtener el stock
-        const url = `${ERP_BASE_URL}/products/${RUT_EMPRESA}/${sku}/`;
-        
-        const response = await axios.get(url, {
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Token ${token}`
-            },
-            params: {
-                con_stock: 'S'  // Incluir stock detallado por producto
-            }
-        });
+        const body = await managerClient.getProduct(sku, { withStock: true });
 
-        const productData = response.data.data || response.data;
+        const productData = body.data || body;
         
         if (!productData || (Array.isArray(productData) && productData.length === 0)) {
             return null;
@@ -165,6 +199,7 @@ async function getManagerProductBySKU(sku, attempt = 1) {
             sku: product.codigo_prod || product.cod_producto || product.codigo || sku,
             nombre: product.nombre || product.descripcion || product.descrip || '',
             stock: stock,
+            stockEntries: extractStockEntries(product),
             unidad: product.unidadstock || product.unidad || '',
             precio: product.precio || product.precio_unit || 0,
             rawData: product
@@ -175,17 +210,8 @@ async function getManagerProductBySKU(sku, attempt = 1) {
             return null; // Producto no encontrado
         }
         
-        // Detectar rate limiting con reintentos y backoff simple
+        // El cliente ya reintentó con backoff; si sigue el rate limit, informar
         if (error.response?.status === 429) {
-            const retryAfterHeader = error.response?.headers?.['retry-after'];
-            const retryMs = retryAfterHeader ? (parseInt(retryAfterHeader, 10) * 1000) : Math.min(5000, 1500 * attempt);
-            
-            if (attempt < 3) {
-                console.warn(`⚠️  Rate limit en Manager+ para ${sku}. Reintentando en ${retryMs}ms (intento ${attempt + 1}/3)...`);
-                await sleep(retryMs);
-                return await getManagerProductBySKU(sku, attempt + 1);
-            }
-            
             throw new Error(`Rate limit alcanzado en Manager+ (429). Reduce la concurrencia.`);
         }
         
@@ -232,8 +258,6 @@ async function loadAllManagerProductsWithStock(options = {}) {
     console.log(`📥 Cargando productos desde Manager+ en páginas de ${limit}...`);
 
     try {
-        const token = await getERPAuthToken();
-
         while (hasMore) {
             if (page >= maxPages) {
                 console.warn(`⚠️  Se alcanzó el máximo de páginas (${maxPages}). Deteniendo precarga para evitar bucles.`);
@@ -241,20 +265,9 @@ async function loadAllManagerProductsWithStock(options = {}) {
             }
 
             const prevSize = productMap.size;
-            const url = `${ERP_BASE_URL}/products/${RUT_EMPRESA}/`;
-            const response = await axios.get(url, {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Token ${token}`
-                },
-                params: {
-                    con_stock: 'S',
-                    limit,
-                    offset
-                }
-            });
+            const body = await managerClient.listProducts({ withStock: true, limit, offset });
 
-            const data = response.data.data || response.data || [];
+            const data = body.data || body || [];
             if (!Array.isArray(data) || data.length === 0) {
                 hasMore = false;
                 break;
@@ -268,6 +281,7 @@ async function loadAllManagerProductsWithStock(options = {}) {
                     sku,
                     nombre: product.nombre || product.descripcion || product.descrip || '',
                     stock,
+                    stockEntries: extractStockEntries(product),
                     unidad: product.unidadstock || product.unidad || '',
                     precio: product.precio || product.precio_unit || 0,
                     rawData: product
@@ -315,33 +329,12 @@ async function loadAllShopifyProducts() {
         console.log('📦 Pre-cargando productos de Shopify en memoria...');
         const productMap = new Map();
         
-        let hasMore = true;
-        let nextUrl = null;
-
-        while (hasMore) {
-            let url = `${SHOPIFY_BASE_URL}/products.json`;
-            
-            if (nextUrl) {
-                url = nextUrl;
-            } else {
-                // Primera petición - incluir parámetros
-                url += '?limit=250&fields=id,title,variants';
-            }
-
-            const response = await axios.get(url, {
-                headers: {
-                    'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-                    'Content-Type': 'application/json'
-                }
-            });
+        const pages = shopifyClient.paginate('products.json', {
+            params: { limit: 250, fields: 'id,title,tags,variants' },
+            dataKey: 'products'
+        });
 
-            const products = response.data.products;
-            
-            if (!products || products.length === 0) {
-                hasMore = false;
-                break;
-            }
-            
+        for await (const products of pages) {
             // Procesar cada producto y sus variantes
             // Nota: Cada variante con SKU se cuenta como un item sincronizable
             // porque cada variante tiene su propio stock independiente
@@ -356,41 +349,13 @@ async function loadAllShopifyProducts() {
                                 variantId: variant.id,
                                 inventoryItemId: variant.inventory_item_id,
                                 currentStock: variant.inventory_quantity !== null ? variant.inventory_quantity : 0,
-                                productTitle: product.title
+                                productTitle: product.title,
+                                tags: product.tags ? product.tags.split(',').map(tag => tag.trim()).filter(Boolean) : []
                             });
                         }
                     }
                 });
             });
-            
-            // Si recibimos menos productos que el límite, no hay más páginas
-            if (products.length < 250) {
-                hasMore = false;
-                break;
-            }
-            
-            // Verificar si hay más páginas usando el header Link
-            const linkHeader = response.headers.link;
-            if (linkHeader && typeof linkHeader === 'string') {
-                // Buscar el link "next"
-                const links = linkHeader.split(',').map(link => link.trim());
-                const nextLink = links.find(link => link.includes('rel="next"'));
-                
-                if (nextLink) {
-                    // Extraer la URL del link (entre < y >)
-                    const urlMatch = nextLink.match(/<([^>]+)>/);
-                    if (urlMatch) {
-                        nextUrl = urlMatch[1];
-                        hasMore = true;
-                    } else {
-                        hasMore = false;
-                    }
-                } else {
-                    hasMore = false;
-                }
-            } else {
-                hasMore = false;
-            }
         }
 
         shopifyProductsCache = productMap;
@@ -415,6 +380,56 @@ async function loadAllShopifyProducts() {
     }
 }
 
+/**
+ * Convertir un GID de GraphQL a su ID numérico (mismo formato que la API REST)
+ * @param {string} gid - GID, ej: gid://shopify/Product/123
+ * @returns {number}
+ */
+function fromShopifyGid(gid) {
+    return Number(gid.toString().split('/').pop());
+}
+
+/**
+ * Cargar solo los SKUs indicados desde Shopify (GraphQL productVariants)
+ *
+ * Para sincronizaciones acotadas (ej: incremental) evita recorrer todo el catálogo.
+ * Devuelve un mapa con la misma forma que loadAllShopifyProducts().
+ *
+ * @param {Array<string>} skus - SKUs a buscar
+ * @returns {Promise<Map<string, Object>>} Mapa de SKU -> datos del producto
+ */
+async function loadShopifyProductsBySKU(skus) {
+    const productMap = new Map();
+
+    for (let i = 0; i < skus.length; i += SKU_LOOKUP_CHUNK_SIZE) {
+        const chunk = skus.slice(i, i + SKU_LOOKUP_CHUNK_SIZE);
+        const wanted = new Set(chunk);
+        const query = chunk.map(sku => `sku:${JSON.stringify(sku)}`).join(' OR ');
+
+        const data = await shopifyClient.graphql(PRODUCT_VARIANTS_BY_SKU_QUERY, { query }, {
+            estimatedCost: 60,
+            operationName: `productVariants por SKU (${chunk.length})`
+        });
+
+        (data.productVariants?.edges || []).forEach(({ node }) => {
+            // La búsqueda no es exacta: quedarse solo con los SKUs pedidos (y el primero si hay duplicados)
+            if (!wanted.has(node.sku) || productMap.has(node.sku)) return;
+            productMap.set(node.sku, {
+                sku: node.sku,
+                productId: fromShopifyGid(node.product.id),
+                variantId: fromShopifyGid(node.id),
+                inventoryItemId: fromShopifyGid(node.inventoryItem.id),
+                currentStock: node.inventoryQuantity !== null ? node.inventoryQuantity : 0,
+                productTitle: node.product.title,
+                tags: node.product.tags || []
+            });
+        });
+    }
+
+    console.log(`✅ ${productMap.size}/${skus.length} SKUs encontrados en Shopify`);
+    return productMap;
+}
+
 /**
  * Obtener información de un producto desde Shopify por SKU (usando caché)
  * 
@@ -439,32 +454,86 @@ async function getShopifyProductStockBySKU(sku, productsMap = null) {
 }
 
 /**
- * Obtener el location_id de inventario de Shopify (con caché)
+ * Obtener los IDs de producto de cada colección referenciada por las reglas de stock
+ *
+ * @param {Array<string>} collectionRefs - Handles o IDs de colección
+ * @returns {Promise<Map<string, Set<string>>>} Mapa referencia -> Set de productId
+ */
+async function loadCollectionMembership(collectionRefs) {
+    const membership = new Map();
+
+    for (const ref of collectionRefs) {
+        let collectionId = /^\d+$/.test(ref) ? ref : null;
+
+        // Resolver handle → ID (puede ser colección manual o automática)
+        if (!collectionId) {
+            for (const resource of ['custom_collections', 'smart_collections']) {
+                const response = await shopifyClient.get(`${resource}.json`, {
+                    params: { handle: ref, fields: 'id' }
+                });
+                const found = response.data[resource]?.[0];
+                if (found) {
+                    collectionId = found.id.toString();
+                    break;
+                }
+            }
+        }
+
+        if (!collectionId) {
+            console.warn(`⚠️  Colección "${ref}" no encontrada en Shopify. Se ignora su stock de seguridad.`);
+            membership.set(ref, new Set());
+            continue;
+        }
+
+        const productIds = new Set();
+        const pages = shopifyClient.paginate(`collections/${collectionId}/products.json`, {
+            params: { limit: 250, fields: 'id' },
+            dataKey: 'products'
+        });
+        for await (const products of pages) {
+            products.forEach(product => productIds.add(product.id.toString()));
+        }
+        membership.set(ref, productIds);
+    }
+
+    return membership;
+}
+
+/**
+ * Cargar las reglas de stock de seguridad y overrides para una sincronización
+ *
+ * @returns {Promise<{rules: Object, collectionMembership: Map<string, Set<string>>}>}
+ */
+async function prepareStockRules() {
+    const rules = stockRulesStore.load();
+    const collectionRefs = getReferencedCollections(rules);
+    const collectionMembership = collectionRefs.length > 0
+        ? await loadCollectionMembership(collectionRefs)
+        : new Map();
+    return { rules, collectionMembership };
+}
+
+/**
+ * Obtener las ubicaciones de inventario de Shopify (con caché)
  * 
- * @returns {Promise<number>} ID de la ubicación de inventario
+ * @returns {Promise<Array<Object>>} Ubicaciones ({ id, name, ... })
  */
-async function getShopifyLocationId() {
+async function getShopifyLocations() {
     // Retornar caché si existe
-    if (shopifyLocationIdCache) {
-        return shopifyLocationIdCache;
+    if (shopifyLocationsCache) {
+        return shopifyLocationsCache;
     }
 
     try {
-        const response = await axios.get(`${SHOPIFY_BASE_URL}/locations.json`, {
-            headers: {
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-                'Content-Type': 'application/json'
-            }
-        });
+        const response = await shopifyClient.get('locations.json');
 
         const locations = response.data.locations;
         if (!locations || locations.length === 0) {
             throw new Error('No se encontraron ubicaciones de inventario en Shopify');
         }
 
-        // Retornar la primera ubicación (puedes ajustar la lógica según necesites)
-        shopifyLocationIdCache = locations[0].id;
-        return shopifyLocationIdCache;
+        shopifyLocationsCache = locations;
+        return shopifyLocationsCache;
         
     } catch (error) {
         if (error.response?.status === 403) {
@@ -478,6 +547,93 @@ async function getShopifyLocationId() {
     }
 }
 
+/**
+ * Leer el stock "available" de Shopify por ubicación
+ *
+ * @param {Array<number>} locationIds - Ubicaciones a consultar
+ * @param {Array<number>} inventoryItemIds - Limitar a estos items (opcional, para un solo SKU)
+ * @returns {Promise<Map<string, Map<string, number>>>} locationId -> (inventoryItemId -> available)
+ */
+async function loadInventoryLevels(locationIds, inventoryItemIds = null) {
+    const levels = new Map(locationIds.map(id => [id.toString(), new Map()]));
+
+    // inventory_item_ids admite hasta 50 IDs por consulta
+    const itemChunks = [];
+    if (inventoryItemIds) {
+        for (let i = 0; i < inventoryItemIds.length; i += 50) {
+            itemChunks.push(inventoryItemIds.slice(i, i + 50));
+        }
+    } else {
+        itemChunks.push(null);
+    }
+
+    for (const itemChunk of itemChunks) {
+        const params = { limit: 250, location_ids: locationIds.join(',') };
+        if (itemChunk) {
+            params.inventory_item_ids = itemChunk.join(',');
+        }
+
+        const pages = shopifyClient.paginate('inventory_levels.json', {
+            params,
+            dataKey: 'inventory_levels'
+        });
+        for await (const inventoryLevels of pages) {
+            inventoryLevels.forEach(level => {
+                const byItem = levels.get(level.location_id.toString());
+                if (byItem) {
+                    byItem.set(level.inventory_item_id.toString(), level.available !== null ? level.available : 0);
+                }
+            });
+        }
+    }
+
+    return levels;
+}
+
+/**
+ * Preparar las ubicaciones de destino de una sincronización
+ *
+ * Sin mapeo de bodegas se usa la primera ubicación de Shopify; con mapeo se resuelven las
+ * ubicaciones. En ambos casos se lee el stock "available" de cada ubicación, que es el que
+ * se compara con Manager+ y se envía como compareQuantity (inventory_quantity de la
+ * variante suma todas las ubicaciones).
+ *
+ * @param {Object} options
+ * @param {Array<number>} options.inventoryItemIds - Limitar la lectura de stock a estos items (opcional)
+ * @returns {Promise<{mapped: boolean, locations: Array<Object>, levels: Map}>}
+ */
+async function prepareInventoryLocations(options = {}) {
+    const mapping = loadLocationMapping();
+    const shopifyLocations = await getShopifyLocations();
+
+    if (!mapping) {
+        const location = shopifyLocations[0];
+        return {
+            mapped: false,
+            locations: [{ id: location.id, name: location.name, bodegas: null }],
+            levels: await loadInventoryLevels([location.id], options.inventoryItemIds || null)
+        };
+    }
+
+    const locations = resolveLocationMapping(mapping, shopifyLocations);
+    const levels = await loadInventoryLevels(locations.map(location => location.id), options.inventoryItemIds || null);
+    return { mapped: true, locations, levels };
+}
+
+/**
+ * Texto legible de las ubicaciones de destino para logs
+ * @param {Object} inventoryLocations - Resultado de prepareInventoryLocations()
+ * @returns {string}
+ */
+function describeInventoryLocations(inventoryLocations) {
+    if (!inventoryLocations.mapped) {
+        return `${inventoryLocations.locations[0].name} (Bodega General)`;
+    }
+    return inventoryLocations.locations
+        .map(location => `${location.name} (${location.bodegaNames.join(', ') || 'sin bodegas'})`)
+        .join(' | ');
+}
+
 /**
  * Actualizar el stock de un producto en Shopify
  * 
@@ -488,27 +644,18 @@ async function getShopifyLocationId() {
  */
 async function updateShopifyStock(inventoryItemId, locationId, quantity) {
     try {
-        const response = await axios.post(
-            `${SHOPIFY_BASE_URL}/inventory_levels/set.json`,
-            {
-                location_id: locationId,
-                inventory_item_id: inventoryItemId,
-                available: quantity
-            },
-            {
-                headers: {
-                    'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        const response = await shopifyClient.post('inventory_levels/set.json', {
+            location_id: locationId,
+            inventory_item_id: inventoryItemId,
+            available: quantity
+        });
 
         return response.data;
         
     } catch (error) {
-        // Detectar rate limiting de Shopify
-        if (error.response?.status === 429) {
-            const retryAfter = error.response.headers['retry-after'];
+        // Rate limit persistente (el cliente ya esperó y reintentó)
+        if (isRateLimitError(error)) {
+            const retryAfter = error.response?.headers?.['retry-after'];
             const message = retryAfter 
                 ? `Rate limit de Shopify alcanzado. Espera ${retryAfter} segundos antes de continuar.`
                 : `Rate limit de Shopify alcanzado (429). Reduce la concurrencia o espera un momento.`;
@@ -525,16 +672,215 @@ async function updateShopifyStock(inventoryItemId, locationId, quantity) {
     }
 }
 
+/**
+ * Convertir un ID numérico de Shopify a su GID de GraphQL
+ * @param {string} type - Tipo de recurso (InventoryItem, Location, ...)
+ * @param {number|string} id - ID numérico o GID
+ * @returns {string} GID
+ */
+function toShopifyGid(type, id) {
+    const value = id.toString();
+    return value.startsWith('gid://') ? value : `gid://shopify/${type}/${value}`;
+}
+
+/**
+ * Actualizar el stock de varios items en una sola llamada GraphQL (inventorySetQuantities)
+ *
+ * Cada item lleva compareQuantity (el stock que leímos en Shopify): si alguien cambió el
+ * stock entre la lectura y la escritura, Shopify rechaza ese item en vez de sobrescribirlo.
+ * La mutación es atómica, así que ante errores por item se reenvía el resto del lote sin ellos.
+ *
+ * @param {Array<Object>} items - { sku, inventoryItemId, quantity, compareQuantity, locationId, key }
+ *   locationId y key son opcionales: por defecto se usa la ubicación del lote y el SKU como clave
+ * @param {number} locationId - ID de la ubicación por defecto
+ * @param {Object} options
+ * @param {boolean} options.ignoreCompareQuantity - No validar compareQuantity (default: false)
+ * @returns {Promise<Map<string, Object>>} Mapa clave (SKU) -> { success, error, stale }
+ */
+async function updateShopifyStockBatch(items, locationId, options = {}) {
+    const { ignoreCompareQuantity = false } = options;
+    const results = new Map();
+    const keyOf = item => item.key || item.sku;
+    let pending = [...items];
+
+    while (pending.length > 0) {
+        let payload;
+        try {
+            const data = await shopifyClient.graphql(INVENTORY_SET_QUANTITIES_MUTATION, {
+                input: {
+                    name: 'available',
+                    reason: 'correction',
+                    ignoreCompareQuantity,
+                    quantities: pending.map(item => ({
+                        inventoryItemId: toShopifyGid('InventoryItem', item.inventoryItemId),
+                        locationId: toShopifyGid('Location', item.locationId || locationId),
+                        quantity: item.quantity,
+                        compareQuantity: item.compareQuantity
+                    }))
+                }
+            }, {
+                estimatedCost: 10,
+                operationName: `inventorySetQuantities (${pending.length} items)`
+            });
+            payload = data.inventorySetQuantities;
+        } catch (error) {
+            // Error de red o throttling persistente: todo el lote queda como error recuperable
+            const message = isRateLimitError(error)
+                ? 'Rate limit de Shopify alcanzado (429). Reduce el tamaño de lote o espera un momento.'
+                : error.message;
+            pending.forEach(item => results.set(keyOf(item), { success: false, error: message }));
+            break;
+        }
+
+        const userErrors = payload?.userErrors || [];
+        if (userErrors.length === 0) {
+            pending.forEach(item => results.set(keyOf(item), { success: true }));
+            break;
+        }
+
+        // field viene como ["input", "quantities", "<índice>", "<campo>"]
+        const failedIndexes = new Map();
+        userErrors.forEach(userError => {
+            const index = parseInt(userError.field?.[2], 10);
+            if (!isNaN(index) && pending[index]) {
+                failedIndexes.set(index, userError);
+            }
+        });
+
+        if (failedIndexes.size === 0) {
+            const message = userErrors.map(e => e.message).join('; ');
+            pending.forEach(item => results.set(keyOf(item), { success: false, error: message }));
+            break;
+        }
+
+        failedIndexes.forEach((userError, index) => {
+            const stale = userError.code === 'COMPARE_QUANTITY_STALE' ||
+                (userError.field || []).includes('compareQuantity');
+            results.set(keyOf(pending[index]), {
+                success: false,
+                error: stale
+                    ? `Stock cambió en Shopify desde la lectura (compareQuantity): ${userError.message}`
+                    : userError.message,
+                stale
+            });
+        });
+
+        pending = pending.filter((item, index) => !failedIndexes.has(index));
+    }
+
+    return results;
+}
+
+/**
+ * Consolidar el resultado de un SKU a partir de sus resultados por ubicación
+ *
+ * Un error en cualquier ubicación marca el SKU como error (se reintenta completo; las
+ * ubicaciones ya sincronizadas quedan sin cambios en el reintento).
+ *
+ * @param {Object} result - Resultado con "locations"
+ * @returns {Object} El mismo resultado con success, action, message/error actualizados
+ */
+function summarizeLocationResults(result) {
+    const failed = result.locations.filter(location => location.action === 'error');
+    const actions = result.locations.map(location => location.action);
+    const multiLocation = result.locations.length > 1;
+
+    delete result.error;
+    delete result.message;
+    delete result.stale;
+
+    if (failed.length > 0) {
+        result.success = false;
+        result.action = 'error';
+        result.error = failed
+            .map(location => (multiLocation ? `${location.locationName || location.locationId}: ${location.error}` : location.error))
+            .join('; ');
+        if (failed.some(location => location.stale)) result.stale = true;
+    } else if (actions.includes('updated')) {
+        result.success = true;
+        result.action = 'updated';
+        result.message = 'Stock actualizado exitosamente';
+    } else if (actions.includes('would_update')) {
+        result.success = true;
+        result.action = 'would_update';
+        result.message = 'Dry run: no se realizaron cambios';
+    } else {
+        result.success = true;
+        result.action = 'no_change';
+        result.message = 'Stocks ya están sincronizados';
+    }
+
+    return result;
+}
+
+/**
+ * Aplicar en lotes los cambios planificados (resultados "would_update")
+ *
+ * Se envía un item por SKU y ubicación a actualizar. Cada resultado pasa a "updated" o
+ * "error" manteniendo la misma forma que el modo por SKU.
+ *
+ * @param {Array<Object>} plannedResults - Resultados con action "would_update"
+ * @param {Map} shopifyProductsMap - Mapa de productos de Shopify
+ * @param {Object} options - batchSize, forceUpdate
+ */
+async function applyStockUpdatesInBatches(plannedResults, shopifyProductsMap, options = {}) {
+    const batchSize = Math.min(Math.max(1, options.batchSize || DEFAULT_INVENTORY_BATCH_SIZE), 250);
+    const plannedItems = [];
+    plannedResults.forEach(result => {
+        result.locations
+            .filter(location => location.action === 'would_update')
+            .forEach(location => plannedItems.push({ result, location }));
+    });
+    const totalBatches = Math.ceil(plannedItems.length / batchSize);
+
+    console.log(`\n📦 Aplicando ${plannedItems.length} cambios de stock en ${totalBatches} lote(s) de hasta ${batchSize} items...`);
+
+    for (let i = 0; i < plannedItems.length; i += batchSize) {
+        const chunk = plannedItems.slice(i, i + batchSize);
+        const items = chunk.map(({ result, location }) => ({
+            key: `${result.sku}@${location.locationId}`,
+            sku: result.sku,
+            inventoryItemId: shopifyProductsMap.get(result.sku).inventoryItemId,
+            locationId: location.locationId,
+            quantity: location.newStock,
+            compareQuantity: location.shopifyStock
+        }));
+
+        const batchResults = await updateShopifyStockBatch(items, null, {
+            ignoreCompareQuantity: !!options.forceUpdate
+        });
+
+        let ok = 0;
+        chunk.forEach(({ result, location }, index) => {
+            const outcome = batchResults.get(items[index].key);
+            if (outcome?.success) {
+                location.action = 'updated';
+                ok++;
+            } else {
+                location.action = 'error';
+                location.error = outcome?.error || 'Sin respuesta de Shopify para este item';
+                if (outcome?.stale) location.stale = true;
+                const locationLabel = result.locations.length > 1 ? ` @ ${location.locationName}` : '';
+                console.log(`   ❌ ${result.sku}${locationLabel}: ${location.error}`);
+            }
+        });
+
+        console.log(`   Lote ${Math.floor(i / batchSize) + 1}/${totalBatches}: ${ok} actualizados, ${chunk.length - ok} con error`);
+    }
+
+    plannedResults.forEach(summarizeLocationResults);
+}
+
 /**
  * Sincronizar el stock de un producto específico (optimizado con caché)
  * 
  * @param {string} sku - Código SKU del producto
  * @param {Object} options - Opciones de sincronización
  * @param {Map} shopifyProductsMap - Mapa de productos de Shopify (opcional)
- * @param {number} locationId - ID de ubicación (opcional, se obtiene si no se proporciona)
- * @returns {Promise<Object>} Resultado de la sincronización
+ * @param {Object} inventoryLocations - Resultado de prepareInventoryLocations() (opcional, se obtiene si no se proporciona)
+ * @returns {Promise<Object>} Resultado de la sincronización, con el detalle por ubicación en "locations"
  */
-async function syncProductStock(sku, options = {}, shopifyProductsMap = null, locationId = null, managerProductsMap = null) {
+async function syncProductStock(sku, options = {}, shopifyProductsMap = null, inventoryLocations = null, managerProductsMap = null, stockRules = null) {
     const { dryRun = false, forceUpdate = false } = options;
     
     try {
@@ -576,54 +922,93 @@ async function syncProductStock(sku, options = {}, shopifyProductsMap = null, lo
             };
         }
         
-        // 3. Comparar stocks
-        const managerStock = parseInt(managerProduct.stock) || 0;
-        const shopifyStock = shopifyProduct.currentStock;
+        // 3. Reglas de stock y ubicaciones de destino
+        if (!stockRules) {
+            stockRules = await prepareStockRules();
+        }
+        if (!inventoryLocations) {
+            inventoryLocations = await prepareInventoryLocations({ inventoryItemIds: [shopifyProduct.inventoryItemId] });
+        }
+        const productId = shopifyProduct.productId.toString();
+        const collections = new Set(
+            Array.from(stockRules.collectionMembership.entries())
+                .filter(([, productIds]) => productIds.has(productId))
+                .map(([ref]) => ref)
+        );
+        const ruleContext = { sku, tags: shopifyProduct.tags, collections };
+        
+        // Sin mapeo, la Bodega General va completa a la única ubicación
+        const managerQuantities = inventoryLocations.mapped
+            ? computeLocationQuantities(managerProduct.stockEntries, inventoryLocations.locations)
+            : new Map([[inventoryLocations.locations[0].id, managerProduct.stock]]);
+        const inventoryItemId = shopifyProduct.inventoryItemId.toString();
         
-        if (managerStock === shopifyStock && !forceUpdate) {
+        // 4. Aplicar stock de seguridad / override del SKU en cada ubicación
+        const plans = inventoryLocations.locations.map(location => {
+            const managerStock = parseInt(managerQuantities.get(location.id)) || 0;
+            const shopifyStock = inventoryLocations.levels.get(location.id.toString())?.get(inventoryItemId) ?? 0;
             return {
-                sku,
-                success: true,
-                action: 'no_change',
+                location,
                 managerStock,
                 shopifyStock,
-                message: 'Stocks ya están sincronizados'
+                adjustment: resolveStockQuantity(managerStock, ruleContext, stockRules.rules)
             };
-        }
+        });
         
-        // 4. Actualizar stock en Shopify
-        if (dryRun) {
+        const sumOf = (field) => plans.reduce((total, plan) => total + plan[field], 0);
+        const managerStock = sumOf('managerStock');
+        const shopifyStock = sumOf('shopifyStock');
+        
+        if (plans[0].adjustment.skip) {
             return {
                 sku,
                 success: true,
-                action: 'would_update',
+                action: 'skipped',
                 managerStock,
                 shopifyStock,
-                newStock: managerStock,
-                message: 'Dry run: no se realizaron cambios'
+                stockRule: plans[0].adjustment.rule,
+                message: 'SKU ignorado por override'
             };
         }
         
-        // Obtener locationId si no se proporciona
-        if (!locationId) {
-            locationId = await getShopifyLocationId();
+        // 5. Comparar y actualizar cada ubicación
+        const locationResults = [];
+        for (const plan of plans) {
+            const targetStock = plan.adjustment.quantity;
+            const locationResult = {
+                locationId: plan.location.id,
+                locationName: plan.location.name,
+                managerStock: plan.managerStock,
+                shopifyStock: plan.shopifyStock,
+                safetyStock: plan.adjustment.safetyStock,
+                newStock: targetStock
+            };
+            
+            if (targetStock === plan.shopifyStock && !forceUpdate) {
+                locationResult.action = 'no_change';
+            } else if (dryRun) {
+                locationResult.action = 'would_update';
+            } else {
+                try {
+                    await updateShopifyStock(shopifyProduct.inventoryItemId, plan.location.id, targetStock);
+                    locationResult.action = 'updated';
+                } catch (error) {
+                    locationResult.action = 'error';
+                    locationResult.error = error.message;
+                }
+            }
+            locationResults.push(locationResult);
         }
         
-        await updateShopifyStock(
-            shopifyProduct.inventoryItemId,
-            locationId,
-            managerStock
-        );
-        
-        return {
+        return summarizeLocationResults({
             sku,
-            success: true,
-            action: 'updated',
             managerStock,
             shopifyStock,
-            newStock: managerStock,
-            message: 'Stock actualizado exitosamente'
-        };
+            safetyStock: plans[0].adjustment.safetyStock,
+            stockRule: plans[0].adjustment.rule,
+            newStock: locationResults.reduce((total, location) => total + location.newStock, 0),
+            locations: locationResults
+        });
         
     } catch (error) {
         return {
@@ -641,18 +1026,25 @@ async function syncProductStock(sku, options = {}, shopifyProductsMap = null, lo
  * @param {Array} array - Array a procesar
  * @param {Function} processor - Función que procesa cada elemento
  * @param {number} concurrency - Número máximo de operaciones paralelas
- * @returns {Promise<Array>} Resultados del procesamiento
+ * @param {Object} control - Control opcional de la corrida
+ * @param {AbortSignal} control.signal - Si se aborta, no se inician más chunks
+ * @param {Function} control.onChunk - Callback (processed, total, chunkResults) tras cada chunk
+ * @returns {Promise<Array>} Resultados del procesamiento (parciales si se canceló)
  */
-async function processInParallel(array, processor, concurrency = 5) {
+async function processInParallel(array, processor, concurrency = 5, control = {}) {
     const results = [];
     let rateLimitErrors = 0;
     const MAX_RATE_LIMIT_ERRORS = 5; // Máximo de errores de rate limit antes de reducir concurrencia
     
     for (let i = 0; i < array.length; i += concurrency) {
+        if (control.signal?.aborted) {
+            break;
+        }
         const chunk = array.slice(i, i + concurrency);
+        let chunkResults = [];
         
         try {
-            const chunkResults = await Promise.all(chunk.map(processor));
+            chunkResults = await Promise.all(chunk.map(processor));
             results.push(...chunkResults);
             
             // Contar errores de rate limiting en este chunk
@@ -698,6 +1090,9 @@ async function processInParallel(array, processor, concurrency = 5) {
         // Mostrar progreso
         const processed = Math.min(i + concurrency, array.length);
         process.stdout.write(`\r   Procesando: ${processed}/${array.length} productos... \n`);
+        if (control.onChunk) {
+            control.onChunk(i + chunk.length, array.length, chunkResults);
+        }
     }
     
     process.stdout.write('\n');
@@ -734,23 +1129,51 @@ async function syncMultipleProducts(skus, options = {}) {
         console.warn(`   Recomendado: 5-10 para evitar problemas con las APIs.\n`);
     }
     
+    // Modo batch: se calcula qué cambiar por SKU y se escribe en lotes vía GraphQL
+    const batchMode = !!options.batch;
+    // Modo acotado: solo se consultan los SKUs pedidos, sin precargar los catálogos completos
+    const targeted = !!options.targeted;
+    // Progreso y cancelación cooperativa para trabajos en segundo plano (ver syncJobs.js)
+    const signal = options.signal;
+    const reportProgress = (progress) => {
+        if (typeof options.onProgress === 'function') {
+            options.onProgress(progress);
+        }
+    };
+
     console.log(`\n🚀 Iniciando sincronización optimizada de ${skus.length} SKUs`);
-    console.log(`⚡ Concurrencia: ${concurrency} SKUs en paralelo\n`);
+    console.log(`⚡ Concurrencia: ${concurrency} SKUs en paralelo`);
+    if (batchMode) {
+        console.log(`📦 Modo batch: escrituras agrupadas con inventorySetQuantities`);
+    }
+    console.log('');
     console.log('='.repeat(60));
     
     const startTime = Date.now();
     
+    // Registrar la corrida en el historial (ver syncHistory.js)
+    const run = syncHistoryStore.startRun('stocks', {
+        mode: options.runMode || (targeted ? 'incremental' : 'skus'),
+        trigger: options.trigger,
+        options,
+        total: skus.length
+    });
+    results.runId = run.id;
+    reportProgress({ phase: 'loading', runId: run.id, processed: 0, total: skus.length });
+    
     try {
         // Verificar autenticación con Shopify primero
         await verifyShopifyAuth();
         
         // Pre-cargar productos de Shopify en memoria (una sola vez)
         console.log('📦 Pre-cargando datos...');
-        const shopifyProductsMap = await loadAllShopifyProducts();
+        const shopifyProductsMap = targeted
+            ? await loadShopifyProductsBySKU(skus)
+            : await loadAllShopifyProducts();
 
         // Pre-cargar productos de Manager+ en bloque para evitar 1 llamada por SKU (si está habilitado)
         let managerProductsMap = null;
-        const useManagerBulk = options.useManagerBulk !== false;
+        const useManagerBulk = options.useManagerBulk !== false && !targeted;
         if (useManagerBulk) {
             try {
                 const pageSize = options.managerPageSize || 200;
@@ -766,24 +1189,43 @@ async function syncMultipleProducts(skus, options = {}) {
             }
         }
         
-        // Obtener locationId una sola vez (si no es dry-run)
-        let locationId = null;
-        if (!options.dryRun) {
-            locationId = await getShopifyLocationId();
-        }
+        // Reglas de stock de seguridad y overrides (se releen en cada corrida)
+        const stockRules = await prepareStockRules();
+        const overrideCount = Object.keys(stockRules.rules.overrides).length;
+        console.log(`🛡️  Stock de seguridad por defecto: ${stockRules.rules.safetyStock.default} | Overrides por SKU: ${overrideCount}`);
+        
+        // Ubicaciones de destino (y su stock actual si hay mapeo de bodegas), una sola vez
+        const inventoryLocations = await prepareInventoryLocations(targeted
+            ? { inventoryItemIds: Array.from(shopifyProductsMap.values()).map(product => product.inventoryItemId) }
+            : {});
+        console.log(`📍 Ubicaciones: ${describeInventoryLocations(inventoryLocations)}`);
         
         console.log('\n🔄 Iniciando sincronización paralela...\n');
+        reportProgress({ phase: 'comparing', processed: 0, total: skus.length });
         
+        // En modo batch la primera pasada solo compara (como dry-run) y las escrituras se agrupan después
+        const compareOptions = batchMode ? { ...options, dryRun: true } : options;
+
         // Procesar productos en paralelo con límite de concurrencia
         const processedResults = await processInParallel(
             skus,
             async (sku) => {
                 try {
-                    const result = await syncProductStock(sku, options, shopifyProductsMap, locationId, managerProductsMap);
+                    const result = await syncProductStock(sku, compareOptions, shopifyProductsMap, inventoryLocations, managerProductsMap, stockRules);
                     
                     // Mostrar resultado solo si hay algo relevante
                     if (result.action === 'updated' || result.action === 'would_update') {
-                        console.log(`   ✅ ${sku}: ${result.shopifyStock} → ${result.managerStock}`);
+                        if (result.locations.length > 1) {
+                            console.log(`   ✅ ${sku}: ${result.shopifyStock} → ${result.newStock} (${result.stockRule})`);
+                            result.locations
+                                .filter(location => location.action !== 'no_change')
+                                .forEach(location => {
+                                    console.log(`      📍 ${location.locationName}: ${location.shopifyStock} → ${location.newStock} (Manager+ ${location.managerStock})`);
+                                });
+                        } else {
+                            const safetyNote = result.newStock !== result.managerStock ? ` (Manager+ ${result.managerStock}, ${result.stockRule})` : '';
+                            console.log(`   ✅ ${sku}: ${result.shopifyStock} → ${result.newStock}${safetyNote}`);
+                        }
                     } else if (result.action === 'error') {
                         console.log(`   ❌ ${sku}: ${result.error}`);
                     }
@@ -798,10 +1240,32 @@ async function syncMultipleProducts(skus, options = {}) {
                     };
                 }
             },
-            concurrency
+            concurrency,
+            {
+                signal,
+                onChunk: (processed, total, chunkResults) => reportProgress({ phase: 'comparing', processed, total, results: chunkResults })
+            }
         );
         
         results.details = processedResults;
+        if (signal?.aborted) {
+            results.cancelled = true;
+            console.log(`\n🛑 Sincronización cancelada: ${processedResults.length}/${skus.length} SKUs procesados`);
+        }
+
+        if (batchMode && !options.dryRun) {
+            const plannedUpdates = processedResults.filter(r => r.action === 'would_update');
+            if (results.cancelled) {
+                // Las escrituras agrupadas no llegaron a enviarse
+                plannedUpdates.forEach(result => {
+                    result.action = 'skipped';
+                    result.message = 'Cancelado antes de aplicar el lote';
+                });
+            } else if (plannedUpdates.length > 0) {
+                reportProgress({ phase: 'applying', processed: 0, total: plannedUpdates.length });
+                await applyStockUpdatesInBatches(plannedUpdates, shopifyProductsMap, options);
+            }
+        }
         
         // Procesar resultados
         results.details.forEach(result => {
@@ -826,12 +1290,15 @@ async function syncMultipleProducts(skus, options = {}) {
             // Solo reintentar errores recuperables (no productos no encontrados)
             r.error && 
             !r.error.includes('no encontrado') &&
-            !r.error.includes('skipped')
+            !r.error.includes('skipped') &&
+            // Un compareQuantity rechazado no se reintenta: el stock cambió en Shopify y se revisa en la próxima corrida
+            !r.stale
         );
         
-        if (failedProducts.length > 0 && !options.dryRun) {
+        if (failedProducts.length > 0 && !options.dryRun && !results.cancelled) {
             const maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
             const retryDelay = options.retryDelay !== undefined ? options.retryDelay : 2000; // 2 segundos
+            reportProgress({ phase: 'retrying', processed: 0, total: failedProducts.length });
             
             console.log(`\n🔄 Reintentando ${failedProducts.length} productos que fallaron...`);
             console.log(`   Intentos máximos: ${maxRetries}`);
@@ -844,7 +1311,7 @@ async function syncMultipleProducts(skus, options = {}) {
             let remainingFailures = [...failedProducts];
             const retryResults = [];
             
-            while (remainingFailures.length > 0 && retryAttempt <= maxRetries) {
+            while (remainingFailures.length > 0 && retryAttempt <= maxRetries && !signal?.aborted) {
                 console.log(`\n🔄 Intento ${retryAttempt}/${maxRetries} de reintento...`);
                 
                 // Reintentar con menor concurrencia para evitar más rate limits
@@ -855,7 +1322,7 @@ async function syncMultipleProducts(skus, options = {}) {
                     failedSkus,
                     async (sku) => {
                         try {
-                            const result = await syncProductStock(sku, options, shopifyProductsMap, locationId, managerProductsMap);
+                            const result = await syncProductStock(sku, options, shopifyProductsMap, inventoryLocations, managerProductsMap, stockRules);
                             
                             if (result.success) {
                                 console.log(`   ✅ Reintento exitoso: ${sku}`);
@@ -871,7 +1338,11 @@ async function syncMultipleProducts(skus, options = {}) {
                             };
                         }
                     },
-                    retryConcurrency
+                    retryConcurrency,
+                    {
+                        signal,
+                        onChunk: (processed, total) => reportProgress({ phase: 'retrying', attempt: retryAttempt, processed, total })
+                    }
                 );
                 
                 retryResults.push(...retryProcessedResults);
@@ -918,7 +1389,10 @@ async function syncMultipleProducts(skus, options = {}) {
                 retryAttempt++;
             }
             
-            if (remainingFailures.length > 0) {
+            if (signal?.aborted) {
+                results.cancelled = true;
+                console.log(`\n🛑 Reintentos cancelados: ${results.errors} producto(s) quedan con error`);
+            } else if (remainingFailures.length > 0) {
                 console.log(`\n⚠️  Después de ${maxRetries} intentos, ${remainingFailures.length} productos aún fallan:`);
                 remainingFailures.forEach(failure => {
                     console.log(`   ❌ ${failure.sku}: ${failure.error}`);
@@ -937,14 +1411,19 @@ async function syncMultipleProducts(skus, options = {}) {
         console.log(`   ℹ️  Sin cambios: ${results.noChange}`);
         console.log(`   ⏭️  Omitidos: ${results.skipped}`);
         console.log(`   ❌ Errores finales: ${results.errors}`);
+        if (results.cancelled) {
+            console.log(`   🛑 Cancelada: ${results.details.length}/${results.total} SKUs procesados`);
+        }
         console.log(`   ⏱️  Tiempo total: ${duration}s`);
         console.log(`   ⚡ Velocidad: ${(results.total / duration).toFixed(2)} productos/segundo`);
         console.log('='.repeat(60));
         
+        syncHistoryStore.finishRun(run, results);
         return results;
         
     } catch (error) {
         console.error('\n❌ Error fatal en sincronización:', error.message);
+        syncHistoryStore.finishRun(run, null, error);
         throw error;
     }
 }
@@ -974,7 +1453,7 @@ async function syncAllProducts(options = {}) {
         
         console.log(`✅ Sincronizando ${skus.length} SKUs únicos (de ${totalProducts} productos)\n`);
         
-        return await syncMultipleProducts(skus, options);
+        return await syncMultipleProducts(skus, { runMode: 'full', ...options });
         
     } catch (error) {
         console.error('❌ Error al obtener productos de Shopify:', error.message);
@@ -988,7 +1467,11 @@ module.exports = {
     syncMultipleProducts,
     syncAllProducts,
     getManagerProductBySKU,
-    getShopifyProductStockBySKU
+    getShopifyProductStockBySKU,
+    loadShopifyProductsBySKU,
+    getShopifyLocations,
+    prepareInventoryLocations,
+    updateShopifyStockBatch
 };
 
 // Si se ejecuta directamente, procesar argumentos de línea de comandos
@@ -1048,6 +1531,19 @@ if (require.main === module) {
         }
     }
     
+    // Escrituras agrupadas vía GraphQL inventorySetQuantities (--batch, --batch-size=100)
+    if (args.includes('--batch')) {
+        options.batch = true;
+    }
+    const batchSizeArg = args.find(arg => arg.startsWith('--batch-size='));
+    if (batchSizeArg) {
+        const batchSizeValue = parseInt(batchSizeArg.split('=')[1]);
+        if (!isNaN(batchSizeValue) && batchSizeValue > 0) {
+            options.batch = true;
+            options.batchSize = batchSizeValue;
+        }
+    }
+    
     // Si no hay argumentos o solo hay opciones, mostrar ayuda
     if (args.length === 0 || (args.length === 1 && args[0].startsWith('--'))) {
         if (!options.all) {
@@ -1072,6 +1568,9 @@ Opciones:
   --no-retry                Desactivar reintentos automáticos
   --no-manager-bulk         No precargar productos de Manager+ en bloque (usa 1 llamada por SKU)
   --manager-page-size=N     Tamaño de página para precarga masiva de Manager+ (default: 200)
+  --batch                   Escribir los cambios en lotes con GraphQL inventorySetQuantities
+                            (una llamada por lote en vez de una por SKU, con compareQuantity)
+  --batch-size=N            Items por lote en modo batch (default: 100, máximo: 250)
 
 ⚠️  IMPORTANTE - Concurrencia Alta:
 
@@ -1113,6 +1612,7 @@ Ejemplos:
   node syncStocks.js ABC123 DEF456 --concurrency=3
   node syncStocks.js --all --max-retries=5 --retry-delay=3000
   node syncStocks.js --all --no-retry  # Sin reintentos automáticos
+  node syncStocks.js --all --batch --batch-size=200
             `);
             process.exit(0);
         }
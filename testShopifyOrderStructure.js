@@ -9,25 +9,14 @@
  */
 
 require('dotenv').config();
-const axios = require('axios');
-
-const SHOPIFY_SHOP_DOMAIN = process.env.SHOPIFY_SHOP_DOMAIN;
-const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+const { shopifyClient } = require('./shopifyClient');
 
 /**
  * Obtener la configuración del shop de Shopify
  */
 async function getShopInfo() {
     try {
-        const shopName = SHOPIFY_SHOP_DOMAIN?.replace('.myshopify.com', '');
-        const url = `https://${shopName}.myshopify.com/admin/api/2024-01/shop.json`;
-
-        const response = await axios.get(url, {
-            headers: {
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-                'Content-Type': 'application/json'
-            }
-        });
+        const response = await shopifyClient.get(`shop.json`);
 
         console.log('='.repeat(80));
         console.log('📦 INFORMACIÓN DEL SHOP');
@@ -45,15 +34,7 @@ async function getShopInfo() {
  */
 async function listRecentOrders(limit = 10) {
     try {
-        const shopName = SHOPIFY_SHOP_DOMAIN?.replace('.myshopify.com', '');
-        const url = `https://${shopName}.myshopify.com/admin/api/2024-01/orders.json?status=any&limit=${limit}`;
-
-        const response = await axios.get(url, {
-            headers: {
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-                'Content-Type': 'application/json'
-            }
-        });
+        const response = await shopifyClient.get(`orders.json?status=any&limit=${limit}`);
 
         console.log('\n' + '='.repeat(80));
         console.log('📋 ÚLTIMAS ÓRDENES');
@@ -93,15 +74,7 @@ async function listRecentOrders(limit = 10) {
  */
 async function getOrderDetails(orderId) {
     try {
-        const shopName = SHOPIFY_SHOP_DOMAIN?.replace('.myshopify.com', '');
-        const url = `https://${shopName}.myshopify.com/admin/api/2024-01/orders/${orderId}.json`;
-
-        const response = await axios.get(url, {
-            headers: {
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-                'Content-Type': 'application/json'
-            }
-        });
+        const response = await shopifyClient.get(`orders/${orderId}.json`);
 
         const order = response.data.order;
 
@@ -180,15 +153,7 @@ async function getOrderDetails(orderId) {
  */
 async function getOrderTransactions(orderId) {
     try {
-        const shopName = SHOPIFY_SHOP_DOMAIN?.replace('.myshopify.com', '');
-        const url = `https://${shopName}.myshopify.com/admin/api/2024-01/orders/${orderId}/transactions.json`;
-
-        const response = await axios.get(url, {
-            headers: {
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-                'Content-Type': 'application/json'
-            }
-        });
+        const response = await shopifyClient.get(`orders/${orderId}/transactions.json`);
 
         for (const txn of response.data.transactions || []) {
             console.log(`   ├─ Transaction ID: ${txn.id}`);
@@ -207,15 +172,7 @@ async function getOrderTransactions(orderId) {
  */
 async function searchOrderByNumber(searchNumber) {
     try {
-        const shopName = SHOPIFY_SHOP_DOMAIN?.replace('.myshopify.com', '');
-        const url = `https://${shopName}.myshopify.com/admin/api/2024-01/orders.json?status=any&limit=50`;
-
-        const response = await axios.get(url, {
-            headers: {
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-                'Content-Type': 'application/json'
-            }
-        });
+        const response = await shopifyClient.get(`orders.json?status=any&limit=50`);
 
         console.log('\n' + '='.repeat(80));
         console.log(`🔎 BUSCANDO ID: ${searchNumber}`);
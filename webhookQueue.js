@@ -6,8 +6,12 @@
  * - Cache de órdenes procesadas para prevenir duplicados
  * - Retry con backoff exponencial para errores de rate limiting
  * - Logging mejorado con timestamps
+ * - Persistencia opcional de la cola y del cache (ver webhookQueueStore.js)
+ * - Cola de fallidos (dead-letter) con el payload completo para inspección y reproceso
  */
 
+const { MemoryQueueStore } = require('./webhookQueueStore');
+
 /**
  * Generar timestamp formateado para logs
  * @returns {string} Timestamp en formato HH:MM:SS
@@ -52,17 +56,55 @@ function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Obtener la clave con la que se encola y deduplica un webhook
+ *
+ * orders/create, orders/paid y orders/fulfilled comparten el ID de la orden (una sola NV).
+ * La cancelación, cada reembolso y cada edición llevan su propia clave para no descartarse
+ * como duplicados de la creación: "<orderId>:cancelled", "<orderId>:refund:<refundId>",
+ * "<orderId>:updated:<updated_at>" y "<orderId>:edited:<orderEditId>".
+ *
+ * @param {Object} webhookData - Datos del webhook
+ * @param {string} topic - Tipo de evento
+ * @returns {string|undefined} Clave o undefined si el payload no trae ID
+ */
+function getWebhookKey(webhookData, topic) {
+    if (topic === 'refunds/create') {
+        const orderId = webhookData.order_id?.toString();
+        return orderId && webhookData.id ? `${orderId}:refund:${webhookData.id}` : undefined;
+    }
+    if (topic === 'orders/edited') {
+        const orderEdit = webhookData.order_edit || {};
+        return orderEdit.order_id && orderEdit.id ? `${orderEdit.order_id}:edited:${orderEdit.id}` : undefined;
+    }
+
+    const orderId = webhookData.id?.toString() || webhookData.order_id?.toString();
+    if (orderId && topic === 'orders/cancelled') {
+        return `${orderId}:cancelled`;
+    }
+    if (topic === 'orders/updated') {
+        return orderId && webhookData.updated_at ? `${orderId}:updated:${webhookData.updated_at}` : undefined;
+    }
+    return orderId;
+}
+
 /**
  * Clase para manejar la cola de webhooks
  */
 class WebhookQueue {
     constructor(options = {}) {
+        // Backend de almacenamiento (por defecto en memoria, sin persistencia)
+        this.store = options.store || new MemoryQueueStore();
+
         // Cola de webhooks pendientes
         this.queue = [];
 
         // Cache de órdenes procesadas: orderId -> { timestamp, status, result }
         this.processedOrders = new Map();
 
+        // Webhooks fallidos definitivamente: orderId -> { webhookData, attempts, ... }
+        this.deadLetters = new Map();
+
         // Estado del procesador
         this.isProcessing = false;
 
@@ -88,16 +130,157 @@ class WebhookQueue {
             processed: 0,
             duplicates: 0,
             failed: 0,
-            retries: 0
+            retries: 0,
+            // Webhooks rechazados por firma HMAC inválida (no llegan a la cola)
+            rejected: 0
         };
 
+        // Recuperar estado persistido (cola pendiente y cache de procesadas)
+        this.restoreState();
+
         // Iniciar limpieza periódica del cache
         this.startCacheCleanup();
 
         console.log(`[${getTimestamp()}] 📊 Cola de webhooks inicializada`);
+        console.log(`   └─ Almacenamiento: ${this.store.describe()}`);
         console.log(`   └─ TTL cache: ${this.config.cacheTTL / 1000 / 60 / 60}h`);
         console.log(`   └─ Delay entre peticiones: ${this.config.minRequestDelay}ms`);
         console.log(`   └─ Max reintentos: ${this.config.maxRetries}`);
+        if (this.deadLetters.size > 0) {
+            console.log(`   └─ Webhooks fallidos en espera de revisión: ${this.deadLetters.size}`);
+        }
+        if (this.queue.length > 0) {
+            console.log(`   └─ Pendientes recuperados: ${this.queue.length} (se procesarán al configurar el procesador)`);
+        }
+    }
+
+    /**
+     * Recuperar cola y cache desde el almacenamiento
+     *
+     * Las órdenes que quedaron "processing" al momento del reinicio siguen en la
+     * cola, por lo que se eliminan del cache para que vuelvan a procesarse.
+     */
+    restoreState() {
+        const { queue, processedOrders, deadLetters } = this.store.load();
+
+        for (const [orderId, data] of processedOrders.entries()) {
+            const expired = Date.now() - data.timestamp > this.config.cacheTTL;
+            if (data.status === 'processing' || expired) {
+                processedOrders.delete(orderId);
+            }
+        }
+
+        this.queue = queue;
+        this.processedOrders = processedOrders;
+        this.deadLetters = deadLetters;
+
+        // Reescribir el archivo sin el historial ya consolidado
+        this.compactStore();
+    }
+
+    /**
+     * Reescribir el almacenamiento con el estado actual
+     */
+    compactStore() {
+        this.store.compact({
+            queue: this.queue,
+            processedOrders: this.processedOrders,
+            deadLetters: this.deadLetters
+        });
+    }
+
+    /**
+     * Reanudar el procesamiento de webhooks recuperados tras un reinicio
+     * Debe llamarse después de setProcessor()
+     */
+    resumePending() {
+        if (this.queue.length > 0 && !this.isProcessing) {
+            console.log(`[${getTimestamp()}] ♻️  Reanudando ${this.queue.length} webhook(s) pendiente(s) de la ejecución anterior`);
+            this.processQueue();
+        }
+    }
+
+    /**
+     * Guardar una entrada del cache de órdenes procesadas
+     * @param {string} orderId - ID de la orden
+     * @param {Object} entry - Datos de la entrada
+     */
+    setOrderEntry(orderId, entry) {
+        this.processedOrders.set(orderId, entry);
+        this.store.append({ type: 'status', orderId, entry });
+    }
+
+    /**
+     * Eliminar una entrada del cache de órdenes procesadas
+     * @param {string} orderId - ID de la orden
+     */
+    forgetOrder(orderId) {
+        this.processedOrders.delete(orderId);
+        this.store.append({ type: 'forget', orderId });
+    }
+
+    /**
+     * Remover el primer item de la cola
+     * @returns {Object} Item removido
+     */
+    dequeue() {
+        const item = this.queue.shift();
+        if (item) {
+            this.store.append({ type: 'dequeue', orderId: item.orderId });
+        }
+        return item;
+    }
+
+    /**
+     * Incrementar el contador de reintentos de un item
+     * @param {Object} item - Item de la cola
+     */
+    incrementRetry(item) {
+        item.retryCount++;
+        this.stats.retries++;
+        this.store.append({ type: 'retry', orderId: item.orderId, retryCount: item.retryCount });
+    }
+
+    /**
+     * Registrar un intento de procesamiento en el historial del item
+     * @param {Object} item - Item de la cola
+     * @param {Object} attempt - { startedAt, finishedAt, error }
+     */
+    recordAttempt(item, attempt) {
+        item.attempts = item.attempts || [];
+        item.attempts.push(attempt);
+        this.store.append({ type: 'attempt', orderId: item.orderId, attempt });
+    }
+
+    /**
+     * Mover un webhook fallido definitivamente a la cola de fallidos
+     * Conserva el payload completo y el historial de intentos para poder
+     * inspeccionarlo, corregirlo y reprocesarlo.
+     *
+     * @param {Object} item - Item de la cola
+     * @param {string} error - Último error
+     */
+    moveToDeadLetter(item, error) {
+        const entry = {
+            orderId: item.orderId,
+            topic: item.topic,
+            shop: item.shop,
+            webhookData: item.webhookData,
+            enqueuedAt: new Date(item.enqueuedAt).toISOString(),
+            failedAt: new Date().toISOString(),
+            retryCount: item.retryCount,
+            lastError: error,
+            attempts: (item.attempts || []).map(attempt => ({
+                startedAt: new Date(attempt.startedAt).toISOString(),
+                finishedAt: new Date(attempt.finishedAt).toISOString(),
+                error: attempt.error
+            })),
+            replays: item.replays || 0
+        };
+
+        this.deadLetters.set(item.orderId, entry);
+        this.store.append({ type: 'dead_letter', entry });
+        console.log(`[${getTimestamp()}] 🪦 Orden ${item.orderId}: Movida a la cola de fallidos`);
     }
 
     /**
@@ -125,6 +308,7 @@ class WebhookQueue {
 
         if (cleaned > 0) {
             console.log(`[${getTimestamp()}] 🧹 Cache limpiado: ${cleaned} entradas antiguas eliminadas`);
+            this.compactStore();
         }
     }
 
@@ -141,7 +325,7 @@ class WebhookQueue {
 
         // Verificar TTL
         if (Date.now() - cached.timestamp > this.config.cacheTTL) {
-            this.processedOrders.delete(orderId);
+            this.forgetOrder(orderId);
             return false;
         }
 
@@ -153,7 +337,7 @@ class WebhookQueue {
      * @param {string} orderId - ID de la orden
      */
     markAsProcessing(orderId) {
-        this.processedOrders.set(orderId, {
+        this.setOrderEntry(orderId, {
             timestamp: Date.now(),
             status: 'processing',
             result: null
@@ -166,7 +350,7 @@ class WebhookQueue {
      * @param {Object} result - Resultado del procesamiento
      */
     markAsCompleted(orderId, result) {
-        this.processedOrders.set(orderId, {
+        this.setOrderEntry(orderId, {
             timestamp: Date.now(),
             status: 'completed',
             result
@@ -180,7 +364,7 @@ class WebhookQueue {
      * @param {string} error - Mensaje de error
      */
     markAsFailed(orderId, error) {
-        this.processedOrders.set(orderId, {
+        this.setOrderEntry(orderId, {
             timestamp: Date.now(),
             status: 'failed',
             error
@@ -188,15 +372,26 @@ class WebhookQueue {
         this.stats.failed++;
     }
 
+    /**
+     * Registrar un webhook rechazado antes de encolarse (firma inválida)
+     * @param {string} reason - Motivo del rechazo
+     * @param {string} shop - Dominio de la tienda informado en el header
+     */
+    recordRejection(reason, shop) {
+        this.stats.rejected++;
+        console.log(`[${getTimestamp()}] 🚫 Webhook rechazado (${reason}) desde ${shop || 'unknown'}`);
+    }
+
     /**
      * Agregar webhook a la cola
      * @param {Object} webhookData - Datos del webhook
      * @param {string} topic - Tipo de evento (orders/create, etc)
      * @param {string} shop - Dominio de la tienda
+     * @param {Object} options - Opciones internas (replays: veces reprocesado desde fallidos)
      * @returns {Object} Resultado de agregar a la cola
      */
-    enqueue(webhookData, topic, shop) {
-        const orderId = webhookData.id?.toString() || webhookData.order_id?.toString();
+    enqueue(webhookData, topic, shop, options = {}) {
+        const orderId = getWebhookKey(webhookData, topic);
 
         if (!orderId) {
             console.log(`[${getTimestamp()}] ⚠️  Webhook sin ID de orden, ignorando`);
@@ -232,10 +427,13 @@ class WebhookQueue {
             topic,
             shop,
             enqueuedAt: Date.now(),
-            retryCount: 0
+            retryCount: 0,
+            attempts: [],
+            ...(options.replays && { replays: options.replays })
         };
 
         this.queue.push(queueItem);
+        this.store.append({ type: 'enqueue', item: queueItem });
         console.log(`[${getTimestamp()}] 📥 Orden ${orderId}: Agregada a la cola (posición: ${this.queue.length})`);
 
         // Iniciar procesamiento si no está activo
@@ -263,6 +461,7 @@ class WebhookQueue {
 
         while (this.queue.length > 0) {
             const item = this.queue[0];
+            const attempt = { startedAt: Date.now() };
 
             try {
                 // Marcar como en proceso
@@ -273,14 +472,19 @@ class WebhookQueue {
                 // Procesar el webhook
                 const result = await this.processWebhook(item);
 
+                this.recordAttempt(item, {
+                    ...attempt,
+                    finishedAt: Date.now(),
+                    error: result.success ? null : (result.error || 'Error desconocido')
+                });
+
                 if (result.success) {
                     this.markAsCompleted(item.orderId, result);
                     console.log(`[${getTimestamp()}] ✅ Orden ${item.orderId}: Procesada exitosamente`);
-                    this.queue.shift(); // Remover de la cola
+                    this.dequeue(); // Remover de la cola
                 } else if (result.retry && item.retryCount < this.config.maxRetries) {
                     // Necesita retry
-                    item.retryCount++;
-                    this.stats.retries++;
+                    this.incrementRetry(item);
 
                     const retryDelay = Math.min(
                         this.config.baseRetryDelay * Math.pow(2, item.retryCount - 1),
@@ -290,7 +494,7 @@ class WebhookQueue {
                     console.log(`[${getTimestamp()}] ⏳ Orden ${item.orderId}: Rate limit, esperando ${retryDelay / 1000}s antes de reintentar...`);
 
                     // Marcar como pendiente nuevamente
-                    this.processedOrders.delete(item.orderId);
+                    this.forgetOrder(item.orderId);
 
                     await delay(retryDelay);
                     // No remover de la cola, se reintentará
@@ -298,12 +502,15 @@ class WebhookQueue {
                     // Falló definitivamente
                     this.markAsFailed(item.orderId, result.error);
                     console.log(`[${getTimestamp()}] ❌ Orden ${item.orderId}: Falló después de ${item.retryCount + 1} intentos - ${result.error}`);
-                    this.queue.shift(); // Remover de la cola
+                    this.moveToDeadLetter(item, result.error);
+                    this.dequeue(); // Remover de la cola
                 }
 
             } catch (error) {
                 const errorMsg = serializeError(error);
 
+                this.recordAttempt(item, { ...attempt, finishedAt: Date.now(), error: errorMsg });
+
                 // Verificar si es error de rate limit (múltiples formas)
                 const isRateLimit = error.isRateLimit === true ||
                     error.response?.status === 429 ||
@@ -314,8 +521,7 @@ class WebhookQueue {
                     errorMsg.includes('retry');
 
                 if (isRateLimit && item.retryCount < this.config.maxRetries) {
-                    item.retryCount++;
-                    this.stats.retries++;
+                    this.incrementRetry(item);
 
                     const retryDelay = Math.min(
                         this.config.baseRetryDelay * Math.pow(2, item.retryCount - 1),
@@ -325,13 +531,14 @@ class WebhookQueue {
                     console.log(`[${getTimestamp()}] ⏳ Orden ${item.orderId}: ERROR 429 (Rate Limit), esperando ${retryDelay / 1000}s...`);
 
                     // Marcar como pendiente nuevamente
-                    this.processedOrders.delete(item.orderId);
+                    this.forgetOrder(item.orderId);
 
                     await delay(retryDelay);
                 } else {
                     this.markAsFailed(item.orderId, errorMsg);
                     console.log(`[${getTimestamp()}] ❌ Orden ${item.orderId}: Error crítico - ${errorMsg}`);
-                    this.queue.shift();
+                    this.moveToDeadLetter(item, errorMsg);
+                    this.dequeue();
                 }
             }
 
@@ -394,7 +601,9 @@ class WebhookQueue {
         return {
             queueLength: this.queue.length,
             isProcessing: this.isProcessing,
+            storage: this.store.describe(),
             cacheSize: this.processedOrders.size,
+            deadLetterCount: this.deadLetters.size,
             stats: { ...this.stats },
             pendingOrders: this.queue.map(item => ({
                 orderId: item.orderId,
@@ -433,15 +642,99 @@ class WebhookQueue {
      */
     forceReprocess(orderId) {
         // Remover del cache para permitir reprocesamiento
-        this.processedOrders.delete(orderId);
+        this.forgetOrder(orderId);
         console.log(`[${getTimestamp()}] 🔃 Orden ${orderId}: Cache limpiado, se permitirá reprocesar`);
         return true;
     }
+
+    /**
+     * Listar webhooks de la cola de fallidos (sin payload)
+     * @param {number} limit - Límite de resultados
+     * @returns {Array} Resumen de webhooks fallidos, más recientes primero
+     */
+    getDeadLetters(limit = 50) {
+        const entries = Array.from(this.deadLetters.values()).map(entry => ({
+            orderId: entry.orderId,
+            topic: entry.topic,
+            shop: entry.shop,
+            enqueuedAt: entry.enqueuedAt,
+            failedAt: entry.failedAt,
+            attempts: entry.attempts.length,
+            replays: entry.replays,
+            lastError: entry.lastError
+        }));
+
+        entries.sort((a, b) => new Date(b.failedAt) - new Date(a.failedAt));
+
+        return entries.slice(0, limit);
+    }
+
+    /**
+     * Obtener un webhook fallido con su payload completo e historial de errores
+     * @param {string} orderId - ID de la orden
+     * @returns {Object|null} Entrada de la cola de fallidos
+     */
+    getDeadLetter(orderId) {
+        return this.deadLetters.get(orderId) || null;
+    }
+
+    /**
+     * Reprocesar un webhook fallido, opcionalmente con el payload corregido
+     *
+     * La entrada sale de la cola de fallidos solo si el webhook quedó en la cola; si no
+     * (p.ej. ya hay uno con la misma clave en proceso) se conserva con su payload.
+     *
+     * @param {string} orderId - ID de la orden
+     * @param {Object} webhookData - Payload corregido (opcional, reemplaza al original)
+     * @returns {Object} Resultado de agregar a la cola
+     */
+    replayDeadLetter(orderId, webhookData = null) {
+        const entry = this.deadLetters.get(orderId);
+        if (!entry) {
+            return { queued: false, reason: 'not_found', orderId };
+        }
+
+        const payload = webhookData || entry.webhookData;
+        const payloadOrderId = getWebhookKey(payload, entry.topic);
+        if (payloadOrderId !== orderId) {
+            return { queued: false, reason: 'order_id_mismatch', orderId, payloadOrderId };
+        }
+
+        this.forgetOrder(orderId);
+        const result = this.enqueue(payload, entry.topic, entry.shop, { replays: entry.replays + 1 });
+        if (!result.queued) {
+            console.log(`[${getTimestamp()}] ⚠️  Orden ${orderId}: No se pudo reprocesar desde la cola de fallidos (${result.reason}), se conserva la entrada`);
+            return result;
+        }
+
+        this.deadLetters.delete(orderId);
+        this.store.append({ type: 'dead_letter_remove', orderId });
+
+        console.log(`[${getTimestamp()}] 🔁 Orden ${orderId}: Reprocesando desde la cola de fallidos${webhookData ? ' (payload editado)' : ''}`);
+        return result;
+    }
+
+    /**
+     * Descartar un webhook fallido
+     * @param {string} orderId - ID de la orden
+     * @returns {boolean} true si existía y fue descartado
+     */
+    discardDeadLetter(orderId) {
+        if (!this.deadLetters.has(orderId)) {
+            return false;
+        }
+
+        this.deadLetters.delete(orderId);
+        this.store.append({ type: 'dead_letter_remove', orderId });
+        console.log(`[${getTimestamp()}] 🗑️  Orden ${orderId}: Descartada de la cola de fallidos`);
+        return true;
+    }
 }
 
 // Exportar
 module.exports = {
     WebhookQueue,
+    getWebhookKey,
     serializeError,
     delay,
     getTimestamp
@@ -0,0 +1,224 @@
+/**
+ * Almacenamiento persistente para la cola de webhooks
+ *
+ * Implementa backends intercambiables para WebhookQueue:
+ * - JsonlQueueStore: archivo append-only en formato JSON-lines (un evento por línea)
+ * - MemoryQueueStore: sin persistencia (comportamiento anterior)
+ *
+ * Cada cambio de estado de la cola se registra como un evento. Al iniciar,
+ * los eventos se reproducen para reconstruir la cola pendiente y el cache de
+ * órdenes procesadas, de modo que un reinicio de PM2/Docker no pierde órdenes.
+ *
+ * Tipos de evento:
+ * - enqueue:  { type, item }                              Webhook agregado a la cola
+ * - retry:    { type, orderId, retryCount }               Reintento programado
+ * - attempt:  { type, orderId, attempt }                  Intento de procesamiento (inicio, fin, error)
+ * - status:   { type, orderId, entry }                    Cambio en el cache de procesadas
+ * - forget:   { type, orderId }                           Entrada eliminada del cache
+ * - dequeue:  { type, orderId }                           Webhook removido de la cola
+ * - dead_letter:        { type, entry }                   Webhook fallido movido a la cola de fallidos
+ * - dead_letter_remove: { type, orderId }                 Webhook fallido reprocesado o descartado
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Ruta por defecto del archivo de la cola
+const DEFAULT_QUEUE_FILE = path.join(__dirname, 'data', 'webhook-queue.jsonl');
+
+/**
+ * Backend en memoria (sin persistencia)
+ */
+class MemoryQueueStore {
+    /**
+     * Cargar estado inicial
+     * @returns {{queue: Array, processedOrders: Map, deadLetters: Map}} Estado vacío
+     */
+    load() {
+        return { queue: [], processedOrders: new Map(), deadLetters: new Map() };
+    }
+
+    /**
+     * Registrar un evento (no hace nada en memoria)
+     * @param {Object} event - Evento de la cola
+     */
+    append(event) { }
+
+    /**
+     * Reescribir el almacenamiento con un snapshot (no hace nada en memoria)
+     * @param {Object} state - Estado actual
+     */
+    compact(state) { }
+
+    /**
+     * Describir el backend para logs
+     * @returns {string} Descripción
+     */
+    describe() {
+        return 'memoria (sin persistencia)';
+    }
+}
+
+/**
+ * Backend en archivo JSON-lines append-only
+ */
+class JsonlQueueStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.filePath - Ruta del archivo .jsonl
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || DEFAULT_QUEUE_FILE;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    }
+
+    /**
+     * Reproducir los eventos del archivo para reconstruir el estado
+     * @returns {{queue: Array, processedOrders: Map, deadLetters: Map}} Estado reconstruido
+     */
+    load() {
+        const queue = [];
+        const processedOrders = new Map();
+        const deadLetters = new Map();
+
+        if (!fs.existsSync(this.filePath)) {
+            return { queue, processedOrders, deadLetters };
+        }
+
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+        let invalidLines = 0;
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+
+            let event;
+            try {
+                event = JSON.parse(line);
+            } catch {
+                // Una línea truncada (p.ej. corte de luz a mitad de escritura) no debe impedir el arranque
+                invalidLines++;
+                continue;
+            }
+
+            switch (event.type) {
+                case 'enqueue':
+                    if (!queue.some(item => item.orderId === event.item.orderId)) {
+                        queue.push(event.item);
+                    }
+                    break;
+                case 'retry': {
+                    const item = queue.find(i => i.orderId === event.orderId);
+                    if (item) item.retryCount = event.retryCount;
+                    break;
+                }
+                case 'attempt': {
+                    const item = queue.find(i => i.orderId === event.orderId);
+                    if (item) {
+                        item.attempts = item.attempts || [];
+                        item.attempts.push(event.attempt);
+                    }
+                    break;
+                }
+                case 'status':
+                    processedOrders.set(event.orderId, event.entry);
+                    break;
+                case 'forget':
+                    processedOrders.delete(event.orderId);
+                    break;
+                case 'dequeue': {
+                    const index = queue.findIndex(i => i.orderId === event.orderId);
+                    if (index !== -1) queue.splice(index, 1);
+                    break;
+                }
+                case 'dead_letter':
+                    deadLetters.set(event.entry.orderId, event.entry);
+                    break;
+                case 'dead_letter_remove':
+                    deadLetters.delete(event.orderId);
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        if (invalidLines > 0) {
+            console.warn(`⚠️  Cola de webhooks: ${invalidLines} línea(s) inválida(s) ignorada(s) en ${this.filePath}`);
+        }
+
+        return { queue, processedOrders, deadLetters };
+    }
+
+    /**
+     * Agregar un evento al final del archivo
+     * @param {Object} event - Evento de la cola
+     */
+    append(event) {
+        fs.appendFileSync(this.filePath, JSON.stringify(event) + '\n');
+    }
+
+    /**
+     * Reescribir el archivo con un snapshot del estado actual
+     * Se escribe en un archivo temporal y luego se renombra para que sea atómico.
+     *
+     * @param {Object} state
+     * @param {Array} state.queue - Items pendientes
+     * @param {Map} state.processedOrders - Cache de órdenes procesadas
+     * @param {Map} state.deadLetters - Webhooks fallidos definitivamente
+     */
+    compact({ queue, processedOrders, deadLetters = new Map() }) {
+        const lines = [];
+
+        for (const entry of deadLetters.values()) {
+            lines.push(JSON.stringify({ type: 'dead_letter', entry }));
+        }
+        for (const [orderId, entry] of processedOrders.entries()) {
+            lines.push(JSON.stringify({ type: 'status', orderId, entry }));
+        }
+        for (const item of queue) {
+            lines.push(JSON.stringify({ type: 'enqueue', item }));
+        }
+
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    /**
+     * Describir el backend para logs
+     * @returns {string} Descripción
+     */
+    describe() {
+        return `archivo ${this.filePath}`;
+    }
+}
+
+/**
+ * Crear el backend de almacenamiento según configuración
+ *
+ * Variables de entorno:
+ * - WEBHOOK_QUEUE_STORE: "file" (default) o "memory"
+ * - WEBHOOK_QUEUE_FILE: ruta del archivo .jsonl
+ *
+ * @param {Object} options
+ * @param {string} options.type - Tipo de backend ("file" | "memory")
+ * @param {string} options.filePath - Ruta del archivo (solo "file")
+ * @returns {MemoryQueueStore|JsonlQueueStore} Backend configurado
+ */
+function createQueueStore(options = {}) {
+    const type = options.type || process.env.WEBHOOK_QUEUE_STORE || 'file';
+
+    if (type === 'memory') {
+        return new MemoryQueueStore();
+    }
+
+    return new JsonlQueueStore({
+        filePath: options.filePath || process.env.WEBHOOK_QUEUE_FILE || DEFAULT_QUEUE_FILE
+    });
+}
+
+module.exports = {
+    MemoryQueueStore,
+    JsonlQueueStore,
+    createQueueStore,
+    DEFAULT_QUEUE_FILE
+};